@@ -1,50 +1,133 @@
 /**
  * AI Command Parsing Cloud Function
  *
- * Parses natural language commands into structured actions using OpenAI GPT-4.
- * Requires Firebase Authentication.
+ * Parses natural language commands into structured actions using the
+ * configured LLM provider (see ./providers.js).
+ * Requires Firebase Authentication and access to the canvas; requests are
+ * rate limited per user and per room and audited (see ./quota.js).
  */
 
 const {onCall, HttpsError} = require("firebase-functions/v2/https");
-const {defineSecret} = require("firebase-functions/params");
+const {
+  defineSecret,
+  defineString,
+  defineInt,
+} = require("firebase-functions/params");
 const {TEMPLATES, generateNavigationBar} = require("./templates");
+const {AI_PROVIDERS, createProvider} = require("./providers");
+const {stubRules} = require("./stubRules");
+const {getCanvasRole, consumeQuota, logAIRequest} = require("./quota");
 
 // Define OpenAI API key as a Firebase secret
 const openaiApiKey = defineSecret("OPENAI_API_KEY");
 
+// Provider selection: openai, openai-compatible or stub
+const aiProvider = defineString("AI_PROVIDER", {
+  default: "openai",
+  input: {select: {options: AI_PROVIDERS.map((value) => ({value}))}},
+});
+// Base URL and model for openai-compatible (model also overrides openai's)
+const aiBaseUrl = defineString("AI_BASE_URL", {default: ""});
+const aiModel = defineString("AI_MODEL", {default: ""});
+
+// Requests allowed per user and per room, per minute and per day (UTC)
+const userPerMinute = defineInt("AI_USER_REQUESTS_PER_MINUTE", {default: 10});
+const userPerDay = defineInt("AI_USER_REQUESTS_PER_DAY", {default: 200});
+const roomPerMinute = defineInt("AI_ROOM_REQUESTS_PER_MINUTE", {default: 30});
+const roomPerDay = defineInt("AI_ROOM_REQUESTS_PER_DAY", {default: 1000});
+
+// Most steps a single multi-part command may expand to
+const MAX_PLAN_STEPS = 10;
+
+// Bounds on the visible shapes a client may send (prompt size)
+const MAX_CONTEXT_SHAPES = 50;
+const MAX_CONTEXT_TEXT = 40;
+const MAX_CONTEXT_TEMPLATES = 30;
+const MAX_SESSION_TURNS = 6;
+const MAX_TURN_SHAPE_IDS = 50;
+
 /**
- * Call OpenAI API directly using fetch
- * @param {string} prompt - The prompt to send to OpenAI
- * @param {string} apiKey - The OpenAI API key
- * @return {Promise<string>} The response content from OpenAI
+ * Create the provider selected by the AI_PROVIDER param
+ * @return {Object} Provider with complete()
  */
-const callOpenAI = async (prompt, apiKey) => {
-  const response = await fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "Authorization": `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify({
-      model: "gpt-4-turbo",
-      messages: [
-        {
-          role: "user",
-          content: prompt,
-        },
-      ],
-      temperature: 0.1,
-      max_tokens: 1000,
-    }),
+const getProvider = () => {
+  const provider = aiProvider.value();
+  return createProvider({
+    provider,
+    // Only the OpenAI provider needs the secret to be set
+    apiKey: provider === "stub" ? null : openaiApiKey.value(),
+    baseUrl: aiBaseUrl.value(),
+    model: aiModel.value(),
+    rules: stubRules,
   });
+};
 
-  if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error?.message || "OpenAI API request failed");
+/**
+ * Describe the client's visible shapes for the prompt, one line each
+ *
+ * Input comes from the client, so everything is re-bounded and coerced.
+ * @param {Array} visibleShapes - [{id, type, x, y, width, height, fill, text}]
+ * @return {string} Prompt lines
+ */
+const describeVisibleShapes = (visibleShapes) => {
+  if (!Array.isArray(visibleShapes) || visibleShapes.length === 0) {
+    return "  (none)";
   }
+  const clip = (value) => String(value).slice(0, MAX_CONTEXT_TEXT);
+  const num = (value) => Math.round(Number(value) || 0);
+  return visibleShapes.slice(0, MAX_CONTEXT_SHAPES).map((shape) => {
+    const s = shape || {};
+    let line = `  - id=${clip(s.id)} ${clip(s.type)} ` +
+      `bounds=(${num(s.x)},${num(s.y)} ${num(s.width)}x${num(s.height)})`;
+    if (s.fill) line += ` fill=${clip(s.fill)}`;
+    if (s.text) line += ` text=${JSON.stringify(clip(s.text))}`;
+    if (s.locked) line += " (locked)";
+    return line;
+  }).join("\n");
+};
 
-  const data = await response.json();
-  return data.choices[0].message.content;
+/**
+ * List the client's saved template names for the prompt
+ *
+ * Only names are sent; the client inserts saved templates itself.
+ * @param {Array} customTemplates - [{name, scope}]
+ * @return {string} Comma-separated quoted names, or "none"
+ */
+const describeCustomTemplates = (customTemplates) => {
+  if (!Array.isArray(customTemplates) || customTemplates.length === 0) {
+    return "none";
+  }
+  return customTemplates.slice(0, MAX_CONTEXT_TEMPLATES)
+      .filter((template) => template && template.name)
+      .map((template) =>
+        JSON.stringify(String(template.name).slice(0, MAX_CONTEXT_TEXT)))
+      .join(", ") || "none";
+};
+
+/**
+ * Describe the client's conversation so far, one line per turn
+ *
+ * Sent by the client (recent turns with the shapes each one created or
+ * changed), so it is re-bounded like the visible shapes.
+ * @param {Array} session - [{prompt, summary, success, shapeIds}]
+ * @return {string} Prompt lines
+ */
+const describeSession = (session) => {
+  if (!Array.isArray(session) || session.length === 0) {
+    return "  (new session)";
+  }
+  const clip = (value, size) => String(value).slice(0, size);
+  return session.slice(-MAX_SESSION_TURNS).map((turn, i) => {
+    const t = turn || {};
+    let line = `  ${i + 1}. ${JSON.stringify(clip(t.prompt || "", 200))} ` +
+      `→ ${t.success === false ? "failed" : "ok"}`;
+    if (t.summary) line += `: ${clip(t.summary, 100)}`;
+    const ids = Array.isArray(t.shapeIds) ?
+      t.shapeIds.slice(0, MAX_TURN_SHAPE_IDS).map((id) => clip(id, 40)) :
+      [];
+    if (ids.length) line += ` (shapes: ${ids.join(", ")})`;
+    return line;
+  }).join("\n");
 };
 
 /**
@@ -111,6 +194,53 @@ const validateGrayscaleColors = (parsed) => {
   };
 };
 
+/**
+ * Validate one command (or plan step) and attach its template data
+ * @param {Object} step - Parsed {category, action, parameters, ref?}
+ * @return {Object} The step, ready for the client executor
+ */
+const prepareStep = (step) => {
+  // Validate required fields
+  if (!step || !step.category || !step.action || step.steps) {
+    throw new HttpsError(
+        "internal",
+        "AI response missing required fields",
+    );
+  }
+
+  // Validate colors are grayscale only
+  const colorValidation = validateGrayscaleColors(step);
+  if (!colorValidation.isValid) {
+    throw new HttpsError(
+        "invalid-argument",
+        "🖤 Be more goth! Only black, white, and shades of grey " +
+        "are allowed on this canvas. Choose a grayscale color instead.",
+    );
+  }
+
+  // If template selected, include template data
+  if (step.category === "complex" &&
+    step.parameters &&
+    step.parameters.template) {
+    const templateName = step.parameters.template;
+
+    // Handle parameterized navigation bar
+    if (templateName === "navigationBar" &&
+        step.parameters.itemCount) {
+      const itemCount = Math.min(
+          Math.max(1, step.parameters.itemCount), 10);
+      step.parameters.templateData = generateNavigationBar(itemCount);
+    } else if (TEMPLATES[templateName]) {
+      step.parameters.templateData = TEMPLATES[templateName];
+    } else {
+      // Saved (custom) templates are resolved by name on the client
+      console.log(`Template "${templateName}" is not built in`);
+    }
+  }
+
+  return step;
+};
+
 /**
  * Parse AI Command Cloud Function
  *
@@ -136,7 +266,7 @@ exports.parseAICommand = onCall(
         );
       }
 
-      const {userInput, canvasContext} = request.data;
+      const {userInput, canvasContext, canvasId} = request.data;
 
       // Validate input
       if (!userInput || typeof userInput !== "string") {
@@ -150,6 +280,37 @@ exports.parseAICommand = onCall(
         );
       }
 
+      if (!canvasId || typeof canvasId !== "string") {
+        throw new HttpsError("invalid-argument", "canvasId must be a string");
+      }
+
+      const uid = request.auth.uid;
+      const audit = {
+        canvasId,
+        userId: uid,
+        userName: request.auth.token.name || request.auth.token.email || null,
+        prompt: userInput,
+      };
+      const startTime = Date.now();
+
+      // Only members of the room may spend its quota
+      await getCanvasRole(canvasId, uid);
+      try {
+        await consumeQuota({
+          uid,
+          canvasId,
+          quotas: {
+            user: {minute: userPerMinute.value(), day: userPerDay.value()},
+            room: {minute: roomPerMinute.value(), day: roomPerDay.value()},
+          },
+        });
+      } catch (error) {
+        if (error instanceof HttpsError && error.code === "resource-exhausted") {
+          await logAIRequest({...audit, outcome: "quota", error: error.message});
+        }
+        throw error;
+      }
+
       try {
         // console.log(
         //     `Parsing command for user ${request.auth.uid}: ` +
@@ -173,21 +334,43 @@ Parse the user's command into a structured JSON response.
 Current context:
 - Selected shapes: ${selectedShapes}
 - Viewport center (visible screen): ${viewportCenter}
+- Visible shapes (topmost first):
+${describeVisibleShapes(canvasContext && canvasContext.visibleShapes)}
+- Conversation so far (oldest first, with the shapes each turn created or changed):
+${describeSession(canvasContext && canvasContext.session)}
 - Canvas size: 3000x3000
-- Available shape types: rectangle, circle, line, text
+- Available shape types: rectangle, circle, polygon, star, arrow, path, text
 - Available templates: loginForm, trafficLight, navigationBar, signupForm, dashboard, cardLayout
+- Saved templates (the user's own or shared with the room): ${describeCustomTemplates(canvasContext && canvasContext.customTemplates)}
 
 User command: ${userInput}
 
 Respond ONLY with valid JSON in this exact format:
 {
-  "category": "creation|manipulation|layout|complex|selection|deletion|style|utility",
+  "category": "creation|manipulation|layout|complex|selection|deletion|style|utility|query",
   "action": "brief description",
   "parameters": {
     // Category-specific parameters
   }
 }
 
+If the command asks for several things in order (e.g. "make a login form, then align it left and put a title above it"), respond instead with:
+{
+  "action": "brief description",
+  "steps": [
+    { "ref": "form", "category": "complex", "action": "template", "parameters": { "template": "loginForm" } },
+    { "category": "layout", "action": "align", "parameters": { "alignment": "left", "target": "$form" } },
+    { "ref": "title", "category": "creation", "action": "create", "parameters": { "shapeType": "text", "text": "Login", "position": { "relativeTo": "$form", "placement": "above", "gap": 20 } } }
+  ]
+}
+
+Step rules:
+- At most ${MAX_PLAN_STEPS} steps, run in order as one action; each step uses the single-command format above plus an optional "ref" name
+- Refer to shapes from an earlier step with "$<ref>" or "$<step number>" (e.g. "$1") in "target", or a list in "targets"
+- A step without a target acts on the shapes of the step before it
+- Place new shapes next to earlier ones with "position": { "relativeTo": "$<ref>", "placement": "above|below|left|right", "gap": 20 }
+- Only use steps when the command really has several parts
+
 Rules:
 - CRITICAL: ONLY grayscale colors allowed! RGB values MUST be equal (e.g., #000000, #FFFFFF, #808080). Reject ANY requests for colors like red, blue, green, yellow, etc.
 - If user asks to add color, make shapes colored, change to any non-grayscale color, respond with: { "category": "utility", "action": "error", "parameters": { "message": "I cannot fulfill requests for colored shapes. Only grayscale colors (black, white, and shades of gray) are allowed in this application." }}
@@ -202,7 +385,13 @@ Rules:
 - For "signup form" or "register" → category: "complex", parameters: { "template": "signupForm" }
 - For "dashboard" → category: "complex", parameters: { "template": "dashboard" }
 - For "card layout" or "card" → category: "complex", parameters: { "template": "cardLayout" }
+- For a saved template ("insert my pricing card") → category: "complex", parameters: { "template": "<saved name exactly as listed>" }; saved names win over built-in ones
 - For creation: include shapeType, color (hex - grayscale only), size (width/height/radius), text
+- For questions about the canvas (nothing changes; the client computes the answer) → category: "query", action: "query", parameters: { "queryType": "count|selection|bounds|search|last-modified", "shapeType"?, "text"?, "target"? }, e.g. "how many circles are there?" → { "queryType": "count", "shapeType": "circle" }, "which shapes mention pricing?" → { "queryType": "search", "text": "pricing" }, "who last edited this?" → { "queryType": "last-modified", "target": "selected" }
+- For polygons: "draw a hexagon" → category: "creation", parameters: { "shapeType": "polygon", "sides": 6, "size": { "radius": 60 } } (sides 3-12)
+- For stars: "create a 6 pointed star" → category: "creation", parameters: { "shapeType": "star", "numPoints": 6, "size": { "radius": 60, "innerRadius": 30 } }
+- For arrows: "draw an arrow pointing down" → category: "creation", parameters: { "shapeType": "arrow", "length": 150, "angle": 90, "arrowHeads": "end" } (angle in degrees, 0 = right; arrowHeads: start/end/both/none; or "points" relative to the start)
+- For freehand paths: category: "creation", parameters: { "shapeType": "path", "points": [x1, y1, x2, y2, ...] } (points relative to the position)
 - For creation with specific grid: "create a 3x3 grid of squares" → category: "creation", action: "create-multiple", parameters: { "shapeType": "rectangle", "gridRows": 3, "gridCols": 3 }
 - For multiple shapes with size: "create 7 rectangles of size 299x453" → category: "creation", action: "create-multiple", parameters: { "shapeType": "rectangle", "count": 7, "width": 299, "height": 453 }
 - For multiple circles with size: "create 5 circles with radius 50" → category: "creation", action: "create-multiple", parameters: { "shapeType": "circle", "count": 5, "radius": 50 }
@@ -212,19 +401,27 @@ Rules:
 - For manipulation on selected: "move selected to center" → category: "manipulation", parameters: { "moveTo": "center" } (requires selected shapes)
 - For relative sizing: "twice as big" → parameters: { "sizeMultiplier": 2.0 }, "50% larger" → parameters: { "sizePercent": 150 }, "half the size" → parameters: { "sizeMultiplier": 0.5 }
 - For layout: include arrangement type (horizontal/vertical/grid) and spacing
+- For smarter layouts use parameters.layout: "tidy up" / "remove overlaps" → { "layout": "tidy" }, "lay out as a tree/flowchart" → { "layout": "tree", "direction": "down" | "right" } (follows the connectors between the shapes), "arrange in a circle" → { "layout": "circle" }, "fit these on screen" → { "layout": "fit", "region": "viewport" | "left" | "right" | "top" | "bottom" }
 - For selection: include criteria (type/color)
 - For deletion: include target (selected/all)
 - For style: include property, value, and optional filter
 - For utility: include action (zoom-in/zoom-out/center/undo/redo/clear-selection)
 - If "it" or "that", refer to selected shapes
+- For shapes the user describes instead of selecting ("the big circle", "the title text"), put their IDs from the visible shapes list in parameters.targets (e.g. "targets": ["abc123"]); never invent IDs and don't target locked shapes
+- Follow-ups refer to the conversation: after "create 5 circles", "now make them smaller" targets those circles, so put their IDs from that turn in parameters.targets; "it" / "them" without a selection mean the most recent turn's shapes
+- Use the listed bounds for positions relative to other shapes, e.g. "move the big circle next to the title" → category: "manipulation", action: "move", parameters: { "targets": ["<circle id>"], "position": { "x": <right of the title>, "y": <title top> } }
 - Use reasonable defaults for unspecified properties
 
 Respond with ONLY the JSON, no other text.
 `;
         /* eslint-enable max-len */
 
-        // Call OpenAI API directly
-        const responseContent = await callOpenAI(prompt, openaiApiKey.value());
+        const responseContent = await getProvider().complete({
+          messages: [{role: "user", content: prompt}],
+          input: userInput,
+          temperature: 0.1,
+          maxTokens: 1000,
+        });
 
         // Parse JSON response
         let parsed;
@@ -250,65 +447,58 @@ Respond with ONLY the JSON, no other text.
           );
         }
 
-        // Validate required fields
-        if (!parsed.category || !parsed.action) {
-          throw new HttpsError(
-              "internal",
-              "AI response missing required fields",
-          );
-        }
-
-        // Validate colors are grayscale only
-        const colorValidation = validateGrayscaleColors(parsed);
-        if (!colorValidation.isValid) {
-          throw new HttpsError(
-              "invalid-argument",
-              "🖤 Be more goth! Only black, white, and shades of grey " +
-              "are allowed on this canvas. Choose a grayscale color instead.",
-          );
-        }
-
-        // If template selected, include template data
-        if (parsed.category === "complex" &&
-          parsed.parameters &&
-          parsed.parameters.template) {
-          const templateName = parsed.parameters.template;
-
-          // Handle parameterized navigation bar
-          if (templateName === "navigationBar" &&
-              parsed.parameters.itemCount) {
-            const itemCount = Math.min(
-                Math.max(1, parsed.parameters.itemCount), 10);
-            parsed.parameters.templateData = generateNavigationBar(itemCount);
-            // console.log(
-            //     `✅ Using template: ${templateName} ` +
-            //     `with ${itemCount} items`);
-          } else if (TEMPLATES[templateName]) {
-            parsed.parameters.templateData = TEMPLATES[templateName];
-            // console.log(`✅ Using template: ${templateName}`);
-          } else {
-            console.warn(`⚠️ Template not found: ${templateName}`);
+        // Multi-part prompts come back as an ordered list of steps
+        let command;
+        if (Array.isArray(parsed.steps)) {
+          if (parsed.steps.length === 0 ||
+              parsed.steps.length > MAX_PLAN_STEPS) {
+            throw new HttpsError(
+                "invalid-argument",
+                `Commands are limited to 1-${MAX_PLAN_STEPS} steps`,
+            );
           }
+          command = {
+            category: "plan",
+            action: parsed.action || "plan",
+            steps: parsed.steps.map(prepareStep),
+          };
+        } else {
+          command = prepareStep(parsed);
         }
 
         // console.log(
         //     `✅ Parsed command: ${parsed.category} - ${parsed.action}`,
         // );
 
+        await logAIRequest({
+          ...audit,
+          outcome: "ok",
+          command,
+          durationMs: Date.now() - startTime,
+        });
+
         return {
           success: true,
-          command: parsed,
+          command,
         };
       } catch (error) {
         console.error("Error parsing AI command:", error);
+        await logAIRequest({
+          ...audit,
+          outcome: "error",
+          error: error.message,
+          durationMs: Date.now() - startTime,
+        });
 
         // Handle specific errors
         if (error instanceof HttpsError) {
           throw error;
         }
 
-        // OpenAI API errors
-        if (error.message && error.message.includes("API key")) {
+        // Provider configuration errors
+        if (error.message && (error.message.includes("API key") ||
+            error.message.includes("AI provider") ||
+            error.message.includes("openai-compatible"))) {
           throw new HttpsError(
               "failed-precondition",
               "AI service configuration error",
@@ -0,0 +1,110 @@
+/**
+ * LLM Provider Layer
+ *
+ * Every provider exposes the same call:
+ *   provider.complete({messages, input, temperature, maxTokens})
+ *     -> Promise<string> (the model's reply, expected to be JSON)
+ *
+ * - openai: api.openai.com
+ * - openai-compatible: any server implementing /chat/completions
+ *   (vLLM, Ollama, LM Studio, ...) at a configured base URL
+ * - stub: deterministic rules run locally on the raw user input,
+ *   for offline development and tests
+ *
+ * The client has the same layer in ui/src/services/aiProviders.js.
+ */
+
+const AI_PROVIDERS = ["openai", "openai-compatible", "stub"];
+const OPENAI_BASE_URL = "https://api.openai.com/v1";
+
+/**
+ * Provider for an OpenAI-style chat completions endpoint
+ * @param {Object} config - {name, baseUrl, apiKey, model}
+ * @return {Object} Provider
+ */
+const createChatProvider = ({name, baseUrl, apiKey, model}) => ({
+  name,
+  complete: async ({messages, temperature = 0.1, maxTokens = 1000}) => {
+    const headers = {"Content-Type": "application/json"};
+    // Self-hosted servers often run without a key
+    if (apiKey) headers["Authorization"] = `Bearer ${apiKey}`;
+
+    const url = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+    const response = await fetch(url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+      }),
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(
+          (error.error && error.error.message) ||
+          `${name} request failed (${response.status})`,
+      );
+    }
+
+    const data = await response.json();
+    return data.choices[0].message.content;
+  },
+});
+
+/**
+ * Provider that answers with rules instead of a model
+ * @param {Function} rules - (input) => response object in the caller's schema
+ * @return {Object} Provider
+ */
+const createStubProvider = (rules) => ({
+  name: "stub",
+  complete: async ({input}) => JSON.stringify(rules(input)),
+});
+
+/**
+ * Create the configured provider
+ * @param {Object} config
+ * @param {string} config.provider - One of AI_PROVIDERS
+ * @param {string} [config.apiKey] - Required for openai
+ * @param {string} [config.baseUrl] - Required for openai-compatible
+ * @param {string} [config.model] - Model name (required for openai-compatible)
+ * @param {Function} [config.rules] - Required for stub
+ * @return {Object} Provider with complete()
+ */
+const createProvider = ({provider, apiKey, baseUrl, model, rules}) => {
+  switch (provider) {
+    case "openai":
+      if (!apiKey) throw new Error("OpenAI API key is not configured");
+      return createChatProvider({
+        name: "openai",
+        baseUrl: OPENAI_BASE_URL,
+        apiKey,
+        model: model || "gpt-4-turbo",
+      });
+    case "openai-compatible":
+      if (!baseUrl || !model) {
+        throw new Error(
+            "AI_BASE_URL and AI_MODEL are required for the " +
+            "openai-compatible provider",
+        );
+      }
+      return createChatProvider({
+        name: "openai-compatible",
+        baseUrl,
+        apiKey,
+        model,
+      });
+    case "stub":
+      return createStubProvider(rules);
+    default:
+      throw new Error(
+          `Unknown AI provider "${provider}" ` +
+          `(use ${AI_PROVIDERS.join(", ")})`,
+      );
+  }
+};
+
+module.exports = {AI_PROVIDERS, createProvider};
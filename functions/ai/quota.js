@@ -0,0 +1,171 @@
+/**
+ * AI usage quotas and audit log
+ *
+ * Every parseAICommand request counts against its user and its room, in a
+ * one-minute and a one-day window (UTC). The counters live in
+ * aiUsage/{user_<uid> | room_<canvasId>}, which only this code may touch.
+ * Each request is also logged to canvases/{canvasId}/aiAudit, the source of
+ * the owner's usage view.
+ */
+
+const {HttpsError} = require("firebase-functions/v2/https");
+const {getFirestore, FieldValue} = require("firebase-admin/firestore");
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Longest prompt and command kept in an audit entry
+const MAX_AUDIT_PROMPT = 500;
+const MAX_AUDIT_COMMAND = 2000;
+
+/**
+ * Count one request in a counter's current windows
+ * @param {Object|undefined} counter - {minute, minuteCount, day, dayCount}
+ * @param {Object} limits - {minute, day} requests allowed per window
+ * @param {number} now - Current time in ms
+ * @return {Object} {counter} with the request counted, or
+ *   {exceeded: "minute" | "day", retryAfterSeconds} when a window is full
+ */
+const countRequest = (counter, limits, now) => {
+  const minute = Math.floor(now / MINUTE_MS);
+  const day = new Date(now).toISOString().slice(0, 10);
+  const current = counter || {};
+  const minuteCount = current.minute === minute ? current.minuteCount || 0 : 0;
+  const dayCount = current.day === day ? current.dayCount || 0 : 0;
+
+  if (minuteCount >= limits.minute) {
+    return {
+      exceeded: "minute",
+      retryAfterSeconds: Math.ceil(((minute + 1) * MINUTE_MS - now) / 1000),
+    };
+  }
+  if (dayCount >= limits.day) {
+    return {
+      exceeded: "day",
+      retryAfterSeconds: Math.ceil((DAY_MS - (now % DAY_MS)) / 1000),
+    };
+  }
+  return {
+    counter: {minute, minuteCount: minuteCount + 1, day, dayCount: dayCount + 1},
+  };
+};
+
+/**
+ * Check that the user belongs to the room before spending its quota
+ * @param {string} canvasId - Room the command is for
+ * @param {string} uid - Caller
+ * @return {Promise<string>} The caller's role in the room
+ */
+const getCanvasRole = async (canvasId, uid) => {
+  const canvas = await getFirestore().collection("canvases").doc(canvasId).get();
+  if (!canvas.exists) {
+    throw new HttpsError("not-found", "Canvas not found");
+  }
+  const data = canvas.data();
+  if (data.owner === uid) return "owner";
+  const role = data.permissions && data.permissions[uid];
+  if (!role) {
+    throw new HttpsError(
+        "permission-denied",
+        "You don't have access to this canvas",
+    );
+  }
+  return role;
+};
+
+/**
+ * Count a request against the user's and the room's quotas
+ *
+ * Both counters are updated in one transaction, and nothing is counted when
+ * either is full.
+ * @param {Object} options
+ * @param {string} options.uid - Caller
+ * @param {string} options.canvasId - Room
+ * @param {Object} options.quotas - {user: {minute, day}, room: {minute, day}}
+ * @param {number} [options.now] - Current time in ms
+ * @return {Promise<void>} Throws resource-exhausted with
+ *   {scope, window, limit, retryAfterSeconds} details when over quota
+ */
+const consumeQuota = async ({uid, canvasId, quotas, now = Date.now()}) => {
+  const db = getFirestore();
+  const counters = [
+    {scope: "user", ref: db.collection("aiUsage").doc(`user_${uid}`)},
+    {scope: "room", ref: db.collection("aiUsage").doc(`room_${canvasId}`)},
+  ];
+
+  await db.runTransaction(async (transaction) => {
+    const snapshots = await Promise.all(
+        counters.map(({ref}) => transaction.get(ref)),
+    );
+    const results = counters.map(({scope}, i) =>
+      countRequest(snapshots[i].data(), quotas[scope], now));
+
+    const full = results.findIndex((result) => result.exceeded);
+    if (full !== -1) {
+      const {scope} = counters[full];
+      const {exceeded, retryAfterSeconds} = results[full];
+      const limit = quotas[scope][exceeded];
+      throw new HttpsError(
+          "resource-exhausted",
+          `AI quota reached: ${limit} requests per ${exceeded} ` +
+          `for this ${scope === "user" ? "user" : "room"}`,
+          {scope, window: exceeded, limit, retryAfterSeconds},
+      );
+    }
+
+    counters.forEach(({ref}, i) => {
+      transaction.set(ref, {
+        ...results[i].counter,
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+    });
+  });
+};
+
+/**
+ * Record a request in the room's audit log
+ *
+ * Logging never fails the request; errors are only reported.
+ * @param {Object} entry
+ * @param {string} entry.canvasId - Room
+ * @param {string} entry.userId - Caller
+ * @param {string} entry.userName - Caller's display name (or email)
+ * @param {string} entry.prompt - What the user typed
+ * @param {string} entry.outcome - "ok" | "quota" | "error"
+ * @param {Object} [entry.command] - Parsed command, when there is one
+ * @param {string} [entry.error] - Why the request failed
+ * @param {number} [entry.durationMs] - Time spent parsing
+ * @return {Promise<void>}
+ */
+const logAIRequest = async (entry) => {
+  const {canvasId, userId, userName, prompt, outcome, command} = entry;
+  try {
+    await getFirestore()
+        .collection("canvases").doc(canvasId)
+        .collection("aiAudit")
+        .add({
+          userId,
+          userName: userName || null,
+          prompt: String(prompt || "").slice(0, MAX_AUDIT_PROMPT),
+          outcome,
+          category: (command && command.category) || null,
+          action: (command && command.action) || null,
+          // Stored as text: commands may hold nested lists Firestore rejects
+          command: command ?
+            JSON.stringify(command).slice(0, MAX_AUDIT_COMMAND) :
+            null,
+          error: entry.error || null,
+          durationMs: entry.durationMs || null,
+          createdAt: FieldValue.serverTimestamp(),
+        });
+  } catch (error) {
+    console.error("Failed to write AI audit entry:", error);
+  }
+};
+
+module.exports = {
+  countRequest,
+  getCanvasRole,
+  consumeQuota,
+  logAIRequest,
+};
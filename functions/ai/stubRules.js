@@ -0,0 +1,209 @@
+/**
+ * Rules for the stub AI provider (function schema)
+ *
+ * Turns a handful of common commands into the same
+ * {category, action, parameters} JSON the model is asked for, so the
+ * function can be exercised offline. Anything else becomes a utility
+ * error explaining what the stub understands.
+ */
+
+const TEMPLATE_PATTERNS = [
+  [/\blog ?in\b|\bsign ?in\b/, "loginForm"],
+  [/\bsign ?up\b|\bregist/, "signupForm"],
+  [/\btraffic light\b/, "trafficLight"],
+  [/\bnav(igation)?( ?bar)?\b|\bmenu\b/, "navigationBar"],
+  [/\bdashboard\b/, "dashboard"],
+  [/\bcards?\b/, "cardLayout"],
+];
+
+const SHAPE_PATTERNS = [
+  [/\b(rectangles?|rects?|squares?|box(es)?)\b/, {shapeType: "rectangle"}],
+  [/\b(circles?|dots?)\b/, {shapeType: "circle"}],
+  [/\btriangles?\b/, {shapeType: "polygon", sides: 3}],
+  [/\bhexagons?\b/, {shapeType: "polygon", sides: 6}],
+  [/\bpolygons?\b/, {shapeType: "polygon"}],
+  [/\bstars?\b/, {shapeType: "star"}],
+  [/\barrows?\b/, {shapeType: "arrow"}],
+  [/\btexts?\b|\blabels?\b/, {shapeType: "text"}],
+];
+
+// Named colors; non-gray ones are rejected by the grayscale check later,
+// just as when a model returns them
+const COLORS = {
+  "black": "#000000",
+  "white": "#FFFFFF",
+  "light gray": "#C0C0C0",
+  "light grey": "#C0C0C0",
+  "dark gray": "#404040",
+  "dark grey": "#404040",
+  "gray": "#808080",
+  "grey": "#808080",
+  "red": "#FF0000",
+  "green": "#00FF00",
+  "blue": "#0000FF",
+  "yellow": "#FFFF00",
+  "orange": "#FFA500",
+  "purple": "#800080",
+};
+
+const UNSUPPORTED = {
+  category: "utility",
+  action: "error",
+  parameters: {
+    message: "The offline AI provider only understands simple commands " +
+      "like \"create 3 circles\", \"create a 200x100 rectangle\", " +
+      "\"make a login form\" or \"delete selected\".",
+  },
+};
+
+/**
+ * Parse a command with the stub rules
+ * @param {string} input - Raw user command
+ * @return {Object} {category, action, parameters}
+ */
+const stubRules = (input) => {
+  const text = String(input || "").toLowerCase().trim();
+
+  if (/\bzoom in\b/.test(text)) {
+    return {category: "utility", action: "zoom-in", parameters: {}};
+  }
+  if (/\bzoom out\b/.test(text)) {
+    return {category: "utility", action: "zoom-out", parameters: {}};
+  }
+
+  // Questions are answered by the client from its shapes
+  if (/^how many\b/.test(text)) {
+    const shape = SHAPE_PATTERNS.find(([pattern]) => pattern.test(text));
+    return {
+      category: "query",
+      action: "query",
+      parameters: {
+        queryType: "count",
+        ...(shape ? {shapeType: shape[1].shapeType} : {}),
+      },
+    };
+  }
+  if (/^what('s| is| are)\s+selected\b/.test(text)) {
+    return {
+      category: "query",
+      action: "query",
+      parameters: {queryType: "selection"},
+    };
+  }
+
+  if (/^(tidy|clean) ?up\b|^(remove|fix)\b.*\boverlap/.test(text)) {
+    return {
+      category: "layout",
+      action: "arrange",
+      parameters: {layout: "tidy", target: "selected"},
+    };
+  }
+
+  if (/^(delete|remove|clear)\b/.test(text)) {
+    const target = /\b(all|everything)\b/.test(text) ? "all" : "selected";
+    return {category: "deletion", action: "delete", parameters: {target}};
+  }
+
+  if (/\b(center|middle)\b/.test(text) && /\b(move|center)\b/.test(text)) {
+    return {
+      category: "manipulation",
+      action: "move",
+      parameters: {moveTo: "center"},
+    };
+  }
+
+  if (!/^(create|make|draw|add|insert|build)\b/.test(text)) {
+    return UNSUPPORTED;
+  }
+
+  // "insert my pricing card": a saved template, resolved by the client
+  const saved = text.match(/^\w+\s+(?:my|our)\s+(.+?)(?:\s+template)?$/);
+  if (saved) {
+    return {
+      category: "complex",
+      action: "template",
+      parameters: {template: saved[1]},
+    };
+  }
+
+  const template = TEMPLATE_PATTERNS.find(([pattern]) => pattern.test(text));
+  if (template) {
+    const itemCount = text.match(/(\d+)\s+items?/);
+    return {
+      category: "complex",
+      action: "template",
+      parameters: {
+        template: template[1],
+        ...(itemCount ? {itemCount: parseInt(itemCount[1], 10)} : {}),
+      },
+    };
+  }
+
+  if (/\blines?\b/.test(text)) {
+    return {
+      category: "utility",
+      action: "error",
+      parameters: {
+        message: "Lines are not supported. Use an arrow, or create " +
+          "rectangles, circles, polygons, stars, paths or text.",
+      },
+    };
+  }
+
+  const shape = SHAPE_PATTERNS.find(([pattern]) => pattern.test(text));
+  if (!shape) return UNSUPPORTED;
+
+  const parameters = {...shape[1]};
+  const color = Object.keys(COLORS)
+      .find((name) => new RegExp(`\\b${name}\\b`).test(text));
+  if (color) parameters.color = COLORS[color];
+
+  const quoted = input.match(/["']([^"']+)["']/);
+  if (quoted) parameters.text = quoted[1];
+
+  const grid = text.match(/(\d+)\s*(?:x|by)\s*(\d+)\s+grid/);
+  if (grid) {
+    return {
+      category: "creation",
+      action: "create-multiple",
+      parameters: {
+        ...parameters,
+        gridRows: parseInt(grid[1], 10),
+        gridCols: parseInt(grid[2], 10),
+      },
+    };
+  }
+
+  const size = text.match(/(\d+)\s*(?:x|by)\s*(\d+)/);
+  const pixels = text.match(/(\d+)\s*px\b|radius (?:of )?(\d+)/);
+  if (size) {
+    parameters.size = {
+      width: parseInt(size[1], 10),
+      height: parseInt(size[2], 10),
+    };
+  } else if (pixels) {
+    const value = parseInt(pixels[1] || pixels[2], 10);
+    parameters.size = parameters.shapeType === "rectangle" ?
+      {width: value, height: value} :
+      {radius: value};
+  }
+
+  const count = text.match(/^\w+\s+(\d+)\s/);
+  if (count && parseInt(count[1], 10) > 1) {
+    return {
+      category: "creation",
+      action: "create-multiple",
+      // Multiple shapes take their size as top-level width/height/radius
+      parameters: {
+        ...parameters,
+        ...parameters.size,
+        size: undefined,
+        count: parseInt(count[1], 10),
+      },
+    };
+  }
+
+  return {category: "creation", action: "create", parameters};
+};
+
+module.exports = {stubRules};
@@ -0,0 +1,74 @@
+/**
+ * Canvas role mirror
+ *
+ * Realtime Database rules can't read Firestore, so every change to a
+ * canvas's permissions is copied to canvases/{canvasId}/roles in the
+ * Realtime Database, where database.rules.json checks that writers to the
+ * live sync paths (operationLog, ephemeralShapes, activeEdits) are editors
+ * and that only the owner sets the spotlight.
+ * Rooms without a copy are closed to those writes, so rooms created before
+ * syncCanvasRoles was deployed need backfillCanvasRoles once
+ * (scripts/backfillCanvasRoles.js).
+ */
+
+const {onDocumentWritten} = require("firebase-functions/v2/firestore");
+const {getDatabase} = require("firebase-admin/database");
+const {getFirestore} = require("firebase-admin/firestore");
+
+/**
+ * Whether two permission maps grant the same roles
+ * @param {Object|undefined} a - {uid: role}
+ * @param {Object|undefined} b - {uid: role}
+ * @return {boolean}
+ */
+const sameRoles = (a = {}, b = {}) => {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length &&
+    keys.every((uid) => a[uid] === b[uid]);
+};
+
+/**
+ * Copy the roles of a created, updated or deleted canvas
+ */
+const syncCanvasRoles = onDocumentWritten("canvases/{canvasId}", async (event) => {
+  const before = event.data.before.exists ? event.data.before.data() : null;
+  const after = event.data.after.exists ? event.data.after.data() : null;
+  const roles = after ? after.permissions || {} : null;
+
+  // Renames, resizes and other canvas updates leave the roles alone
+  if (before && after && sameRoles(before.permissions, roles)) return;
+
+  const ref = getDatabase().ref(`canvases/${event.params.canvasId}/roles`);
+  await ref.set(roles && Object.keys(roles).length > 0 ? roles : null);
+});
+
+/**
+ * Copy the roles of every canvas whose copy is missing or out of date
+ * @param {Object} [options]
+ * @param {Function} [options.log] - Called with each canvas ID written
+ * @return {Promise<number>} How many copies were written
+ */
+const backfillCanvasRoles = async ({log = () => {}} = {}) => {
+  const canvases = await getFirestore().collection("canvases")
+      .select("permissions").get();
+  let written = 0;
+
+  for (const canvas of canvases.docs) {
+    const roles = canvas.get("permissions") || {};
+    const ref = getDatabase().ref(`canvases/${canvas.id}/roles`);
+    const mirrored = (await ref.get()).val();
+    if (sameRoles(mirrored || {}, roles)) continue;
+
+    await ref.set(Object.keys(roles).length > 0 ? roles : null);
+    log(canvas.id);
+    written++;
+  }
+
+  return written;
+};
+
+module.exports = {
+  sameRoles,
+  syncCanvasRoles,
+  backfillCanvasRoles,
+};
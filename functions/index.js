@@ -5,6 +5,11 @@
  */
 
 const {setGlobalOptions} = require("firebase-functions/v2");
+const {initializeApp} = require("firebase-admin/app");
+
+// Admin SDK for Firestore and Realtime Database access (AI quotas and audit
+// log, canvas role mirror, Spotify tokens)
+initializeApp();
 
 // Set global options for all functions
 setGlobalOptions({
@@ -15,6 +20,9 @@ setGlobalOptions({
 // V6: AI Command System
 const {parseAICommand} = require("./ai/parseCommand");
 
+// Canvas roles mirrored to the Realtime Database for its security rules
+const {syncCanvasRoles} = require("./canvases/roles");
+
 // V7: Spotify Integration
 const {
   spotifyAuth,
@@ -27,6 +35,7 @@ const {
 
 // Export functions
 exports.parseAICommand = parseAICommand;
+exports.syncCanvasRoles = syncCanvasRoles;
 
 // Spotify functions
 exports.spotifyAuth = spotifyAuth;
@@ -0,0 +1,34 @@
+/**
+ * One-off backfill of the canvas role mirror
+ *
+ * Copies each canvas's permissions to canvases/{canvasId}/roles in the
+ * Realtime Database for rooms created before syncCanvasRoles was deployed.
+ * Run it once, with admin credentials, before deploying database.rules.json:
+ *
+ *   GOOGLE_APPLICATION_CREDENTIALS=service-account.json \
+ *     npm run backfill:roles -- https://your_project.firebaseio.com
+ *
+ * It only writes copies that are missing or out of date, so running it
+ * again is harmless.
+ */
+
+const {initializeApp} = require("firebase-admin/app");
+const {backfillCanvasRoles} = require("../canvases/roles");
+
+const databaseURL = process.argv[2] || process.env.FIREBASE_DATABASE_URL;
+if (!databaseURL) {
+  console.error("Usage: npm run backfill:roles -- <databaseURL>");
+  process.exit(1);
+}
+
+initializeApp({databaseURL});
+
+backfillCanvasRoles({log: (canvasId) => console.log(`Copied roles of ${canvasId}`)})
+    .then((written) => {
+      console.log(`Done: ${written} canvas role copies written`);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("Backfill failed:", error);
+      process.exit(1);
+    });
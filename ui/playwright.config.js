@@ -26,6 +26,10 @@ export default defineConfig({
     url: 'http://localhost:5173',
     reuseExistingServer: !process.env.CI,
     timeout: 120 * 1000,
+    // Deterministic rule-based AI unless a real provider is requested
+    env: {
+      VITE_AI_PROVIDER: process.env.VITE_AI_PROVIDER || 'stub',
+    },
   },
 });
 
@@ -2,17 +2,20 @@
  * AI Commands Composable
  *
  * Manages AI command processing state, history, and orchestration.
- * Integrates with OpenAI-based AI service for natural language command parsing.
+ * Integrates with the AI service (configured LLM provider) for natural language command parsing.
  * 
  * PRD v6 Implementation
  */
 
 import { ref, readonly } from 'vue'
 import aiService from '../services/aiService'
+import { parseWithRules } from '../utils/ruleBasedParser'
+import { describeVisibleShapes } from '../utils/aiShapeContext'
 
 // Shared state across all instances (singleton pattern)
 const isProcessing = ref(false)
 const lastCommand = ref(null)
+const lastParsedOffline = ref(false) // Last command came from the rule-based fallback
 const error = ref(null)
 const commandHistory = ref([]) // In-memory only, max 50 items
 
@@ -36,7 +39,9 @@ export function useAICommands() {
       selectedShapeIds = [],
       selectedShape = null,
       shapes = new Map(),
-      lastCreatedShape = null
+      lastCreatedShape = null,
+      templates = [],
+      session = []
     } = canvasState
 
     // Calculate viewport bounds in canvas coordinates
@@ -58,6 +63,12 @@ export function useAICommands() {
       selectedShape,
       lastCreatedShape,
       totalShapes: shapes.size,
+      // Bounded description of the shapes in view, so commands can name them
+      visibleShapes: describeVisibleShapes(shapes, viewportBounds),
+      // Saved templates the command may insert by name
+      customTemplates: templates.map(({ name, scope }) => ({ name, scope })),
+      // Recent turns of this conversation, for follow-ups
+      session,
       canvasSize: {
         width: 3000,
         height: 3000
@@ -74,8 +85,19 @@ export function useAICommands() {
    */
   const parseCommand = async (commandText, canvasState) => {
     const context = gatherContext(canvasState)
-    
+    lastParsedOffline.value = false
+
+    // No point waiting for the provider to time out
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      return parseOffline(commandText)
+    }
+
     try {
+      // The Cloud Function answers with a canonical command and enforces the quotas
+      if (aiService.usesCloudFunction) {
+        return await aiService.parseWithCloudFunction(commandText, context, canvasState.canvasId)
+      }
+
       // 1) Get raw LLM response
       const llm = await aiService.parseNaturalLanguageCommand(commandText, context)
       // 2) Validate LLM response format (intent/parameters)
@@ -83,11 +105,38 @@ export function useAICommands() {
         throw new Error('AI returned invalid command format')
       }
       // 3) Map LLM intent → canonical command for executor
+      if (llm.intent === 'MULTI_STEP') {
+        return {
+          category: 'plan',
+          action: 'plan',
+          steps: llm.steps.map(step => ({ ...mapIntentToCommand(step), ref: step.ref }))
+        }
+      }
       const mapped = mapIntentToCommand(llm)
       return mapped
     } catch (err) {
-      throw err
+      // Commands the model understood but declined are final, and so is running out of quota
+      if (err.rejected || err.quota) throw err
+      console.warn('⚠️ AI provider failed, trying the offline parser:', err.message)
+      return parseOffline(commandText, err)
+    }
+  }
+
+  /**
+   * Parse a command with the local rule-based parser
+   *
+   * @param {string} commandText - Natural language command
+   * @param {Error} [providerError] - Why the provider wasn't used; rethrown
+   *   when no rule matches, since it explains the failure better
+   * @returns {Object} Canonical command for the executor
+   */
+  const parseOffline = (commandText, providerError = null) => {
+    const parsed = parseWithRules(commandText)
+    if (parsed.intent === 'UNKNOWN') {
+      throw providerError || new Error(`Offline: ${parsed.reasoning}`)
     }
+    lastParsedOffline.value = true
+    return mapIntentToCommand(parsed)
   }
 
   /**
@@ -113,7 +162,7 @@ export function useAICommands() {
     const startTime = Date.now()
 
     try {
-      // Parse command with AI service (OpenAI API)
+      // Parse command with AI service (configured provider)
       const command = await parseCommand(userInput, canvasState)
 
       // Calculate parse time for performance monitoring
@@ -131,6 +180,7 @@ export function useAICommands() {
         command,
         timestamp: Date.now(),
         success: true,
+        offline: lastParsedOffline.value,
         parseTime
       })
 
@@ -181,6 +231,10 @@ export function useAICommands() {
     const toPosition = () => {
       if (!p.position) return undefined
       const pos = p.position
+      // Placement next to an earlier step's shapes (multi-step commands)
+      if (pos.relativeTo) {
+        return { relativeTo: pos.relativeTo, placement: pos.placement, gap: pos.gap }
+      }
       if (typeof pos.x === 'number' || typeof pos.y === 'number') {
         return { x: pos.x ?? undefined, y: pos.y ?? undefined }
       }
@@ -206,11 +260,13 @@ export function useAICommands() {
       const width = parseNum(p.width)
       const height = parseNum(p.height)
       const radius = parseNum(p.radius)
+      const innerRadius = parseNum(p.innerRadius)
       
-      if (width !== undefined || height !== undefined || radius !== undefined) {
+      if (width !== undefined || height !== undefined || radius !== undefined || innerRadius !== undefined) {
         if (width !== undefined) size.width = width
         if (height !== undefined) size.height = height
         if (radius !== undefined) size.radius = radius
+        if (innerRadius !== undefined) size.innerRadius = innerRadius
         console.log('🔍 toSize() returning:', size)
         return size
       }
@@ -223,6 +279,16 @@ export function useAICommands() {
       return undefined
     }
 
+    // Polygon sides, star points, arrow geometry/heads and path points
+    const toShapeOptions = () => ({
+      sides: p.sides,
+      numPoints: p.numPoints,
+      points: Array.isArray(p.points) ? p.points : undefined,
+      length: p.length,
+      angle: p.angle,
+      arrowHeads: p.arrowHeads
+    })
+
     const toDeltaFromDirection = () => {
       if (!p.direction) return undefined
       const distance = typeof p.distance === 'number' ? p.distance : 50
@@ -245,6 +311,12 @@ export function useAICommands() {
       return undefined
     }
 
+    // Earlier-step references ("$ref") in multi-step commands
+    const toTargets = () => ({
+      target: p.target,
+      targets: Array.isArray(p.targets) ? p.targets : undefined
+    })
+
     // Defaults
     let command = { category: 'utility', action: 'noop', parameters: {} }
 
@@ -258,7 +330,8 @@ export function useAICommands() {
             color: p.fill || p.color,
             size: toSize(),
             position: toPosition(),
-            text: p.text
+            text: p.text,
+            ...toShapeOptions()
           }
         }
         break
@@ -282,6 +355,7 @@ export function useAICommands() {
             fontSize: p.fontSize,
             fontFamily: p.fontFamily,
             fontStyle: p.fontStyle,
+            ...toShapeOptions()
           }
         }
         break
@@ -311,6 +385,7 @@ export function useAICommands() {
             position: toPosition(),
             delta: toDeltaFromDirection(),
             moveTo: p.moveTo, // Support "center" value for moving to viewport center
+            ...toTargets(),
           }
         }
         break
@@ -328,6 +403,7 @@ export function useAICommands() {
             dimensions: toSize(),
             delta: toDeltaFromScale(),
             sizeMultiplier: p.sizeMultiplier,
+            ...toTargets(),
           }
         }
         break
@@ -344,6 +420,7 @@ export function useAICommands() {
             fontSize: p.fontSize,
             fontFamily: p.fontFamily,
             fontStyle: p.fontStyle,
+            ...toTargets(),
           }
         }
         break
@@ -355,7 +432,12 @@ export function useAICommands() {
           parameters: {
             arrangement: p.arrangement,
             alignment: p.alignment,
+            distribution: p.distribution,
+            layout: p.layout, // tidy, tree, circle or fit (utils/layoutEngine.js)
+            direction: p.direction,
+            region: p.region,
             spacing: p.spacing,
+            ...toTargets(),
           }
         }
         break
@@ -364,7 +446,7 @@ export function useAICommands() {
         command = {
           category: 'layout',
           action: p.action, // bring_to_front, send_to_back, etc. (handled later PR)
-          parameters: {}
+          parameters: { ...toTargets() }
         }
         break
       }
@@ -374,7 +456,7 @@ export function useAICommands() {
           action: 'template',
           parameters: {
             template: p.templateName || p.template,
-            templateData: null // Will be populated in PR #8
+            templateData: null // Saved templates are looked up by name when executed
           }
         }
         break
@@ -384,22 +466,35 @@ export function useAICommands() {
           category: 'deletion',
           action: 'delete',
           parameters: {
-            target: p.target || 'selected'
+            target: p.target || 'selected',
+            targets: Array.isArray(p.targets) ? p.targets : undefined,
+            shapeType: p.shapeType || p.type
           }
         }
         break
       }
       case 'QUERY_INFO': {
+        // Read-only: answered in the panel (see utils/aiQuery.js)
         command = {
-          category: 'utility',
+          category: 'query',
           action: 'query',
           parameters: {
             queryType: p.queryType,
-            shapeType: p.shapeType
+            shapeType: p.shapeType || p.type,
+            text: p.text,
+            ...toTargets(),
           }
         }
         break
       }
+      case 'UTILITY': {
+        command = {
+          category: 'utility',
+          action: p.action,
+          parameters: { amount: p.amount }
+        }
+        break
+      }
       default: {
         throw new Error('Unsupported command type returned by AI')
       }
@@ -492,6 +587,7 @@ export function useAICommands() {
     // State (readonly to prevent external mutation)
     isProcessing: readonly(isProcessing),
     lastCommand: readonly(lastCommand),
+    lastParsedOffline: readonly(lastParsedOffline),
     error: readonly(error),
     commandHistory: readonly(commandHistory),
 
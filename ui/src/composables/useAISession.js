@@ -0,0 +1,70 @@
+/**
+ * AI Session Composable
+ *
+ * Keeps the current user's AI conversation for the current room (see
+ * utils/aiSession.js) and persists it in localStorage, so a reload keeps the
+ * follow-up context until "New session" is pressed.
+ */
+
+import { ref, computed, watch, unref } from 'vue'
+import {
+  createSession,
+  addTurn,
+  getSessionKey,
+  getLastTurnShapeIds,
+  getPromptTurns
+} from '../utils/aiSession'
+
+const loadSession = (key) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(key))
+    if (stored && Array.isArray(stored.turns)) return stored
+  } catch (err) {
+    console.warn('⚠️ Ignoring unreadable AI session:', err.message)
+  }
+  return createSession()
+}
+
+/**
+ * @param {import('vue').Ref<string>|string} canvasId - Current room
+ * @param {import('vue').Ref<string>|string} userId - Current user
+ */
+export function useAISession(canvasId, userId) {
+  const key = computed(() => getSessionKey(unref(canvasId), unref(userId)))
+  const session = ref(loadSession(key.value))
+
+  // Each room (and user) has its own conversation
+  watch(key, (newKey) => {
+    session.value = loadSession(newKey)
+  })
+
+  const save = () => {
+    try {
+      localStorage.setItem(key.value, JSON.stringify(session.value))
+    } catch (err) {
+      console.warn('⚠️ Could not save AI session:', err.message)
+    }
+  }
+
+  /**
+   * Record a finished command and the shapes it created or changed
+   */
+  const recordTurn = (turn) => {
+    session.value = addTurn(session.value, turn)
+    save()
+  }
+
+  const startNewSession = () => {
+    session.value = createSession()
+    save()
+    console.log('💬 Started a new AI session')
+  }
+
+  return {
+    turns: computed(() => session.value.turns),
+    promptTurns: computed(() => getPromptTurns(session.value)),
+    recordTurn,
+    startNewSession,
+    getLastTurnShapeIds: (shapes) => getLastTurnShapeIds(session.value, shapes)
+  }
+}
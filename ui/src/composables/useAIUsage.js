@@ -0,0 +1,62 @@
+/**
+ * AI Usage Composable
+ *
+ * The owner's view of a room's AI requests: listens to the audit log the
+ * parseAICommand Cloud Function writes to canvases/{canvasId}/aiAudit
+ * (owner-only in firestore.rules) and summarizes it (see utils/aiUsage.js).
+ */
+
+import { ref, computed } from 'vue'
+import { collection, query, where, orderBy, limit, onSnapshot, Timestamp } from 'firebase/firestore'
+import { db } from '../firebase/config'
+import { summarizeUsage, USAGE_DAYS } from '../utils/aiUsage'
+
+// Most audit entries loaded for the summary
+const MAX_AUDIT_ENTRIES = 500
+
+export function useAIUsage() {
+  const entries = ref([])
+  const isLoading = ref(false)
+  const error = ref(null)
+
+  const summary = computed(() => summarizeUsage(entries.value))
+
+  /**
+   * Listen to the last USAGE_DAYS days of a room's audit log
+   *
+   * @param {string} canvasId
+   * @returns {Function} Unsubscribe
+   */
+  const subscribeToUsage = (canvasId) => {
+    if (!canvasId) return () => {}
+    isLoading.value = true
+    error.value = null
+
+    const since = Timestamp.fromMillis(Date.now() - USAGE_DAYS * 24 * 60 * 60 * 1000)
+    return onSnapshot(
+      query(
+        collection(db, 'canvases', canvasId, 'aiAudit'),
+        where('createdAt', '>=', since),
+        orderBy('createdAt', 'desc'),
+        limit(MAX_AUDIT_ENTRIES)
+      ),
+      (snapshot) => {
+        entries.value = snapshot.docs.map(d => ({ id: d.id, ...d.data() }))
+        isLoading.value = false
+      },
+      (err) => {
+        console.error('Error loading AI usage:', err)
+        error.value = err.message || 'Failed to load AI usage'
+        isLoading.value = false
+      }
+    )
+  }
+
+  return {
+    entries,
+    summary,
+    isLoading,
+    error,
+    subscribeToUsage
+  }
+}
@@ -0,0 +1,317 @@
+/**
+ * Canvas Export Composable
+ *
+ * Exports the canvas (full 3000x3000 canvas, current viewport or current
+ * selection) to PNG, SVG or PDF.
+ *
+ * Raster formats are rendered by an offscreen Konva stage built from the
+ * shape models, so viewport culling, selection shadows and the transformer
+ * on the live stage never leak into the output. SVG is generated directly
+ * from the shape models as true vector markup.
+ *
+ * Image shapes are loaded before a raster export (the stage draws
+ * synchronously) and need CORS on the Storage bucket to be drawn.
+ */
+
+import { ref } from 'vue'
+import Konva from 'konva'
+import { useNotifications } from './useNotifications'
+import {
+  getExportRegion,
+  getTextLines,
+  clampPixelRatio,
+  getPageTiles,
+  shapesToSVG,
+  buildPdf,
+  dataURLToBytes,
+  downloadBlob,
+  getExportFileName,
+  EXPORT_BACKGROUND
+} from '../utils/canvasExport'
+import { loadImageElement } from '../utils/images'
+
+const PDF_PIXEL_RATIO = 2
+const PDF_JPEG_QUALITY = 0.92
+
+/**
+ * Load every image shape's source, keyed by src (failed loads are left out)
+ */
+const preloadImages = async (shapes) => {
+  const sources = [...new Set(shapes.filter(shape => shape.type === 'image' && shape.src).map(shape => shape.src))]
+  const images = new Map()
+  await Promise.all(sources.map(async (src) => {
+    try {
+      images.set(src, await loadImageElement(src))
+    } catch (err) {
+      console.warn('⚠️ Skipping image that could not be loaded for export:', src)
+    }
+  }))
+  return images
+}
+
+/**
+ * Create a Konva node that renders like the matching shape component
+ *
+ * @param {Object} shape - Shape model
+ * @param {Map<string, HTMLImageElement>} images - Preloaded image shape sources
+ */
+const createKonvaNode = (shape, images = new Map()) => {
+  const rotation = shape.rotation || 0
+
+  switch (shape.type) {
+    case 'rectangle':
+      return new Konva.Rect({
+        x: shape.x + shape.width / 2,
+        y: shape.y + shape.height / 2,
+        width: shape.width,
+        height: shape.height,
+        offsetX: shape.width / 2,
+        offsetY: shape.height / 2,
+        fill: shape.fill,
+        rotation
+      })
+    case 'image': {
+      const image = images.get(shape.src)
+      if (!image) return null
+      return new Konva.Image({
+        image,
+        x: shape.x + shape.width / 2,
+        y: shape.y + shape.height / 2,
+        width: shape.width,
+        height: shape.height,
+        offsetX: shape.width / 2,
+        offsetY: shape.height / 2,
+        filters: [Konva.Filters.Grayscale],
+        rotation
+      })
+    }
+    case 'circle':
+      return new Konva.Circle({
+        x: shape.x,
+        y: shape.y,
+        radius: shape.radius,
+        fill: shape.fill,
+        stroke: shape.stroke || undefined,
+        strokeWidth: shape.strokeWidth || 0,
+        rotation
+      })
+    case 'line':
+      return new Konva.Line({
+        points: shape.points,
+        stroke: shape.stroke,
+        strokeWidth: shape.strokeWidth,
+        lineCap: 'round',
+        lineJoin: 'round',
+        rotation
+      })
+    case 'polygon':
+      return new Konva.RegularPolygon({
+        x: shape.x,
+        y: shape.y,
+        sides: shape.sides,
+        radius: shape.radius,
+        fill: shape.fill,
+        stroke: shape.stroke || undefined,
+        strokeWidth: shape.strokeWidth || 0,
+        rotation
+      })
+    case 'star':
+      return new Konva.Star({
+        x: shape.x,
+        y: shape.y,
+        numPoints: shape.numPoints,
+        innerRadius: shape.innerRadius,
+        outerRadius: shape.outerRadius,
+        fill: shape.fill,
+        stroke: shape.stroke || undefined,
+        strokeWidth: shape.strokeWidth || 0,
+        rotation
+      })
+    case 'arrow':
+    case 'connector':
+      return new Konva.Arrow({
+        x: shape.x,
+        y: shape.y,
+        points: shape.points,
+        stroke: shape.stroke,
+        fill: shape.stroke,
+        strokeWidth: shape.strokeWidth,
+        pointerAtBeginning: !!shape.pointerAtStart,
+        pointerAtEnding: !!shape.pointerAtEnd,
+        pointerLength: shape.pointerLength,
+        pointerWidth: shape.pointerWidth,
+        lineCap: 'round',
+        lineJoin: 'round',
+        rotation
+      })
+    case 'path':
+      return new Konva.Line({
+        x: shape.x,
+        y: shape.y,
+        points: shape.points,
+        stroke: shape.stroke,
+        strokeWidth: shape.strokeWidth,
+        tension: shape.tension ?? 0.5,
+        lineCap: 'round',
+        lineJoin: 'round',
+        rotation
+      })
+    case 'text':
+      return new Konva.Text({
+        x: shape.x,
+        y: shape.y,
+        // Pre-wrapped so raster output matches the SVG line breaks
+        text: shape.width ? getTextLines(shape).join('\n') : shape.text,
+        fontSize: shape.fontSize,
+        fontFamily: shape.fontFamily,
+        fill: shape.fill,
+        fontStyle: shape.fontStyle,
+        align: shape.align,
+        width: shape.width || undefined,
+        rotation
+      })
+    default:
+      return null
+  }
+}
+
+export function useCanvasExport() {
+  const isExporting = ref(false)
+  const { success, error: notifyError } = useNotifications()
+
+  /**
+   * Render shapes inside a region to a data URL using an offscreen stage
+   *
+   * @param {Object[]} shapes - Shapes sorted by zIndex
+   * @param {Object} region - Canvas region { x, y, width, height }
+   * @param {Object} options - { pixelRatio, background, mimeType, quality, images }
+   * @returns {string} Data URL
+   */
+  const renderRegion = (shapes, region, { pixelRatio = 1, background = EXPORT_BACKGROUND, mimeType = 'image/png', quality, images } = {}) => {
+    const container = document.createElement('div')
+    const stage = new Konva.Stage({
+      container,
+      width: region.width,
+      height: region.height,
+      x: -region.x,
+      y: -region.y
+    })
+    const layer = new Konva.Layer({ listening: false })
+    stage.add(layer)
+
+    try {
+      if (background) {
+        layer.add(new Konva.Rect({ ...region, fill: background }))
+      }
+
+      shapes.forEach(shape => {
+        const node = createKonvaNode(shape, images)
+        if (!node) return
+        layer.add(node)
+        // Filters only apply to cached nodes; cache at the export resolution
+        if (node.filters()?.length) node.cache({ pixelRatio })
+      })
+
+      layer.draw()
+      return stage.toDataURL({ pixelRatio, mimeType, quality })
+    } finally {
+      stage.destroy()
+    }
+  }
+
+  const exportPNG = (shapes, region, { pixelRatio, background, images }) => {
+    const ratio = clampPixelRatio(region, pixelRatio)
+    const dataUrl = renderRegion(shapes, region, { pixelRatio: ratio, background, images })
+    return new Blob([dataURLToBytes(dataUrl)], { type: 'image/png' })
+  }
+
+  const exportSVG = (shapes, region, { background }) => {
+    const markup = shapesToSVG(shapes, region, { background })
+    return new Blob([markup], { type: 'image/svg+xml' })
+  }
+
+  const exportPDF = (shapes, region, { pagesAcross, background, images }) => {
+    // JPEG has no alpha channel, so PDF pages always get a background
+    const pageBackground = background || '#ffffff'
+
+    const pages = getPageTiles(region, pagesAcross).map(tile => {
+      const ratio = clampPixelRatio(tile, PDF_PIXEL_RATIO)
+      const dataUrl = renderRegion(shapes, tile, {
+        pixelRatio: ratio,
+        background: pageBackground,
+        mimeType: 'image/jpeg',
+        quality: PDF_JPEG_QUALITY,
+        images
+      })
+      return {
+        jpeg: dataURLToBytes(dataUrl),
+        imageWidth: Math.round(tile.width * ratio),
+        imageHeight: Math.round(tile.height * ratio),
+        width: tile.width,
+        height: tile.height
+      }
+    })
+
+    return buildPdf(pages)
+  }
+
+  /**
+   * Export the canvas and download the result
+   *
+   * @param {Object} options
+   * @param {string} options.format - 'png' | 'svg' | 'pdf'
+   * @param {string} options.scope - 'canvas' | 'viewport' | 'selection'
+   * @param {Object[]} options.shapes - All shapes on the canvas
+   * @param {string[]} options.selectedIds - Selected shape IDs
+   * @param {Object} options.viewport - Visible region in canvas coordinates
+   * @param {number} options.pixelRatio - PNG pixel ratio
+   * @param {number} options.pagesAcross - PDF pages across (grid is square)
+   * @param {boolean} options.includeBackground - Paint the canvas background
+   * @param {string} options.canvasName - Used for the file name
+   * @returns {Promise<boolean>} Whether the export succeeded
+   */
+  const exportCanvas = async ({
+    format = 'png',
+    scope = 'canvas',
+    shapes = [],
+    selectedIds = [],
+    viewport = null,
+    pixelRatio = 1,
+    pagesAcross = 1,
+    includeBackground = true,
+    canvasName = 'canvas'
+  }) => {
+    if (isExporting.value) return false
+    isExporting.value = true
+
+    try {
+      const { region, shapes: included } = getExportRegion(scope, { shapes, selectedIds, viewport })
+      const background = includeBackground ? EXPORT_BACKGROUND : null
+
+      let blob
+      if (format === 'svg') {
+        blob = exportSVG(included, region, { background })
+      } else if (format === 'pdf') {
+        blob = exportPDF(included, region, { pagesAcross, background, images: await preloadImages(included) })
+      } else {
+        blob = exportPNG(included, region, { pixelRatio, background, images: await preloadImages(included) })
+      }
+
+      downloadBlob(blob, getExportFileName(canvasName, scope, format))
+      console.log(`📤 Exported ${included.length} shape(s) as ${format.toUpperCase()} (${scope})`)
+      success(`Exported ${format.toUpperCase()}`)
+      return true
+    } catch (err) {
+      console.error('Export failed:', err)
+      notifyError(err.message || 'Export failed')
+      return false
+    } finally {
+      isExporting.value = false
+    }
+  }
+
+  return {
+    isExporting,
+    exportCanvas
+  }
+}
@@ -1,5 +1,11 @@
 import { ref, reactive } from 'vue'
 import { DEFAULT_SHAPE_PROPERTIES } from '../types/shapes'
+import { getSelectionUnit } from '../utils/groupUtils'
+import { createPathFromStroke } from '../utils/shapeGeometry'
+import { findAnchorTarget } from '../utils/connectors'
+
+// Minimum distance (canvas px) between recorded pen samples
+const PEN_SAMPLE_DISTANCE = 2
 
 export function useCanvasMouseEvents({
   stage,
@@ -39,8 +45,21 @@ export function useCanvasMouseEvents({
   updateTransformer,
   isSelecting,
   updateVisibleShapes,
+  snapCreationPoint = (x, y) => ({ x, y }), // Grid snapping for new shapes
+  onCommentPlace = () => {}, // Comment tool: ({ x, y }, shapeId or null)
   onCursorMove // NEW: callback for cursor tracking
 }) {
+  // Freehand stroke being drawn with the pen tool: flat [x1, y1, ...] in canvas coordinates
+  const penStroke = ref(null)
+  // Connector being drawn: { start, end } points plus the anchors they are bound to ({ shapeId, anchor } or null)
+  const connectorDraft = ref(null)
+  
+  // Anchor under the pointer, or the (grid-snapped) point itself for a free end
+  const getConnectorEnd = (canvasX, canvasY, excludeId = null) => {
+    const target = findAnchorTarget({ x: canvasX, y: canvasY }, shapes.values(), { excludeId })
+    if (target) return { x: target.x, y: target.y, binding: { shapeId: target.shapeId, anchor: target.anchor } }
+    return { ...snapCreationPoint(canvasX, canvasY), binding: null }
+  }
   
   const handleMouseDown = async (e) => {
     // Ignore right-clicks (button 2) - let context menu handle them
@@ -56,8 +75,25 @@ export function useCanvasMouseEvents({
     const canvasX = (pointer.x - stageAttrs.x) / stageAttrs.scaleX
     const canvasY = (pointer.y - stageAttrs.y) / stageAttrs.scaleY
     
+    const isDeepSelect = e.evt.metaKey || e.evt.ctrlKey
+    
+    // The comment tool pins a thread to the clicked shape or canvas point
+    if (activeTool.value === 'comment') {
+      let node = clickedOnEmpty ? null : e.target
+      while (node && !shapes.has(node.id())) node = node.getParent()
+      onCommentPlace({ x: canvasX, y: canvasY }, node ? node.id() : null)
+      return
+    }
+    
+    // Connectors start on a shape's anchor (or anywhere on empty canvas)
+    if (activeTool.value === 'connector' && canUserEdit.value) {
+      const start = getConnectorEnd(canvasX, canvasY)
+      connectorDraft.value = { start, end: { ...start, binding: null } }
+      return
+    }
+    
     // Check if clicking on a selected shape to start group drag (only for multiple selection)
-    if (!clickedOnEmpty && activeTool.value === 'select' && selectedShapeIds.value.length > 1) {
+    if (!clickedOnEmpty && activeTool.value === 'select' && selectedShapeIds.value.length > 1 && !isDeepSelect) {
       const clickedShapeId = e.target.id()
       
       if (clickedShapeId && selectedShapeIds.value.includes(clickedShapeId)) {
@@ -67,6 +103,23 @@ export function useCanvasMouseEvents({
       }
     }
     
+    // Pressing on an unselected grouped shape selects its group and drags it as one
+    // (grouped shapes have native drag disabled, see isShapeDragDisabled in CanvasView)
+    if (!clickedOnEmpty && activeTool.value === 'select' && !isDeepSelect && !e.evt.shiftKey) {
+      const clickedShapeId = e.target.id()
+      const clickedShape = clickedShapeId ? shapes.get(clickedShapeId) : null
+      
+      if (clickedShape?.groupPath?.length && !selectedShapeIds.value.includes(clickedShapeId)) {
+        selectedShapeIds.value = getSelectionUnit(clickedShapeId, shapes)
+        updateTransformer()
+        if (canUserEdit.value) {
+          startGroupDrag(canvasX, canvasY, selectedShapeIds.value, shapes)
+          canvasWrapper.value.style.cursor = 'grabbing'
+        }
+        return
+      }
+    }
+    
     // Only handle empty space clicks - let shapes handle their own events
     if (clickedOnEmpty) {
       clearSelection()
@@ -74,7 +127,7 @@ export function useCanvasMouseEvents({
       const userId = user.value?.uid || 'anonymous'
       
       // Prevent shape creation in viewer mode
-      if (isViewerMode.value && activeTool.value !== 'select') {
+      if (isViewerMode.value && activeTool.value !== 'select' && activeTool.value !== 'pan') {
         activeTool.value = 'select'
       }
       
@@ -89,22 +142,33 @@ export function useCanvasMouseEvents({
       } else if (activeTool.value === 'rectangle' && canUserEdit.value) {
         const w = DEFAULT_SHAPE_PROPERTIES.rectangle.width
         const h = DEFAULT_SHAPE_PROPERTIES.rectangle.height
-        await createShape('rectangle', { x: canvasX - w / 2, y: canvasY - h / 2 }, userId, canvasId.value, userName.value)
+        const topLeft = snapCreationPoint(canvasX - w / 2, canvasY - h / 2)
+        await createShape('rectangle', topLeft, userId, canvasId.value, userName.value)
         return
       } else if (activeTool.value === 'circle' && canUserEdit.value) {
         const r = DEFAULT_SHAPE_PROPERTIES.circle.radius
-        await createShape('circle', { x: canvasX + r, y: canvasY + r }, userId, canvasId.value, userName.value)
+        const center = snapCreationPoint(canvasX + r, canvasY + r)
+        await createShape('circle', center, userId, canvasId.value, userName.value)
+        return
+      } else if ((activeTool.value === 'polygon' || activeTool.value === 'star') && canUserEdit.value) {
+        // Polygons and stars are centered on the click
+        const center = snapCreationPoint(canvasX, canvasY)
+        await createShape(activeTool.value, center, userId, canvasId.value, userName.value)
+        return
+      } else if (activeTool.value === 'path' && canUserEdit.value) {
+        penStroke.value = [canvasX, canvasY]
         return
-      } else if (activeTool.value === 'line' && canUserEdit.value) {
+      } else if ((activeTool.value === 'line' || activeTool.value === 'arrow') && canUserEdit.value) {
         if (!isCreatingLine.value) {
-          startLineCreation(canvasX, canvasY)
+          const start = snapCreationPoint(canvasX, canvasY)
+          startLineCreation(start.x, start.y)
           return
         }
       } else if (activeTool.value === 'text' && canUserEdit.value) {
         if (showTextEditor.value) {
           return
         }
-        const newText = await createShape('text', { x: canvasX, y: canvasY }, userId, canvasId.value, userName.value)
+        const newText = await createShape('text', snapCreationPoint(canvasX, canvasY), userId, canvasId.value, userName.value)
         if (newText) {
           handleTextEdit(newText.id)
         }
@@ -149,6 +213,24 @@ export function useCanvasMouseEvents({
       return
     }
     
+    // Follow the pointer with the connector's free end, snapping to anchors
+    if (connectorDraft.value) {
+      const excludeId = connectorDraft.value.start.binding?.shapeId
+      connectorDraft.value = { ...connectorDraft.value, end: getConnectorEnd(canvasX, canvasY, excludeId) }
+      return
+    }
+    
+    // Extend the pen stroke
+    if (penStroke.value) {
+      const stroke = penStroke.value
+      const lastX = stroke[stroke.length - 2]
+      const lastY = stroke[stroke.length - 1]
+      if (Math.hypot(canvasX - lastX, canvasY - lastY) >= PEN_SAMPLE_DISTANCE) {
+        penStroke.value = [...stroke, canvasX, canvasY]
+      }
+      return
+    }
+    
     if (!isPanning.value) {
       if (activeTool.value === 'pan') {
         canvasWrapper.value.style.cursor = 'grab'
@@ -195,8 +277,10 @@ export function useCanvasMouseEvents({
       const pointer = stage.value.getNode().getPointerPosition()
       const stageAttrs = stage.value.getNode().attrs
       
-      const canvasX = (pointer.x - stageAttrs.x) / stageAttrs.scaleX
-      const canvasY = (pointer.y - stageAttrs.y) / stageAttrs.scaleY
+      const { x: canvasX, y: canvasY } = snapCreationPoint(
+        (pointer.x - stageAttrs.x) / stageAttrs.scaleX,
+        (pointer.y - stageAttrs.y) / stageAttrs.scaleY
+      )
       
       const dx = canvasX - lineStartPoint.value.x
       const dy = canvasY - lineStartPoint.value.y
@@ -204,20 +288,40 @@ export function useCanvasMouseEvents({
       
       if (length >= 10) {
         const userId = user.value?.uid || 'anonymous'
-        await createShape('line', { 
-          points: [
-            lineStartPoint.value.x, 
-            lineStartPoint.value.y, 
-            canvasX, 
-            canvasY
-          ] 
-        }, userId, canvasId.value, userName.value)
+        if (activeTool.value === 'arrow') {
+          // Arrows keep their start in x,y and points relative to it
+          await createShape('arrow', {
+            x: lineStartPoint.value.x,
+            y: lineStartPoint.value.y,
+            points: [0, 0, dx, dy]
+          }, userId, canvasId.value, userName.value)
+        } else {
+          await createShape('line', { 
+            points: [
+              lineStartPoint.value.x, 
+              lineStartPoint.value.y, 
+              canvasX, 
+              canvasY
+            ] 
+          }, userId, canvasId.value, userName.value)
+        }
       }
       
       endLineCreation()
       return
     }
     
+    // Finish the pen stroke
+    if (penStroke.value) {
+      await finishPenStroke()
+      return
+    }
+    
+    if (connectorDraft.value) {
+      await finishConnectorDraft()
+      return
+    }
+    
     // Finalize marquee selection
     if (isSelecting.value) {
       finalizeMarqueeSelection(shapesList.value)
@@ -238,6 +342,35 @@ export function useCanvasMouseEvents({
     }
   }
 
+  // Turn the current pen stroke into a path shape (simplified, relative points)
+  const finishPenStroke = async () => {
+    const stroke = penStroke.value
+    penStroke.value = null
+    const properties = createPathFromStroke(stroke)
+    if (!properties) return
+    const userId = user.value?.uid || 'anonymous'
+    await createShape('path', properties, userId, canvasId.value, userName.value)
+  }
+
+  // Turn the connector being drawn into a connector shape bound to the anchors under its ends
+  const finishConnectorDraft = async () => {
+    const draft = connectorDraft.value
+    connectorDraft.value = null
+    if (!draft) return
+    const { start, end } = draft
+    if (Math.hypot(end.x - start.x, end.y - start.y) < 10) return
+    const userId = user.value?.uid || 'anonymous'
+    await createShape('connector', {
+      x: start.x,
+      y: start.y,
+      points: [0, 0, end.x - start.x, end.y - start.y],
+      fromShapeId: start.binding?.shapeId ?? null,
+      fromAnchor: start.binding?.anchor ?? null,
+      toShapeId: end.binding?.shapeId ?? null,
+      toAnchor: end.binding?.anchor ?? null
+    }, userId, canvasId.value, userName.value)
+  }
+
   const handleWindowMouseUp = async (e) => {
     // Handle group drag completion (multi-select drag)
     if (isDraggingGroup.value) {
@@ -262,6 +395,15 @@ export function useCanvasMouseEvents({
       finalizeMarqueeSelection(shapesList.value)
     }
 
+    // A pen stroke released outside the stage still becomes a path
+    if (penStroke.value) {
+      await finishPenStroke()
+    }
+
+    if (connectorDraft.value) {
+      await finishConnectorDraft()
+    }
+
     // End panning state
     if (isPanning.value || isDragging.value) {
       isDragging.value = false
@@ -281,7 +423,7 @@ export function useCanvasMouseEvents({
     if (stage.value) {
       const stageNode = stage.value.getNode()
       // Find any shape that's currently being dragged
-      const allShapes = stageNode.find('Circle,Rect,Line,Text')
+      const allShapes = stageNode.find('Circle,Rect,Line,Text,RegularPolygon,Star,Arrow')
       allShapes.forEach(shapeNode => {
         try {
           if (typeof shapeNode.isDragging === 'function' && shapeNode.isDragging()) {
@@ -307,7 +449,7 @@ export function useCanvasMouseEvents({
       
       const userId = user.value?.uid || 'anonymous'
       
-      const newText = await createShape('text', { x: canvasX, y: canvasY }, userId, canvasId.value, userName.value)
+      const newText = await createShape('text', snapCreationPoint(canvasX, canvasY), userId, canvasId.value, userName.value)
       
       if (newText) {
         handleTextEdit(newText.id)
@@ -320,6 +462,10 @@ export function useCanvasMouseEvents({
   }
 
   return {
+    penStroke,
+    finishPenStroke,
+    connectorDraft,
+    finishConnectorDraft,
     handleMouseDown,
     handleMouseMove,
     handleMouseUp,
@@ -1,4 +1,6 @@
 import { ref, reactive } from 'vue'
+import { getSelectionUnit, expandToGroups } from '../utils/groupUtils'
+import { getShapeBounds } from '../utils/canvasExport'
 
 export function useCanvasSelection(stage, transformer, shapes) {
   const selectedShapeIds = ref([])
@@ -13,28 +15,35 @@ export function useCanvasSelection(stage, transformer, shapes) {
     visible: false
   })
 
+  // Hidden and locked shapes (layers panel toggles) can't be picked on the canvas
+  const isSelectable = (shape) => !!shape && !shape.hidden && !shape.locked
+
   const handleShapeSelect = (shapeId, event, activeTool) => {
-    // Ignore selection while pan tool is active
-    if (activeTool === 'pan') {
+    // Ignore selection while the pan tool is active (and while drawing connectors or pinning comments)
+    if (activeTool === 'pan' || activeTool === 'connector' || activeTool === 'comment') {
       return
     }
     
     // Check if Shift key is pressed for multi-select
     const isShiftKey = event?.shiftKey || false
+
+    // Grouped shapes select their whole outermost group; Cmd/Ctrl+click picks the single shape
+    const isDeepSelect = event?.metaKey || event?.ctrlKey || false
+    const unit = isDeepSelect ? [shapeId] : getSelectionUnit(shapeId, shapes)
     
     if (isShiftKey) {
-      // Multi-select: add/remove from selection
-      const index = selectedShapeIds.value.indexOf(shapeId)
-      if (index > -1) {
+      // Multi-select: add/remove the unit from selection
+      const isSelected = unit.every(id => selectedShapeIds.value.includes(id))
+      if (isSelected) {
         // Already selected, remove it
-        selectedShapeIds.value = selectedShapeIds.value.filter(id => id !== shapeId)
+        selectedShapeIds.value = selectedShapeIds.value.filter(id => !unit.includes(id))
       } else {
         // Not selected, add it
-        selectedShapeIds.value = [...selectedShapeIds.value, shapeId]
+        selectedShapeIds.value = [...new Set([...selectedShapeIds.value, ...unit])]
       }
     } else {
       // Single select: replace selection
-      selectedShapeIds.value = [shapeId]
+      selectedShapeIds.value = unit
     }
     
     // Attach transformer to selected shapes
@@ -59,8 +68,10 @@ export function useCanvasSelection(stage, transformer, shapes) {
       return
     }
     
-    // Find selected shape nodes
+    // Find selected shape nodes (locked and hidden shapes get no handles; connectors are
+    // placed by their anchors, so they are never resized or rotated)
     const selectedNodes = selectedShapeIds.value
+      .filter(id => isSelectable(shapes.get(id)) && shapes.get(id).type !== 'connector')
       .map(id => stageNode.findOne(`#${id}`))
       .filter(node => node != null)
     
@@ -76,11 +87,15 @@ export function useCanvasSelection(stage, transformer, shapes) {
         }
       })
       
-      // Configure transformer based on shape type
-      const firstShape = shapes.get(selectedShapeIds.value[0])
-      if (firstShape) {
-        configureTransformer(firstShape.type, transformerNode)
+      // Configure transformer based on shape type (mixed selections scale as a group)
+      const types = new Set(selectedNodes.map(node => shapes.get(node.id())?.type).filter(Boolean))
+      if (types.size > 1) {
+        configureTransformer('group', transformerNode)
+      } else if (types.size === 1) {
+        configureTransformer([...types][0], transformerNode)
       }
+    } else {
+      transformerNode.nodes([])
     }
   }
 
@@ -115,6 +130,18 @@ export function useCanvasSelection(stage, transformer, shapes) {
           return newBox
         })
         break
+      case 'image':
+        // Corner-only and proportional so images aren't distorted
+        transformerNode.enabledAnchors(['top-left', 'top-right', 'bottom-left', 'bottom-right'])
+        transformerNode.rotateEnabled(false)
+        transformerNode.keepRatio(true)
+        transformerNode.boundBoxFunc((oldBox, newBox) => {
+          if (Math.abs(newBox.width) < 10 || Math.abs(newBox.height) < 10) {
+            return oldBox
+          }
+          return newBox
+        })
+        break
       case 'circle':
         transformerNode.enabledAnchors(['top-left', 'top-center', 'top-right', 
                                        'middle-right', 'middle-left',
@@ -134,6 +161,41 @@ export function useCanvasSelection(stage, transformer, shapes) {
         transformerNode.rotateEnabled(false)
         transformerNode.boundBoxFunc(null)
         break
+      case 'polygon':
+      case 'star':
+        // Corner-only and proportional so the shape stays regular
+        transformerNode.enabledAnchors(['top-left', 'top-right', 'bottom-left', 'bottom-right'])
+        transformerNode.rotateEnabled(true)
+        transformerNode.keepRatio(true)
+        transformerNode.boundBoxFunc((oldBox, newBox) => {
+          if (Math.abs(newBox.width) < 10 || Math.abs(newBox.height) < 10) {
+            return oldBox
+          }
+          return newBox
+        })
+        break
+      case 'arrow':
+      case 'path':
+        // Free scaling is baked into the points on transform end (useShapeTransform)
+        transformerNode.enabledAnchors(['top-left', 'top-center', 'top-right',
+                                       'middle-right', 'middle-left',
+                                       'bottom-left', 'bottom-center', 'bottom-right'])
+        transformerNode.rotateEnabled(true)
+        transformerNode.keepRatio(false)
+        transformerNode.boundBoxFunc(null)
+        break
+      case 'group':
+        // Corner-only, proportional scaling keeps text and circles undistorted
+        transformerNode.enabledAnchors(['top-left', 'top-right', 'bottom-left', 'bottom-right'])
+        transformerNode.rotateEnabled(false)
+        transformerNode.keepRatio(true)
+        transformerNode.boundBoxFunc((oldBox, newBox) => {
+          if (Math.abs(newBox.width) < 10 || Math.abs(newBox.height) < 10) {
+            return oldBox
+          }
+          return newBox
+        })
+        break
       case 'text':
         transformerNode.enabledAnchors([])
         transformerNode.rotateEnabled(false)
@@ -176,9 +238,11 @@ export function useCanvasSelection(stage, transformer, shapes) {
     
     // Find shapes that intersect with selection rectangle
     const containedShapes = shapesList.filter(shape => {
+      if (!isSelectable(shape)) return false
+      
       let shapeX, shapeY, shapeWidth, shapeHeight
       
-      if (shape.type === 'rectangle' || shape.type === 'text') {
+      if (shape.type === 'rectangle' || shape.type === 'image' || shape.type === 'text') {
         shapeX = shape.x
         shapeY = shape.y
         shapeWidth = shape.width
@@ -196,6 +260,8 @@ export function useCanvasSelection(stage, transformer, shapes) {
         shapeY = Math.min(...allY)
         shapeWidth = Math.max(...allX) - shapeX
         shapeHeight = Math.max(...allY) - shapeY
+      } else {
+        ({ x: shapeX, y: shapeY, width: shapeWidth, height: shapeHeight } = getShapeBounds(shape))
       }
       
       // Check for intersection
@@ -207,7 +273,8 @@ export function useCanvasSelection(stage, transformer, shapes) {
       )
     })
     
-    selectedShapeIds.value = containedShapes.map(s => s.id)
+    // Touching any member of a group selects the whole group
+    selectedShapeIds.value = expandToGroups(containedShapes.map(s => s.id), shapes)
     updateTransformer()
     
     // Hide selection rectangle
@@ -218,7 +285,7 @@ export function useCanvasSelection(stage, transformer, shapes) {
   }
 
   const selectAll = (shapesList) => {
-    selectedShapeIds.value = shapesList.map(s => s.id)
+    selectedShapeIds.value = shapesList.filter(isSelectable).map(s => s.id)
     updateTransformer()
   }
 
@@ -11,9 +11,11 @@ import {
   where,
   orderBy,
   serverTimestamp,
+  deleteField,
   onSnapshot
 } from 'firebase/firestore'
 import { db } from '../firebase/config'
+import { PREVIOUS_OWNER_ROLE } from '../utils/members'
 
 // Singleton state - shared across all component instances
 const canvases = ref(new Map())
@@ -208,13 +210,10 @@ export function useCanvases() {
 
   const removePermissions = async (canvasId, userId) => {
     try {
-      const canvas = await getCanvas(canvasId)
-      const newPermissions = { ...canvas.permissions }
-      delete newPermissions[userId]
-
       const docRef = doc(db, 'canvases', canvasId)
       await updateDoc(docRef, {
-        permissions: newPermissions,
+        [`permissions.${userId}`]: deleteField(),
+        [`memberInvites.${userId}`]: deleteField(),
         lastModified: serverTimestamp()
       })
     } catch (err) {
@@ -224,6 +223,24 @@ export function useCanvases() {
     }
   }
 
+  // Hand the canvas to another member; the previous owner stays as an editor
+  const transferOwnership = async (canvasId, previousOwnerId, newOwnerId, newOwnerName) => {
+    try {
+      const docRef = doc(db, 'canvases', canvasId)
+      await updateDoc(docRef, {
+        owner: newOwnerId,
+        ownerName: newOwnerName,
+        [`permissions.${newOwnerId}`]: 'owner',
+        [`permissions.${previousOwnerId}`]: PREVIOUS_OWNER_ROLE,
+        lastModified: serverTimestamp()
+      })
+    } catch (err) {
+      console.error('Error transferring ownership:', err)
+      error.value = err.message
+      throw err
+    }
+  }
+
   const getUserRole = (canvas, userId) => {
     if (!canvas || !canvas.permissions) return null
     return canvas.permissions[userId] || null
@@ -244,22 +261,6 @@ export function useCanvases() {
     return role === 'owner'
   }
 
-  // Grant access from shared link
-  const grantAccessFromLink = async (canvasId, userId) => {
-    try {
-      // console.log(`🔗 Granting editor access to user ${userId} for canvas ${canvasId}`)
-      await updatePermissions(canvasId, userId, 'editor')
-      
-      // Reload canvas to get updated permissions
-      const updatedCanvas = await getCanvas(canvasId)
-      return updatedCanvas
-    } catch (err) {
-      console.error('Error granting access from link:', err)
-      error.value = err.message
-      throw err
-    }
-  }
-
   // Real-time canvas subscription
   const subscribeToCanvas = (canvasId, callback) => {
     try {
@@ -310,11 +311,11 @@ export function useCanvases() {
     // Permissions
     updatePermissions,
     removePermissions,
+    transferOwnership,
     getUserRole,
     canEdit,
     canManagePermissions,
     canDelete,
-    grantAccessFromLink,
 
     // Real-time
     subscribeToCanvas,
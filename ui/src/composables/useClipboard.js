@@ -1,7 +1,11 @@
 import { ref, computed } from 'vue'
 import { getMaxZIndex } from '../types/shapes'
+import { useUndoRedo } from './useUndoRedo'
+import { getGroupPath, createGroupPathRemapper } from '../utils/groupUtils'
+import { isConnector, remapConnectorBindings, connectorsLast } from '../utils/connectors'
 
 export function useClipboard(shapes, createShape, selectedShapeIds, updateTransformer, user, canvasId, userName) {
+  const { runInTransaction } = useUndoRedo()
   const clipboard = ref([])
   const hasClipboard = computed(() => clipboard.value.length > 0)
 
@@ -22,30 +26,41 @@ export function useClipboard(shapes, createShape, selectedShapeIds, updateTransf
     const userId = user.value.uid
     const maxZ = getMaxZIndex(Array.from(shapes.values()))
     const pastedIds = []
+    const remapGroupPath = createGroupPathRemapper(clipboard.value.map(shape => shape.id), shapes)
+    // Connectors are pasted last so they can bind to the pasted copies of their shapes
+    const copiedShapes = connectorsLast(clipboard.value)
+    const idMap = new Map()
     
-    for (let i = 0; i < clipboard.value.length; i++) {
-      const copiedShape = clipboard.value[i]
+    // Paste as a single undo step
+    await runInTransaction('paste', async (transaction) => {
+      for (let i = 0; i < copiedShapes.length; i++) {
+        const copiedShape = copiedShapes[i]
       
-      // Remove id from copied shape so createShape generates a new one
-      const { id, createdBy, createdAt, lastModified, lastModifiedBy, ...shapeData } = copiedShape
+        // Remove id from copied shape so createShape generates a new one
+        const { id, createdBy, createdAt, lastModified, lastModifiedBy, ...shapeData } = copiedShape
       
-      const newShape = await createShape(
-        copiedShape.type,
-        {
-          ...shapeData,
-          x: copiedShape.x + 20,
-          y: copiedShape.y + 20,
-          zIndex: maxZ + i + 1
-        },
-        userId,
-        canvasId.value,
-        userName.value
-      )
+        const newShape = await createShape(
+          copiedShape.type,
+          {
+            ...shapeData,
+            x: copiedShape.x + 20,
+            y: copiedShape.y + 20,
+            zIndex: maxZ + i + 1,
+            groupPath: remapGroupPath(getGroupPath(copiedShape)),
+            ...(isConnector(copiedShape) ? remapConnectorBindings(copiedShape, idMap) : {})
+          },
+          userId,
+          canvasId.value,
+          userName.value,
+          { transaction }
+        )
       
-      if (newShape) {
-        pastedIds.push(newShape.id)
+        if (newShape) {
+          pastedIds.push(newShape.id)
+          idMap.set(copiedShape.id, newShape.id)
+        }
       }
-    }
+    })
     
     // Select pasted shapes
     selectedShapeIds.value = pastedIds
@@ -8,87 +8,138 @@
 import { useShapes } from './useShapes'
 import { useNotifications } from './useNotifications'
 import { validateGrayscaleColor, isGrayscaleColor } from '../utils/colorValidation'
+import { partitionLockedIds } from '../utils/shapeLocks'
+import { MIN_POLYGON_SIDES, MAX_POLYGON_SIDES, MIN_STAR_POINTS, MAX_STAR_POINTS } from '../utils/shapeGeometry'
+import {
+  isPlanCommand,
+  getPlanSteps,
+  resolveStepReference,
+  resolveStepTargets,
+  getResultShapeIds,
+  getPlacementOffset
+} from '../utils/aiPlan'
+import { getNamedShapeIds } from '../utils/aiShapeContext'
+import { findTemplate } from '../utils/aiTemplates'
+import { answerQuery } from '../utils/aiQuery'
+import { isConnector, remapConnectorBindings, connectorsLast } from '../utils/connectors'
+import { createGroupId } from '../utils/groupUtils'
+import { computeLayout } from '../utils/layoutEngine'
+import { createPreviewStore } from '../utils/aiPreview'
+import { generateId } from '../types/shapes'
+
+// Shapes positioned by their center rather than their top-left corner
+const CENTERED_SHAPE_TYPES = ['circle', 'polygon', 'star']
+
+// Shapes drawn by their outline only: the AI "color" goes to the stroke
+const STROKE_SHAPE_TYPES = ['line', 'arrow', 'path', 'connector']
+
+// Categories that act on existing shapes, which the AI may name by ID
+const TARGETED_CATEGORIES = ['manipulation', 'layout', 'deletion', 'style', 'query']
+
+// Categories that never write, so viewers may run them
+const READ_ONLY_CATEGORIES = ['utility', 'query']
+
+const getColorProperty = (shapeType) => (STROKE_SHAPE_TYPES.includes(shapeType) ? 'stroke' : 'fill')
+
+const clampInteger = (value, min, max) => Math.min(max, Math.max(min, Math.round(value)))
 
-export function useCommandExecutor() {
+/**
+ * Properties specific to polygons, stars, arrows and freehand paths
+ *
+ * AI parameters: sides (polygon), numPoints and size.innerRadius (star),
+ * points or length/angle and arrowHeads 'start' | 'end' | 'both' | 'none' (arrow),
+ * points relative to the position (path).
+ */
+const getTypeSpecificProperties = (shapeType, params) => {
+  const { size, points, length, angle } = params
+  const properties = {}
+
+  switch (shapeType) {
+    case 'polygon':
+      if (params.sides !== undefined) {
+        properties.sides = clampInteger(params.sides, MIN_POLYGON_SIDES, MAX_POLYGON_SIDES)
+      }
+      break
+    case 'star': {
+      if (params.numPoints !== undefined) {
+        properties.numPoints = clampInteger(params.numPoints, MIN_STAR_POINTS, MAX_STAR_POINTS)
+      }
+      const outerRadius = size?.outerRadius ?? size?.radius
+      if (outerRadius !== undefined) {
+        properties.outerRadius = outerRadius
+        properties.innerRadius = size?.innerRadius ?? outerRadius / 2
+      } else if (size?.innerRadius !== undefined) {
+        properties.innerRadius = size.innerRadius
+      }
+      break
+    }
+    case 'arrow': {
+      if (Array.isArray(points) && points.length >= 4) {
+        properties.points = points
+      } else {
+        const arrowLength = length || 150
+        const radians = ((angle || 0) * Math.PI) / 180
+        properties.points = [0, 0, Math.round(arrowLength * Math.cos(radians)), Math.round(arrowLength * Math.sin(radians))]
+      }
+      const heads = params.arrowHeads || 'end'
+      properties.pointerAtStart = heads === 'start' || heads === 'both'
+      properties.pointerAtEnd = heads === 'end' || heads === 'both'
+      break
+    }
+    case 'path':
+      if (!Array.isArray(points) || points.length < 4 || points.length % 2 !== 0) {
+        throw new Error('Freehand paths need a list of points (x1, y1, x2, y2, ...)')
+      }
+      properties.points = points
+      break
+  }
+
+  return properties
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.store] - Shape store to run against instead of useShapes();
+ *   a preview store (utils/aiPreview.js) dry-runs commands without notifications
+ * @param {Function} [options.onInfo] - Receives the messages a store run would show
+ */
+export function useCommandExecutor({ store = null, onInfo = null } = {}) {
   const {
     createShape,
     updateShape,
     deleteShapes,
     getAllShapes,
-    bringToFront,
-    sendToBack,
-    bringForward,
-    sendBackward,
-    duplicateShapes,
-  } = useShapes()
+    commitShapeChanges,
+    shapes,
+  } = store || useShapes()
 
-  const { info, error: notifyError } = useNotifications()
+  const notifications = useNotifications()
+  const info = store ? onInfo || (() => {}) : notifications.info
+  const notifyError = store ? () => {} : notifications.error
 
   /**
-   * Execute a parsed AI command
+   * Execute a parsed AI command, or a multi-step plan of commands
    *
-   * @param {Object} command - Parsed command from AI
+   * @param {Object} command - Parsed command from AI ({ category, action, parameters } or { steps })
    * @param {Object} context - Canvas context (userId, canvasId, userName, etc.)
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Called with { current, total, label } before each plan step
    * @returns {Promise<Object>} Execution result
    */
-  const executeCommand = async (command, context) => {
-    const { category, action, parameters } = command
-    const { userId, canvasId, userName, viewportCenter, viewportBounds, selectedShapeIds } = context
+  const executeCommand = async (command, context, { onProgress } = {}) => {
+    const { category } = command
 
     try {
-      let result = null
-
-      switch (category) {
-        case 'creation':
-          if (action === 'create-multiple') {
-            result = await executeCreateMultiple(parameters, userId, canvasId, userName, viewportCenter, viewportBounds, context)
-            info(`Created ${parameters.count || 0} ${parameters.shapeType || 'shapes'}`)
-          } else {
-            result = await executeCreation(parameters, userId, canvasId, userName, viewportCenter, viewportBounds)
-            info(`Created ${parameters.shapeType || 'shape'}`)
-          }
-          break
-
-        case 'manipulation':
-          result = await executeManipulation(parameters, selectedShapeIds, userId, canvasId, userName, viewportCenter)
-          info(`Updated ${result.updatedIds?.length || 0} shape(s)`)
-          break
-
-        case 'layout':
-          result = await executeLayout(parameters, selectedShapeIds, userId, canvasId, userName)
-          info(`Applied layout: ${parameters.arrangement || parameters.alignment || 'arrange'}`)
-          break
-
-        case 'complex':
-          result = await executeComplex(parameters, userId, canvasId, userName, viewportCenter, viewportBounds)
-          info(`Created ${parameters.template || 'layout'}`)
-          break
-
-        case 'selection':
-          result = await executeSelection(parameters, selectedShapeIds)
-          info(`Selected ${result.selectedIds?.length || 0} shape(s)`)
-          break
-
-        case 'deletion':
-          result = await executeDeletion(parameters, selectedShapeIds, canvasId)
-          info(`Deleted ${result.deletedIds?.length || 0} shape(s)`)
-          break
-
-        case 'style':
-          result = await executeStyle(parameters, selectedShapeIds, userId, canvasId, userName)
-          info(`Styled ${result.updatedIds?.length || 0} shape(s)`)
-          break
-
-        case 'utility':
-          result = await executeUtility(action, parameters)
-          info(`Executed: ${action}`)
-          break
-
-        default:
-          throw new Error(`Unknown command category: ${category}`)
+      // Anything that may write to the real canvas is built on a draft first
+      const writes = isPlanCommand(command) || !READ_ONLY_CATEGORIES.includes(category)
+      if (writes && !store) {
+        return await executeAtomically(command, context, onProgress)
       }
 
-      return { success: true, ...result }
+      if (isPlanCommand(command)) {
+        return await executePlan(command, context, onProgress)
+      }
+      return await runCommand(command, context)
     } catch (err) {
       console.error('Command execution failed:', err)
       notifyError(err.message || 'Failed to execute command')
@@ -96,6 +147,220 @@ export function useCommandExecutor() {
     }
   }
 
+  /**
+   * Run a command or plan against a draft copy of the canvas, then commit
+   * everything it changed in one batch as one undo step
+   *
+   * Collaborators never see a half-applied command, and a failing step
+   * leaves the canvas untouched. Messages are shown once the batch is written.
+   */
+  const executeAtomically = async (command, context, onProgress) => {
+    const { userId, canvasId, userName } = context
+    const messages = []
+    const draft = createPreviewStore(shapes, { createId: generateId })
+    const draftExecutor = useCommandExecutor({ store: draft, onInfo: (message) => messages.push(message) })
+
+    const result = await draftExecutor.executeCommand(command, context, { onProgress })
+    await commitShapeChanges(draft.getPreview(), `AI: ${command.action || 'plan'}`, userId, canvasId, userName)
+    messages.forEach(message => info(message))
+    return result
+  }
+
+  /**
+   * Execute plan steps in order
+   *
+   * Each step acts on the shapes it references, else on the previous step's
+   * shapes, else on the selection. Plans run on a draft (see executeAtomically),
+   * so a failing step discards the earlier ones.
+   */
+  const executePlan = async (command, context, onProgress) => {
+    const steps = getPlanSteps(command)
+    const { userId, canvasId, userName } = context
+    const refs = new Map() // step ref or number -> shape IDs
+    const results = []
+    const utilityActions = []
+    let previousIds = null
+    let selectedIds = null
+
+    for (let i = 0; i < steps.length; i++) {
+      const step = steps[i]
+      const parameters = { ...step.parameters }
+      onProgress?.({ current: i + 1, total: steps.length, label: step.action || step.category })
+
+      try {
+        // Earlier-step references plus shapes named by ID
+        const referencedIds = resolveStepTargets(parameters, refs)
+        const namedIds = TARGETED_CATEGORIES.includes(step.category) ? getNamedShapeIds(parameters, shapes) : null
+        const targetIds = referencedIds || namedIds ? [...new Set([...(referencedIds || []), ...(namedIds || [])])] : null
+        if (targetIds) {
+          parameters.target = 'selected'
+          delete parameters.targets
+        }
+
+        // Relative positions are applied once the step's shapes exist
+        let placement = null
+        if (parameters.position?.relativeTo) {
+          const anchorIds = resolveStepReference(parameters.position.relativeTo, refs)
+          if (!anchorIds) {
+            throw new Error('position.relativeTo must refer to an earlier step')
+          }
+          placement = { ...parameters.position, anchorIds }
+          delete parameters.position
+        }
+
+        const stepIds = (targetIds || previousIds || context.selectedShapeIds || []).filter(id => shapes.has(id))
+        const result = await runCommand({ ...step, parameters }, { ...context, selectedShapeIds: stepIds }, { quiet: true })
+
+        if (result.type === 'utility') {
+          if (['undo', 'redo'].includes(result.action)) {
+            throw new Error('Undo and redo can\'t be part of a multi-step command')
+          }
+          utilityActions.push({ action: result.action, amount: result.amount })
+        }
+        if (result.type === 'selection') selectedIds = result.selectedIds
+
+        const ids = getResultShapeIds(result)
+        if (placement && ids.length) {
+          await placeShapes(ids, placement, userId, canvasId, userName)
+        }
+
+        refs.set(String(i + 1), ids)
+        if (step.ref) refs.set(String(step.ref), ids)
+        if (ids.length) previousIds = ids
+        results.push(result)
+      } catch (err) {
+        throw new Error(`Step ${i + 1} of ${steps.length} failed: ${err.message}`)
+      }
+    }
+
+    const createdShapes = results.flatMap(result => result.createdShapes || [])
+    info(`Completed ${steps.length} steps`)
+    return {
+      success: true,
+      type: selectedIds ? 'selection' : 'plan',
+      steps: results,
+      createdShapes,
+      selectedIds: selectedIds || undefined,
+      utilityActions,
+      answers: results.filter(result => result.type === 'query').map(result => result.answer)
+    }
+  }
+
+  /**
+   * Move freshly created shapes next to the shapes of an earlier step
+   */
+  const placeShapes = async (ids, { anchorIds, placement, gap }, userId, canvasId, userName) => {
+    const anchorShapes = anchorIds.map(id => shapes.get(id)).filter(Boolean)
+    const placed = ids.map(id => shapes.get(id)).filter(Boolean)
+    const offset = getPlacementOffset(anchorShapes, placed, placement || 'below', gap)
+    for (const shape of placed) {
+      await updateShape(shape.id, {
+        x: Math.round(shape.x + offset.x),
+        y: Math.round(shape.y + offset.y)
+      }, userId, canvasId, true, true, userName)
+    }
+  }
+
+  /**
+   * Dispatch a command to its category handler
+   *
+   * Plan steps run quietly: the panel shows their progress instead of a toast per step.
+   */
+  const runCommand = async (command, context, { quiet = false } = {}) => {
+    const { category, action } = command
+    let { parameters } = command
+    const notify = quiet ? () => {} : info
+    const { userId, canvasId, userName, viewportCenter, viewportBounds } = context
+    let { selectedShapeIds } = context
+
+    // Viewers may still zoom, pan and ask questions through commands, nothing else
+    if (context.canEdit === false && !READ_ONLY_CATEGORIES.includes(category)) {
+      throw new Error('You have view-only access to this canvas')
+    }
+
+    // Shapes the AI named by ID (from the visible shapes it was sent) replace the selection
+    const namedIds = TARGETED_CATEGORIES.includes(category) ? getNamedShapeIds(parameters, shapes) : null
+    if (namedIds) {
+      selectedShapeIds = namedIds
+      parameters = { ...parameters, target: 'selected', targets: undefined }
+    }
+
+    // Locked shapes are never changed by commands
+    let skippedLocked = 0
+    if (['manipulation', 'layout', 'style'].includes(category) && selectedShapeIds?.length) {
+      const { allowed, locked } = partitionLockedIds(selectedShapeIds, shapes)
+      if (allowed.length === 0) {
+        throw new Error('The selected shapes are locked. Unlock them first.')
+      }
+      selectedShapeIds = allowed
+      skippedLocked = locked.length
+    }
+
+    let result = null
+
+    switch (category) {
+      case 'creation':
+        if (action === 'create-multiple') {
+          result = await executeCreateMultiple(parameters, userId, canvasId, userName, viewportCenter, viewportBounds, context)
+          notify(`Created ${parameters.count || 0} ${parameters.shapeType || 'shapes'}`)
+        } else {
+          result = await executeCreation(parameters, userId, canvasId, userName, viewportCenter, viewportBounds)
+          notify(`Created ${parameters.shapeType || 'shape'}`)
+        }
+        break
+
+      case 'manipulation':
+        result = await executeManipulation(parameters, selectedShapeIds, userId, canvasId, userName, viewportCenter)
+        notify(`Updated ${result.updatedIds?.length || 0} shape(s)`)
+        break
+
+      case 'layout':
+        result = await executeLayout(parameters, selectedShapeIds, userId, canvasId, userName, viewportBounds)
+        notify(`Applied layout: ${parameters.layout || parameters.arrangement || parameters.alignment || 'arrange'}`)
+        break
+
+      case 'complex':
+        result = await executeComplex(parameters, userId, canvasId, userName, viewportCenter, viewportBounds, context)
+        notify(`Created ${parameters.template || 'layout'}`)
+        break
+
+      case 'selection':
+        result = await executeSelection(parameters, selectedShapeIds)
+        notify(`Selected ${result.selectedIds?.length || 0} shape(s)`)
+        break
+
+      case 'deletion':
+        result = await executeDeletion(parameters, selectedShapeIds, canvasId, userId)
+        notify(`Deleted ${result.deletedIds?.length || 0} shape(s)`)
+        break
+
+      case 'style':
+        result = await executeStyle(parameters, selectedShapeIds, userId, canvasId, userName)
+        notify(`Styled ${result.updatedIds?.length || 0} shape(s)`)
+        break
+
+      case 'utility':
+        result = await executeUtility(action, parameters)
+        notify(`Executed: ${action}`)
+        break
+
+      case 'query':
+        // The answer is shown in the AI panel, not as a toast
+        result = executeQuery(parameters, selectedShapeIds)
+        break
+
+      default:
+        throw new Error(`Unknown command category: ${category}`)
+    }
+
+    skippedLocked += result?.lockedIds?.length || 0
+    if (skippedLocked > 0) {
+      info(`Skipped ${skippedLocked} locked shape(s)`)
+    }
+
+    return { success: true, ...result }
+  }
+
   /**
    * Calculate position for new shapes (center of viewport)
    */
@@ -117,7 +382,7 @@ export function useCommandExecutor() {
 
     // Validate that lines are not supported
     if (shapeType === 'line') {
-      throw new Error('Lines are not supported. Only rectangles, circles, and text can be created.')
+      throw new Error('Lines are not supported. Use an arrow, or create rectangles, circles, polygons, stars, paths or text.')
     }
 
     // Determine shape size for positioning
@@ -147,7 +412,7 @@ export function useCommandExecutor() {
       if (!isGrayscaleColor(color)) {
         throw new Error(`Color must be grayscale (black, white, or shades of gray). "${color}" is not allowed.`)
       }
-      properties.fill = color
+      properties[getColorProperty(shapeType)] = color
     }
 
     // Add size properties
@@ -174,6 +439,8 @@ export function useCommandExecutor() {
     if (fontFamily) properties.fontFamily = fontFamily
     if (fontStyle) properties.fontStyle = fontStyle
 
+    Object.assign(properties, getTypeSpecificProperties(shapeType, params))
+
     // Ensure we have a valid shapeType, default to rectangle only if truly missing
     const finalShapeType = shapeType || 'rectangle'
     console.log('🔍 Creating shape with type:', finalShapeType)
@@ -219,6 +486,10 @@ export function useCommandExecutor() {
         if (shape.radius !== undefined) {
           updates.radius = Math.max(5, Math.round(shape.radius * params.sizeMultiplier))
         }
+        if (shape.type === 'star') {
+          updates.outerRadius = Math.max(5, Math.round(shape.outerRadius * params.sizeMultiplier))
+          updates.innerRadius = Math.max(2, Math.round(shape.innerRadius * params.sizeMultiplier))
+        }
         
         await updateShape(id, updates, userId, canvasId, true, true, userName)
       }
@@ -243,6 +514,10 @@ export function useCommandExecutor() {
         if (shape.radius !== undefined) {
           updates.radius = Math.max(5, Math.round(shape.radius * multiplier))
         }
+        if (shape.type === 'star') {
+          updates.outerRadius = Math.max(5, Math.round(shape.outerRadius * multiplier))
+          updates.innerRadius = Math.max(2, Math.round(shape.innerRadius * multiplier))
+        }
         
         await updateShape(id, updates, userId, canvasId, true, true, userName)
       }
@@ -333,10 +608,15 @@ export function useCommandExecutor() {
       updates.rotation = params.rotation
     }
 
-    // Apply updates to all selected shapes
-    const updatePromises = selectedIds.map((id) =>
-      updateShape(id, updates, userId, canvasId, true, true, userName)
-    )
+    // Apply updates to all selected shapes (outline-only shapes take the color as their stroke)
+    const updatePromises = selectedIds.map((id) => {
+      const shape = shapes.get(id)
+      if (updates.fill && shape && getColorProperty(shape.type) === 'stroke') {
+        const { fill, ...rest } = updates
+        return updateShape(id, { ...rest, stroke: fill }, userId, canvasId, true, true, userName)
+      }
+      return updateShape(id, updates, userId, canvasId, true, true, userName)
+    })
     await Promise.all(updatePromises)
 
     return { updatedIds: selectedIds }
@@ -584,7 +864,7 @@ export function useCommandExecutor() {
 
     // Validate that lines are not supported
     if (shapeType === 'line') {
-      throw new Error('Lines are not supported. Only rectangles, circles, and text can be created.')
+      throw new Error('Lines are not supported. Use an arrow, or create rectangles, circles, polygons, stars, paths or text.')
     }
 
     // Validate color is grayscale only
@@ -594,6 +874,9 @@ export function useCommandExecutor() {
 
     console.log('🔍 executeCreateMultiple params:', { shapeType, count, size, color, text })
 
+    // Same sides/points/heads for every copy
+    const typeProperties = getTypeSpecificProperties(shapeType, params)
+
     const createdShapes = []
     
     // Determine default shape size
@@ -651,7 +934,7 @@ export function useCommandExecutor() {
           const cellY = gridStartY + row * (shapeHeight + spacing)
           
           // Position depends on shape type (circles use center, rectangles use top-left)
-          if (shapeType === 'circle') {
+          if (CENTERED_SHAPE_TYPES.includes(shapeType)) {
             properties.x = Math.round(cellX + shapeWidth / 2)
             properties.y = Math.round(cellY + shapeHeight / 2)
           } else {
@@ -659,7 +942,8 @@ export function useCommandExecutor() {
             properties.y = Math.round(cellY)
           }
           
-          if (color) properties.fill = color
+          if (color) properties[getColorProperty(shapeType)] = color
+          Object.assign(properties, typeProperties)
           if (size?.width) properties.width = size.width
           if (size?.height) properties.height = size.height
           if (size?.radius) properties.radius = size.radius
@@ -717,7 +1001,8 @@ export function useCommandExecutor() {
           y: Math.round(pos.y)
         }
         
-        if (color) properties.fill = color
+        if (color) properties[getColorProperty(shapeType)] = color
+        Object.assign(properties, typeProperties)
         if (size?.width) properties.width = size.width
         if (size?.height) properties.height = size.height
         if (size?.radius) properties.radius = size.radius
@@ -778,7 +1063,7 @@ export function useCommandExecutor() {
 
       const properties = {}
       // Position depends on shape type semantics (rectangles use top-left, circles use center)
-      if (shapeType === 'circle') {
+      if (CENTERED_SHAPE_TYPES.includes(shapeType)) {
         properties.x = Math.round(cellX + shapeWidth / 2)
         properties.y = Math.round(cellY + shapeHeight / 2)
       } else {
@@ -786,7 +1071,8 @@ export function useCommandExecutor() {
         properties.y = Math.round(cellY)
       }
       
-      if (color) properties.fill = color
+      if (color) properties[getColorProperty(shapeType)] = color
+      Object.assign(properties, typeProperties)
       if (size) {
         if (size.width !== undefined) properties.width = size.width
         if (size.height !== undefined) properties.height = size.height
@@ -825,10 +1111,15 @@ export function useCommandExecutor() {
 
   /**
    * Execute layout command
+   *
+   * params.layout runs a layout engine operation (tidy, tree, circle, fit; see
+   * utils/layoutEngine.js); otherwise arrangement, alignment or distribution.
    */
-  const executeLayout = async (params, selectedIds, userId, canvasId, userName) => {
-    if (!selectedIds || selectedIds.length < 2) {
-      throw new Error('Select at least two shapes for layout commands')
+  const executeLayout = async (params, selectedIds, userId, canvasId, userName, viewportBounds) => {
+    // A single shape can still be fitted into a region
+    const minimum = params.layout === 'fit' ? 1 : 2
+    if (!selectedIds || selectedIds.length < minimum) {
+      throw new Error(minimum === 1 ? 'Select the shapes to fit first' : 'Select at least two shapes for layout commands')
     }
 
     const allShapes = getAllShapes()
@@ -840,6 +1131,20 @@ export function useCommandExecutor() {
       throw new Error('No valid shapes found for layout')
     }
 
+    if (params.layout) {
+      const layoutUpdates = computeLayout(params.layout, shapesToLayout, {
+        allShapes,
+        spacing: params.spacing,
+        direction: params.direction,
+        region: params.region,
+        viewportBounds
+      })
+      for (const { id, updates } of layoutUpdates) {
+        await updateShape(id, updates, userId, canvasId, true, true, userName)
+      }
+      return { updatedIds: selectedIds }
+    }
+
     const spacing = params.spacing || 20
 
     // Horizontal arrangement
@@ -956,9 +1261,19 @@ export function useCommandExecutor() {
 
   /**
    * Execute complex template command
+   *
+   * Built-in templates arrive with their templateData; saved templates are
+   * looked up by name in context.templates.
    */
-  const executeComplex = async (params, userId, canvasId, userName, viewportCenter, viewportBounds) => {
-    const { templateData } = params
+  const executeComplex = async (params, userId, canvasId, userName, viewportCenter, viewportBounds, context = {}) => {
+    let { templateData } = params
+
+    if (!templateData && params.template) {
+      templateData = findTemplate(params.template, context.templates)
+      if (!templateData) {
+        throw new Error(`No template named "${params.template}"`)
+      }
+    }
 
     if (!templateData || !templateData.shapes) {
       throw new Error('No template data provided for complex command')
@@ -972,8 +1287,16 @@ export function useCommandExecutor() {
     const baseX = viewportCenter.x - templateBounds.width / 2
     const baseY = viewportCenter.y - templateBounds.height / 2
 
+    // Saved templates: connectors follow their shapes' copies, groups get fresh IDs
+    const idMap = new Map()
+    const groupIds = new Map()
+    const remapGroup = (groupId) => {
+      if (!groupIds.has(groupId)) groupIds.set(groupId, createGroupId())
+      return groupIds.get(groupId)
+    }
+
     // Create all shapes from template
-    for (const templateShape of templateData.shapes) {
+    for (const templateShape of connectorsLast(templateData.shapes)) {
       const properties = {
         x: baseX + templateShape.offsetX,
         y: baseY + templateShape.offsetY,
@@ -983,8 +1306,17 @@ export function useCommandExecutor() {
       // Remove offset properties as they're converted to absolute
       delete properties.offsetX
       delete properties.offsetY
+      delete properties.key
+
+      if (Array.isArray(templateShape.groupPath)) {
+        properties.groupPath = templateShape.groupPath.map(remapGroup)
+      }
+      if (isConnector(templateShape)) {
+        Object.assign(properties, remapConnectorBindings(templateShape, idMap))
+      }
 
       const shape = await createShape(templateShape.type, properties, userId, canvasId, userName)
+      if (shape && templateShape.key) idMap.set(templateShape.key, shape.id)
       createdShapes.push(shape)
     }
 
@@ -1021,7 +1353,7 @@ export function useCommandExecutor() {
   /**
    * Execute deletion command
    */
-  const executeDeletion = async (params, selectedIds, canvasId) => {
+  const executeDeletion = async (params, selectedIds, canvasId, userId) => {
     let idsToDelete = []
 
     if (params.target === 'selected' && selectedIds && selectedIds.length > 0) {
@@ -1040,8 +1372,11 @@ export function useCommandExecutor() {
       throw new Error('No shapes to delete')
     }
 
-    await deleteShapes(idsToDelete, canvasId)
-    return { deletedIds: idsToDelete }
+    const { deletedIds, lockedIds } = await deleteShapes(idsToDelete, canvasId, userId)
+    if (deletedIds.length === 0) {
+      throw new Error('The shapes to delete are locked. Unlock them first.')
+    }
+    return { deletedIds, lockedIds }
   }
 
   /**
@@ -1096,6 +1431,15 @@ export function useCommandExecutor() {
     }
   }
 
+  /**
+   * Execute query command (read-only: answers a question about the canvas)
+   */
+  const executeQuery = (params, selectedShapeIds = []) => {
+    const { answer, shapeIds } = answerQuery(params, shapes, selectedShapeIds)
+    console.log('❓ Query answered:', answer)
+    return { type: 'query', answer, shapeIds }
+  }
+
   /**
    * Helper: Get bounds of multiple shapes
    */
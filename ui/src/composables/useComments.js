@@ -0,0 +1,191 @@
+/**
+ * Comments Composable
+ *
+ * Comment threads pinned to the canvas or to shapes (see utils/comments.js).
+ * Each thread is one document in canvases/{canvasId}/comments holding its
+ * replies, so the room needs a single listener for every pin and the sidebar.
+ */
+
+import { ref } from 'vue'
+import {
+  collection,
+  doc,
+  query,
+  orderBy,
+  onSnapshot,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  arrayUnion,
+  serverTimestamp
+} from 'firebase/firestore'
+import { db } from '../firebase/config'
+import { validateCommentText, MAX_COMMENT_REPLIES } from '../utils/comments'
+
+const getCommentsRef = (canvasId) => collection(db, 'canvases', canvasId, 'comments')
+
+// Firestore timestamps (null until the server sets them) as milliseconds
+const toMillis = (value) => {
+  if (!value) return Date.now()
+  return typeof value.toMillis === 'function' ? value.toMillis() : Number(value)
+}
+
+const toFriendlyError = (err, fallback) => {
+  if (err.code === 'permission-denied') return new Error('Only members who can comment may do that.')
+  if (err.code === 'unavailable') return new Error('Network error. Please check your connection and try again.')
+  return new Error(err.message || fallback)
+}
+
+export function useComments() {
+  const threads = ref([])
+  const isLoading = ref(false)
+  const error = ref(null)
+
+  /**
+   * Listen to a room's comment threads, oldest first
+   *
+   * @param {string} canvasId
+   * @param {Function} [callback] - Called with the threads on every update
+   * @returns {Function} Unsubscribe
+   */
+  const subscribeToComments = (canvasId, callback) => {
+    if (!canvasId) return () => {}
+    isLoading.value = true
+    error.value = null
+
+    return onSnapshot(
+      query(getCommentsRef(canvasId), orderBy('createdAt', 'asc')),
+      (snapshot) => {
+        threads.value = snapshot.docs.map(d => {
+          const data = d.data()
+          return {
+            id: d.id,
+            ...data,
+            mentions: data.mentions || [],
+            replies: data.replies || [],
+            resolved: data.resolved === true,
+            createdAt: toMillis(data.createdAt),
+            lastActivity: toMillis(data.lastActivity || data.createdAt)
+          }
+        })
+        isLoading.value = false
+        if (typeof callback === 'function') callback(threads.value)
+      },
+      (err) => {
+        console.error('Error loading comments:', err)
+        error.value = err.message || 'Failed to load comments'
+        isLoading.value = false
+      }
+    )
+  }
+
+  /**
+   * Start a thread
+   *
+   * @param {string} canvasId
+   * @param {Object} anchor - { x, y, shapeId, shapeOffset } from createCommentAnchor
+   * @param {Object} comment - { text, mentions }
+   * @param {Object} author - { userId, userName }
+   * @returns {Promise<string>} Thread ID
+   */
+  const createThread = async (canvasId, anchor, { text, mentions = [] }, { userId, userName }) => {
+    const invalid = validateCommentText(text)
+    if (invalid) throw new Error(invalid)
+
+    try {
+      const threadRef = await addDoc(getCommentsRef(canvasId), {
+        x: anchor.x,
+        y: anchor.y,
+        shapeId: anchor.shapeId || null,
+        shapeOffset: anchor.shapeOffset || null,
+        text: text.trim(),
+        mentions,
+        authorId: userId,
+        authorName: userName,
+        replies: [],
+        resolved: false,
+        resolvedBy: null,
+        resolvedAt: null,
+        createdAt: serverTimestamp(),
+        lastActivity: serverTimestamp()
+      })
+      return threadRef.id
+    } catch (err) {
+      console.error('Error creating comment:', err)
+      throw toFriendlyError(err, 'Failed to post comment')
+    }
+  }
+
+  /**
+   * Reply to a thread
+   *
+   * @param {string} canvasId
+   * @param {Object} thread
+   * @param {Object} comment - { text, mentions }
+   * @param {Object} author - { userId, userName }
+   */
+  const addReply = async (canvasId, thread, { text, mentions = [] }, { userId, userName }) => {
+    const invalid = validateCommentText(text)
+    if (invalid) throw new Error(invalid)
+    if ((thread.replies?.length || 0) >= MAX_COMMENT_REPLIES) {
+      throw new Error('This thread is full. Start a new one.')
+    }
+
+    try {
+      await updateDoc(doc(getCommentsRef(canvasId), thread.id), {
+        replies: arrayUnion({
+          id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+          text: text.trim(),
+          mentions,
+          authorId: userId,
+          authorName: userName,
+          createdAt: Date.now()
+        }),
+        lastActivity: serverTimestamp()
+      })
+    } catch (err) {
+      console.error('Error replying to comment:', err)
+      throw toFriendlyError(err, 'Failed to post reply')
+    }
+  }
+
+  /**
+   * Resolve or reopen a thread
+   */
+  const setResolved = async (canvasId, threadId, resolved, userId) => {
+    try {
+      await updateDoc(doc(getCommentsRef(canvasId), threadId), {
+        resolved,
+        resolvedBy: resolved ? userId : null,
+        resolvedAt: resolved ? serverTimestamp() : null,
+        lastActivity: serverTimestamp()
+      })
+    } catch (err) {
+      console.error('Error updating comment:', err)
+      throw toFriendlyError(err, resolved ? 'Failed to resolve thread' : 'Failed to reopen thread')
+    }
+  }
+
+  /**
+   * Delete a thread and its replies (its author or the room owner)
+   */
+  const deleteThread = async (canvasId, threadId) => {
+    try {
+      await deleteDoc(doc(getCommentsRef(canvasId), threadId))
+    } catch (err) {
+      console.error('Error deleting comment:', err)
+      throw toFriendlyError(err, 'Failed to delete thread')
+    }
+  }
+
+  return {
+    threads,
+    isLoading,
+    error,
+    subscribeToComments,
+    createThread,
+    addReply,
+    setResolved,
+    deleteThread
+  }
+}
@@ -7,9 +7,13 @@ export function useContextMenu({
   bringForward,
   sendBackward,
   duplicateShapes,
+  groupShapes,
+  ungroupShapes,
   updateTransformer,
   user,
-  canvasId
+  canvasId,
+  userName,
+  readOnly
 }) {
   const contextMenuVisible = ref(false)
   const contextMenuPosition = reactive({ x: 0, y: 0 })
@@ -17,7 +21,8 @@ export function useContextMenu({
   const handleContextMenu = (e) => {
     // Only show custom context menu if there's a selection
     // Otherwise, allow default browser context menu
-    if (selectedShapeIds.value.length === 0) {
+    // Every entry changes the canvas, so viewers don't get it
+    if (selectedShapeIds.value.length === 0 || readOnly?.value) {
       return
     }
     
@@ -68,6 +73,26 @@ export function useContextMenu({
     handleCloseContextMenu()
   }
 
+  const handleContextGroup = async () => {
+    if (selectedShapeIds.value.length > 1 && user.value) {
+      const result = await groupShapes(selectedShapeIds.value, user.value.uid, canvasId.value, userName?.value)
+      if (result) {
+        // Select the whole new group (the selection may have touched other groups partially)
+        selectedShapeIds.value = result.memberIds
+        updateTransformer()
+      }
+    }
+    handleCloseContextMenu()
+  }
+
+  const handleContextUngroup = async () => {
+    if (selectedShapeIds.value.length > 0 && user.value) {
+      await ungroupShapes(selectedShapeIds.value, user.value.uid, canvasId.value, userName?.value)
+      updateTransformer()
+    }
+    handleCloseContextMenu()
+  }
+
   return {
     contextMenuVisible,
     contextMenuPosition,
@@ -77,7 +102,9 @@ export function useContextMenu({
     handleContextBringForward,
     handleContextSendBackward,
     handleContextSendToBack,
-    handleContextDuplicate
+    handleContextDuplicate,
+    handleContextGroup,
+    handleContextUngroup
   }
 }
 
@@ -18,6 +18,24 @@ export const useCrashRecovery = () => {
         width: s.width, height: s.height,
         radius: s.radius,
         points: s.points,
+        sides: s.sides,
+        numPoints: s.numPoints,
+        innerRadius: s.innerRadius,
+        outerRadius: s.outerRadius,
+        pointerAtStart: s.pointerAtStart,
+        pointerAtEnd: s.pointerAtEnd,
+        pointerLength: s.pointerLength,
+        pointerWidth: s.pointerWidth,
+        tension: s.tension,
+        routing: s.routing,
+        fromShapeId: s.fromShapeId,
+        fromAnchor: s.fromAnchor,
+        toShapeId: s.toShapeId,
+        toAnchor: s.toAnchor,
+        src: s.src,
+        storagePath: s.storagePath,
+        naturalWidth: s.naturalWidth,
+        naturalHeight: s.naturalHeight,
         rotation: s.rotation,
         zIndex: s.zIndex,
         fill: s.fill,
@@ -514,6 +514,38 @@ export const useFirestore = () => {
     }
   }
 
+  // Creates, updates and deletes in a single batch that applies completely or not at all
+  // (unlike the chunked batches above, so it is limited to one batch of 500 writes)
+  const commitShapeChanges = async (canvasId, { created = [], updated = [], deletedIds = [] }) => {
+    const writeCount = created.length + updated.length + deletedIds.length
+    if (writeCount === 0) return true
+    if (writeCount > 500) {
+      throw new Error(`Too many changes for one update (${writeCount}, at most 500)`)
+    }
+
+    try {
+      trackFirestoreOpV3('batch_write')
+      const batch = writeBatch(db)
+
+      created.forEach(shape => {
+        batch.set(getShapeDocRef(canvasId, shape.id), { ...shape, lastModified: serverTimestamp() })
+      })
+      updated.forEach(({ id, updates }) => {
+        batch.update(getShapeDocRef(canvasId, id), { ...updates, lastModified: serverTimestamp() })
+      })
+      deletedIds.forEach(shapeId => {
+        batch.delete(getShapeDocRef(canvasId, shapeId))
+      })
+
+      await batch.commit()
+      return true
+    } catch (error) {
+      console.error('Error committing shape changes:', error)
+      trackFirestoreError()
+      throw error
+    }
+  }
+
   // Canvas snapshot operations for fast bulk loading (PR #3 v5)
   // Import compression utilities at the top level (will add to imports)
   
@@ -618,7 +650,8 @@ export const useFirestore = () => {
     saveShapesBatch,
     updateShapesBatch,
     deleteShapesBatch,
-    
+    commitShapeChanges,
+
     // Snapshot operations (v5)
     updateCanvasSnapshot,
     loadCanvasSnapshot,
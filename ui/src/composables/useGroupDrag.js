@@ -1,9 +1,17 @@
 import { ref, reactive } from 'vue'
+import { getSnapBounds } from '../utils/snapping'
+import { isBoundConnector } from '../utils/connectors'
 
-export function useGroupDrag() {
+/**
+ * @param {Object} [options]
+ * @param {Function} [options.snapMove] - (bounds) => { dx, dy } snapping for the dragged selection's box
+ */
+export function useGroupDrag({ snapMove = null } = {}) {
   const isDraggingGroup = ref(false)
   const groupDragStart = reactive({ x: 0, y: 0 })
   const groupDragInitialPositions = ref(new Map())
+  // Box around the dragged shapes at drag start (for snapping)
+  let groupDragInitialBounds = null
 
   const startGroupDrag = (canvasX, canvasY, selectedShapeIds, shapes) => {
     isDraggingGroup.value = true
@@ -14,36 +22,70 @@ export function useGroupDrag() {
     groupDragInitialPositions.value.clear()
     selectedShapeIds.forEach(shapeId => {
       const shape = shapes.get(shapeId)
-      if (shape) {
-        groupDragInitialPositions.value.set(shapeId, { x: shape.x, y: shape.y })
+      // Locked shapes stay put when dragged along with a selection;
+      // bound connectors follow their shapes instead (see utils/connectors.js)
+      if (shape && !shape.locked && !isBoundConnector(shape)) {
+        // Lines are drawn from absolute points, so they move by their points
+        const points = shape.type === 'line' ? [...(shape.points || [])] : null
+        groupDragInitialPositions.value.set(shapeId, { x: shape.x, y: shape.y, points })
       }
     })
+    groupDragInitialBounds = getUnionBounds(
+      Array.from(groupDragInitialPositions.value.keys()).map(shapeId => getSnapBounds(shapes.get(shapeId)))
+    )
+  }
+
+  const getUnionBounds = (boxes) => {
+    if (boxes.length === 0) return null
+    const minX = Math.min(...boxes.map(b => b.x))
+    const minY = Math.min(...boxes.map(b => b.y))
+    const maxX = Math.max(...boxes.map(b => b.x + b.width))
+    const maxY = Math.max(...boxes.map(b => b.y + b.height))
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY }
+  }
+
+  // Pointer delta, adjusted so the selection's box lands on a guide or grid line
+  const getDragDelta = (canvasX, canvasY) => {
+    const deltaX = canvasX - groupDragStart.x
+    const deltaY = canvasY - groupDragStart.y
+    // A click without movement never snaps (it would nudge the selection)
+    const hasMoved = Math.abs(deltaX) > 0.5 || Math.abs(deltaY) > 0.5
+    if (!snapMove || !groupDragInitialBounds || !hasMoved) return { deltaX, deltaY }
+
+    const { dx, dy } = snapMove({
+      ...groupDragInitialBounds,
+      x: groupDragInitialBounds.x + deltaX,
+      y: groupDragInitialBounds.y + deltaY
+    })
+    return { deltaX: deltaX + dx, deltaY: deltaY + dy }
   }
 
   const updateGroupDrag = (canvasX, canvasY, selectedShapeIds, shapes, updateShape, userId, canvasId, userName) => {
     if (!isDraggingGroup.value) return
     
-    const deltaX = canvasX - groupDragStart.x
-    const deltaY = canvasY - groupDragStart.y
+    const { deltaX, deltaY } = getDragDelta(canvasX, canvasY)
     
     // Update all selected shapes with the delta
     selectedShapeIds.forEach(shapeId => {
       const initialPos = groupDragInitialPositions.value.get(shapeId)
       if (initialPos) {
-        const newX = initialPos.x + deltaX
-        const newY = initialPos.y + deltaY
-        
         // Update local state immediately (optimistic update)
-        updateShape(shapeId, { x: newX, y: newY }, userId, canvasId, false, false, userName)
+        updateShape(shapeId, getMovedPosition(initialPos, deltaX, deltaY), userId, canvasId, false, false, userName)
       }
     })
   }
 
+  const getMovedPosition = (initialPos, deltaX, deltaY) => {
+    if (initialPos.points) {
+      return { points: initialPos.points.map((value, i) => value + (i % 2 === 0 ? deltaX : deltaY)) }
+    }
+    return { x: initialPos.x + deltaX, y: initialPos.y + deltaY }
+  }
+
   const endGroupDrag = async (canvasX, canvasY, selectedShapeIds, updateShapesBatch, canvasId, userId, userName) => {
     if (!isDraggingGroup.value) return null
     
-    const deltaX = canvasX - groupDragStart.x
-    const deltaY = canvasY - groupDragStart.y
+    const { deltaX, deltaY } = getDragDelta(canvasX, canvasY)
     
     // Only save if there was actual movement
     if (Math.abs(deltaX) > 0.5 || Math.abs(deltaY) > 0.5) {
@@ -55,8 +97,7 @@ export function useGroupDrag() {
             return {
               id: shapeId,
               updates: {
-                x: initialPos.x + deltaX,
-                y: initialPos.y + deltaY,
+                ...getMovedPosition(initialPos, deltaX, deltaY),
                 lastModifiedBy: userId,
                 lastModifiedByName: userName
               }
@@ -69,7 +110,7 @@ export function useGroupDrag() {
       // Save all shape positions as a single batch operation
       if (shapeUpdates.length > 0) {
         try {
-          await updateShapesBatch(canvasId, shapeUpdates)
+          await updateShapesBatch(canvasId, shapeUpdates, { userId })
         } catch (error) {
           console.error('Error updating group positions:', error)
         }
@@ -79,6 +120,7 @@ export function useGroupDrag() {
     // Reset group drag state
     isDraggingGroup.value = false
     groupDragInitialPositions.value.clear()
+    groupDragInitialBounds = null
     
     return true
   }
@@ -86,6 +128,7 @@ export function useGroupDrag() {
   const cancelGroupDrag = () => {
     isDraggingGroup.value = false
     groupDragInitialPositions.value.clear()
+    groupDragInitialBounds = null
   }
 
   return {
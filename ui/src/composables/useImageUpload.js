@@ -0,0 +1,101 @@
+/**
+ * Image Upload Composable
+ *
+ * Turns image files (file picker, drag-and-drop or clipboard paste) into
+ * image shapes: each file is grayscaled and downscaled in the browser
+ * (utils/images.js), uploaded to Cloud Storage under the canvas, and placed
+ * as a shape. Several files become one undo step.
+ */
+
+import { ref } from 'vue'
+import { ref as storageRef, uploadBytes, getDownloadURL } from 'firebase/storage'
+import { storage } from '../firebase/config'
+import { useUndoRedo } from './useUndoRedo'
+import { validateImageFile, prepareImageForUpload, fitImageSize } from '../utils/images'
+
+// Cascade offset between several images dropped at once
+const CASCADE_OFFSET = 20
+
+export function useImageUpload() {
+  const isUploading = ref(false)
+  const { runInTransaction } = useUndoRedo()
+
+  /**
+   * Upload one image file for a canvas
+   * @returns {Promise<{ src: string, storagePath: string, naturalWidth: number, naturalHeight: number }>}
+   */
+  const uploadImage = async (file, canvasId) => {
+    const validationError = validateImageFile(file)
+    if (validationError) throw new Error(validationError)
+
+    const { blob, width, height } = await prepareImageForUpload(file)
+    const extension = blob.type === 'image/jpeg' ? 'jpg' : 'png'
+    const storagePath = `canvases/${canvasId}/images/${Date.now()}_${Math.random().toString(36).substring(2, 11)}.${extension}`
+    const fileRef = storageRef(storage, storagePath)
+
+    await uploadBytes(fileRef, blob, { contentType: blob.type })
+    const src = await getDownloadURL(fileRef)
+    console.log(`🖼️ Uploaded image ${storagePath} (${width}×${height})`)
+
+    return { src, storagePath, naturalWidth: width, naturalHeight: height }
+  }
+
+  /**
+   * Upload files and create image shapes centered on a canvas point
+   *
+   * @param {File[]} files - Image files (non-images are reported as errors)
+   * @param {{ x: number, y: number }} center - Canvas coordinates of the first image's center
+   * @param {Object} options
+   * @param {Function} options.createShape - useShapes().createShape
+   * @param {string} options.canvasId
+   * @param {string} options.userId
+   * @param {string} options.userName
+   * @returns {Promise<{ shapes: Object[], errors: string[] }>} Created shapes and per-file errors
+   */
+  const addImageShapes = async (files, center, { createShape, canvasId, userId, userName }) => {
+    const created = []
+    const errors = []
+    if (!files.length) return { shapes: created, errors }
+
+    isUploading.value = true
+    try {
+      // Upload first so a failed file doesn't leave half a transaction behind
+      const uploads = []
+      for (const file of files) {
+        try {
+          uploads.push(await uploadImage(file, canvasId))
+        } catch (err) {
+          console.error('Image upload failed:', err)
+          errors.push(err.message)
+        }
+      }
+
+      if (uploads.length) {
+        await runInTransaction(uploads.length > 1 ? `add ${uploads.length} images` : 'add image', async (transaction) => {
+          for (let i = 0; i < uploads.length; i++) {
+            const upload = uploads[i]
+            const { width, height } = fitImageSize(upload.naturalWidth, upload.naturalHeight)
+            const shape = await createShape('image', {
+              ...upload,
+              x: Math.round(center.x - width / 2 + i * CASCADE_OFFSET),
+              y: Math.round(center.y - height / 2 + i * CASCADE_OFFSET),
+              width,
+              height
+            }, userId, canvasId, userName, { transaction })
+            if (shape) created.push(shape)
+          }
+        })
+      }
+    } finally {
+      isUploading.value = false
+    }
+
+    return { shapes: created, errors }
+  }
+
+  return {
+    isUploading,
+    uploadImage,
+    addImageShapes
+  }
+}
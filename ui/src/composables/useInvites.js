@@ -0,0 +1,155 @@
+/**
+ * Invites Composable
+ *
+ * Invite links for a room (see utils/invites.js). The owner creates, lists
+ * and revokes them in canvases/{canvasId}/invites; anyone holding a link
+ * joins the room by redeeming it, which counts the use and adds them to the
+ * canvas permissions with the invite's role in one transaction.
+ */
+
+import { ref, computed } from 'vue'
+import {
+  collection,
+  doc,
+  query,
+  orderBy,
+  onSnapshot,
+  runTransaction,
+  setDoc,
+  updateDoc,
+  serverTimestamp,
+  Timestamp
+} from 'firebase/firestore'
+import { db } from '../firebase/config'
+import { getInviteStatus, getInviteError, validateInviteOptions } from '../utils/invites'
+
+const getInvitesRef = (canvasId) => collection(db, 'canvases', canvasId, 'invites')
+
+export function useInvites() {
+  const invites = ref([])
+  const isLoading = ref(false)
+  const error = ref(null)
+
+  // Links that can still be used, newest first
+  const activeInvites = computed(() => {
+    const now = Date.now()
+    return invites.value.filter(invite => getInviteStatus(invite, now) === 'active')
+  })
+
+  /**
+   * Listen to a room's invites (owner only)
+   *
+   * @param {string} canvasId
+   * @returns {Function} Unsubscribe
+   */
+  const subscribeToInvites = (canvasId) => {
+    if (!canvasId) return () => {}
+    isLoading.value = true
+    error.value = null
+
+    return onSnapshot(
+      query(getInvitesRef(canvasId), orderBy('createdAt', 'desc')),
+      (snapshot) => {
+        invites.value = snapshot.docs.map(d => ({ id: d.id, ...d.data() }))
+        isLoading.value = false
+      },
+      (err) => {
+        console.error('Error loading invites:', err)
+        error.value = err.message || 'Failed to load invite links'
+        isLoading.value = false
+      }
+    )
+  }
+
+  /**
+   * Create an invite link
+   *
+   * @param {string} canvasId
+   * @param {Object} options - { role, expiresInMs (null: never), maxUses (null: unlimited) }
+   * @param {string} userId - Owner creating it
+   * @returns {Promise<string>} The invite token
+   */
+  const createInvite = async (canvasId, { role, expiresInMs = null, maxUses = null }, userId) => {
+    const invalid = validateInviteOptions({ role, expiresInMs, maxUses })
+    if (invalid) throw new Error(invalid)
+
+    // The auto-generated document ID doubles as the secret token
+    const inviteRef = doc(getInvitesRef(canvasId))
+    await setDoc(inviteRef, {
+      role,
+      expiresAt: expiresInMs ? Timestamp.fromMillis(Date.now() + expiresInMs) : null,
+      maxUses,
+      uses: 0,
+      revoked: false,
+      createdBy: userId,
+      createdAt: serverTimestamp()
+    })
+    return inviteRef.id
+  }
+
+  /**
+   * Revoke an invite link; people who already joined keep their access
+   */
+  const revokeInvite = async (canvasId, token) => {
+    await updateDoc(doc(getInvitesRef(canvasId), token), {
+      revoked: true,
+      revokedAt: serverTimestamp()
+    })
+  }
+
+  /**
+   * Join a room through an invite link
+   *
+   * Members keep their current role and don't use up the link.
+   * @param {string} canvasId
+   * @param {string} token
+   * @param {string} userId
+   * @returns {Promise<string>} The user's role in the room
+   */
+  const redeemInvite = async (canvasId, token, userId) => {
+    const canvasRef = doc(db, 'canvases', canvasId)
+    const inviteRef = doc(getInvitesRef(canvasId), token)
+
+    try {
+      return await runTransaction(db, async (transaction) => {
+        const canvasSnap = await transaction.get(canvasRef)
+        if (!canvasSnap.exists()) throw new Error('Canvas not found')
+
+        const currentRole = canvasSnap.data().permissions?.[userId]
+        if (currentRole) return currentRole
+
+        const inviteSnap = await transaction.get(inviteRef)
+        if (!inviteSnap.exists()) throw new Error(getInviteError('missing'))
+
+        const invite = inviteSnap.data()
+        const status = getInviteStatus(invite)
+        if (status !== 'active') throw new Error(getInviteError(status))
+
+        // firestore.rules check that both writes name the same invite
+        transaction.update(inviteRef, { uses: (invite.uses || 0) + 1 })
+        transaction.update(canvasRef, {
+          [`permissions.${userId}`]: invite.role,
+          [`memberInvites.${userId}`]: token,
+          lastModified: serverTimestamp()
+        })
+        return invite.role
+      })
+    } catch (err) {
+      console.error('Error redeeming invite:', err)
+      // Rejected by the rules, e.g. the link expired by the server's clock
+      if (err.code === 'permission-denied') throw new Error(getInviteError('missing'))
+      throw err
+    }
+  }
+
+  return {
+    invites,
+    activeInvites,
+    isLoading,
+    error,
+    subscribeToInvites,
+    createInvite,
+    revokeInvite,
+    redeemInvite
+  }
+}
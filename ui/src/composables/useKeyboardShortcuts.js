@@ -21,12 +21,22 @@ export function useKeyboardShortcuts({
   updateShapesBatch,
   userName,
   createVersion,
-  versionOpsCounter
+  versionOpsCounter,
+  readOnly
 }) {
   const isSpacebarPressed = ref(false)
   let keyboardNudgeTimer = null
   const keyboardNudgePending = new Map()
 
+  const isTypingInInput = () => {
+    const activeElement = document.activeElement
+    return !!activeElement && (
+      activeElement.tagName === 'INPUT' ||
+      activeElement.tagName === 'TEXTAREA' ||
+      activeElement.isContentEditable
+    )
+  }
+
   const handleSpacebarDown = (e) => {
     if (e.code === 'Space' && !e.repeat) {
       const activeElement = document.activeElement
@@ -61,6 +71,29 @@ export function useKeyboardShortcuts({
       return
     }
     
+    // Viewers may only select and copy
+    if (readOnly?.value && !(modKey && (e.key === 'a' || e.key === 'c'))) {
+      return
+    }
+    
+    // Cmd+Z / Cmd+Shift+Z (or Ctrl+Y): Undo / redo (handled by parent)
+    // Leave native undo alone while typing in inputs or the text editor
+    const isEditingText = isTypingInInput() || (showTextEditor && showTextEditor.value)
+    if (modKey && !isEditingText && (e.key === 'z' || e.key === 'Z')) {
+      e.preventDefault()
+      return { action: e.shiftKey ? 'redo' : 'undo' }
+    }
+    if (modKey && !isEditingText && e.key === 'y') {
+      e.preventDefault()
+      return { action: 'redo' }
+    }
+    
+    // Cmd+G / Cmd+Shift+G: Group / ungroup selection (handled by parent)
+    if (modKey && !isEditingText && (e.key === 'g' || e.key === 'G') && selectedShapeIds.value.length > 0) {
+      e.preventDefault()
+      return { action: e.shiftKey ? 'ungroup' : 'group' }
+    }
+    
     // Layer operations (only if shapes are selected)
     if (selectedShapeIds.value.length > 0 && user.value) {
       const userId = user.value.uid
@@ -153,7 +186,7 @@ export function useKeyboardShortcuts({
         // Local-only optimistic movement
         selectedShapeIds.value.forEach(id => {
           const shape = shapes.get(id)
-          if (!shape) return
+          if (!shape || shape.locked) return
           const updates = {}
           if (dx !== 0) updates.x = (shape.x || 0) + dx
           if (dy !== 0) updates.y = (shape.y || 0) + dy
@@ -174,7 +207,7 @@ export function useKeyboardShortcuts({
           try {
             if (keyboardNudgePending.size > 0) {
               const shapeUpdates = Array.from(keyboardNudgePending.entries()).map(([id, updates]) => ({ id, updates }))
-              await updateShapesBatch(canvasId.value, shapeUpdates)
+              await updateShapesBatch(canvasId.value, shapeUpdates, { userId })
               keyboardNudgePending.clear()
             }
           } catch (err) {
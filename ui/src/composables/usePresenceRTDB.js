@@ -33,6 +33,7 @@ let heartbeatInterval = null
 let cleanupInterval = null
 let beforeUnloadHandler = null
 const disconnectHandlers = new Map() // Store per-user disconnect handlers
+const lastSeenHandlers = new Map() // Per-user handlers stamping lastSeen on disconnect
 
 export const usePresenceRTDB = () => {
 
@@ -46,6 +47,26 @@ export const usePresenceRTDB = () => {
     return dbRef(realtimeDB, `canvases/${canvasId}/presence`)
   }
 
+  // Last visit of each member; unlike presence it is kept after they leave
+  const getLastSeenRef = (canvasId, userId) => {
+    return dbRef(realtimeDB, userId ? `canvases/${canvasId}/lastSeen/${userId}` : `canvases/${canvasId}/lastSeen`)
+  }
+
+  // Record a visit for the members list, and stamp its end on disconnect
+  // (best effort: presence works without it)
+  const recordVisit = async (canvasId, userId, userName) => {
+    try {
+      const lastSeenRef = getLastSeenRef(canvasId, userId)
+      await set(lastSeenRef, { userName, lastSeen: rtdbServerTimestamp() })
+      const lastSeenHandler = onDisconnect(lastSeenRef)
+      await lastSeenHandler.update({ lastSeen: rtdbServerTimestamp() })
+      lastSeenHandlers.set(userId, lastSeenHandler)
+    } catch (error) {
+      console.warn('Failed to record last seen (RTDB):', error)
+      rtdbMonitoring.recordError('presence-last-seen', error)
+    }
+  }
+
   // Set user online
   const setUserOnline = async (canvasId = 'default', userId, userName, cursorColor) => {
     if (!userId) return
@@ -80,6 +101,8 @@ export const usePresenceRTDB = () => {
       await newDisconnectHandler.remove()
       disconnectHandlers.set(userId, newDisconnectHandler)
       
+      await recordVisit(canvasId, userId, userName)
+      
       isOnline.value = true
       console.log(`✅ User ${userName} set online (RTDB) - Disconnect handler registered`)
       
@@ -122,6 +145,18 @@ export const usePresenceRTDB = () => {
         disconnectHandlers.delete(userId)
       }
       
+      // Stamp the end of the visit; a later disconnect belongs to another room
+      const lastSeenHandler = lastSeenHandlers.get(userId)
+      if (lastSeenHandler) {
+        lastSeenHandlers.delete(userId)
+        try {
+          await lastSeenHandler.cancel()
+          await update(getLastSeenRef(canvasId, userId), { lastSeen: rtdbServerTimestamp() })
+        } catch (e) {
+          // Ignore errors when canceling
+        }
+      }
+      
       isOnline.value = false
       console.log(`👋 User ${userId} set offline (RTDB) - Disconnect handler removed`)
       
@@ -365,6 +400,22 @@ export const usePresenceRTDB = () => {
     }
   }
 
+  /**
+   * Listen to when each member of a room was last there
+   *
+   * @param {string} canvasId
+   * @param {Function} callback - Called with { [userId]: { userName, lastSeen } }
+   * @returns {Function} Unsubscribe
+   */
+  const subscribeToLastSeen = (canvasId, callback) => {
+    return onValue(getLastSeenRef(canvasId), (snapshot) => {
+      callback(snapshot.val() || {})
+    }, (error) => {
+      console.error('Error in last seen subscription (RTDB):', error)
+      rtdbMonitoring.recordError('presence-last-seen', error)
+    })
+  }
+
   // Get all active users as array
   const getActiveUsers = () => {
     return Array.from(activeUsers.values())
@@ -471,6 +522,7 @@ export const usePresenceRTDB = () => {
     
     // Clear all disconnect handlers
     disconnectHandlers.clear()
+    lastSeenHandlers.clear()
     
     // console.log('Presence tracking cleaned up (RTDB)')
   }
@@ -490,6 +542,7 @@ export const usePresenceRTDB = () => {
     setUserOnline,
     setUserOffline,
     subscribeToPresence,
+    subscribeToLastSeen,
     getActiveUsers,
     getActiveUserCount,
     isUserOnline,
@@ -0,0 +1,167 @@
+/**
+ * Room Transfer Composable
+ *
+ * Exports a whole room (canvas metadata, shapes and optionally version
+ * history) to a versioned JSON file, and imports such a file into a new or
+ * existing room. Parsing, validation, ID remapping and grayscale enforcement
+ * live in utils/roomTransfer.js; this composable handles Firestore I/O.
+ */
+
+import { ref } from 'vue'
+import { useFirestore } from './useFirestore'
+import { useCanvases } from './useCanvases'
+import { useVersions } from './useVersions'
+import { buildRoomExport, parseRoomDocument, prepareShapesForImport } from '../utils/roomTransfer'
+import { downloadBlob, getExportFileName } from '../utils/canvasExport'
+
+const readFileAsText = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader()
+  reader.onload = () => resolve(reader.result)
+  reader.onerror = () => reject(new Error('Failed to read file'))
+  reader.readAsText(file)
+})
+
+export function useRoomTransfer() {
+  const isExporting = ref(false)
+  const isImporting = ref(false)
+  const importProgress = ref({ processed: 0, total: 0 })
+
+  const { loadShapes, saveShapesBatch } = useFirestore()
+  const { createCanvas } = useCanvases()
+  const { listVersions, createVersion } = useVersions()
+
+  const loadVersionsForExport = async (canvasId) => {
+    const { decompressShapes } = await import('../utils/compression.js')
+    const versions = await listVersions(canvasId)
+
+    // Oldest first so an import replays history in order
+    return [...versions].reverse().map(version => {
+      let shapes = version.shapes || []
+      if (version.compressed) {
+        try {
+          shapes = decompressShapes(version.compressed)
+        } catch (err) {
+          console.warn('Skipping unreadable version payload:', err)
+        }
+      }
+      return { ...version, shapes }
+    })
+  }
+
+  /**
+   * Download a room as JSON
+   *
+   * @param {Object} canvas - Canvas document (id, name, width, height)
+   * @param {Object} options
+   * @param {boolean} options.includeVersions - Include version history (owner only)
+   * @returns {Promise<boolean>} False if an export is already running
+   */
+  const exportRoom = async (canvas, { includeVersions = false } = {}) => {
+    if (isExporting.value) return false
+    isExporting.value = true
+
+    try {
+      const shapes = await loadShapes(canvas.id)
+      const versions = includeVersions ? await loadVersionsForExport(canvas.id) : null
+      const room = buildRoomExport(canvas, shapes, versions)
+
+      const blob = new Blob([JSON.stringify(room, null, 2)], { type: 'application/json' })
+      downloadBlob(blob, getExportFileName(canvas.name, 'room', 'json'))
+
+      console.log(`📤 Exported room ${canvas.id} (${room.shapes.length} shapes, ${room.versions?.length || 0} versions)`)
+      return true
+    } catch (err) {
+      console.error('Room export failed:', err)
+      throw err
+    } finally {
+      isExporting.value = false
+    }
+  }
+
+  /**
+   * Read and validate a room file without writing anything
+   *
+   * @param {File} file - Selected .json file
+   * @returns {Promise<Object>} Valid room document
+   */
+  const readRoomFile = async (file) => {
+    const text = await readFileAsText(file)
+    return parseRoomDocument(text)
+  }
+
+  /**
+   * Import a validated room document
+   *
+   * @param {Object} room - Document from readRoomFile
+   * @param {Object} options
+   * @param {string|null} options.targetCanvasId - Existing room to add to, or null for a new room
+   * @param {string} options.name - Name for a new room
+   * @param {boolean} options.includeVersions - Import version history (new rooms only)
+   * @param {string} options.userId - Importing user
+   * @param {string} options.userName - Importing user's name
+   * @returns {Promise<{ canvasId: string, shapeCount: number }>}
+   */
+  const importRoom = async (room, { targetCanvasId = null, name, includeVersions = false, userId, userName }) => {
+    if (isImporting.value) {
+      throw new Error('An import is already running')
+    }
+    isImporting.value = true
+    importProgress.value = { processed: 0, total: room.shapes.length }
+
+    try {
+      let canvasId = targetCanvasId
+      let zIndexOffset = 0
+
+      if (canvasId) {
+        // Stack imported shapes above everything already in the room
+        const existing = await loadShapes(canvasId)
+        if (existing.length > 0) {
+          zIndexOffset = Math.max(...existing.map(shape => shape.zIndex || 0)) + 1
+        }
+      } else {
+        const canvas = await createCanvas(userId, userName, {
+          name: (name || room.canvas.name || 'Imported Room').trim().slice(0, 50),
+          width: room.canvas.width,
+          height: room.canvas.height
+        })
+        canvasId = canvas.id
+      }
+
+      const idMap = new Map()
+      const { shapes } = prepareShapesForImport(room.shapes, { userId, userName, zIndexOffset, idMap })
+
+      if (shapes.length > 0) {
+        await saveShapesBatch(canvasId, shapes, {
+          onProgress: (processed, total) => {
+            importProgress.value = { processed, total }
+          }
+        })
+      }
+
+      // Version history is owner-only, so it can only be brought into a room we just created
+      if (!targetCanvasId && includeVersions && room.versions?.length) {
+        for (const version of room.versions) {
+          const { shapes: versionShapes } = prepareShapesForImport(version.shapes, { userId, userName, idMap })
+          await createVersion(canvasId, userId, userName, versionShapes, `imported: ${version.summary || 'auto'}`)
+        }
+      }
+
+      console.log(`📥 Imported ${shapes.length} shapes into ${canvasId}`)
+      return { canvasId, shapeCount: shapes.length }
+    } catch (err) {
+      console.error('Room import failed:', err)
+      throw err
+    } finally {
+      isImporting.value = false
+    }
+  }
+
+  return {
+    isExporting,
+    isImporting,
+    importProgress,
+    exportRoom,
+    readRoomFile,
+    importRoom
+  }
+}
@@ -1,8 +1,52 @@
 import { ref } from 'vue'
 import { usePerformance } from '../composables/usePerformance'
 import { calculateRectPositionAfterRotation } from '../utils/rotationUtils'
+import { useUndoRedo } from './useUndoRedo'
+import { scalePoints } from '../utils/shapeGeometry'
+
+const POINT_SHAPE_TYPES = ['polygon', 'star', 'arrow', 'path']
+// Stored top-left, drawn centered with offset = size / 2
+const BOX_SHAPE_TYPES = ['rectangle', 'image']
+
+/**
+ * Bake a node's scale into a polygon, star, arrow or path and reset the node scale
+ *
+ * These shapes rotate around their x,y origin, so the node position (which the
+ * transformer may move while rotating or resizing) is always written back too.
+ */
+const bakePointShapeTransform = (node, shape) => {
+  const scaleX = node.scaleX()
+  const scaleY = node.scaleY()
+  const updates = {
+    x: node.x(),
+    y: node.y(),
+    rotation: node.rotation()
+  }
+
+  switch (shape.type) {
+    case 'polygon':
+      updates.radius = Math.max(5, shape.radius * Math.abs(scaleX))
+      break
+    case 'star': {
+      const scale = Math.abs(scaleX)
+      updates.outerRadius = Math.max(5, shape.outerRadius * scale)
+      updates.innerRadius = Math.max(2, shape.innerRadius * scale)
+      break
+    }
+    case 'arrow':
+    case 'path':
+      updates.points = scalePoints(shape.points, scaleX, scaleY)
+      break
+  }
+
+  node.scaleX(1)
+  node.scaleY(1)
+  return updates
+}
+
+export function useShapeTransform(shapes, updateShape, userName, updateShapesBatch) {
+  const { runInTransaction } = useUndoRedo()
 
-export function useShapeTransform(shapes, updateShape, userName) {
   // Track which shapes are being resized
   const resizingShapes = ref(new Set())
 
@@ -16,6 +60,9 @@ export function useShapeTransform(shapes, updateShape, userName) {
 
   // Handle transform changes during drag (throttled)
   const handleTransform = (e, user, canvasId) => {
+    // Multi-shape transforms are left to Konva until transformend (see handleGroupTransformEnd)
+    if (getTransformedNodes(e).length > 1) return
+
     const node = e.target
     const shapeId = node.id()
     
@@ -39,7 +86,7 @@ export function useShapeTransform(shapes, updateShape, userName) {
       rotation: node.rotation()
     }
     
-    if (shape.type === 'rectangle') {
+    if (BOX_SHAPE_TYPES.includes(shape.type)) {
       const newWidth = Math.abs(node.width() * scaleX)
       const newHeight = Math.abs(node.height() * scaleY)
       
@@ -84,13 +131,129 @@ export function useShapeTransform(shapes, updateShape, userName) {
       updates.points = shape.points.map((coord, i) => 
         i % 2 === 0 ? coord * scaleX : coord * scaleY
       )
+    } else if (POINT_SHAPE_TYPES.includes(shape.type)) {
+      Object.assign(updates, bakePointShapeTransform(node, shape))
     }
     
     throttledTransformUpdate(shapeId, updates, userId, canvasId.value, userName.value)
   }
 
+  // Nodes attached to the transformer that fired the event
+  const getTransformedNodes = (e) => {
+    const transformerNode = e.currentTarget
+    return typeof transformerNode?.nodes === 'function' ? transformerNode.nodes() : [e.target]
+  }
+
+  // Bake a node's transformer scale into shape properties (multi-shape transforms)
+  const getGroupTransformUpdates = (node, shape) => {
+    const scaleX = node.scaleX()
+    const scaleY = node.scaleY()
+    const updates = {}
+
+    switch (shape.type) {
+      case 'rectangle':
+      case 'image': {
+        const width = Math.abs(node.width() * scaleX)
+        const height = Math.abs(node.height() * scaleY)
+        updates.x = node.x() - width / 2
+        updates.y = node.y() - height / 2
+        updates.width = width
+        updates.height = height
+        updates.rotation = node.rotation()
+        node.width(width)
+        node.height(height)
+        node.offsetX(width / 2)
+        node.offsetY(height / 2)
+        break
+      }
+      case 'circle': {
+        const radius = Math.max(5, shape.radius * Math.abs(scaleX))
+        updates.x = node.x()
+        updates.y = node.y()
+        updates.radius = radius
+        node.width(radius * 2)
+        node.height(radius * 2)
+        node.offsetX(radius)
+        node.offsetY(radius)
+        break
+      }
+      case 'text': {
+        updates.x = node.x()
+        updates.y = node.y()
+        updates.fontSize = Math.max(1, Math.round((shape.fontSize || 16) * Math.abs(scaleY)))
+        if (shape.width) updates.width = shape.width * Math.abs(scaleX)
+        break
+      }
+      case 'line': {
+        // Lines are stored as absolute points, so the whole node transform goes into them
+        const transform = node.getTransform()
+        const points = []
+        for (let i = 0; i < shape.points.length; i += 2) {
+          const point = transform.point({ x: shape.points[i], y: shape.points[i + 1] })
+          points.push(point.x, point.y)
+        }
+        updates.points = points
+        updates.x = 0
+        updates.y = 0
+        updates.rotation = 0
+        node.position({ x: 0, y: 0 })
+        node.rotation(0)
+        break
+      }
+      case 'polygon':
+      case 'star':
+      case 'arrow':
+      case 'path':
+        Object.assign(updates, bakePointShapeTransform(node, shape))
+        break
+      default:
+        return null
+    }
+
+    node.scaleX(1)
+    node.scaleY(1)
+    return updates
+  }
+
+  // Handle the end of a transform of several shapes (e.g. a group): one batch, one undo step
+  const handleGroupTransformEnd = async (nodes, user, canvasId, shapeLayer) => {
+    const userId = user.value?.uid || 'anonymous'
+    const shapeUpdates = []
+
+    nodes.forEach(node => {
+      const shapeId = node.id()
+      const shape = shapes.get(shapeId)
+      if (!shape) return
+
+      resizingShapes.value.delete(shapeId)
+      const updates = getGroupTransformUpdates(node, shape)
+      if (updates) {
+        shapeUpdates.push({ id: shapeId, updates: { ...updates, lastModifiedBy: userId, lastModifiedByName: userName.value } })
+      }
+    })
+
+    if (shapeUpdates.length === 0) return
+
+    await runInTransaction('transform', async (transaction) => {
+      shapeUpdates.forEach(({ id, updates }) => {
+        updateShape(id, updates, userId, canvasId.value, false, false, userName.value)
+      })
+      await updateShapesBatch(canvasId.value, shapeUpdates, { userId, transaction })
+    })
+
+    if (shapeLayer.value) {
+      shapeLayer.value.getNode().batchDraw()
+    }
+  }
+
   // Handle transformer end (final save)
   const handleTransformEnd = async (e, user, canvasId, shapeLayer) => {
+    const nodes = getTransformedNodes(e)
+    if (nodes.length > 1) {
+      await handleGroupTransformEnd(nodes, user, canvasId, shapeLayer)
+      return
+    }
+
     const node = e.target
     const shapeId = node.id()
     
@@ -109,7 +272,7 @@ export function useShapeTransform(shapes, updateShape, userName) {
     
     resizingShapes.value.delete(shapeId)
     
-    if (shape.type === 'rectangle') {
+    if (BOX_SHAPE_TYPES.includes(shape.type)) {
       const currentWidth = wasResized ? Math.abs(node.width() * scaleX) : node.width()
       const currentHeight = wasResized ? Math.abs(node.height() * scaleY) : node.height()
 
@@ -181,6 +344,8 @@ export function useShapeTransform(shapes, updateShape, userName) {
         node.scaleX(1)
         node.scaleY(1)
       }
+    } else if (POINT_SHAPE_TYPES.includes(shape.type)) {
+      Object.assign(updates, bakePointShapeTransform(node, shape))
     }
     
     await updateShape(shapeId, updates, userId, canvasId.value, true, true, userName.value)
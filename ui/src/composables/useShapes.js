@@ -18,6 +18,39 @@ import { transform, applyTransformedOperation } from '../utils/operationalTransf
 import { useConflictDetection } from './useConflictDetection'
 import { usePrediction } from './usePrediction'
 import { validateGrayscaleColor } from '../utils/colorValidation'
+import { invertDelta } from '../utils/deltaEncoding'
+import { useUndoRedo, getUndoableFields, valuesEqual } from './useUndoRedo'
+import {
+  getGroupPath,
+  getGroupMemberIds,
+  getSelectionUnit,
+  getSelectedGroupId,
+  getSelectionUnits,
+  getCommonGroupPath,
+  expandToGroups,
+  createGroupId,
+  removeGroupFromPath,
+  createGroupPathRemapper
+} from '../utils/groupUtils'
+import {
+  isShapeLocked,
+  isEditBlockedByLock,
+  canUnlockShape,
+  partitionLockedIds,
+  createLockFields,
+  clearLockFields,
+  withoutLock
+} from '../utils/shapeLocks'
+import {
+  isConnector,
+  isBindableShape,
+  affectsAnchors,
+  affectsRoute,
+  routeConnector,
+  getConnectorRouteUpdates,
+  remapConnectorBindings,
+  connectorsLast
+} from '../utils/connectors'
 
 // Shared state (singleton) - defined outside composable function
 // Store shapes in a reactive Map for O(1) lookups
@@ -31,12 +64,14 @@ const syncPaused = ref(false) // v5: Pause sync during bulk operations
 // Track local editing state and queued remote updates
 const currentlyEditing = reactive(new Set())
 const pendingRemoteUpdates = new Map()
+// Undo history: shape state before the first interim (drag/transform) update
+const interimBaselines = new Map()
 // Real-time listener management
 let realtimeUnsubscribe = null
 
 export const useShapes = () => {
   // Firestore integration
-  const { saveShape, updateShape: updateShapeInFirestore, deleteShape: deleteShapeFromFirestore, loadShapes, subscribeToShapes } = useFirestore()
+  const { saveShape, updateShape: updateShapeInFirestore, deleteShape: deleteShapeFromFirestore, loadShapes, subscribeToShapes, updateShapesBatch: updateShapesBatchInFirestore, commitShapeChanges: commitShapeChangesInFirestore } = useFirestore()
   const { measureRectangleSync, measureRender, trackListener } = usePerformance()
   
   // v8: Operation log for OT (feature flag controlled)
@@ -56,18 +91,54 @@ export const useShapes = () => {
     updateShapeMetrics 
   } = usePerformanceMonitoring()
   const { info, warning } = useNotifications()
+  const {
+    recordOperation,
+    runInTransaction,
+    withoutRecording,
+    popUndo,
+    popRedo,
+    pushUndo,
+    pushRedo,
+    canUndo,
+    canRedo,
+    clearHistory
+  } = useUndoRedo()
+
+  // Undo operation for an update, using the pre-edit state as the base (null if nothing changes)
+  const getUpdateOperation = (id, updates, baseShape) => {
+    const after = getUndoableFields(updates)
+    if (Object.keys(after).length === 0 || !baseShape) return null
+
+    const before = invertDelta(after, baseShape)
+    // Fields the shape did not have before the edit are cleared on undo
+    for (const key in after) {
+      if (!(key in before)) before[key] = null
+    }
+
+    const changed = Object.keys(after).some(key => !valuesEqual(before[key], after[key]))
+    return changed ? { type: 'update', shapeId: id, before, after } : null
+  }
+
+  // Record a final update in the undo history (as part of a transaction, if given)
+  const recordUpdate = (id, updates, baseShape, userId, canvasId, transaction = null) => {
+    const operation = getUpdateOperation(id, updates, baseShape)
+    if (operation) recordOperation(canvasId, userId, operation, 'edit', transaction)
+  }
 
   // Create a new shape at specified position (backward compatible for rectangles)
   const createRectangle = async (x, y, userId = 'anonymous', canvasId = 'default') => {
     return createShape('rectangle', { x, y }, userId, canvasId)
   }
 
-  // Generic create shape function
-  const createShape = async (type = 'rectangle', properties = {}, userId = 'anonymous', canvasId = 'default', userName = 'Anonymous') => {
+  // Generic create shape function (options.transaction: undo transaction it belongs to)
+  const createShape = async (type = 'rectangle', properties = {}, userId = 'anonymous', canvasId = 'default', userName = 'Anonymous', { transaction = null } = {}) => {
     try {
       // Start measuring sync latency for v3
       const syncMeasurement = startObjectSyncMeasurement()
       
+      // New shapes (including duplicates and pastes) always start unlocked
+      properties = withoutLock(properties)
+      
       const shapeId = generateId(type)
       const currentMaxZ = getMaxZIndex(shapes)
       
@@ -89,7 +160,9 @@ export const useShapes = () => {
         createdAt: Date.now(),
         lastModified: Date.now(),
         lastModifiedBy: userId,
-        lastModifiedByName: userName
+        lastModifiedByName: userName,
+        // Copies keep their (remapped) group membership
+        ...(properties.groupPath?.length ? { groupPath: properties.groupPath } : {})
       }
 
       // Type-specific properties
@@ -130,6 +203,93 @@ export const useShapes = () => {
           }
           break
         }
+        case 'polygon': {
+          const { x = 0, y = 0, sides, radius, fill, stroke, strokeWidth } = properties
+          shape = {
+            ...baseShape,
+            x,
+            y,
+            sides: sides ?? DEFAULT_SHAPE_PROPERTIES.polygon.sides,
+            radius: radius ?? DEFAULT_SHAPE_PROPERTIES.polygon.radius,
+            fill: fill ?? DEFAULT_SHAPE_PROPERTIES.polygon.fill,
+            ...(stroke ? { stroke, strokeWidth: strokeWidth ?? 2 } : {})
+          }
+          break
+        }
+        case 'star': {
+          const { x = 0, y = 0, numPoints, innerRadius, outerRadius, fill, stroke, strokeWidth } = properties
+          shape = {
+            ...baseShape,
+            x,
+            y,
+            numPoints: numPoints ?? DEFAULT_SHAPE_PROPERTIES.star.numPoints,
+            innerRadius: innerRadius ?? DEFAULT_SHAPE_PROPERTIES.star.innerRadius,
+            outerRadius: outerRadius ?? DEFAULT_SHAPE_PROPERTIES.star.outerRadius,
+            fill: fill ?? DEFAULT_SHAPE_PROPERTIES.star.fill,
+            ...(stroke ? { stroke, strokeWidth: strokeWidth ?? 2 } : {})
+          }
+          break
+        }
+        case 'arrow': {
+          // Unlike lines, arrows keep their position in x,y and points relative to it
+          const { x = 0, y = 0, points = [0, 0, 100, 0], stroke, strokeWidth, pointerAtStart, pointerAtEnd, pointerLength, pointerWidth } = properties
+          const defaults = DEFAULT_SHAPE_PROPERTIES.arrow
+          shape = {
+            ...baseShape,
+            x,
+            y,
+            points,
+            stroke: stroke ?? defaults.stroke,
+            strokeWidth: strokeWidth ?? defaults.strokeWidth,
+            pointerAtStart: pointerAtStart ?? defaults.pointerAtStart,
+            pointerAtEnd: pointerAtEnd ?? defaults.pointerAtEnd,
+            pointerLength: pointerLength ?? defaults.pointerLength,
+            pointerWidth: pointerWidth ?? defaults.pointerWidth
+          }
+          break
+        }
+        case 'connector': {
+          // Drawn like an arrow; bound ends are placed by routeConnector below
+          const { x = 0, y = 0, points = [0, 0, 100, 0] } = properties
+          const defaults = DEFAULT_SHAPE_PROPERTIES.connector
+          shape = { ...baseShape, x, y, points }
+          Object.keys(defaults).forEach(key => {
+            shape[key] = properties[key] ?? defaults[key]
+          })
+          Object.assign(shape, routeConnector(shape, shapes))
+          break
+        }
+        case 'path': {
+          const { x = 0, y = 0, points = [], stroke, strokeWidth, tension } = properties
+          shape = {
+            ...baseShape,
+            x,
+            y,
+            points,
+            stroke: stroke ?? DEFAULT_SHAPE_PROPERTIES.path.stroke,
+            strokeWidth: strokeWidth ?? DEFAULT_SHAPE_PROPERTIES.path.strokeWidth,
+            tension: tension ?? DEFAULT_SHAPE_PROPERTIES.path.tension
+          }
+          break
+        }
+        case 'image': {
+          // Top-left x,y like rectangles; src points at the (already grayscaled) upload
+          const { x = 0, y = 0, width, height, src, storagePath = null, naturalWidth, naturalHeight } = properties
+          if (!src) throw new Error('Image shapes need a src')
+          const defaults = DEFAULT_SHAPE_PROPERTIES.image
+          shape = {
+            ...baseShape,
+            x,
+            y,
+            width: width ?? defaults.width,
+            height: height ?? defaults.height,
+            src,
+            storagePath,
+            naturalWidth: naturalWidth ?? width ?? defaults.width,
+            naturalHeight: naturalHeight ?? height ?? defaults.height
+          }
+          break
+        }
         case 'text': {
           const { x = 0, y = 0, ...textProps } = properties
           shape = {
@@ -151,6 +311,8 @@ export const useShapes = () => {
       shapes.set(shape.id, shape)
       shapesVersion.value++ // Increment version to trigger reactivity
 
+      recordOperation(canvasId, userId, { type: 'create', shapeId: shape.id, before: null, after: { ...shape } }, `create ${type}`, transaction)
+
       // Save to Firestore
       await saveShape(canvasId, shape)
       
@@ -181,13 +343,19 @@ export const useShapes = () => {
   }
 
   // Generic update shape function (v3 enhanced with priority options)
-  const updateShape = async (id, updates, userId = 'anonymous', canvasId = 'default', saveToFirestore = false, isFinal = true, userName = 'Anonymous') => {
+  const updateShape = async (id, updates, userId = 'anonymous', canvasId = 'default', saveToFirestore = false, isFinal = true, userName = 'Anonymous', { transaction = null } = {}) => {
     const shape = shapes.get(id)
     if (!shape) {
       console.warn(`Shape with id ${id} not found`)
       return null
     }
 
+    // Locked shapes only accept lock and layer changes (name, visibility, z-order)
+    if (isEditBlockedByLock(shape, updates)) {
+      console.warn(`🔒 Shape ${id} is locked by ${shape.lockOwnerName || 'another user'}, edit ignored`)
+      return null
+    }
+
     // Validate and sanitize colors to grayscale only
     if (updates.fill) {
       updates.fill = validateGrayscaleColor(updates.fill)
@@ -196,8 +364,21 @@ export const useShapes = () => {
       updates.stroke = validateGrayscaleColor(updates.stroke)
     }
 
+    // Changing a connector's bindings or routing re-routes it in the same update
+    if (isConnector(shape) && affectsRoute(updates)) {
+      Object.assign(updates, routeConnector({ ...shape, ...updates }, shapes))
+    }
+
     // Allow shapes to be positioned anywhere on the full canvas
 
+    // Undo history: interim updates are folded into the final save
+    if (!saveToFirestore) {
+      if (!interimBaselines.has(id)) interimBaselines.set(id, shape)
+    } else if (isFinal) {
+      recordUpdate(id, updates, interimBaselines.get(id) || shape, userId, canvasId, transaction)
+      interimBaselines.delete(id)
+    }
+
     // Update shape with new properties
     const updatedShape = {
       ...shape,
@@ -210,6 +391,14 @@ export const useShapes = () => {
     // Update local state immediately (optimistic update)
     shapes.set(id, updatedShape)
     shapesVersion.value++ // Increment version to trigger reactivity
+
+    // Connectors bound to this shape follow it (saved with the final update)
+    if (isBindableShape(updatedShape) && affectsAnchors(updates)) {
+      const connectorUpdates = rerouteConnectors([id], userId, userName)
+      if (saveToFirestore && isFinal) {
+        saveConnectorRoutes(canvasId, connectorUpdates)
+      }
+    }
     
     // v8: Create prediction for local update
     let predictionId = null
@@ -293,12 +482,73 @@ export const useShapes = () => {
     return result
   }
 
+  // Batch update already-applied local changes (group drag, keyboard nudge) in one write
+  const updateShapesBatch = async (canvasId, shapeUpdates, options = {}) => {
+    const { userId = 'anonymous', transaction = null, ...firestoreOptions } = options
+
+    // Locked shapes are left out (Firestore would reject the whole batch)
+    shapeUpdates = shapeUpdates.filter(({ id, updates }) => !isEditBlockedByLock(shapes.get(id), updates))
+    if (shapeUpdates.length === 0) return true
+
+    await runInTransaction('move', async (transaction) => {
+      shapeUpdates.forEach(({ id, updates }) => {
+        recordUpdate(id, updates, interimBaselines.get(id) || shapes.get(id), userId, canvasId, transaction)
+        interimBaselines.delete(id)
+      })
+    }, transaction)
+
+    // Connectors bound to the moved shapes were re-routed locally during the drag
+    const movedIds = shapeUpdates.filter(({ updates }) => affectsAnchors(updates)).map(({ id }) => id)
+    const batchIds = new Set(shapeUpdates.map(({ id }) => id))
+    saveConnectorRoutes(canvasId, getConnectorRouteUpdates(shapes, movedIds).filter(({ id }) => !batchIds.has(id)))
+
+    return updateShapesBatchInFirestore(canvasId, shapeUpdates, firestoreOptions)
+  }
+
+  // Re-route the connectors bound to the given shapes in local state
+  // (without a user, e.g. for remote changes, edit metadata is left as is)
+  const rerouteConnectors = (shapeIds, userId = null, userName = 'Anonymous') => {
+    const connectorUpdates = getConnectorRouteUpdates(shapes, shapeIds)
+    if (connectorUpdates.length === 0) return connectorUpdates
+    const metadata = userId ? { lastModified: Date.now(), lastModifiedBy: userId, lastModifiedByName: userName } : {}
+    connectorUpdates.forEach(({ id, updates }) => {
+      shapes.set(id, { ...shapes.get(id), ...updates, ...metadata })
+    })
+    shapesVersion.value++ // Increment version to trigger reactivity
+    return connectorUpdates
+  }
+
+  // Persist connector routes; they are derived from the bound shapes, so they stay out of undo history
+  // and are written separately (a connector deleted meanwhile must not fail the shapes' own write)
+  const saveConnectorRoutes = (canvasId, connectorUpdates) => {
+    if (connectorUpdates.length === 0) return
+    updateShapesBatchInFirestore(canvasId, connectorUpdates).catch(err => {
+      console.error('Error saving connector routes:', err)
+    })
+  }
+
   // Delete shapes from both local state and Firestore
-  const deleteShapes = async (shapeIds, canvasId = 'default', userId = 'anonymous') => {
+  const deleteShapes = async (shapeIds, canvasId = 'default', userId = 'anonymous', { transaction = null } = {}) => {
     if (!Array.isArray(shapeIds)) shapeIds = [shapeIds]
     
+    // Locked shapes can't be deleted until they are unlocked
+    const { allowed, locked: lockedIds } = partitionLockedIds(shapeIds, shapes)
+    if (lockedIds.length > 0) {
+      console.warn(`🔒 Skipping ${lockedIds.length} locked shape(s) on delete`)
+    }
+    shapeIds = allowed
+    
     const deletePromises = []
     
+    await runInTransaction('delete', async (transaction) => {
+      shapeIds.forEach(shapeId => {
+        const shape = shapes.get(shapeId)
+        if (shape) {
+          recordOperation(canvasId, userId, { type: 'delete', shapeId, before: { ...shape }, after: null }, 'delete', transaction)
+        }
+      })
+    }, transaction)
+    
     for (const shapeId of shapeIds) {
       const shape = shapes.get(shapeId)
       
@@ -334,6 +584,7 @@ export const useShapes = () => {
     updateShapeMetrics(shapes.size, shapes.size)
     
     console.log(`Deleted ${shapeIds.length} shape(s)`)
+    return { deletedIds: shapeIds, lockedIds }
   }
 
   // Clear all shapes (backward compatible)
@@ -499,6 +750,12 @@ export const useShapes = () => {
             }
           }
         })
+
+        // Keep connectors attached to remotely moved shapes (local only, the sender saves the routes)
+        const changedIds = changes
+          .filter(change => change.type !== 'removed' && isBindableShape(shapes.get(change.doc.id)))
+          .map(change => change.doc.id)
+        rerouteConnectors(changedIds)
       })
       
       console.log('Real-time sync started successfully')
@@ -631,87 +888,244 @@ export const useShapes = () => {
     return null
   }
 
-  // Layer operations
-  const bringToFront = async (shapeIds, userId, canvasId = 'default') => {
+  // Apply local updates, then write them in one batch (recorded as a single undo step)
+  const applyShapeUpdates = async (shapeUpdates, userId, canvasId, userName, { transaction = null } = {}) => {
+    if (shapeUpdates.length === 0) return
+    shapeUpdates.forEach(({ id, updates }) => {
+      updateShape(id, updates, userId, canvasId, false, false, userName)
+    })
+    await updateShapesBatch(canvasId, shapeUpdates, { userId, transaction })
+  }
+
+  // Group operations (groups live on the shapes as groupPath, see utils/groupUtils.js)
+  const groupShapes = async (shapeIds, userId, canvasId = 'default', userName = 'Anonymous') => {
     if (!Array.isArray(shapeIds)) shapeIds = [shapeIds]
-    
-    const maxZ = getMaxZIndex(Array.from(shapes.values()))
-    
-    for (const shapeId of shapeIds) {
-      const shape = shapes.get(shapeId)
-      if (!shape) continue
-      
-      const newZIndex = maxZ + 1
-      await updateShape(shapeId, { zIndex: newZIndex }, userId, canvasId, true)
+
+    // New group sits inside the innermost group that already holds the whole selection
+    const parentPath = getCommonGroupPath(shapeIds, shapes)
+    const depth = parentPath.length
+    const memberIds = expandToGroups(shapeIds, shapes, depth)
+
+    const unitKeys = new Set(memberIds.map(id => getGroupPath(shapes.get(id))[depth] || id))
+    if (unitKeys.size < 2) return null
+    if (memberIds.some(id => isShapeLocked(shapes.get(id)))) {
+      console.warn('🔒 Cannot group locked shapes')
+      return null
     }
-    
-    // Check if normalization is needed
-    await checkAndNormalizeZIndices(userId, canvasId)
+
+    const groupId = createGroupId()
+    const members = memberIds.map(id => shapes.get(id)).sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0))
+    const zIndexes = getBlockZIndexes(memberIds, 'front-of-members')
+
+    const shapeUpdates = members.map((shape, rank) => {
+      const path = [...getGroupPath(shape)]
+      path.splice(depth, 0, groupId)
+      const updates = { groupPath: path }
+      if (zIndexes && zIndexes[rank] !== shape.zIndex) updates.zIndex = zIndexes[rank]
+      return { id: shape.id, updates }
+    })
+
+    await runInTransaction('group', (transaction) => applyShapeUpdates(shapeUpdates, userId, canvasId, userName, { transaction }))
+    console.log(`🔗 Grouped ${memberIds.length} shapes into ${groupId}`)
+    return { groupId, memberIds }
   }
 
-  const sendToBack = async (shapeIds, userId, canvasId = 'default') => {
+  const ungroupShapes = async (shapeIds, userId, canvasId = 'default', userName = 'Anonymous') => {
     if (!Array.isArray(shapeIds)) shapeIds = [shapeIds]
-    
-    const minZ = getMinZIndex(Array.from(shapes.values()))
-    
-    for (const shapeId of shapeIds) {
-      const shape = shapes.get(shapeId)
-      if (!shape) continue
-      
-      const newZIndex = Math.max(0, minZ - 1)
-      await updateShape(shapeId, { zIndex: newZIndex }, userId, canvasId, true)
+
+    // Ungroup the selected group itself, or every outermost group the selection touches
+    const selectedGroupId = getSelectedGroupId(shapeIds, shapes)
+    const groupIds = selectedGroupId
+      ? [selectedGroupId]
+      : getSelectionUnits(shapeIds, shapes).map(unit => unit.groupId).filter(Boolean)
+    if (groupIds.length === 0) return []
+    if (groupIds.some(groupId => getGroupMemberIds(groupId, shapes).some(id => isShapeLocked(shapes.get(id))))) {
+      console.warn('🔒 Cannot ungroup a group with locked shapes')
+      return []
     }
-    
-    // Check if normalization is needed
-    await checkAndNormalizeZIndices(userId, canvasId)
+
+    const pathUpdates = new Map()
+    groupIds.forEach(groupId => {
+      getGroupMemberIds(groupId, shapes).forEach(id => {
+        const current = pathUpdates.get(id) || getGroupPath(shapes.get(id))
+        pathUpdates.set(id, removeGroupFromPath(current, groupId))
+      })
+    })
+
+    const shapeUpdates = Array.from(pathUpdates, ([id, groupPath]) => ({ id, updates: { groupPath } }))
+    await runInTransaction('ungroup', (transaction) => applyShapeUpdates(shapeUpdates, userId, canvasId, userName, { transaction }))
+    console.log(`✂️ Ungrouped ${groupIds.length} group(s)`)
+    return Array.from(pathUpdates.keys())
   }
 
-  const bringForward = async (shapeIds, userId, canvasId = 'default') => {
+  // Persistent locks (see utils/shapeLocks.js)
+  const lockShapes = async (shapeIds, userId, canvasId = 'default', userName = 'Anonymous') => {
     if (!Array.isArray(shapeIds)) shapeIds = [shapeIds]
-    
-    for (const shapeId of shapeIds) {
-      const shape = shapes.get(shapeId)
-      if (!shape) continue
-      
-      const newZIndex = (shape.zIndex || 0) + 1
-      await updateShape(shapeId, { zIndex: newZIndex }, userId, canvasId, true)
-    }
-    
-    // Check if normalization is needed
-    await checkAndNormalizeZIndices(userId, canvasId)
+
+    const shapeUpdates = shapeIds
+      .filter(id => shapes.has(id) && !isShapeLocked(shapes.get(id)))
+      .map(id => ({ id, updates: createLockFields(userId, userName) }))
+
+    await runInTransaction('lock', (transaction) => applyShapeUpdates(shapeUpdates, userId, canvasId, userName, { transaction }))
+    return shapeUpdates.map(update => update.id)
   }
 
-  const sendBackward = async (shapeIds, userId, canvasId = 'default') => {
+  const unlockShapes = async (shapeIds, userId, canvasId = 'default', userName = 'Anonymous', { isCanvasOwner = false } = {}) => {
     if (!Array.isArray(shapeIds)) shapeIds = [shapeIds]
-    
-    for (const shapeId of shapeIds) {
-      const shape = shapes.get(shapeId)
-      if (!shape) continue
-      
-      const newZIndex = Math.max(0, (shape.zIndex || 0) - 1)
-      await updateShape(shapeId, { zIndex: newZIndex }, userId, canvasId, true)
+
+    const lockedIds = shapeIds.filter(id => isShapeLocked(shapes.get(id)))
+    const allowedIds = lockedIds.filter(id => canUnlockShape(shapes.get(id), userId, isCanvasOwner))
+    if (allowedIds.length < lockedIds.length) {
+      console.warn(`🔒 ${lockedIds.length - allowedIds.length} shape(s) are locked by someone else`)
+    }
+
+    const shapeUpdates = allowedIds.map(id => ({ id, updates: clearLockFields() }))
+    await runInTransaction('unlock', (transaction) => applyShapeUpdates(shapeUpdates, userId, canvasId, userName, { transaction }))
+    return allowedIds
+  }
+
+  // Layer operations
+  // Selections are reordered as one block: groups stay contiguous, the
+  // selection keeps its internal order, and a selection inside a group only
+  // moves among that group's members.
+
+  const getSortedShapes = () => Array.from(shapes.values()).sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0))
+
+  // Evenly spaced z-indices strictly between two neighbours (upper = null means no shape above)
+  const spreadBetween = (lower, upper, count) => {
+    if (upper === null) return Array.from({ length: count }, (_, i) => lower + 1 + i)
+    if (lower === null) return Array.from({ length: count }, (_, i) => upper - count + i)
+    const step = (upper - lower) / (count + 1)
+    if (step < 1e-6) return null
+    return Array.from({ length: count }, (_, i) => lower + step * (i + 1))
+  }
+
+  /**
+   * Target z-indices for a block of shapes, in the block's current z-order
+   *
+   * @param {string[]} blockIds - Shapes to move together
+   * @param {string} placement - 'front' | 'back' | 'forward' | 'backward' | 'front-of-members'
+   * @param {string[]} scopePath - Group the block moves within (empty = whole canvas)
+   * @returns {number[]|null} New z-indices, or null if the block cannot move / needs renumbering
+   */
+  const getBlockZIndexes = (blockIds, placement, scopePath = []) => {
+    const block = new Set(blockIds)
+    const sorted = getSortedShapes()
+    const others = sorted.filter(shape => !block.has(shape.id))
+    const scopeGroupId = scopePath[scopePath.length - 1]
+    const inScope = others.filter(shape => !scopeGroupId || getGroupPath(shape).includes(scopeGroupId))
+    const blockShapes = sorted.filter(shape => block.has(shape.id))
+    if (blockShapes.length === 0) return null
+
+    const blockMin = blockShapes[0].zIndex || 0
+    const blockMax = blockShapes[blockShapes.length - 1].zIndex || 0
+    const zOf = (shape) => shape.zIndex || 0
+    const nextAbove = (z) => {
+      const shape = others.find(other => zOf(other) > z)
+      return shape ? zOf(shape) : null
+    }
+    const nextBelow = (z) => {
+      const shape = [...others].reverse().find(other => zOf(other) < z)
+      return shape ? zOf(shape) : null
+    }
+    // Whole sibling unit (group at the scope depth) around a neighbouring shape
+    const unitOf = (shape) => getSelectionUnit(shape.id, shapes, scopePath.length).map(id => shapes.get(id))
+
+    switch (placement) {
+      case 'front-of-members': {
+        // Gather at the top member's position, below whatever sits above it
+        if (others.length === 0) return null
+        return spreadBetween(nextBelow(blockMax), nextAbove(blockMax), blockShapes.length)
+      }
+      case 'front': {
+        if (inScope.length === 0) return null
+        const lower = zOf(inScope[inScope.length - 1])
+        if (lower < blockMin) return null
+        return spreadBetween(lower, nextAbove(lower), blockShapes.length)
+      }
+      case 'back': {
+        if (inScope.length === 0) return null
+        const upper = zOf(inScope[0])
+        if (upper > blockMax) return null
+        return spreadBetween(nextBelow(upper), upper, blockShapes.length)
+      }
+      case 'forward': {
+        const neighbour = inScope.find(shape => zOf(shape) > blockMax)
+        if (!neighbour) return null
+        const unitTop = Math.max(...unitOf(neighbour).filter(s => s && !block.has(s.id)).map(zOf))
+        return spreadBetween(unitTop, nextAbove(unitTop), blockShapes.length)
+      }
+      case 'backward': {
+        const neighbour = [...inScope].reverse().find(shape => zOf(shape) < blockMin)
+        if (!neighbour) return null
+        const unitBottom = Math.min(...unitOf(neighbour).filter(s => s && !block.has(s.id)).map(zOf))
+        return spreadBetween(nextBelow(unitBottom), unitBottom, blockShapes.length)
+      }
+      default:
+        return null
     }
-    
-    // Check if normalization is needed
-    await checkAndNormalizeZIndices(userId, canvasId)
   }
 
-  const normalizeZIndices = async (userId, canvasId = 'default') => {
+  const hasCrowdedZIndexes = () => {
+    const sorted = getSortedShapes()
+    return sorted.some((shape, i) => i > 0 && (shape.zIndex || 0) - (sorted[i - 1].zIndex || 0) < 1e-3)
+  }
+
+  const reorderShapes = async (shapeIds, userId, canvasId, placement, label) => {
+    if (!Array.isArray(shapeIds)) shapeIds = [shapeIds]
+
+    await runInTransaction(label, async (transaction) => {
+      const scopePath = getCommonGroupPath(shapeIds, shapes)
+      const blockIds = expandToGroups(shapeIds, shapes, scopePath.length)
+      let zIndexes = getBlockZIndexes(blockIds, placement, scopePath)
+
+      // Fractional z-indices ran out of room between neighbours: renumber and retry
+      if (!zIndexes && hasCrowdedZIndexes()) {
+        await normalizeZIndices(userId, canvasId, { transaction })
+        zIndexes = getBlockZIndexes(blockIds, placement, scopePath)
+      }
+      if (!zIndexes) return
+
+      const blockShapes = getSortedShapes().filter(shape => blockIds.includes(shape.id))
+      for (let i = 0; i < blockShapes.length; i++) {
+        if (blockShapes[i].zIndex !== zIndexes[i]) {
+          await updateShape(blockShapes[i].id, { zIndex: zIndexes[i] }, userId, canvasId, true, true, undefined, { transaction })
+        }
+      }
+
+      // Check if normalization is needed
+      await checkAndNormalizeZIndices(userId, canvasId, { transaction })
+    })
+  }
+
+  const bringToFront = (shapeIds, userId, canvasId = 'default') =>
+    reorderShapes(shapeIds, userId, canvasId, 'front', 'bring to front')
+
+  const sendToBack = (shapeIds, userId, canvasId = 'default') =>
+    reorderShapes(shapeIds, userId, canvasId, 'back', 'send to back')
+
+  const bringForward = (shapeIds, userId, canvasId = 'default') =>
+    reorderShapes(shapeIds, userId, canvasId, 'forward', 'bring forward')
+
+  const sendBackward = (shapeIds, userId, canvasId = 'default') =>
+    reorderShapes(shapeIds, userId, canvasId, 'backward', 'send backward')
+
+  const normalizeZIndices = async (userId, canvasId = 'default', { transaction = null } = {}) => {
     const allShapes = getAllShapes() // Already sorted by z-index
     
     for (let i = 0; i < allShapes.length; i++) {
       const shape = allShapes[i]
       if (shape.zIndex !== i) {
-        await updateShape(shape.id, { zIndex: i }, userId, canvasId, true)
+        await updateShape(shape.id, { zIndex: i }, userId, canvasId, true, true, undefined, { transaction })
       }
     }
   }
 
-  const checkAndNormalizeZIndices = async (userId, canvasId = 'default') => {
+  const checkAndNormalizeZIndices = async (userId, canvasId = 'default', { transaction = null } = {}) => {
     const allShapes = Array.from(shapes.values())
     if (needsZIndexNormalization(allShapes)) {
       console.log('🔄 Z-index normalization needed, renumbering shapes...')
-      await normalizeZIndices(userId, canvasId)
+      await normalizeZIndices(userId, canvasId, { transaction })
     }
   }
 
@@ -721,42 +1135,52 @@ export const useShapes = () => {
     
     const maxZ = getMaxZIndex(Array.from(shapes.values()))
     const duplicatedIds = []
+    const remapGroupPath = createGroupPathRemapper(shapeIds, shapes)
+    // Connectors are copied last so they can bind to the copies of their shapes
+    const originals = connectorsLast(shapeIds.map(id => shapes.get(id)).filter(Boolean))
+    const idMap = new Map()
     
-    for (let i = 0; i < shapeIds.length; i++) {
-      const originalShape = shapes.get(shapeIds[i])
-      if (!originalShape) continue
-      
-      // Create new shape data with offset and new metadata
-      const duplicateData = {
-        ...originalShape,
-        id: undefined, // Will be generated
-        x: originalShape.x + 20,
-        y: originalShape.y + 20,
-        zIndex: maxZ + i + 1,
-        createdBy: userId,
-        createdAt: new Date(),
-        lastModified: new Date(),
-        lastModifiedBy: userId
-      }
-      
-      // Remove id from duplicateData so createShape generates a new one
-      const { id, ...dataWithoutId } = originalShape
-      const newShape = await createShape(
-        originalShape.type,
-        {
-          ...dataWithoutId,
+    await runInTransaction('duplicate', async (transaction) => {
+      for (let i = 0; i < originals.length; i++) {
+        const originalShape = originals[i]
+
+        // Create new shape data with offset and new metadata
+        const duplicateData = {
+          ...originalShape,
+          id: undefined, // Will be generated
           x: originalShape.x + 20,
           y: originalShape.y + 20,
-          zIndex: maxZ + i + 1
-        },
-        userId,
-        canvasId
-      )
-      
-      if (newShape) {
-        duplicatedIds.push(newShape.id)
+          zIndex: maxZ + i + 1,
+          createdBy: userId,
+          createdAt: new Date(),
+          lastModified: new Date(),
+          lastModifiedBy: userId
+        }
+
+        // Remove id from duplicateData so createShape generates a new one
+        const { id, ...dataWithoutId } = originalShape
+        const newShape = await createShape(
+          originalShape.type,
+          {
+            ...dataWithoutId,
+            x: originalShape.x + 20,
+            y: originalShape.y + 20,
+            zIndex: maxZ + i + 1,
+            groupPath: remapGroupPath(getGroupPath(originalShape)),
+            ...(isConnector(originalShape) ? remapConnectorBindings(originalShape, idMap) : {})
+          },
+          userId,
+          canvasId,
+          undefined,
+          { transaction }
+        )
+
+        if (newShape) {
+          duplicatedIds.push(newShape.id)
+          idMap.set(originalShape.id, newShape.id)
+        }
       }
-    }
+    })
     
     return duplicatedIds
   }
@@ -782,6 +1206,182 @@ export const useShapes = () => {
     }
   }
 
+  // Undo/redo (local user's own history only)
+  // Restore a previously deleted shape with its original ID
+  const restoreShape = async (snapshot, userId, canvasId, userName) => {
+    const restored = {
+      ...snapshot,
+      lastModified: Date.now(),
+      lastModifiedBy: userId,
+      lastModifiedByName: userName
+    }
+    shapes.set(restored.id, restored)
+    shapesVersion.value++ // Increment version to trigger reactivity
+    await saveShape(canvasId, restored)
+  }
+
+  // Apply fields from `target` only where the shape still holds the value we left it with,
+  // so collaborators' concurrent edits to other fields (or the same field) win
+  const applyFieldsIfUnchanged = async (shapeId, expected, target, userId, canvasId, userName, transaction) => {
+    const current = shapes.get(shapeId)
+    if (!current) return false
+
+    const updates = {}
+    for (const key in target) {
+      if (valuesEqual(current[key], expected[key])) {
+        updates[key] = target[key]
+      }
+    }
+    if (Object.keys(updates).length === 0) return false
+
+    await updateShape(shapeId, updates, userId, canvasId, true, true, userName, { transaction })
+    return Object.keys(updates).length === Object.keys(target).length
+  }
+
+  // Apply one history entry in the given direction ('undo' or 'redo')
+  const applyHistoryEntry = async (entry, direction, userId, canvasId, userName) => {
+    const isUndo = direction === 'undo'
+    const operations = isUndo ? [...entry.operations].reverse() : entry.operations
+    const affectedIds = []
+    let skipped = 0
+
+    await withoutRecording(async (transaction) => {
+      for (const op of operations) {
+        const current = shapes.get(op.shapeId)
+        // create undone / delete redone -> remove the shape
+        const removes = (op.type === 'create' && isUndo) || (op.type === 'delete' && !isUndo)
+        // delete undone / create redone -> bring the shape back
+        const restores = (op.type === 'delete' && isUndo) || (op.type === 'create' && !isUndo)
+
+        if (removes) {
+          // Keep shapes another user has edited since we created them
+          if (!current) continue
+          if (current.lastModifiedBy && current.lastModifiedBy !== userId) {
+            skipped++
+            continue
+          }
+          await deleteShapes([op.shapeId], canvasId, userId, { transaction })
+          affectedIds.push(op.shapeId)
+        } else if (restores) {
+          if (current) {
+            skipped++
+            continue
+          }
+          await restoreShape(isUndo ? op.before : op.after, userId, canvasId, userName)
+          affectedIds.push(op.shapeId)
+        } else if (op.type === 'update') {
+          const expected = isUndo ? op.after : op.before
+          const target = isUndo ? op.before : op.after
+          const fullyApplied = await applyFieldsIfUnchanged(op.shapeId, expected, target, userId, canvasId, userName, transaction)
+          if (!fullyApplied) skipped++
+          if (shapes.has(op.shapeId)) affectedIds.push(op.shapeId)
+        }
+      }
+    })
+
+    if (skipped > 0) {
+      warning(`Kept ${skipped} change(s) made by collaborators`)
+    }
+
+    return { label: entry.label, affectedIds: [...new Set(affectedIds)], skipped }
+  }
+
+  const undo = async (userId = 'anonymous', canvasId = 'default', userName = 'Anonymous') => {
+    const entry = popUndo(canvasId, userId)
+    if (!entry) return null
+
+    const result = await applyHistoryEntry(entry, 'undo', userId, canvasId, userName)
+    pushRedo(canvasId, userId, entry)
+    return result
+  }
+
+  const redo = async (userId = 'anonymous', canvasId = 'default', userName = 'Anonymous') => {
+    const entry = popRedo(canvasId, userId)
+    if (!entry) return null
+
+    const result = await applyHistoryEntry(entry, 'redo', userId, canvasId, userName)
+    pushUndo(canvasId, userId, entry)
+    return result
+  }
+
+  /**
+   * Commit what an AI command changed on a draft store (utils/aiPreview.js)
+   *
+   * Everything is written in one batch, so collaborators never see part of
+   * the command and a failed batch changes nothing; only then is it applied
+   * locally and recorded as one undo step.
+   *
+   * @param {Object} changes - { created, updated, deleted } shapes from the draft's getPreview()
+   * @param {string} label - Undo history label
+   * @returns {Promise<Object>} { createdIds, updatedIds, deletedIds }
+   */
+  const commitShapeChanges = async ({ created = [], updated = [], deleted = [] }, label, userId = 'anonymous', canvasId = 'default', userName = 'Anonymous') => {
+    const now = Date.now()
+    const metadata = { lastModified: now, lastModifiedBy: userId, lastModifiedByName: userName }
+    const operations = []
+
+    const createdShapes = created.map(shape => {
+      const newShape = { ...shape, createdBy: userId, createdAt: now, ...metadata }
+      operations.push({ type: 'create', shapeId: newShape.id, before: null, after: { ...newShape } })
+      return newShape
+    })
+
+    // Only the fields the command changed are written
+    const shapeUpdates = []
+    updated.forEach(shape => {
+      const current = shapes.get(shape.id)
+      if (!current) return
+      const changedFields = {}
+      for (const key in shape) {
+        if (!valuesEqual(shape[key], current[key])) changedFields[key] = shape[key]
+      }
+      const operation = getUpdateOperation(shape.id, changedFields, current)
+      if (!operation) return
+      operations.push(operation)
+      shapeUpdates.push({ id: shape.id, updates: { ...operation.after, ...metadata } })
+    })
+
+    const deletedShapes = deleted.map(shape => shapes.get(shape.id)).filter(Boolean)
+    deletedShapes.forEach(shape => {
+      operations.push({ type: 'delete', shapeId: shape.id, before: { ...shape }, after: null })
+    })
+
+    const deletedIds = deletedShapes.map(shape => shape.id)
+    const result = { createdIds: createdShapes.map(shape => shape.id), updatedIds: shapeUpdates.map(({ id }) => id), deletedIds }
+    if (operations.length === 0) return result
+
+    await commitShapeChangesInFirestore(canvasId, { created: createdShapes, updated: shapeUpdates, deletedIds })
+
+    // The listener may already have applied the batch; local state catches up either way
+    createdShapes.forEach(shape => shapes.set(shape.id, shape))
+    shapeUpdates.forEach(({ id, updates }) => {
+      if (shapes.has(id)) shapes.set(id, { ...shapes.get(id), ...updates })
+    })
+    deletedIds.forEach(id => shapes.delete(id))
+    shapesVersion.value++ // Increment version to trigger reactivity
+
+    await runInTransaction(label, async (transaction) => {
+      operations.forEach(operation => recordOperation(canvasId, userId, operation, label, transaction))
+    })
+
+    // Connectors bound to moved shapes follow them (outside the undo step, like drags)
+    const movedIds = shapeUpdates.filter(({ updates }) => affectsAnchors(updates)).map(({ id }) => id)
+    saveConnectorRoutes(canvasId, rerouteConnectors(movedIds, userId, userName))
+
+    // v8: Log operations for OT
+    if (operationLog) {
+      await Promise.all(operations.map(({ type, shapeId, before, after }) => {
+        const operation = operationLog.createOperation(type, shapeId, userId, after, before)
+        return operationLog.appendOperation(canvasId, operation).catch(err => {
+          console.error(`Failed to log ${type} operation for ${shapeId}:`, err)
+        })
+      }))
+    }
+
+    updateShapeMetrics(shapes.size, shapes.size)
+    return result
+  }
+
   return {
     // State
     shapes, // New primary state
@@ -832,8 +1432,25 @@ export const useShapes = () => {
     bringForward,
     sendBackward,
     normalizeZIndices,
+    groupShapes,
+    ungroupShapes,
+    applyShapeUpdates,
+    lockShapes,
+    unlockShapes,
 
     // Duplicate operations
-    duplicateShapes
+    duplicateShapes,
+
+    // Batch operations (recorded in undo history)
+    updateShapesBatch,
+    runInTransaction,
+    commitShapeChanges,
+
+    // Undo/redo
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    clearHistory
   }
 }
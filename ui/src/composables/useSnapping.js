@@ -0,0 +1,182 @@
+import { ref, reactive, computed, watch } from 'vue'
+import { useSpatialIndex } from './useSpatialIndex'
+import {
+  DEFAULT_GRID_SPACING,
+  GRID_SPACING_OPTIONS,
+  SNAP_THRESHOLD,
+  GUIDE_SEARCH_RANGE,
+  getSnapBounds,
+  snapBounds,
+  snapPoint,
+  snapToGrid,
+  getGridLines
+} from '../utils/snapping'
+
+const SETTINGS_KEY = 'snapSettings'
+
+const loadSettings = () => {
+  const defaults = { showGrid: false, gridSpacing: DEFAULT_GRID_SPACING, snapToGrid: false, smartGuides: true }
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}')
+    const settings = { ...defaults, ...saved }
+    if (!GRID_SPACING_OPTIONS.includes(settings.gridSpacing)) settings.gridSpacing = DEFAULT_GRID_SPACING
+    return settings
+  } catch (err) {
+    return defaults
+  }
+}
+
+/**
+ * Grid display, snap-to-grid and smart guides for the canvas
+ *
+ * A snap session covers one gesture (drag, group drag or resize): it indexes
+ * every other visible shape once at the start, so candidates for each move
+ * come from the spatial index instead of a scan over all shapes.
+ */
+export function useSnapping({ shapes, zoomLevel, stagePosition, stageSize, canvasSize }) {
+  const settings = reactive(loadSettings())
+  watch(settings, () => {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify({ ...settings }))
+  })
+
+  const guides = ref([])
+  const spatialIndex = useSpatialIndex()
+  let sessionActive = false
+
+  const isSnappingEnabled = () => settings.snapToGrid || settings.smartGuides
+
+  const getOptions = () => ({
+    threshold: SNAP_THRESHOLD / (zoomLevel.value || 1),
+    gridSpacing: settings.snapToGrid ? settings.gridSpacing : 0,
+    smartGuides: settings.smartGuides
+  })
+
+  const startSnapSession = (movingIds = []) => {
+    sessionActive = true
+    guides.value = []
+    if (settings.smartGuides) {
+      const movingSet = new Set(movingIds)
+      spatialIndex.rebuild(Array.from(shapes.values()).filter(shape => !shape.hidden && !movingSet.has(shape.id)))
+    } else {
+      spatialIndex.clear()
+    }
+  }
+
+  const endSnapSession = () => {
+    sessionActive = false
+    guides.value = []
+    spatialIndex.clear()
+  }
+
+  // Boxes of indexed shapes around a region
+  const getCandidates = (bounds) => {
+    if (!settings.smartGuides) return []
+    const ids = spatialIndex.getShapesInRect(
+      bounds.x - GUIDE_SEARCH_RANGE,
+      bounds.y - GUIDE_SEARCH_RANGE,
+      bounds.width + GUIDE_SEARCH_RANGE * 2,
+      bounds.height + GUIDE_SEARCH_RANGE * 2
+    )
+    return ids.map(id => shapes.get(id)).filter(Boolean).map(getSnapBounds)
+  }
+
+  /**
+   * Offset that snaps a moving box, updating the visible guides
+   *
+   * @param {Object} bounds - Box being moved, in canvas coordinates
+   * @returns {{ dx: number, dy: number }}
+   */
+  const snapMove = (bounds) => {
+    if (!sessionActive || !isSnappingEnabled()) return { dx: 0, dy: 0 }
+    const { dx, dy, guides: found } = snapBounds(bounds, getCandidates(bounds), getOptions())
+    guides.value = found
+    return { dx, dy }
+  }
+
+  /**
+   * Snap a point in canvas coordinates, updating the visible guides
+   */
+  const snapCanvasPoint = (point) => {
+    if (!sessionActive || !isSnappingEnabled()) return point
+    const region = { x: point.x, y: point.y, width: 0, height: 0 }
+    const { x, y, guides: found } = snapPoint(point, getCandidates(region), getOptions())
+    guides.value = found
+    return { x, y }
+  }
+
+  // Transformer anchorDragBoundFunc: anchors move in absolute (screen) coordinates
+  const snapAnchorPosition = (oldAbsPos, newAbsPos) => {
+    if (!sessionActive || !isSnappingEnabled()) return newAbsPos
+    const scale = zoomLevel.value || 1
+    const snapped = snapCanvasPoint({
+      x: (newAbsPos.x - stagePosition.x) / scale,
+      y: (newAbsPos.y - stagePosition.y) / scale
+    })
+    return { x: snapped.x * scale + stagePosition.x, y: snapped.y * scale + stagePosition.y }
+  }
+
+  // Grid snapping for newly placed points (shape creation)
+  const snapCreationPoint = (x, y) => {
+    if (!settings.snapToGrid) return { x, y }
+    return { x: snapToGrid(x, settings.gridSpacing), y: snapToGrid(y, settings.gridSpacing) }
+  }
+
+  // Visible part of the canvas, in canvas coordinates
+  const visibleRegion = computed(() => {
+    const scale = zoomLevel.value || 1
+    const left = Math.max(0, -stagePosition.x / scale)
+    const top = Math.max(0, -stagePosition.y / scale)
+    const right = Math.min(canvasSize, (stageSize.width - stagePosition.x) / scale)
+    const bottom = Math.min(canvasSize, (stageSize.height - stagePosition.y) / scale)
+    return { x: left, y: top, width: Math.max(0, right - left), height: Math.max(0, bottom - top) }
+  })
+
+  // Konva config for the grid (a single custom shape drawing only visible lines)
+  const gridConfig = computed(() => {
+    const region = visibleRegion.value
+    const scale = zoomLevel.value || 1
+    const { xs, ys } = getGridLines(region, settings.gridSpacing, scale)
+
+    return {
+      listening: false,
+      perfectDrawEnabled: false,
+      stroke: '#d0d0d0',
+      strokeWidth: 1 / scale,
+      sceneFunc: (context, shape) => {
+        context.beginPath()
+        xs.forEach(x => {
+          context.moveTo(x, region.y)
+          context.lineTo(x, region.y + region.height)
+        })
+        ys.forEach(y => {
+          context.moveTo(region.x, y)
+          context.lineTo(region.x + region.width, y)
+        })
+        context.strokeShape(shape)
+      }
+    }
+  })
+
+  const guideConfigs = computed(() => guides.value.map(guide => ({
+    points: guide.points,
+    stroke: '#EF4444',
+    strokeWidth: 1 / (zoomLevel.value || 1),
+    dash: [4 / (zoomLevel.value || 1), 4 / (zoomLevel.value || 1)],
+    listening: false
+  })))
+
+  return {
+    snapSettings: settings,
+    gridSpacingOptions: GRID_SPACING_OPTIONS,
+    guides,
+    gridConfig,
+    guideConfigs,
+    isSnapSessionActive: () => sessionActive,
+    startSnapSession,
+    endSnapSession,
+    snapMove,
+    snapCanvasPoint,
+    snapAnchorPosition,
+    snapCreationPoint
+  }
+}
@@ -1,4 +1,5 @@
 import { ref } from 'vue'
+import { getSnapBounds } from '../utils/snapping'
 
 /**
  * Simple grid-based spatial index for fast collision detection
@@ -19,42 +20,11 @@ export function useSpatialIndex(gridSize = 200) {
   const getShapeCells = (shape) => {
     const cells = new Set()
     
-    let minX, maxX, minY, maxY
-    
-    switch (shape.type) {
-      case 'rectangle':
-        minX = shape.x
-        maxX = shape.x + shape.width
-        minY = shape.y
-        maxY = shape.y + shape.height
-        break
-        
-      case 'circle':
-        minX = shape.x - shape.radius
-        maxX = shape.x + shape.radius
-        minY = shape.y - shape.radius
-        maxY = shape.y + shape.radius
-        break
-        
-      case 'line':
-        const xs = [shape.points[0], shape.points[2]]
-        const ys = [shape.points[1], shape.points[3]]
-        minX = Math.min(...xs)
-        maxX = Math.max(...xs)
-        minY = Math.min(...ys)
-        maxY = Math.max(...ys)
-        break
-        
-      case 'text':
-        minX = shape.x
-        maxX = shape.x + (shape.width || 200)
-        minY = shape.y
-        maxY = shape.y + (shape.fontSize * 1.5 || 30)
-        break
-        
-      default:
-        return cells
-    }
+    const bounds = getSnapBounds(shape)
+    const minX = bounds.x
+    const maxX = bounds.x + bounds.width
+    const minY = bounds.y
+    const maxY = bounds.y + bounds.height
     
     // Add all cells that intersect the shape's bounding box
     const startCellX = Math.floor(minX / gridSize)
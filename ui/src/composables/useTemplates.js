@@ -0,0 +1,118 @@
+/**
+ * Templates Composable
+ *
+ * Saved selections the AI (and the template picker) can insert like the
+ * built-in templates. Personal templates live in users/{uid}/templates,
+ * templates shared with a room in canvases/{canvasId}/templates.
+ */
+
+import { ref, computed } from 'vue'
+import {
+  collection,
+  addDoc,
+  deleteDoc,
+  doc,
+  query,
+  orderBy,
+  onSnapshot,
+  serverTimestamp
+} from 'firebase/firestore'
+import { db } from '../firebase/config'
+import { createTemplateFromShapes, findTemplate, MAX_TEMPLATE_NAME } from '../utils/aiTemplates'
+
+// Shared across instances: CanvasView subscribes, the picker and the AI read
+const userTemplates = ref([])
+const roomTemplates = ref([])
+const error = ref(null)
+
+const getUserTemplatesRef = (userId) => collection(db, 'users', userId, 'templates')
+const getRoomTemplatesRef = (canvasId) => collection(db, 'canvases', canvasId, 'templates')
+
+export function useTemplates() {
+  // Personal templates first, so "my ..." wins over a room template of the same name
+  const templates = computed(() => [...userTemplates.value, ...roomTemplates.value])
+
+  /**
+   * Listen to the user's and the room's templates
+   *
+   * @param {string} userId - Current user
+   * @param {string} canvasId - Current canvas
+   * @returns {Function} Unsubscribe from both
+   */
+  const subscribeToTemplates = (userId, canvasId) => {
+    if (!userId || !canvasId) return () => {}
+
+    const listen = (ref, target, scope) => onSnapshot(
+      query(ref, orderBy('createdAt', 'desc')),
+      (snapshot) => {
+        target.value = snapshot.docs.map(d => ({ id: d.id, scope, ...d.data() }))
+      },
+      (err) => {
+        console.error(`Error loading ${scope} templates:`, err)
+        error.value = err.message || 'Failed to load templates'
+      }
+    )
+
+    const unsubscribers = [
+      listen(getUserTemplatesRef(userId), userTemplates, 'user'),
+      listen(getRoomTemplatesRef(canvasId), roomTemplates, 'room')
+    ]
+
+    return () => {
+      unsubscribers.forEach(unsubscribe => unsubscribe())
+      userTemplates.value = []
+      roomTemplates.value = []
+    }
+  }
+
+  /**
+   * Save shapes as a named template
+   *
+   * @param {string} name - Template name
+   * @param {Object[]} shapeList - Shapes to save
+   * @param {Object} options
+   * @param {Map<string, Object>} options.shapes - All shapes (for groups)
+   * @param {boolean} [options.shared] - Share with everyone in the room
+   * @returns {Promise<string>} New template ID
+   */
+  const saveTemplate = async (name, shapeList, { shapes, shared = false, userId, userName, canvasId }) => {
+    const trimmed = (name || '').trim()
+    if (!trimmed) throw new Error('Give the template a name')
+    if (trimmed.length > MAX_TEMPLATE_NAME) {
+      throw new Error(`Template names can be at most ${MAX_TEMPLATE_NAME} characters`)
+    }
+
+    const payload = {
+      name: trimmed,
+      ...createTemplateFromShapes(shapeList, shapes),
+      createdAt: serverTimestamp(),
+      createdBy: userId,
+      createdByName: userName
+    }
+
+    error.value = null
+    const ref = shared ? getRoomTemplatesRef(canvasId) : getUserTemplatesRef(userId)
+    const saved = await addDoc(ref, payload)
+    console.log(`📐 Saved ${shared ? 'room' : 'personal'} template "${trimmed}"`)
+    return saved.id
+  }
+
+  /**
+   * Delete a template (personal ones, or room ones you created / own)
+   */
+  const deleteTemplate = async (template, { userId, canvasId }) => {
+    const path = template.scope === 'room'
+      ? doc(db, 'canvases', canvasId, 'templates', template.id)
+      : doc(db, 'users', userId, 'templates', template.id)
+    await deleteDoc(path)
+  }
+
+  return {
+    templates,
+    error,
+    subscribeToTemplates,
+    saveTemplate,
+    deleteTemplate,
+    findTemplate: (name) => findTemplate(name, templates.value)
+  }
+}
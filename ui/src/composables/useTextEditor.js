@@ -9,7 +9,8 @@ export function useTextEditor({
   updateShape,
   user,
   canvasId,
-  userName
+  userName,
+  readOnly
 }) {
   const editingTextId = ref(null)
   const showTextEditor = ref(false)
@@ -22,7 +23,7 @@ export function useTextEditor({
 
   const handleTextEdit = async (textId) => {
     const userId = user.value?.uid
-    if (!userId) return
+    if (!userId || readOnly?.value) return
 
     // Check if locked by another user
     if (isTextLocked(textId, userId)) {
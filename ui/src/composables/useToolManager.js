@@ -1,21 +1,24 @@
 import { ref } from 'vue'
 
+// Tools that don't change shapes (commenting is checked where pins are placed)
+const READ_ONLY_TOOLS = ['select', 'pan', 'comment']
+
 export function useToolManager(canvasWrapper, isViewerMode) {
   const activeTool = ref('select')
   const isCreatingLine = ref(false)
   const lineStartPoint = ref(null)
 
   const handleToolSelected = (toolName) => {
-    // Prevent tool changes in viewer mode
-    if (isViewerMode && isViewerMode.value) {
+    // Prevent switching to editing tools in viewer mode
+    if (isViewerMode && isViewerMode.value && !READ_ONLY_TOOLS.includes(toolName)) {
       activeTool.value = 'select'
       return
     }
     
     activeTool.value = toolName
     
-    // Reset line creation if switching away from line tool
-    if (toolName !== 'line') {
+    // Reset line creation if switching away from the line/arrow tools (arrows are drawn like lines)
+    if (toolName !== 'line' && toolName !== 'arrow') {
       isCreatingLine.value = false
       lineStartPoint.value = null
     }
@@ -26,6 +29,8 @@ export function useToolManager(canvasWrapper, isViewerMode) {
         canvasWrapper.value.style.cursor = 'default'
       } else if (toolName === 'pan') {
         canvasWrapper.value.style.cursor = 'grab'
+      } else if (toolName === 'comment') {
+        canvasWrapper.value.style.cursor = 'crosshair'
       } else {
         canvasWrapper.value.style.cursor = 'default'
       }
@@ -0,0 +1,225 @@
+/**
+ * Undo/Redo Composable
+ *
+ * Keeps a per-user, per-canvas history of the local user's own shape edits.
+ * useShapes records create/update/delete operations here; grouped actions
+ * (z-order changes, batch moves, pastes) are collapsed into a single history
+ * entry with runInTransaction. A transaction is a handle passed along to the
+ * writes that belong to it, so actions that overlap (a drag ending while an
+ * AI command runs) keep separate entries.
+ *
+ * Entries only store the fields that changed, so undoing never rewrites
+ * properties a collaborator has touched since (see useShapes.undo).
+ */
+
+import { ref } from 'vue'
+
+// Shared state across all instances (singleton pattern)
+const MAX_HISTORY = 100
+const histories = new Map() // `${canvasId}:${userId}` -> { undoStack, redoStack }
+const historyVersion = ref(0) // Bumped on every change so computed state can react
+let nextTransactionId = 0
+
+// Metadata fields are never part of an undoable change
+const IGNORED_FIELDS = ['lastModified', 'lastModifiedBy', 'lastModifiedByName', 'lockedBy', 'lockedAt', 'sequenceNumber']
+
+const getHistoryKey = (canvasId, userId) => `${canvasId || 'default'}:${userId || 'anonymous'}`
+
+const getHistory = (canvasId, userId) => {
+  const key = getHistoryKey(canvasId, userId)
+  if (!histories.has(key)) {
+    histories.set(key, { undoStack: [], redoStack: [] })
+  }
+  return histories.get(key)
+}
+
+/**
+ * Strip metadata fields from an update delta
+ *
+ * @param {Object} updates - Raw update object
+ * @returns {Object} Delta containing only undoable fields
+ */
+export const getUndoableFields = (updates = {}) => {
+  const fields = {}
+  for (const key in updates) {
+    if (!IGNORED_FIELDS.includes(key) && updates[key] !== undefined) {
+      fields[key] = updates[key]
+    }
+  }
+  return fields
+}
+
+/**
+ * Compare two field values (arrays such as line points are compared by value)
+ */
+export const valuesEqual = (a, b) => {
+  if (a === b) return true
+  if (a == null || b == null) return a == b
+  if (typeof a === 'object' || typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b)
+  }
+  return false
+}
+
+export function useUndoRedo() {
+  const pushEntry = (key, entry) => {
+    const history = histories.get(key) || { undoStack: [], redoStack: [] }
+    histories.set(key, history)
+
+    history.undoStack.push(entry)
+    if (history.undoStack.length > MAX_HISTORY) {
+      history.undoStack.shift()
+    }
+    // A new action invalidates anything that was undone before it
+    history.redoStack = []
+    historyVersion.value++
+  }
+
+  /**
+   * Record a single operation in the local user's history
+   *
+   * @param {string} canvasId - Canvas ID
+   * @param {string} userId - User who performed the operation
+   * @param {Object} operation - { type: 'create'|'update'|'delete', shapeId, before, after }
+   * @param {string} label - Human readable description
+   * @param {Object} [transaction] - Open transaction the operation belongs to
+   */
+  const recordOperation = (canvasId, userId, operation, label = operation.type, transaction = null) => {
+    if (transaction?.discard) return
+
+    const key = getHistoryKey(canvasId, userId)
+
+    if (transaction?.open) {
+      if (!transaction.key) transaction.key = key
+      if (transaction.key === key) {
+        transaction.operations.push(operation)
+        return
+      }
+    }
+
+    pushEntry(key, {
+      label,
+      timestamp: Date.now(),
+      operations: [operation]
+    })
+  }
+
+  /**
+   * Start grouping operations into a single history entry
+   *
+   * @param {string} label - Description of the grouped action
+   * @returns {Object} Transaction handle for recordOperation and endTransaction
+   */
+  const beginTransaction = (label = 'batch') => ({
+    id: ++nextTransactionId,
+    label,
+    key: null,
+    operations: [],
+    open: true,
+    discard: false
+  })
+
+  /**
+   * Close a transaction and commit its operations as one entry
+   */
+  const endTransaction = (transaction) => {
+    if (!transaction?.open) return
+    transaction.open = false
+
+    const { label, key, operations } = transaction
+    if (!transaction.discard && key && operations.length > 0) {
+      pushEntry(key, { label, timestamp: Date.now(), operations })
+    }
+  }
+
+  /**
+   * Run an async function with all of its operations grouped into one entry
+   *
+   * fn receives the transaction and passes it to the writes it makes. Given
+   * a parent transaction, fn joins it instead of opening its own.
+   */
+  const runInTransaction = async (label, fn, parent = null) => {
+    if (parent) return fn(parent)
+
+    const transaction = beginTransaction(label)
+    try {
+      return await fn(transaction)
+    } finally {
+      endTransaction(transaction)
+    }
+  }
+
+  /**
+   * Run an async function whose writes are not recorded (used while applying history)
+   *
+   * fn receives a transaction that drops everything passed to it
+   */
+  const withoutRecording = async (fn) => {
+    const transaction = { ...beginTransaction('not recorded'), discard: true }
+    try {
+      return await fn(transaction)
+    } finally {
+      endTransaction(transaction)
+    }
+  }
+
+  const popUndo = (canvasId, userId) => {
+    const history = getHistory(canvasId, userId)
+    const entry = history.undoStack.pop() || null
+    if (entry) historyVersion.value++
+    return entry
+  }
+
+  const popRedo = (canvasId, userId) => {
+    const history = getHistory(canvasId, userId)
+    const entry = history.redoStack.pop() || null
+    if (entry) historyVersion.value++
+    return entry
+  }
+
+  // Move an applied entry to the opposite stack without clearing redo
+  const pushUndo = (canvasId, userId, entry) => {
+    getHistory(canvasId, userId).undoStack.push(entry)
+    historyVersion.value++
+  }
+
+  const pushRedo = (canvasId, userId, entry) => {
+    getHistory(canvasId, userId).redoStack.push(entry)
+    historyVersion.value++
+  }
+
+  const canUndo = (canvasId, userId) => {
+    // Touch version for reactivity when used inside computed()
+    historyVersion.value
+    return getHistory(canvasId, userId).undoStack.length > 0
+  }
+
+  const canRedo = (canvasId, userId) => {
+    historyVersion.value
+    return getHistory(canvasId, userId).redoStack.length > 0
+  }
+
+  /**
+   * Drop the history for a canvas (e.g. after a version restore replaces every shape)
+   */
+  const clearHistory = (canvasId, userId) => {
+    histories.delete(getHistoryKey(canvasId, userId))
+    historyVersion.value++
+  }
+
+  return {
+    historyVersion,
+    recordOperation,
+    beginTransaction,
+    endTransaction,
+    runInTransaction,
+    withoutRecording,
+    popUndo,
+    popRedo,
+    pushUndo,
+    pushRedo,
+    canUndo,
+    canRedo,
+    clearHistory
+  }
+}
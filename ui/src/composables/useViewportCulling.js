@@ -1,4 +1,5 @@
 import { ref, computed, watch } from 'vue'
+import { getShapeBounds } from '../utils/canvasExport'
 
 export function useViewportCulling(stage) {
   const visibleShapeIds = ref(new Set())
@@ -37,6 +38,7 @@ export function useViewportCulling(stage) {
     
     switch (shape.type) {
       case 'rectangle':
+      case 'image':
         shapeLeft = shape.x
         shapeRight = shape.x + shape.width
         shapeTop = shape.y
@@ -66,6 +68,19 @@ export function useViewportCulling(stage) {
         shapeBottom = shape.y + (shape.fontSize * 1.5 || 30) // Estimate height
         break
         
+      case 'polygon':
+      case 'star':
+      case 'arrow':
+      case 'path':
+      case 'connector': {
+        const box = getShapeBounds(shape)
+        shapeLeft = box.x
+        shapeRight = box.x + box.width
+        shapeTop = box.y
+        shapeBottom = box.y + box.height
+        break
+      }
+        
       default:
         return true // Unknown type, keep visible
     }
@@ -0,0 +1,161 @@
+/**
+ * Realtime Database Viewport Composable
+ *
+ * Follow mode and spotlight (see utils/followMode.js):
+ * - canvases/{canvasId}/viewports/{userId}: each user's { x, y, zoom }, published
+ *   while they pan or zoom and removed when they disconnect
+ * - canvases/{canvasId}/spotlight: { userId, userName, startedAt } while the
+ *   owner presents; database.rules.json only lets the owner set it
+ */
+
+import { ref, reactive } from 'vue'
+import {
+  ref as dbRef,
+  set,
+  onValue,
+  remove,
+  onDisconnect,
+  serverTimestamp as rtdbServerTimestamp
+} from 'firebase/database'
+import { realtimeDB } from '../firebase/realtimeDB.js'
+import { rtdbMonitoring } from './useRealtimeDBMonitoring.js'
+import { VIEWPORT_THROTTLE_MS, hasViewportChanged } from '../utils/followMode'
+
+export const useViewportRTDB = () => {
+  // Viewports of the other users, by user ID
+  const viewports = reactive(new Map())
+  const viewportsVersion = ref(0)
+  const spotlight = ref(null)
+
+  let lastSent = null
+  let lastSentAt = 0
+  let pendingTimeout = null
+  let disconnectHandler = null
+  let spotlightDisconnectHandler = null
+
+  const getViewportRef = (canvasId, userId) => {
+    return dbRef(realtimeDB, userId ? `canvases/${canvasId}/viewports/${userId}` : `canvases/${canvasId}/viewports`)
+  }
+
+  const getSpotlightRef = (canvasId) => dbRef(realtimeDB, `canvases/${canvasId}/spotlight`)
+
+  /**
+   * Publish the current user's viewport (throttled; unchanged viewports are skipped)
+   *
+   * @param {string} canvasId
+   * @param {string} userId
+   * @param {string} userName
+   * @param {Object} viewport - { x, y, zoom } from getViewport
+   */
+  const publishViewport = (canvasId, userId, userName, viewport) => {
+    if (!canvasId || !userId || !hasViewportChanged(lastSent, viewport)) return
+
+    clearTimeout(pendingTimeout)
+    const wait = VIEWPORT_THROTTLE_MS - (Date.now() - lastSentAt)
+    if (wait > 0) {
+      // Send the latest viewport once the throttle window ends
+      pendingTimeout = setTimeout(() => publishViewport(canvasId, userId, userName, viewport), wait)
+      return
+    }
+
+    lastSent = viewport
+    lastSentAt = Date.now()
+    const viewportRef = getViewportRef(canvasId, userId)
+    set(viewportRef, { ...viewport, userName, timestamp: rtdbServerTimestamp() })
+      .then(async () => {
+        if (disconnectHandler) return
+        disconnectHandler = onDisconnect(viewportRef)
+        await disconnectHandler.remove()
+      })
+      .catch((error) => {
+        console.error('[Viewport] Error publishing viewport (RTDB):', error)
+        rtdbMonitoring.recordError('viewport-update', error)
+      })
+  }
+
+  /**
+   * Listen to the other users' viewports
+   *
+   * @returns {Function} Unsubscribe
+   */
+  const subscribeToViewports = (canvasId, currentUserId) => {
+    return onValue(getViewportRef(canvasId), (snapshot) => {
+      const data = snapshot.val() || {}
+      viewports.clear()
+      Object.entries(data).forEach(([userId, viewport]) => {
+        if (userId !== currentUserId) viewports.set(userId, viewport)
+      })
+      viewportsVersion.value++
+    }, (error) => {
+      console.error('[Viewport] Error in viewport subscription (RTDB):', error)
+      rtdbMonitoring.recordError('viewport-subscribe', error)
+    })
+  }
+
+  /**
+   * Listen to the room's spotlight
+   *
+   * @returns {Function} Unsubscribe
+   */
+  const subscribeToSpotlight = (canvasId) => {
+    return onValue(getSpotlightRef(canvasId), (snapshot) => {
+      spotlight.value = snapshot.val()
+    }, (error) => {
+      console.error('[Viewport] Error in spotlight subscription (RTDB):', error)
+      rtdbMonitoring.recordError('spotlight-subscribe', error)
+      spotlight.value = null
+    })
+  }
+
+  /**
+   * Spotlight the current user (room owner only); it ends if they disconnect
+   */
+  const startSpotlight = async (canvasId, userId, userName) => {
+    const spotlightRef = getSpotlightRef(canvasId)
+    await set(spotlightRef, { userId, userName, startedAt: rtdbServerTimestamp() })
+    spotlightDisconnectHandler = onDisconnect(spotlightRef)
+    await spotlightDisconnectHandler.remove()
+  }
+
+  const stopSpotlight = async (canvasId) => {
+    await remove(getSpotlightRef(canvasId))
+    if (spotlightDisconnectHandler) {
+      spotlightDisconnectHandler.cancel().catch(() => {})
+      spotlightDisconnectHandler = null
+    }
+  }
+
+  /**
+   * Stop publishing and remove the current user's viewport
+   */
+  const clearViewport = async (canvasId, userId) => {
+    clearTimeout(pendingTimeout)
+    pendingTimeout = null
+    lastSent = null
+    lastSentAt = 0
+    if (disconnectHandler) {
+      disconnectHandler.cancel().catch(() => {})
+      disconnectHandler = null
+    }
+    viewports.clear()
+    viewportsVersion.value++
+    if (!canvasId || !userId) return
+    try {
+      await remove(getViewportRef(canvasId, userId))
+    } catch (error) {
+      console.warn('[Viewport] Error removing viewport (RTDB):', error)
+    }
+  }
+
+  return {
+    viewports,
+    viewportsVersion,
+    spotlight,
+    publishViewport,
+    subscribeToViewports,
+    subscribeToSpotlight,
+    startSpotlight,
+    stopSpotlight,
+    clearViewport
+  }
+}
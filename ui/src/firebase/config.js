@@ -3,6 +3,7 @@ import { initializeApp } from 'firebase/app'
 import { getAuth } from 'firebase/auth'
 import { getFirestore } from 'firebase/firestore'
 import { getDatabase } from 'firebase/database'
+import { getStorage, connectStorageEmulator } from 'firebase/storage'
 
 // Your web app's Firebase configuration
 const firebaseConfig = {
@@ -27,4 +28,13 @@ export const db = getFirestore(app)
 // Initialize Realtime Database and get a reference to the service
 export const realtimeDB = getDatabase(app)
 
+// Initialize Cloud Storage (image shapes); set VITE_STORAGE_EMULATOR_HOST=localhost:9199 to use the emulator
+export const storage = getStorage(app)
+
+const storageEmulatorHost = import.meta.env.VITE_STORAGE_EMULATOR_HOST
+if (storageEmulatorHost) {
+  const [host, port] = storageEmulatorHost.split(':')
+  connectStorageEmulator(storage, host, parseInt(port) || 9199)
+}
+
 export default app
\ No newline at end of file
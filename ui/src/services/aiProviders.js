@@ -0,0 +1,110 @@
+/**
+ * LLM Provider Layer
+ *
+ * Every provider exposes the same call:
+ *   provider.complete({ system, user, input, temperature, maxTokens })
+ *     -> Promise<string> (the reply, expected to be JSON)
+ *
+ * - openai: api.openai.com through the OpenAI SDK
+ * - openai-compatible: any server implementing /chat/completions
+ *   (vLLM, Ollama, LM Studio, ...) at VITE_AI_BASE_URL
+ * - stub: utils/ruleBasedParser.js run on the raw input, for offline
+ *   development and the ai-* Playwright suites
+ *
+ * The Cloud Function has the same layer in functions/ai/providers.js.
+ * VITE_AI_PROVIDER=cloud (the default) skips this layer: aiService sends
+ * commands to the parseAICommand function, whose provider, quotas and audit
+ * log apply. openai and openai-compatible call the model straight from the
+ * browser, so only development builds honour them.
+ */
+
+import OpenAI from 'openai'
+import { parseWithRules } from '../utils/ruleBasedParser'
+
+export const AI_PROVIDERS = ['openai', 'openai-compatible', 'stub']
+
+// Providers that bypass the quotas and audit log of parseAICommand
+export const BROWSER_PROVIDERS = ['openai', 'openai-compatible']
+
+/**
+ * Read the provider settings from Vite env variables
+ *
+ * Production builds fall back to cloud when a browser provider is asked for.
+ * @param {Object} env - Defaults to import.meta.env
+ * @returns {{ provider: string, apiKey?: string, baseUrl?: string, model?: string }}
+ */
+export const getProviderConfig = (env = import.meta.env) => {
+  const provider = env.VITE_AI_PROVIDER || 'cloud'
+  if (BROWSER_PROVIDERS.includes(provider) && !env.DEV) {
+    console.warn(`[AI] VITE_AI_PROVIDER=${provider} is for development builds only; using the parseAICommand function`)
+    return { provider: 'cloud' }
+  }
+  return {
+    provider,
+    apiKey: env.VITE_AI_API_KEY || env.VITE_OPENAI_API_KEY,
+    baseUrl: env.VITE_AI_BASE_URL,
+    model: env.VITE_AI_MODEL
+  }
+}
+
+/**
+ * Provider for an OpenAI-style chat completions endpoint
+ */
+const createChatProvider = ({ name, apiKey, baseUrl, model, jsonMode }) => {
+  const client = new OpenAI({
+    // The SDK insists on a key; self-hosted servers usually ignore it
+    apiKey: apiKey || 'not-needed',
+    baseURL: baseUrl,
+    dangerouslyAllowBrowser: true // Required for client-side usage
+  })
+
+  return {
+    name,
+    complete: async ({ system, user, temperature, maxTokens }) => {
+      const response = await client.chat.completions.create({
+        model,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: user }
+        ],
+        temperature,
+        max_tokens: maxTokens,
+        // Not every compatible server implements JSON mode
+        ...(jsonMode ? { response_format: { type: 'json_object' } } : {})
+      })
+      return response.choices[0]?.message?.content
+    }
+  }
+}
+
+/**
+ * Provider that answers with fixed rules instead of a model
+ */
+const createStubProvider = (rules = parseWithRules) => ({
+  name: 'stub',
+  complete: async ({ input }) => JSON.stringify(rules(input))
+})
+
+/**
+ * Create the configured provider
+ *
+ * @param {Object} config - From getProviderConfig()
+ * @param {Function} [config.rules] - Rules for the stub (default parseWithRules)
+ * @returns {Object} Provider with name and complete()
+ */
+export const createProvider = ({ provider, apiKey, baseUrl, model, rules }) => {
+  switch (provider) {
+    case 'openai':
+      if (!apiKey) throw new Error('OpenAI API key is not configured')
+      return createChatProvider({ name: 'openai', apiKey, model: model || 'gpt-3.5-turbo', jsonMode: true })
+    case 'openai-compatible':
+      if (!baseUrl || !model) {
+        throw new Error('VITE_AI_BASE_URL and VITE_AI_MODEL are required for the openai-compatible provider')
+      }
+      return createChatProvider({ name: 'openai-compatible', apiKey, baseUrl, model, jsonMode: false })
+    case 'stub':
+      return createStubProvider(rules)
+    default:
+      throw new Error(`Unknown AI provider "${provider}" (use ${AI_PROVIDERS.join(', ')})`)
+  }
+}
@@ -1,37 +1,44 @@
 /**
- * AI Service - OpenAI Integration
+ * AI Service - LLM Integration
  * 
- * Handles direct communication with OpenAI API for natural language command parsing.
- * Uses gpt-3.5-turbo for speed and cost efficiency.
+ * Handles natural language command parsing through the configured LLM
+ * provider (see aiProviders.js). Defaults to OpenAI gpt-3.5-turbo for speed
+ * and cost efficiency.
  * 
  * PRD v6 Implementation
  */
 
-import OpenAI from 'openai'
+import { MAX_PLAN_STEPS } from '../utils/aiPlan'
+import { createProvider, getProviderConfig } from './aiProviders'
+import { formatShapesForPrompt } from '../utils/aiShapeContext'
+import { formatTemplatesForPrompt } from '../utils/aiTemplates'
+import { formatSessionForPrompt } from '../utils/aiSession'
+import { toQuotaError } from '../utils/aiUsage'
+import { getFunctions, httpsCallable } from 'firebase/functions'
+import app from '../firebase/config'
 
 /**
- * OpenAI Configuration
+ * Provider configuration (VITE_AI_PROVIDER, VITE_AI_BASE_URL, VITE_AI_MODEL, ...)
  */
-const OPENAI_CONFIG = {
-  apiKey: import.meta.env.VITE_OPENAI_API_KEY,
-  dangerouslyAllowBrowser: true // Required for client-side usage
-}
+const PROVIDER_CONFIG = getProviderConfig()
 
-const MODEL = import.meta.env.VITE_AI_MODEL || 'gpt-3.5-turbo'
 const TEMPERATURE = parseFloat(import.meta.env.VITE_AI_TEMPERATURE) || 0.1
 const MAX_TOKENS = parseInt(import.meta.env.VITE_AI_MAX_TOKENS) || 500
 const TIMEOUT = parseInt(import.meta.env.VITE_AI_TIMEOUT) || 5000
 
+// The Cloud Function may need a cold start before it calls its provider
+const CLOUD_TIMEOUT = Math.max(TIMEOUT, 15000)
+
 /**
  * System prompt for AI command parsing
  * Defines capabilities, intents, and response format
  */
 const SYSTEM_PROMPT = `You are an AI assistant for a collaborative canvas application. Your job is to parse natural language commands and convert them to structured JSON commands.
 
-The canvas supports these shape types: rectangle, circle, text (NOTE: lines are NOT supported)
+The canvas supports these shape types: rectangle, circle, polygon, star, arrow, path, text (NOTE: plain lines are NOT supported - use an arrow)
 
 Available command intents:
-- CREATE_SHAPE: Create a single shape (MUST include "type" or "shapeType" parameter: "rectangle", "circle", or "text" - lines NOT supported)
+- CREATE_SHAPE: Create a single shape (MUST include "type" or "shapeType" parameter: "rectangle", "circle", "polygon", "star", "arrow", "path" or "text" - lines NOT supported)
 - CREATE_MULTIPLE_SHAPES: Create multiple shapes (MUST include "type" or "shapeType" parameter)
 - CREATE_TEXT: Create text element (automatically sets type to "text")
 - MOVE_SHAPE: Move/position shapes (supports moving selected shapes to viewport center)
@@ -41,10 +48,16 @@ Available command intents:
 - CHANGE_LAYER: Modify z-index
 - CREATE_TEMPLATE: Create predefined components
 - DELETE_SHAPE: Remove shapes
-- QUERY_INFO: Answer questions about canvas
+- QUERY_INFO: Answer questions about the canvas without changing it ("queryType": "count", "selection", "bounds", "search" or "last-modified")
+- UTILITY: Change the view or history ("action": "zoom-in", "zoom-out", "center", "undo", "redo" or "clear-selection")
 
 Available templates: login_form, button, card
 
+Saved templates:
+- The context lists templates the user saved from their own shapes ("mine") or shared with the room ("room")
+- "insert my pricing card", "add the header template" → {"intent": "CREATE_TEMPLATE", "parameters": {"templateName": "<saved name>"}}
+- Use the saved name exactly as listed; they are placed centered in the viewport like the built-in templates
+
 When parsing commands:
 1. Identify the primary intent
 2. Extract all relevant parameters
@@ -61,6 +74,11 @@ Examples:
 - "create a rectangle 200x100" → {"intent": "CREATE_SHAPE", "parameters": {"type": "rectangle", "width": 200, "height": 100}}
 - "draw a 50px circle" → {"intent": "CREATE_SHAPE", "parameters": {"type": "circle", "radius": 50}}
 - "create a 300 by 150 rectangle" → {"intent": "CREATE_SHAPE", "parameters": {"type": "rectangle", "width": 300, "height": 150}}
+- "draw a hexagon" → {"intent": "CREATE_SHAPE", "parameters": {"type": "polygon", "sides": 6}}
+- "create a 7 pointed star with radius 80" → {"intent": "CREATE_SHAPE", "parameters": {"type": "star", "numPoints": 7, "radius": 80}}
+- "draw an arrow pointing down" → {"intent": "CREATE_SHAPE", "parameters": {"type": "arrow", "length": 150, "angle": 90}}
+- "draw a double-headed arrow 300px long" → {"intent": "CREATE_SHAPE", "parameters": {"type": "arrow", "length": 300, "arrowHeads": "both"}}
+- "draw a zigzag" → {"intent": "CREATE_SHAPE", "parameters": {"type": "path", "points": [0, 0, 40, 40, 80, 0, 120, 40]}}
 - "create 3 circles" → {"intent": "CREATE_MULTIPLE_SHAPES", "parameters": {"type": "circle", "count": 3}}
 - "create a 3x3 grid of squares" → {"intent": "CREATE_MULTIPLE_SHAPES", "parameters": {"type": "rectangle", "gridRows": 3, "gridCols": 3}}
 - "make a 5 by 5 grid of rectangles" → {"intent": "CREATE_MULTIPLE_SHAPES", "parameters": {"type": "rectangle", "gridRows": 5, "gridCols": 5}}
@@ -97,11 +115,15 @@ Pattern creation rules (shapes made of shapes):
 - "squares" → always use type "rectangle"
 
 IMPORTANT: If user requests to create a "line", return an error response explaining that lines are not supported.
-Only rectangles, circles, and text can be created.
+Only rectangles, circles, polygons, stars, arrows, freehand paths and text can be created. Suggest an arrow instead of a line.
 
 Size parameters:
 - For rectangles: "width" and "height" in pixels
 - For circles: "radius" in pixels
+- For polygons: "radius" (center to corner) and "sides" (3-12; triangle = 3, pentagon = 5, hexagon = 6, octagon = 8)
+- For stars: "radius" (outer), optional "innerRadius" and "numPoints" (3-20, default 5)
+- For arrows: "length" and "angle" in degrees (0 = right, 90 = down), or "points" relative to the start; "arrowHeads": "end" (default), "start", "both" or "none"
+- For freehand paths: "points" as a flat list [x1, y1, x2, y2, ...] relative to the position
 - Always extract numeric size values from user commands like "200x100", "50px", "300 by 150", etc.
 
 Response format:
@@ -112,6 +134,15 @@ Response format:
   "reasoning": "brief explanation"
 }
 
+Multi-step commands:
+- When a command asks for several things in order ("make a login form, then align it left and put a title above it"), return intent "MULTI_STEP" with an ordered "steps" list instead of "parameters"
+- Each step is {"intent": ..., "parameters": {...}} with an optional "ref" name; at most ${MAX_PLAN_STEPS} steps, run as one action
+- Refer to shapes from an earlier step with "$<ref>" or "$<step number>" (e.g. "$1") as "target", or a list as "targets"
+- A step without a target acts on the shapes of the step before it
+- Place new shapes next to earlier ones with "position": {"relativeTo": "$<ref>", "placement": "above" | "below" | "left" | "right", "gap": 20}
+- Only use MULTI_STEP when the command really has several parts
+- Example: "draw a circle and put a label below it" → {"intent": "MULTI_STEP", "steps": [{"ref": "dot", "intent": "CREATE_SHAPE", "parameters": {"type": "circle"}}, {"intent": "CREATE_TEXT", "parameters": {"text": "Label", "position": {"relativeTo": "$dot", "placement": "below"}}}], "confidence": 0.9}
+
 If you cannot parse the command with >70% confidence, return:
 {
   "intent": "UNKNOWN",
@@ -144,7 +175,7 @@ Size handling:
 Target resolution for ambiguous references:
 - "it" or "this" → last created shape OR first selected shape
 - "selected" → all currently selected shapes
-- "the circle" → most recently created circle
+- "the circle", "the title", "the big box" → find it in the visible shapes list and use its ID (see below)
 - No target specified for modifications → use selected shapes or last created
 - "move it to center" with selected shapes → move selected shapes to viewport center
 - "center the rectangle" with selected shapes → move selected shapes to viewport center
@@ -156,8 +187,37 @@ Selected shape awareness:
 - For size changes like "make it twice as big", use the current dimensions
 - For positioning like "move to 500,500", you know where it currently is
 - For color changes, you can reference the current color
-- IMPORTANT: DO NOT include shape IDs in your response parameters - the system handles targeting automatically
 - Always use "target": "selected" for operations on the selected shape
+
+Layouts (ARRANGE_SHAPES):
+- "arrange in a row/column/grid" → {"intent": "ARRANGE_SHAPES", "parameters": {"target": "selected", "arrangement": "horizontal" | "vertical" | "grid"}}
+- "align left", "distribute horizontally" → "alignment" (top, middle, bottom, left, center, right) or "distribution" (horizontal, vertical)
+- "tidy up", "fix the overlaps" → {"intent": "ARRANGE_SHAPES", "parameters": {"target": "selected", "layout": "tidy"}}
+- "lay out as a tree/flowchart" → {"intent": "ARRANGE_SHAPES", "parameters": {"target": "selected", "layout": "tree", "direction": "down"}} (use "direction": "right" for left-to-right flows); follows the connectors between the shapes
+- "arrange in a circle", "pack them together" → {"intent": "ARRANGE_SHAPES", "parameters": {"target": "selected", "layout": "circle"}}
+- "fit these on screen", "squeeze them into the left half" → {"intent": "ARRANGE_SHAPES", "parameters": {"target": "selected", "layout": "fit", "region": "viewport" | "left" | "right" | "top" | "bottom"}}; "region" may also be {"x", "y", "width", "height"} in canvas coordinates
+- Optional "spacing" sets the gap between shapes in pixels
+
+Questions (QUERY_INFO):
+- Questions never change the canvas; the app computes the answer from the shapes
+- "how many circles are there?" → {"intent": "QUERY_INFO", "parameters": {"queryType": "count", "shapeType": "circle"}}
+- "what's selected?" → {"intent": "QUERY_INFO", "parameters": {"queryType": "selection"}}
+- "where is the title?" / "what's the bounding box of these?" → {"intent": "QUERY_INFO", "parameters": {"queryType": "bounds", "targets": ["<id>"]}} (no targets = the selection)
+- "which shapes mention pricing?" → {"intent": "QUERY_INFO", "parameters": {"queryType": "search", "text": "pricing"}}
+- "who last edited this?" → {"intent": "QUERY_INFO", "parameters": {"queryType": "last-modified", "target": "selected"}}
+- Counts and searches cover the whole canvas; use "target": "selected" to ask about the selection only
+
+Conversation awareness:
+- The context lists the earlier commands of this conversation with their outcome and the IDs of the shapes each one created or changed
+- Follow-ups refer to them: after "create 5 circles", "now make them smaller" means those 5 circles → put their IDs in "targets"
+- "it", "them", "those" without a selection mean the shapes of the most recent turn; a new selection wins over the conversation
+- Failed turns created nothing; don't refer to their shapes
+
+Visible shape awareness:
+- The context lists the shapes in view (topmost first) with their ID, type, bounds (x,y widthxheight), fill and text
+- To act on shapes the user describes rather than selects, put their IDs in "targets" (e.g. "targets": ["abc123"]) - only IDs from that list, never invented ones
+- Use the bounds to compute positions relative to other shapes: "move the big circle next to the title" → MOVE_SHAPE with the circle's ID in "targets" and a "position" just right of the title's bounds
+- Locked shapes can't be changed; don't target them
 - Examples:
   * Current: rectangle at (100, 200), 50x50 → "move right 100" → new position (200, 200)
   * Current: circle with radius 30 → "double the size" → sizeMultiplier: 2.0, target: "selected"
@@ -177,7 +237,10 @@ const buildUserPrompt = (commandText, context) => {
     selectedShapeIds = [],
     selectedShape = null,
     lastCreatedShape, 
-    totalShapes = 0 
+    totalShapes = 0,
+    visibleShapes,
+    customTemplates,
+    session
   } = context
 
   const boundsStr = viewportBounds 
@@ -191,10 +254,16 @@ const buildUserPrompt = (commandText, context) => {
     shapeDetails.push(`Type: ${selectedShape.type}`)
     shapeDetails.push(`Position: (${Math.round(selectedShape.x)}, ${Math.round(selectedShape.y)})`)
     
-    if (selectedShape.type === 'rectangle') {
+    if (selectedShape.type === 'rectangle' || selectedShape.type === 'image') {
       shapeDetails.push(`Size: ${selectedShape.width}x${selectedShape.height}`)
     } else if (selectedShape.type === 'circle') {
       shapeDetails.push(`Radius: ${selectedShape.radius}`)
+    } else if (selectedShape.type === 'polygon') {
+      shapeDetails.push(`Sides: ${selectedShape.sides}, radius: ${selectedShape.radius}`)
+    } else if (selectedShape.type === 'star') {
+      shapeDetails.push(`Points: ${selectedShape.numPoints}, radius: ${selectedShape.outerRadius}/${selectedShape.innerRadius}`)
+    } else if (selectedShape.type === 'arrow' || selectedShape.type === 'path') {
+      shapeDetails.push(`Points: ${(selectedShape.points || []).length / 2}`)
     } else if (selectedShape.type === 'text') {
       shapeDetails.push(`Text: "${selectedShape.text}"`)
       if (selectedShape.fontSize) shapeDetails.push(`Font size: ${selectedShape.fontSize}`)
@@ -220,6 +289,11 @@ Current Context:
 - Last created shape: ${lastCreatedShape ? `${lastCreatedShape.type} (ID: ${lastCreatedShape.id})` : 'none'}
 - Total shapes on canvas: ${totalShapes}
 - Canvas dimensions: 3000x3000 (bounded area)
+- Visible shapes:
+${formatShapesForPrompt(visibleShapes)}
+- Saved templates: ${formatTemplatesForPrompt(customTemplates)}
+- Conversation so far (oldest first):
+${formatSessionForPrompt(session)}
 
 Parse this command and return structured JSON.`
 }
@@ -228,7 +302,7 @@ Parse this command and return structured JSON.`
  * Error message mapping for user-friendly display
  */
 const ERROR_MESSAGES = {
-  NO_API_KEY: 'AI service not configured. Please add VITE_OPENAI_API_KEY to environment variables.',
+  NO_API_KEY: 'AI service not configured. Please add VITE_OPENAI_API_KEY to environment variables, or set VITE_AI_PROVIDER=cloud or stub.',
   TIMEOUT: 'AI request timed out. Please try again.',
   RATE_LIMIT: 'Too many requests. Please wait a moment and try again.',
   NETWORK: 'Network error. Please check your connection.',
@@ -240,18 +314,93 @@ const ERROR_MESSAGES = {
   API_ERROR: 'AI service error. Please try again.',
 }
 
+/**
+ * Error for a command the model understood but declined (UNKNOWN intent or
+ * low confidence), as opposed to the provider failing
+ */
+const rejection = (message) => Object.assign(new Error(message), { rejected: true })
+
+// parseAICommand refusals whose message tells the user why
+const SERVER_REFUSAL_CODES = ['functions/resource-exhausted', 'functions/permission-denied', 'functions/failed-precondition']
+
+/**
+ * Validate and trim a command before it is sent anywhere
+ */
+const checkCommandText = (commandText) => {
+  if (!commandText || typeof commandText !== 'string') {
+    throw new Error(ERROR_MESSAGES.INVALID_INPUT)
+  }
+
+  const trimmed = commandText.trim()
+
+  if (trimmed.length === 0) {
+    throw new Error(ERROR_MESSAGES.INVALID_INPUT)
+  }
+
+  if (trimmed.length > 500) {
+    throw new Error(ERROR_MESSAGES.TOO_LONG)
+  }
+
+  return trimmed
+}
+
 /**
  * AI Service Class
  */
 class AIService {
   constructor() {
-    this.openai = null
+    this.provider = null
     this.initialized = false
     this.initPromise = null
   }
 
   /**
-   * Initialize OpenAI client (lazy initialization)
+   * Whether commands go through the parseAICommand Cloud Function
+   * (VITE_AI_PROVIDER=cloud), which holds the key and enforces the per-user
+   * and per-room quotas, instead of calling a provider from the browser
+   */
+  get usesCloudFunction() {
+    return PROVIDER_CONFIG.provider === 'cloud'
+  }
+
+  /**
+   * Parse a command with the parseAICommand Cloud Function
+   *
+   * The function answers with a canonical command for the executor (no
+   * intent mapping needed) and logs the request to the room's audit log.
+   *
+   * @param {string} commandText - Natural language command from user
+   * @param {Object} contextData - Canvas context (viewport, selection, etc.)
+   * @param {string} canvasId - Room whose quota the request counts against
+   * @returns {Promise<Object>} Canonical command
+   */
+  async parseWithCloudFunction(commandText, contextData = {}, canvasId) {
+    const trimmed = checkCommandText(commandText)
+    const parseAICommand = httpsCallable(getFunctions(app), 'parseAICommand', { timeout: CLOUD_TIMEOUT })
+
+    try {
+      const { data } = await parseAICommand({ userInput: trimmed, canvasId, canvasContext: contextData })
+      console.log('✅ Command parsed by the Cloud Function:', data.command)
+      return data.command
+    } catch (error) {
+      console.error('❌ Cloud Function parsing failed:', error)
+
+      // Over quota: final, with the details the panel shows
+      const quotaError = toQuotaError(error)
+      if (quotaError) throw quotaError
+
+      // The server's own refusals (no access, colors, too many steps) are final too
+      const { code, details } = error
+      if (['functions/invalid-argument', 'functions/permission-denied', 'functions/not-found'].includes(code)) {
+        throw Object.assign(rejection(error.message), { code, details })
+      }
+
+      throw Object.assign(new Error(error.message || ERROR_MESSAGES.API_ERROR), { code, details })
+    }
+  }
+
+  /**
+   * Initialize the LLM provider (lazy initialization)
    */
   async initialize() {
     if (this.initialized) {
@@ -264,15 +413,17 @@ class AIService {
 
     this.initPromise = (async () => {
       try {
-        if (!OPENAI_CONFIG.apiKey) {
+        if (PROVIDER_CONFIG.provider === 'openai' && !PROVIDER_CONFIG.apiKey) {
           throw new Error(ERROR_MESSAGES.NO_API_KEY)
         }
 
-        this.openai = new OpenAI(OPENAI_CONFIG)
+        this.provider = createProvider(PROVIDER_CONFIG)
         this.initialized = true
-        console.log('✅ OpenAI client initialized')
+        console.log(`✅ AI provider initialized: ${this.provider.name}`)
       } catch (error) {
-        console.error('❌ Failed to initialize OpenAI client:', error)
+        console.error('❌ Failed to initialize AI provider:', error)
+        // Allow a later retry instead of caching the failure
+        this.initPromise = null
         throw error
       }
     })()
@@ -288,22 +439,9 @@ class AIService {
    * @returns {Promise<Object>} Parsed command with intent and parameters
    */
   async parseNaturalLanguageCommand(commandText, contextData = {}) {
-    // Validate input
-    if (!commandText || typeof commandText !== 'string') {
-      throw new Error(ERROR_MESSAGES.INVALID_INPUT)
-    }
-
-    const trimmed = commandText.trim()
-    
-    if (trimmed.length === 0) {
-      throw new Error(ERROR_MESSAGES.INVALID_INPUT)
-    }
-
-    if (trimmed.length > 500) {
-      throw new Error(ERROR_MESSAGES.TOO_LONG)
-    }
+    const trimmed = checkCommandText(commandText)
 
-    // Initialize OpenAI client if needed
+    // Initialize the provider if needed
     await this.initialize()
 
     const startTime = Date.now()
@@ -313,57 +451,53 @@ class AIService {
       const systemPrompt = SYSTEM_PROMPT
       const userPrompt = buildUserPrompt(trimmed, contextData)
 
-      console.log('🤖 Sending command to OpenAI:', trimmed)
+      console.log(`🤖 Sending command to ${this.provider.name}:`, trimmed)
 
       // Create timeout promise
       const timeoutPromise = new Promise((_, reject) => {
         setTimeout(() => reject(new Error(ERROR_MESSAGES.TIMEOUT)), TIMEOUT)
       })
 
-      // Call OpenAI API
-      const apiPromise = this.openai.chat.completions.create({
-        model: MODEL,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
+      // Call the provider (the stub only looks at the raw input)
+      const apiPromise = this.provider.complete({
+        system: systemPrompt,
+        user: userPrompt,
+        input: trimmed,
         temperature: TEMPERATURE,
-        max_tokens: MAX_TOKENS,
-        response_format: { type: 'json_object' }
+        maxTokens: MAX_TOKENS
       })
 
       // Race between API call and timeout
-      const response = await Promise.race([apiPromise, timeoutPromise])
+      const content = await Promise.race([apiPromise, timeoutPromise])
 
       const duration = Date.now() - startTime
-      console.log(`✅ OpenAI response received in ${duration}ms`)
+      console.log(`✅ AI response received in ${duration}ms`)
 
-      // Parse response
-      const content = response.choices[0]?.message?.content
       if (!content) {
         throw new Error(ERROR_MESSAGES.PARSE_ERROR)
       }
 
       let parsed
       try {
-        parsed = JSON.parse(content)
+        // Models without JSON mode sometimes wrap the reply in a code block
+        parsed = JSON.parse(content.replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, ''))
       } catch (e) {
-        console.error('Failed to parse OpenAI response:', content)
+        console.error('Failed to parse AI response:', content)
         throw new Error(ERROR_MESSAGES.PARSE_ERROR)
       }
 
       // Check confidence threshold
       if (parsed.confidence < 0.7) {
-        throw new Error(parsed.reasoning || ERROR_MESSAGES.LOW_CONFIDENCE)
+        throw rejection(parsed.reasoning || ERROR_MESSAGES.LOW_CONFIDENCE)
       }
 
       // Check for UNKNOWN intent
       if (parsed.intent === 'UNKNOWN') {
-        throw new Error(parsed.reasoning || ERROR_MESSAGES.UNKNOWN_INTENT)
+        throw rejection(parsed.reasoning || ERROR_MESSAGES.UNKNOWN_INTENT)
       }
 
-      // Validate structure
-      if (!parsed.intent || !parsed.parameters) {
+      // Validate structure (multi-step plans carry their parameters per step)
+      if (!parsed.intent || (!parsed.parameters && !Array.isArray(parsed.steps))) {
         throw new Error(ERROR_MESSAGES.PARSE_ERROR)
       }
 
@@ -375,7 +509,7 @@ class AIService {
       const duration = Date.now() - startTime
       console.error(`❌ AI parsing failed after ${duration}ms:`, error)
 
-      // Handle specific OpenAI errors
+      // Handle specific provider errors
       if (error.code === 'insufficient_quota' || error.status === 429) {
         throw new Error(ERROR_MESSAGES.RATE_LIMIT)
       }
@@ -388,8 +522,8 @@ class AIService {
         throw new Error(ERROR_MESSAGES.NETWORK)
       }
 
-      // Re-throw formatted errors
-      if (error.message && Object.values(ERROR_MESSAGES).includes(error.message)) {
+      // Re-throw formatted errors and the model's own refusals
+      if (error.rejected || (error.message && Object.values(ERROR_MESSAGES).includes(error.message))) {
         throw error
       }
 
@@ -420,9 +554,17 @@ class AIService {
       'CHANGE_LAYER',
       'CREATE_TEMPLATE',
       'DELETE_SHAPE',
-      'QUERY_INFO'
+      'QUERY_INFO',
+      'UTILITY'
     ]
 
+    if (command.intent === 'MULTI_STEP') {
+      return Array.isArray(command.steps) &&
+        command.steps.length > 0 &&
+        command.steps.length <= MAX_PLAN_STEPS &&
+        command.steps.every(step => step?.intent !== 'MULTI_STEP' && this.validateCommand(step))
+    }
+
     if (!validIntents.includes(command.intent)) {
       return false
     }
@@ -441,6 +583,13 @@ class AIService {
    * @returns {string} User-friendly error message
    */
   getErrorMessage(error) {
+    // Quotas and refusals already say why, e.g. "Be more goth!"
+    if (error.quota || error.rejected) {
+      return error.message
+    }
+    if (SERVER_REFUSAL_CODES.includes(error.code)) {
+      return error.message || (typeof error.details === 'string' && error.details) || ERROR_MESSAGES.API_ERROR
+    }
     if (error.message && Object.values(ERROR_MESSAGES).includes(error.message)) {
       return error.message
     }
@@ -5,24 +5,30 @@
  * These types ensure consistency between AI parsing and command execution.
  */
 
-// Command categories: 'creation', 'manipulation', 'layout', 'complex', 'selection', 'deletion', 'style', 'utility'
-// Shape types: 'rectangle', 'circle', 'line', 'text'
+// Command categories: 'creation', 'manipulation', 'layout', 'complex', 'selection', 'deletion', 'style', 'utility', 'query'
+// Shape types: 'rectangle', 'circle', 'line', 'text', 'polygon', 'star', 'arrow', 'path'
 // Arrangement types: 'horizontal', 'vertical', 'grid'
 // Alignment types: 'top', 'middle', 'bottom', 'left', 'center', 'right'
 // Distribution types: 'horizontal', 'vertical'
+// Layout operations (see utils/layoutEngine.js): 'tidy', 'tree', 'circle', 'fit'
 // Selection criteria: 'all', 'type', 'color', 'region'
 // Deletion targets: 'selected', 'all', 'type', 'region'
 // Utility actions: 'zoom-in', 'zoom-out', 'center', 'undo', 'redo', 'clear-selection'
+// Query types (read-only answers, see utils/aiQuery.js): 'count', 'selection', 'bounds', 'search', 'last-modified'
 // Template names: 'loginForm', 'trafficLight', 'navigationBar', 'signupForm', 'dashboard'
+// Targets: 'target' / 'targets' may hold shape IDs from the visible shapes context (see utils/aiShapeContext.js)
+// Multi-step plans: { category: 'plan', action, steps: [command + optional ref] } (see utils/aiPlan.js)
 
 // Export type documentation for reference
-export const COMMAND_CATEGORIES = ['creation', 'manipulation', 'layout', 'complex', 'selection', 'deletion', 'style', 'utility']
-export const SHAPE_TYPES = ['rectangle', 'circle', 'line', 'text']
+export const COMMAND_CATEGORIES = ['creation', 'manipulation', 'layout', 'complex', 'selection', 'deletion', 'style', 'utility', 'query']
+export const SHAPE_TYPES = ['rectangle', 'circle', 'line', 'text', 'polygon', 'star', 'arrow', 'path']
 export const ARRANGEMENT_TYPES = ['horizontal', 'vertical', 'grid']
 export const ALIGNMENT_TYPES = ['top', 'middle', 'bottom', 'left', 'center', 'right']
 export const DISTRIBUTION_TYPES = ['horizontal', 'vertical']
+export const LAYOUT_OPERATIONS = ['tidy', 'tree', 'circle', 'fit']
 export const SELECTION_CRITERIA = ['all', 'type', 'color', 'region']
 export const DELETION_TARGETS = ['selected', 'all', 'type', 'region']
 export const UTILITY_ACTIONS = ['zoom-in', 'zoom-out', 'center', 'undo', 'redo', 'clear-selection']
+export const QUERY_TYPES = ['count', 'selection', 'bounds', 'search', 'last-modified']
 export const TEMPLATE_NAMES = ['loginForm', 'trafficLight', 'navigationBar', 'signupForm', 'dashboard']
 
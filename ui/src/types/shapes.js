@@ -1,9 +1,9 @@
 // Shape type definitions and utilities
-// Types: 'rectangle' | 'circle' | 'line' | 'text'
+// Types: 'rectangle' | 'circle' | 'line' | 'text' | 'polygon' | 'star' | 'arrow' | 'path' | 'connector' | 'image'
 
 // Generate a unique ID for shapes
 export const generateId = (type = 'rectangle') => {
-  const prefix = type.substring(0, 4) // rect, circ, line, text
+  const prefix = type.substring(0, 4) // rect, circ, line, text, poly, star, arro, path, conn, imag
   return `${prefix}_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`
 }
 
@@ -53,6 +53,53 @@ export const DEFAULT_SHAPE_PROPERTIES = {
     fontStyle: 'normal',
     align: 'left'
     // width is optional, omit from defaults
+  },
+  // Regular polygon, centered on x,y
+  polygon: {
+    sides: 6,
+    radius: 50,
+    fill: '#ffffff' // White
+  },
+  // Star, centered on x,y
+  star: {
+    numPoints: 5,
+    innerRadius: 25,
+    outerRadius: 50,
+    fill: '#ffffff' // White
+  },
+  // Arrow: points relative to x,y; heads at either or both ends
+  arrow: {
+    stroke: '#ffffff', // White
+    strokeWidth: 2,
+    pointerAtStart: false,
+    pointerAtEnd: true,
+    pointerLength: 10,
+    pointerWidth: 10
+  },
+  // Freehand pen stroke: points relative to x,y
+  path: {
+    stroke: '#ffffff', // White
+    strokeWidth: 3,
+    tension: 0.5
+  },
+  // Connector: an arrow whose ends can be bound to shape anchors (see utils/connectors.js)
+  connector: {
+    stroke: '#ffffff', // White
+    strokeWidth: 2,
+    routing: 'straight',
+    pointerAtStart: false,
+    pointerAtEnd: true,
+    pointerLength: 10,
+    pointerWidth: 10,
+    fromShapeId: null,
+    fromAnchor: null,
+    toShapeId: null,
+    toAnchor: null
+  },
+  // Uploaded image: top-left x,y like rectangles, always rendered in grayscale
+  image: {
+    width: 200,
+    height: 150
   }
 }
 
@@ -0,0 +1,116 @@
+/**
+ * AI plan helpers
+ *
+ * A plan is an ordered list of AI commands executed as one batch:
+ *   { category: 'plan', action, steps: [{ category, action, parameters, ref? }] }
+ *
+ * Later steps refer to the shapes of earlier ones with "$name" (a step's ref)
+ * or "$2" (1-based step number) in parameters.target / parameters.targets, and
+ * place new shapes next to them with
+ *   parameters.position = { relativeTo: '$name', placement: 'above', gap: 20 }
+ */
+
+import { getShapesBounds } from './canvasExport'
+
+export const MAX_PLAN_STEPS = 10
+export const PLAN_PLACEMENTS = ['above', 'below', 'left', 'right']
+const DEFAULT_PLACEMENT_GAP = 20
+
+export const isPlanCommand = (command) => Array.isArray(command?.steps)
+
+/**
+ * Validated steps of a plan command
+ * @throws {Error} When the plan is empty, too long or has malformed steps
+ */
+export const getPlanSteps = (command) => {
+  const { steps } = command
+  if (steps.length === 0) {
+    throw new Error('The AI returned an empty plan')
+  }
+  if (steps.length > MAX_PLAN_STEPS) {
+    throw new Error(`Commands are limited to ${MAX_PLAN_STEPS} steps`)
+  }
+  steps.forEach((step, index) => {
+    if (!step || typeof step !== 'object' || !step.category || isPlanCommand(step)) {
+      throw new Error(`Step ${index + 1} of the plan is invalid`)
+    }
+  })
+  return steps
+}
+
+/**
+ * Reference name from a "$name" value, or null for anything else
+ */
+export const parseStepReference = (value) => {
+  if (typeof value !== 'string' || value.length < 2 || !value.startsWith('$')) return null
+  return value.slice(1)
+}
+
+/**
+ * Shape IDs recorded for a "$name" / "$n" reference (null when value isn't a reference)
+ * @throws {Error} For references to steps that haven't run
+ */
+export const resolveStepReference = (value, refs) => {
+  const name = parseStepReference(value)
+  if (name === null) return null
+  if (!refs.has(name)) {
+    throw new Error(`"${value}" doesn't refer to an earlier step`)
+  }
+  return refs.get(name)
+}
+
+/**
+ * Shape IDs a step targets through target/targets references, or null when it names none
+ */
+export const resolveStepTargets = (parameters = {}, refs) => {
+  const values = [parameters.target, ...(Array.isArray(parameters.targets) ? parameters.targets : [])]
+  let ids = null
+  for (const value of values) {
+    const resolved = resolveStepReference(value, refs)
+    if (resolved) ids = [...new Set([...(ids || []), ...resolved])]
+  }
+  return ids
+}
+
+/**
+ * Shape IDs a step result is about: created, updated or selected shapes
+ */
+export const getResultShapeIds = (result) => {
+  if (!result) return []
+  if (result.createdShapes) return result.createdShapes.filter(Boolean).map(shape => shape.id)
+  return result.updatedIds || result.selectedIds || []
+}
+
+/**
+ * Offset that moves a group of shapes next to an anchor group
+ *
+ * The moved group is centered on the anchor along the other axis.
+ *
+ * @param {Object[]} anchorShapes - Shapes to place next to
+ * @param {Object[]} shapes - Shapes being placed
+ * @param {string} placement - 'above' | 'below' | 'left' | 'right'
+ * @param {number} [gap] - Space between the two groups
+ * @returns {{ x: number, y: number }} Offset to add to every placed shape
+ */
+export const getPlacementOffset = (anchorShapes, shapes, placement, gap = DEFAULT_PLACEMENT_GAP) => {
+  if (!PLAN_PLACEMENTS.includes(placement)) {
+    throw new Error(`Unknown placement "${placement}" (use ${PLAN_PLACEMENTS.join(', ')})`)
+  }
+  const anchor = getShapesBounds(anchorShapes)
+  const bounds = getShapesBounds(shapes)
+  if (!anchor || !bounds) return { x: 0, y: 0 }
+
+  const centerX = anchor.x + anchor.width / 2 - (bounds.x + bounds.width / 2)
+  const centerY = anchor.y + anchor.height / 2 - (bounds.y + bounds.height / 2)
+
+  switch (placement) {
+    case 'above':
+      return { x: centerX, y: anchor.y - gap - (bounds.y + bounds.height) }
+    case 'below':
+      return { x: centerX, y: anchor.y + anchor.height + gap - bounds.y }
+    case 'left':
+      return { x: anchor.x - gap - (bounds.x + bounds.width), y: centerY }
+    case 'right':
+      return { x: anchor.x + anchor.width + gap - bounds.x, y: centerY }
+  }
+}
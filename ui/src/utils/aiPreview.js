@@ -0,0 +1,142 @@
+/**
+ * AI preview helpers
+ *
+ * A preview store stands in for useShapes() when an AI command is dry-run:
+ * it offers the same calls the command executor uses (createShape,
+ * updateShape, deleteShapes, getAllShapes, shapes) but only changes a
+ * private copy of the shapes. Diffing that copy against the real shapes
+ * gives the ghost layer to draw, or the changes to commit in one batch
+ * when the command is applied (see useShapes.commitShapeChanges).
+ */
+
+import { DEFAULT_SHAPE_PROPERTIES, getMaxZIndex } from '../types/shapes'
+import { validateGrayscaleColor } from './colorValidation'
+import { isEditBlockedByLock, partitionLockedIds, withoutLock } from './shapeLocks'
+import { isConnector, affectsRoute, routeConnector } from './connectors'
+
+// Style commands touching at least this many shapes count as bulk edits
+export const BULK_STYLE_THRESHOLD = 2
+
+// Ghost shape IDs never collide with real ones
+export const PREVIEW_ID_PREFIX = 'preview_'
+
+/**
+ * Create a dry-run store over a snapshot of the canvas shapes
+ *
+ * @param {Map<string, Object>} sourceShapes - Current shapes (left untouched)
+ * @param {Object} [options]
+ * @param {Function} [options.createId] - ID for a new shape of a type; ghost IDs
+ *   by default, real ones when the changes are going to be committed
+ * @returns {Object} useShapes-like store plus getPreview()
+ */
+export const createPreviewStore = (sourceShapes, { createId = null } = {}) => {
+  const shapes = new Map()
+  sourceShapes.forEach((shape, id) => shapes.set(id, { ...shape }))
+  let nextId = 1
+
+  const createShape = async (type = 'rectangle', properties = {}) => {
+    if (!DEFAULT_SHAPE_PROPERTIES[type]) {
+      throw new Error(`Unknown shape type: ${type}`)
+    }
+    if (type === 'image' && !properties.src) {
+      throw new Error('Image shapes need a src')
+    }
+    const shape = {
+      id: createId ? createId(type) : `${PREVIEW_ID_PREFIX}${nextId++}`,
+      type,
+      x: 0,
+      y: 0,
+      rotation: 0,
+      ...DEFAULT_SHAPE_PROPERTIES[type],
+      ...withoutLock(properties),
+      zIndex: getMaxZIndex(shapes) + 1
+    }
+    if (shape.fill) shape.fill = validateGrayscaleColor(shape.fill)
+    if (shape.stroke) shape.stroke = validateGrayscaleColor(shape.stroke)
+    if (type === 'connector') Object.assign(shape, routeConnector(shape, shapes))
+    shapes.set(shape.id, shape)
+    return shape
+  }
+
+  const updateShape = async (id, updates) => {
+    const shape = shapes.get(id)
+    if (!shape || isEditBlockedByLock(shape, updates)) return null
+    const updated = { ...shape, ...updates }
+    if (updated.fill) updated.fill = validateGrayscaleColor(updated.fill)
+    if (updated.stroke) updated.stroke = validateGrayscaleColor(updated.stroke)
+    if (isConnector(updated) && affectsRoute(updates)) Object.assign(updated, routeConnector(updated, shapes))
+    shapes.set(id, updated)
+    return updated
+  }
+
+  const deleteShapes = async (shapeIds) => {
+    const { allowed, locked } = partitionLockedIds(shapeIds, shapes)
+    const deletedIds = allowed.filter(id => shapes.delete(id))
+    return { deletedIds, lockedIds: locked }
+  }
+
+  /**
+   * What the dry run changed, relative to the source shapes
+   * @returns {{ created: Object[], updated: Object[], deleted: Object[] }} Shapes as they would end up
+   */
+  const getPreview = () => {
+    const created = []
+    const updated = []
+    shapes.forEach((shape, id) => {
+      const original = sourceShapes.get(id)
+      if (!original) {
+        created.push(shape)
+      } else if (Object.keys(shape).some(key => JSON.stringify(shape[key]) !== JSON.stringify(original[key]))) {
+        updated.push(shape)
+      }
+    })
+    const deleted = []
+    sourceShapes.forEach((shape, id) => {
+      if (!shapes.has(id)) deleted.push(shape)
+    })
+    return { created, updated, deleted }
+  }
+
+  return {
+    shapes,
+    createShape,
+    updateShape,
+    deleteShapes,
+    getAllShapes: () => Array.from(shapes.values()),
+    getPreview
+  }
+}
+
+/**
+ * Whether a command must be previewed before it is applied
+ *
+ * Deletions always are; style changes are once they touch several shapes.
+ *
+ * @param {Object} command - Parsed command or plan ({ steps })
+ * @param {Object} result - Dry-run result from the executor
+ * @returns {boolean}
+ */
+export const requiresPreview = (command, result) => {
+  if (Array.isArray(command?.steps)) {
+    return command.steps.some((step, index) => requiresPreview(step, result?.steps?.[index]))
+  }
+  if (command?.category === 'deletion') return true
+  if (command?.category === 'style') {
+    return (result?.updatedIds?.length || 0) >= BULK_STYLE_THRESHOLD
+  }
+  return false
+}
+
+/**
+ * One-line summary of a preview, e.g. "Creates 3 shapes, deletes 1 shape"
+ */
+export const describePreview = ({ created = [], updated = [], deleted = [] } = {}) => {
+  const count = (n) => `${n} shape${n === 1 ? '' : 's'}`
+  const parts = []
+  if (created.length) parts.push(`creates ${count(created.length)}`)
+  if (updated.length) parts.push(`changes ${count(updated.length)}`)
+  if (deleted.length) parts.push(`deletes ${count(deleted.length)}`)
+  if (!parts.length) return 'No changes to the canvas'
+  const text = parts.join(', ')
+  return text.charAt(0).toUpperCase() + text.slice(1)
+}
@@ -0,0 +1,142 @@
+/**
+ * AI query answers
+ *
+ * Questions about the canvas ("how many circles are there?", "what's
+ * selected?", "who last edited this?") run as 'query' commands: they read
+ * the shapes and return a sentence for the AI panel, and never write.
+ */
+
+import { getDrawnBounds } from './aiShapeContext'
+import { QUERY_TYPES } from '../types/aiCommands'
+
+// Shapes named in an answer before it switches to "and N more"
+const MAX_LISTED = 5
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`
+
+const label = (shape) => {
+  if (shape.name) return `${shape.type} "${shape.name}"`
+  if (shape.type === 'text' && shape.text) return `text "${shape.text.length > 30 ? `${shape.text.slice(0, 30)}…` : shape.text}"`
+  return shape.type
+}
+
+const listShapes = (shapeList) => {
+  const names = shapeList.slice(0, MAX_LISTED).map(label)
+  if (shapeList.length > MAX_LISTED) names.push(`${shapeList.length - MAX_LISTED} more`)
+  return names.join(', ')
+}
+
+/**
+ * Count shapes by type, e.g. { rectangle: 3, circle: 1 }
+ */
+export const countByType = (shapeList) => shapeList.reduce((counts, shape) => {
+  counts[shape.type] = (counts[shape.type] || 0) + 1
+  return counts
+}, {})
+
+/**
+ * Drawn bounds around several shapes, rounded
+ */
+export const getQueryBounds = (shapeList) => {
+  if (!shapeList.length) return null
+  const all = shapeList.map(getDrawnBounds)
+  const x = Math.min(...all.map(b => b.x))
+  const y = Math.min(...all.map(b => b.y))
+  const right = Math.max(...all.map(b => b.x + b.width))
+  const bottom = Math.max(...all.map(b => b.y + b.height))
+  return { x: Math.round(x), y: Math.round(y), width: Math.round(right - x), height: Math.round(bottom - y) }
+}
+
+/**
+ * Shapes whose text (or layer name) contains the search text, ignoring case
+ */
+export const searchShapeText = (shapeList, text) => {
+  const needle = String(text || '').trim().toLowerCase()
+  if (!needle) return []
+  return shapeList.filter(shape =>
+    (shape.text || '').toLowerCase().includes(needle) || (shape.name || '').toLowerCase().includes(needle)
+  )
+}
+
+// Questions about particular shapes: they default to the selection
+const SELECTION_QUERIES = ['bounds', 'last-modified']
+
+/**
+ * Answer a question about the canvas
+ *
+ * Counts and searches cover the whole canvas unless target is 'selected'.
+ * Bounds and last-edit questions use the selection (or the IDs the AI
+ * named), or the whole canvas when nothing is selected.
+ *
+ * @param {Object} parameters - { queryType, shapeType?, text?, target? }
+ * @param {Map<string, Object>} shapes - All shapes
+ * @param {string[]} [selectedShapeIds] - Current selection
+ * @returns {{ answer: string, shapeIds: string[] }} The answer and the shapes it is about
+ */
+export const answerQuery = (parameters = {}, shapes, selectedShapeIds = []) => {
+  const { queryType = 'count', shapeType, text } = parameters
+  if (!QUERY_TYPES.includes(queryType)) {
+    throw new Error(`I can't answer "${queryType}" questions yet`)
+  }
+
+  const all = [...shapes.values()]
+  const selected = selectedShapeIds.map(id => shapes.get(id)).filter(Boolean)
+  const useSelection = selected.length > 0 && (
+    parameters.target === 'selected' || (parameters.target !== 'all' && SELECTION_QUERIES.includes(queryType))
+  )
+  const subject = (useSelection ? selected : all).filter(shape => !shapeType || shape.type === shapeType)
+  const scope = useSelection ? 'selected' : 'on the canvas'
+
+  switch (queryType) {
+    case 'count': {
+      if (shapeType) {
+        return { answer: `There ${subject.length === 1 ? 'is' : 'are'} ${plural(subject.length, shapeType)} ${scope}.`, shapeIds: subject.map(s => s.id) }
+      }
+      const counts = Object.entries(countByType(subject))
+        .sort((a, b) => b[1] - a[1])
+        .map(([type, count]) => plural(count, type))
+      return {
+        answer: subject.length
+          ? `${plural(subject.length, 'shape')} ${scope}: ${counts.join(', ')}.`
+          : `No shapes ${scope}.`,
+        shapeIds: subject.map(s => s.id)
+      }
+    }
+
+    case 'selection': {
+      if (!selected.length) return { answer: 'Nothing is selected.', shapeIds: [] }
+      return { answer: `${plural(selected.length, 'shape')} selected: ${listShapes(selected)}.`, shapeIds: selected.map(s => s.id) }
+    }
+
+    case 'bounds': {
+      const bounds = getQueryBounds(subject)
+      if (!bounds) return { answer: `No shapes ${scope}.`, shapeIds: [] }
+      const what = subject.length === 1 ? `The ${label(subject[0])}` : `The ${plural(subject.length, 'shape')} ${scope}`
+      return {
+        answer: `${what} cover${subject.length === 1 ? 's' : ''} (${bounds.x}, ${bounds.y}) to (${bounds.x + bounds.width}, ${bounds.y + bounds.height}), ${bounds.width}x${bounds.height}.`,
+        shapeIds: subject.map(s => s.id)
+      }
+    }
+
+    case 'search': {
+      if (!String(text || '').trim()) throw new Error('What text should I look for?')
+      // Text search always covers the whole canvas
+      const matches = searchShapeText(all.filter(shape => !shapeType || shape.type === shapeType), text)
+      return {
+        answer: matches.length
+          ? `${plural(matches.length, 'shape')} contain${matches.length === 1 ? 's' : ''} "${text}": ${listShapes(matches)}.`
+          : `No shape contains "${text}".`,
+        shapeIds: matches.map(s => s.id)
+      }
+    }
+
+    case 'last-modified': {
+      if (!subject.length) return { answer: `No shapes ${scope}.`, shapeIds: [] }
+      const latest = subject.reduce((a, b) => ((b.lastModified || 0) > (a.lastModified || 0) ? b : a))
+      const who = latest.lastModifiedByName || latest.createdByName || latest.lastModifiedBy || 'someone'
+      const when = latest.lastModified ? ` at ${new Date(latest.lastModified).toLocaleString()}` : ''
+      const what = subject.length === 1 ? `The ${label(latest)}` : `Of the ${plural(subject.length, 'shape')} ${scope}, the ${label(latest)}`
+      return { answer: `${what} was last edited by ${who}${when}.`, shapeIds: [latest.id] }
+    }
+  }
+}
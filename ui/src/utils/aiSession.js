@@ -0,0 +1,118 @@
+/**
+ * Conversational AI sessions
+ *
+ * A session is the recent turns of one user in one room: what was asked,
+ * what came of it and which shapes it created or changed. The turns are sent
+ * with every command so follow-ups ("now make them smaller") resolve to the
+ * shapes of the turn before instead of relying on the selection.
+ */
+
+import { getResultShapeIds } from './aiPlan'
+
+// Turns kept per session (the transcript); older ones are dropped
+export const MAX_SESSION_TURNS = 20
+
+// Turns described to the model
+export const MAX_PROMPT_TURNS = 6
+
+// Shape IDs remembered per turn
+export const MAX_TURN_SHAPE_IDS = 50
+
+/**
+ * Storage key for one user's session in one room
+ */
+export const getSessionKey = (canvasId, userId) => `ai-session-${canvasId}-${userId || 'anonymous'}`
+
+export const createSession = () => ({ startedAt: Date.now(), turns: [] })
+
+/**
+ * Shapes a command created or changed (every step of a plan)
+ */
+export const getTouchedShapeIds = (result) => {
+  if (!result) return []
+  const ids = Array.isArray(result.steps)
+    ? result.steps.flatMap(step => getResultShapeIds(step))
+    : getResultShapeIds(result)
+  return [...new Set(ids)].slice(0, MAX_TURN_SHAPE_IDS)
+}
+
+/**
+ * Short outcome of a command for the transcript and the prompt
+ */
+export const describeTurnResult = (command, result) => {
+  if (!result) return 'done'
+  if (result.type === 'query') return result.answer
+  if (Array.isArray(result.steps)) return `ran ${result.steps.length} steps`
+  if (result.createdShapes) return `created ${result.createdShapes.filter(Boolean).length} shape(s)`
+  if (result.deletedIds) return `deleted ${result.deletedIds.length} shape(s)`
+  if (result.updatedIds) return `changed ${result.updatedIds.length} shape(s)`
+  if (result.selectedIds) return `selected ${result.selectedIds.length} shape(s)`
+  return command.category === 'utility' ? command.action : 'done'
+}
+
+/**
+ * Add a turn to a session
+ *
+ * @param {Object} session - { startedAt, turns }
+ * @param {Object} turn
+ * @param {string} turn.prompt - What the user typed
+ * @param {string} [turn.summary] - What happened (or the error)
+ * @param {boolean} [turn.success]
+ * @param {string[]} [turn.shapeIds] - Shapes the turn created or changed
+ * @returns {Object} New session with the turn appended
+ */
+export const addTurn = (session, { prompt, summary = '', success = true, shapeIds = [] }) => ({
+  ...session,
+  turns: [
+    ...session.turns,
+    { prompt, summary, success, shapeIds: shapeIds.slice(0, MAX_TURN_SHAPE_IDS), at: Date.now() }
+  ].slice(-MAX_SESSION_TURNS)
+})
+
+/**
+ * Shapes of the most recent turn that touched shapes still on the canvas
+ *
+ * @param {Object} session - { turns }
+ * @param {Map<string, Object>} shapes - All shapes
+ * @returns {string[]} Shape IDs ("them" / "it" in a follow-up)
+ */
+export const getLastTurnShapeIds = (session, shapes) => {
+  for (let i = session.turns.length - 1; i >= 0; i--) {
+    const ids = session.turns[i].shapeIds.filter(id => shapes.has(id))
+    if (ids.length) return ids
+  }
+  return []
+}
+
+/**
+ * Whether a command without a selection should act on the last turn's shapes
+ *
+ * "What's selected?" is about the real selection, so it never does.
+ */
+export const usesFollowUpTargets = (command) => !(
+  command.category === 'query' && command.parameters?.queryType === 'selection'
+)
+
+/**
+ * Turns for the model: prompt, outcome and the shapes involved
+ */
+export const getPromptTurns = (session) => session.turns.slice(-MAX_PROMPT_TURNS).map(({ prompt, summary, success, shapeIds }) => ({
+  prompt,
+  summary,
+  success,
+  shapeIds
+}))
+
+/**
+ * One line per turn for the prompt, e.g.
+ * `  1. "create 5 circles" → ok: Created 5 circle (shapes: a, b, c, d, e)`
+ */
+export const formatSessionForPrompt = (turns = []) => {
+  if (turns.length === 0) return '  (new session)'
+  return turns.map((turn, i) => {
+    let line = `  ${i + 1}. ${JSON.stringify(turn.prompt)} → ${turn.success ? 'ok' : 'failed'}`
+    if (turn.summary) line += `: ${turn.summary}`
+    if (turn.shapeIds?.length) line += ` (shapes: ${turn.shapeIds.join(', ')})`
+    return line
+  }).join('\n')
+}
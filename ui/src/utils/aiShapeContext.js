@@ -0,0 +1,113 @@
+/**
+ * Shape awareness for AI commands
+ *
+ * The model gets a compact, size-bounded list of the shapes in view (id,
+ * type, bounds, text, fill) so commands can name existing shapes ("move the
+ * big circle next to the title"). It answers with their IDs in "target" /
+ * "targets"; getNamedShapeIds() checks those IDs before anything runs.
+ */
+
+import { getShapeBounds } from './canvasExport'
+import { parseStepReference } from './aiPlan'
+
+// Most shapes described per command; the topmost ones are kept
+export const MAX_CONTEXT_SHAPES = 50
+
+// Longer text content is cut to this many characters
+export const MAX_CONTEXT_TEXT = 40
+
+// "target" keywords that aren't shape IDs
+const TARGET_KEYWORDS = ['selected', 'all', 'type', 'region']
+
+/**
+ * Bounds of a shape as drawn (circles around getCircleCenter)
+ */
+export const getDrawnBounds = (shape) => getShapeBounds(shape)
+
+const intersects = (a, view) => a.x <= view.right && a.x + a.width >= view.left &&
+  a.y <= view.bottom && a.y + a.height >= view.top
+
+/**
+ * Describe the shapes inside the viewport
+ *
+ * @param {Map<string, Object>} shapes - All shapes
+ * @param {Object} [viewportBounds] - { left, right, top, bottom }; every shape when omitted
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Most shapes to describe
+ * @returns {{ shapes: Object[], total: number }} Topmost visible shapes first; total counts all visible ones
+ */
+export const describeVisibleShapes = (shapes, viewportBounds, { limit = MAX_CONTEXT_SHAPES } = {}) => {
+  const visible = []
+  shapes.forEach(shape => {
+    if (shape.hidden) return
+    const bounds = getDrawnBounds(shape)
+    if (viewportBounds && !intersects(bounds, viewportBounds)) return
+    visible.push({ shape, bounds })
+  })
+
+  visible.sort((a, b) => (b.shape.zIndex || 0) - (a.shape.zIndex || 0))
+
+  return {
+    total: visible.length,
+    shapes: visible.slice(0, limit).map(({ shape, bounds }) => {
+      const entry = {
+        id: shape.id,
+        type: shape.type,
+        x: Math.round(bounds.x),
+        y: Math.round(bounds.y),
+        width: Math.round(bounds.width),
+        height: Math.round(bounds.height)
+      }
+      if (shape.name) entry.name = shape.name.slice(0, MAX_CONTEXT_TEXT)
+      if (shape.text) {
+        entry.text = shape.text.length > MAX_CONTEXT_TEXT ? `${shape.text.slice(0, MAX_CONTEXT_TEXT)}…` : shape.text
+      }
+      if (shape.fill) entry.fill = shape.fill
+      if (shape.locked) entry.locked = true
+      return entry
+    })
+  }
+}
+
+/**
+ * One line per shape for the prompt, e.g.
+ * `- id=abc circle bounds=(100,200 80x80) fill=#808080 text="Title"`
+ */
+export const formatShapesForPrompt = ({ shapes = [], total = 0 } = {}) => {
+  if (shapes.length === 0) return '  (none)'
+  const lines = shapes.map(shape => {
+    let line = `  - id=${shape.id} ${shape.type} bounds=(${shape.x},${shape.y} ${shape.width}x${shape.height})`
+    if (shape.name) line += ` name=${JSON.stringify(shape.name)}`
+    if (shape.fill) line += ` fill=${shape.fill}`
+    if (shape.text !== undefined) line += ` text=${JSON.stringify(shape.text)}`
+    if (shape.locked) line += ' (locked)'
+    return line
+  })
+  if (total > shapes.length) lines.push(`  (${total - shapes.length} more shapes not listed)`)
+  return lines.join('\n')
+}
+
+/**
+ * Shape IDs a command names directly in "target" / "targets"
+ *
+ * Keywords ("selected", "all", ...) and multi-step references ("$1") are
+ * not IDs and are skipped.
+ *
+ * @param {Object} parameters - Command parameters
+ * @param {Map<string, Object>} shapes - All shapes
+ * @returns {string[]|null} Named IDs, or null when the command names none
+ * @throws {Error} When a named shape doesn't exist
+ */
+export const getNamedShapeIds = (parameters = {}, shapes) => {
+  const values = [parameters.target, ...(Array.isArray(parameters.targets) ? parameters.targets : [])]
+  const ids = [...new Set(values.filter(value =>
+    typeof value === 'string' && value && !TARGET_KEYWORDS.includes(value) && parseStepReference(value) === null
+  ))]
+  if (ids.length === 0) return null
+
+  const missing = ids.filter(id => !shapes.has(id))
+  if (missing.length) {
+    throw new Error(`No shape with ID ${missing.map(id => `"${id}"`).join(', ')} on this canvas`)
+  }
+  return ids
+}
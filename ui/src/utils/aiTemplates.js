@@ -0,0 +1,111 @@
+/**
+ * Custom AI templates
+ *
+ * A saved selection in the same format as the built-in templates
+ * (functions/ai/templates.js): shapes with offsetX / offsetY from the
+ * template's top-left corner. Shapes keep their original ID as "key" so
+ * connectors stay bound to the copies when the template is inserted.
+ */
+
+import { getShapeBounds } from './canvasExport'
+import { connectorsLast } from './connectors'
+import { getGroupPath, createGroupPathRemapper } from './groupUtils'
+
+// Most shapes a template may hold
+export const MAX_TEMPLATE_SHAPES = 100
+
+// Longest template name
+export const MAX_TEMPLATE_NAME = 60
+
+// Per-shape fields that belong to the canvas copy, not the template
+const INSTANCE_FIELDS = [
+  'id', 'x', 'y', 'zIndex', 'createdBy', 'createdByName', 'createdAt',
+  'lastModified', 'lastModifiedBy', 'lastModifiedByName',
+  'locked', 'lockOwner', 'lockOwnerName', 'hidden'
+]
+
+/**
+ * Build a template from shapes on the canvas
+ *
+ * @param {Object[]} shapeList - Shapes to save (usually the selection)
+ * @param {Map<string, Object>} shapes - All shapes (for group membership)
+ * @returns {{ shapes: Object[] }} Template data
+ * @throws {Error} When nothing or too much is selected
+ */
+export const createTemplateFromShapes = (shapeList, shapes) => {
+  if (!shapeList.length) {
+    throw new Error('Select the shapes to save as a template')
+  }
+  if (shapeList.length > MAX_TEMPLATE_SHAPES) {
+    throw new Error(`Templates can hold at most ${MAX_TEMPLATE_SHAPES} shapes`)
+  }
+
+  // Offsets are measured from the drawn top-left
+  let minX = Infinity
+  let minY = Infinity
+  shapeList.forEach(shape => {
+    const bounds = getShapeBounds(shape)
+    minX = Math.min(minX, bounds.x)
+    minY = Math.min(minY, bounds.y)
+  })
+
+  const remapGroupPath = createGroupPathRemapper(shapeList.map(shape => shape.id), shapes)
+
+  return {
+    shapes: connectorsLast(shapeList).map(shape => {
+      const entry = { ...shape, key: shape.id, offsetX: Math.round(shape.x - minX), offsetY: Math.round(shape.y - minY) }
+      INSTANCE_FIELDS.forEach(field => delete entry[field])
+      // Firestore rejects undefined values
+      Object.keys(entry).forEach(field => entry[field] === undefined && delete entry[field])
+      // Groups saved whole stay grouped; their IDs are replaced on insert
+      const groupPath = remapGroupPath(getGroupPath(shape))
+      if (groupPath.length) entry.groupPath = groupPath
+      else delete entry.groupPath
+      return entry
+    })
+  }
+}
+
+/**
+ * Comparable form of a template name: "My Pricing-Card" → "pricing card"
+ */
+export const normalizeTemplateName = (name = '') => String(name)
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .replace(/^(?:my|our|the)\s+/, '')
+  .replace(/\s+template$/, '')
+  .trim()
+
+/**
+ * Find a saved template by the name the user (or the AI) gave it
+ *
+ * Exact matches win; otherwise a single template whose name contains the
+ * requested one (or vice versa) is used.
+ *
+ * @param {string} name - Requested name
+ * @param {Object[]} templates - Saved templates ({ name, shapes, ... })
+ * @returns {Object|null} The template, or null when none or several match
+ */
+export const findTemplate = (name, templates = []) => {
+  const wanted = normalizeTemplateName(name)
+  if (!wanted) return null
+
+  const exact = templates.find(template => normalizeTemplateName(template.name) === wanted)
+  if (exact) return exact
+
+  const partial = templates.filter(template => {
+    const candidate = normalizeTemplateName(template.name)
+    return candidate.includes(wanted) || wanted.includes(candidate)
+  })
+  return partial.length === 1 ? partial[0] : null
+}
+
+/**
+ * Template names for the prompt, e.g. `"pricing card" (mine), "header" (room)`
+ */
+export const formatTemplatesForPrompt = (templates = []) => {
+  if (templates.length === 0) return 'none'
+  return templates
+    .map(template => `${JSON.stringify(template.name)} (${template.scope === 'room' ? 'room' : 'mine'})`)
+    .join(', ')
+}
@@ -0,0 +1,106 @@
+/**
+ * AI usage: quota errors and the owner's usage summary
+ *
+ * The parseAICommand Cloud Function counts requests per user and per room
+ * (per minute and per UTC day) and logs each one to
+ * canvases/{canvasId}/aiAudit (see functions/ai/quota.js). This turns its
+ * quota error into a message for the AI panel and summarizes the log for the
+ * room owner.
+ */
+
+// Days shown in the usage view
+export const USAGE_DAYS = 7
+
+// Audit entries listed as recent requests
+export const MAX_RECENT_REQUESTS = 20
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * "45s", "12m", "3h 20m"
+ */
+export const formatWait = (seconds) => {
+  const total = Math.max(1, Math.ceil(seconds || 0))
+  if (total < 60) return `${total}s`
+  const minutes = Math.ceil(total / 60)
+  if (minutes < 60) return `${minutes}m`
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`
+}
+
+/**
+ * Message for a quota error from the Cloud Function
+ *
+ * @param {Object} details - { scope: 'user' | 'room', window: 'minute' | 'day', limit, retryAfterSeconds }
+ * @returns {string}
+ */
+export const formatQuotaError = ({ scope, window, limit, retryAfterSeconds } = {}) => {
+  const period = window === 'day' ? 'today' : 'this minute'
+  const who = scope === 'room' ? 'This room has used its' : 'You\'ve used your'
+  return `${who} ${limit} AI commands for ${period}. Try again in ${formatWait(retryAfterSeconds)}.`
+}
+
+/**
+ * Error for the AI panel from a failed Cloud Function call: quota errors keep
+ * their details (err.quota) and are never retried offline
+ */
+export const toQuotaError = (err) => {
+  if (err?.code !== 'functions/resource-exhausted') return null
+  const details = err.details || {}
+  return Object.assign(new Error(formatQuotaError(details)), { quota: details })
+}
+
+// Audit times are Firestore Timestamps, or null until the server sets them
+const toMillis = (value, fallback) => {
+  if (!value) return fallback
+  if (typeof value.toMillis === 'function') return value.toMillis()
+  if (value instanceof Date) return value.getTime()
+  return Number(value) || fallback
+}
+
+// UTC day, like the quota windows
+const toDay = (ms) => new Date(ms).toISOString().slice(0, 10)
+
+/**
+ * Summarize audit entries for the usage view
+ *
+ * @param {Object[]} entries - Audit entries, newest first ({ userId, userName, prompt, outcome, createdAt })
+ * @param {number} [now]
+ * @returns {Object} { today: { total, failed, blocked }, week, byDay: [{ day, total }],
+ *   byUser: [{ userId, userName, today, week, blocked }], recent }
+ */
+export const summarizeUsage = (entries, now = Date.now()) => {
+  const today = toDay(now)
+  const days = Array.from({ length: USAGE_DAYS }, (_, i) => toDay(now - (USAGE_DAYS - 1 - i) * DAY_MS))
+  const byDay = new Map(days.map(day => [day, 0]))
+  const byUser = new Map()
+  const summary = { today: { total: 0, failed: 0, blocked: 0 }, week: 0 }
+
+  const recent = entries.map(entry => ({ ...entry, at: toMillis(entry.createdAt, now) }))
+  recent.forEach(entry => {
+    const day = toDay(entry.at)
+    if (!byDay.has(day)) return
+
+    byDay.set(day, byDay.get(day) + 1)
+    summary.week++
+    if (!byUser.has(entry.userId)) {
+      byUser.set(entry.userId, { userId: entry.userId, userName: entry.userName || entry.userId, today: 0, week: 0, blocked: 0 })
+    }
+    const user = byUser.get(entry.userId)
+    user.week++
+    if (entry.outcome === 'quota') user.blocked++
+
+    if (day === today) {
+      user.today++
+      summary.today.total++
+      if (entry.outcome === 'error') summary.today.failed++
+      if (entry.outcome === 'quota') summary.today.blocked++
+    }
+  })
+
+  return {
+    ...summary,
+    byDay: days.map(day => ({ day, total: byDay.get(day) })),
+    byUser: [...byUser.values()].sort((a, b) => b.week - a.week || b.today - a.today),
+    recent: recent.slice(0, MAX_RECENT_REQUESTS)
+  }
+}
@@ -183,6 +183,19 @@ function getCommonProperties(type) {
       return [...common, 'tension', 'lineCap', 'lineJoin']
     case 'text':
       return [...common, 'fontSize', 'fontFamily', 'fontStyle', 'align']
+    case 'polygon':
+      return [...common, 'sides', 'radius']
+    case 'star':
+      return [...common, 'numPoints', 'innerRadius', 'outerRadius']
+    case 'arrow':
+      return [...common, 'pointerAtStart', 'pointerAtEnd', 'pointerLength', 'pointerWidth']
+    case 'connector':
+      return [...common, 'pointerAtStart', 'pointerAtEnd', 'pointerLength', 'pointerWidth',
+              'routing', 'fromShapeId', 'fromAnchor', 'toShapeId', 'toAnchor']
+    case 'path':
+      return [...common, 'tension']
+    case 'image':
+      return [...common, 'width', 'height', 'src', 'storagePath', 'naturalWidth', 'naturalHeight']
     default:
       return common
   }
@@ -0,0 +1,534 @@
+/**
+ * Canvas export utilities
+ *
+ * Pure helpers used by useCanvasExport:
+ * - Shape bounds (rotation-aware) and export regions
+ * - Vector SVG generation straight from the shape models (types/shapes.js)
+ * - A minimal multi-page PDF writer that embeds one JPEG per page
+ *
+ * Geometry mirrors the Konva components:
+ * - Rectangles are stored top-left but rotate around their center
+ * - Circles are drawn with offset = radius, so their visible center sits
+ *   radius px up and left of x,y, rotated around x,y (see getCircleCenter)
+ * - Lines use absolute points and rotate around the origin
+ * - Text rotates around its top-left corner, line height = fontSize
+ * - Polygons and stars are positioned by center (see shapeGeometry.js)
+ * - Arrows and freehand paths keep points relative to x,y and rotate around it
+ * - Connectors are drawn like arrows from their cached route (see connectors.js)
+ * - Images are stored top-left like rectangles and always drawn in grayscale
+ */
+
+import { CANVAS_BOUNDS } from '../types/shapes'
+import { getPolygonVertices, getStarVertices, getAbsolutePoints, getArrowHeads } from './shapeGeometry'
+
+export const EXPORT_FORMATS = ['png', 'svg', 'pdf']
+export const EXPORT_SCOPES = ['canvas', 'viewport', 'selection']
+export const PNG_PIXEL_RATIOS = [1, 2, 3, 4]
+export const PDF_PAGE_GRIDS = [1, 2, 3] // pages across (and down)
+
+// Filter applied to <image> elements in SVG export
+const SVG_GRAYSCALE_FILTER_ID = 'grayscale'
+
+// Matches the canvas background in CanvasView
+export const EXPORT_BACKGROUND = '#000000'
+
+// Largest bitmap side we ask the browser for (canvas size limits vary per browser)
+export const MAX_EXPORT_DIMENSION = 8192
+
+const SELECTION_PADDING = 20
+
+// 1 CSS pixel = 0.75 PDF points (96dpi -> 72dpi)
+const PX_TO_PT = 0.75
+
+const rotatePoint = (px, py, cx, cy, degrees) => {
+  if (!degrees) return { x: px, y: py }
+  const radians = (degrees * Math.PI) / 180
+  const cos = Math.cos(radians)
+  const sin = Math.sin(radians)
+  const dx = px - cx
+  const dy = py - cy
+  return {
+    x: cx + dx * cos - dy * sin,
+    y: cy + dx * sin + dy * cos
+  }
+}
+
+const boundsFromPoints = (points) => {
+  const xs = points.map(p => p.x)
+  const ys = points.map(p => p.y)
+  const minX = Math.min(...xs)
+  const minY = Math.min(...ys)
+  return {
+    x: minX,
+    y: minY,
+    width: Math.max(...xs) - minX,
+    height: Math.max(...ys) - minY
+  }
+}
+
+const padBounds = (bounds, padding) => ({
+  x: bounds.x - padding,
+  y: bounds.y - padding,
+  width: bounds.width + padding * 2,
+  height: bounds.height + padding * 2
+})
+
+let measureContext = null
+
+/**
+ * Measure a single line of text the same way the canvas renderer would
+ */
+const measureTextWidth = (text, shape) => {
+  const fontSize = shape.fontSize || 16
+  if (typeof document === 'undefined') {
+    return text.length * fontSize * 0.6
+  }
+  if (!measureContext) {
+    measureContext = document.createElement('canvas').getContext('2d')
+  }
+  measureContext.font = `${shape.fontStyle && shape.fontStyle !== 'normal' ? shape.fontStyle : ''} ${fontSize}px ${shape.fontFamily || 'Arial'}`.trim()
+  return measureContext.measureText(text).width
+}
+
+/**
+ * Split text into rendered lines (explicit newlines plus word wrap when width is set)
+ *
+ * @param {Object} shape - Text shape
+ * @returns {string[]} Lines in render order
+ */
+export const getTextLines = (shape) => {
+  const paragraphs = String(shape.text ?? '').split('\n')
+  if (!shape.width) return paragraphs
+
+  const lines = []
+  paragraphs.forEach(paragraph => {
+    const words = paragraph.split(' ')
+    let current = ''
+    words.forEach(word => {
+      const candidate = current ? `${current} ${word}` : word
+      if (current && measureTextWidth(candidate, shape) > shape.width) {
+        lines.push(current)
+        current = word
+      } else {
+        current = candidate
+      }
+    })
+    lines.push(current)
+  })
+  return lines
+}
+
+/**
+ * Unrotated text box size
+ */
+export const getTextSize = (shape) => {
+  const lines = getTextLines(shape)
+  const fontSize = shape.fontSize || 16
+  const width = shape.width || Math.max(0, ...lines.map(line => measureTextWidth(line, shape)))
+  return { width, height: lines.length * fontSize }
+}
+
+/**
+ * Visible center of a circle (see Circle.vue)
+ */
+export const getCircleCenter = (shape) => {
+  const r = shape.radius || 0
+  return rotatePoint(shape.x - r, shape.y - r, shape.x, shape.y, shape.rotation || 0)
+}
+
+/**
+ * Axis-aligned bounds of a shape in canvas coordinates (rotation included)
+ *
+ * @param {Object} shape - Shape model
+ * @returns {{ x: number, y: number, width: number, height: number }}
+ */
+export const getShapeBounds = (shape) => {
+  const rotation = shape.rotation || 0
+
+  switch (shape.type) {
+    case 'rectangle':
+    case 'image': {
+      const cx = shape.x + shape.width / 2
+      const cy = shape.y + shape.height / 2
+      return boundsFromPoints([
+        rotatePoint(shape.x, shape.y, cx, cy, rotation),
+        rotatePoint(shape.x + shape.width, shape.y, cx, cy, rotation),
+        rotatePoint(shape.x + shape.width, shape.y + shape.height, cx, cy, rotation),
+        rotatePoint(shape.x, shape.y + shape.height, cx, cy, rotation)
+      ])
+    }
+    case 'circle': {
+      const stroke = shape.strokeWidth || 0
+      const r = shape.radius + stroke / 2
+      const center = getCircleCenter(shape)
+      return { x: center.x - r, y: center.y - r, width: r * 2, height: r * 2 }
+    }
+    case 'line': {
+      const pts = shape.points || []
+      const points = []
+      for (let i = 0; i < pts.length; i += 2) {
+        points.push(rotatePoint(pts[i], pts[i + 1], 0, 0, rotation))
+      }
+      if (points.length === 0) return { x: 0, y: 0, width: 0, height: 0 }
+      const bounds = boundsFromPoints(points)
+      const half = (shape.strokeWidth || 0) / 2
+      return {
+        x: bounds.x - half,
+        y: bounds.y - half,
+        width: bounds.width + half * 2,
+        height: bounds.height + half * 2
+      }
+    }
+    case 'polygon':
+    case 'star': {
+      const vertices = shape.type === 'polygon' ? getPolygonVertices(shape) : getStarVertices(shape)
+      return padBounds(boundsFromPoints(vertices), (shape.strokeWidth || 0) / 2)
+    }
+    case 'arrow':
+    case 'path':
+    case 'connector': {
+      const points = getAbsolutePoints(shape)
+      if (points.length === 0) return { x: shape.x || 0, y: shape.y || 0, width: 0, height: 0 }
+      // Arrow heads stick out sideways by half their width
+      const hasHeads = shape.type !== 'path' && (shape.pointerAtStart || shape.pointerAtEnd)
+      const half = Math.max((shape.strokeWidth || 0) / 2, hasHeads ? (shape.pointerWidth || 0) / 2 : 0)
+      return padBounds(boundsFromPoints(points), half)
+    }
+    case 'text': {
+      const { width, height } = getTextSize(shape)
+      return boundsFromPoints([
+        rotatePoint(shape.x, shape.y, shape.x, shape.y, rotation),
+        rotatePoint(shape.x + width, shape.y, shape.x, shape.y, rotation),
+        rotatePoint(shape.x + width, shape.y + height, shape.x, shape.y, rotation),
+        rotatePoint(shape.x, shape.y + height, shape.x, shape.y, rotation)
+      ])
+    }
+    default:
+      return {
+        x: shape.x || 0,
+        y: shape.y || 0,
+        width: shape.width || 0,
+        height: shape.height || 0
+      }
+  }
+}
+
+/**
+ * Union of the bounds of several shapes
+ */
+export const getShapesBounds = (shapes) => {
+  if (!shapes.length) return null
+  const all = shapes.map(getShapeBounds)
+  const minX = Math.min(...all.map(b => b.x))
+  const minY = Math.min(...all.map(b => b.y))
+  const maxX = Math.max(...all.map(b => b.x + b.width))
+  const maxY = Math.max(...all.map(b => b.y + b.height))
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY }
+}
+
+const intersects = (a, b) => (
+  a.x < b.x + b.width &&
+  a.x + a.width > b.x &&
+  a.y < b.y + b.height &&
+  a.y + a.height > b.y
+)
+
+/**
+ * Resolve the canvas region and shapes for an export scope
+ *
+ * @param {string} scope - 'canvas' | 'viewport' | 'selection'
+ * @param {Object} options
+ * @param {Object[]} options.shapes - All shapes
+ * @param {string[]} options.selectedIds - Selected shape IDs (selection scope)
+ * @param {Object} options.viewport - Visible region in canvas coordinates (viewport scope)
+ * @returns {{ region: Object, shapes: Object[] }} Region and shapes sorted by zIndex
+ */
+export const getExportRegion = (scope, { shapes = [], selectedIds = [], viewport = null } = {}) => {
+  let region
+  let included
+
+  if (scope === 'selection') {
+    included = shapes.filter(shape => selectedIds.includes(shape.id))
+    if (included.length === 0) {
+      throw new Error('Select at least one shape to export the selection')
+    }
+    const bounds = getShapesBounds(included)
+    region = {
+      x: bounds.x - SELECTION_PADDING,
+      y: bounds.y - SELECTION_PADDING,
+      width: bounds.width + SELECTION_PADDING * 2,
+      height: bounds.height + SELECTION_PADDING * 2
+    }
+  } else if (scope === 'viewport') {
+    if (!viewport) {
+      throw new Error('Viewport is not available')
+    }
+    region = { ...viewport }
+    included = shapes.filter(shape => intersects(getShapeBounds(shape), region))
+  } else {
+    region = { x: 0, y: 0, width: CANVAS_BOUNDS.width, height: CANVAS_BOUNDS.height }
+    included = shapes
+  }
+
+  region = {
+    x: Math.floor(region.x),
+    y: Math.floor(region.y),
+    width: Math.max(1, Math.ceil(region.width)),
+    height: Math.max(1, Math.ceil(region.height))
+  }
+
+  return {
+    region,
+    shapes: [...included].sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0))
+  }
+}
+
+/**
+ * Clamp a pixel ratio so the output bitmap stays within MAX_EXPORT_DIMENSION
+ */
+export const clampPixelRatio = (region, pixelRatio) => {
+  const largest = Math.max(region.width, region.height)
+  return Math.max(0.1, Math.min(pixelRatio, MAX_EXPORT_DIMENSION / largest))
+}
+
+/**
+ * Split a region into a grid of page tiles (row-major order)
+ */
+export const getPageTiles = (region, pagesAcross = 1) => {
+  const cols = Math.max(1, pagesAcross)
+  const rows = cols
+  const tileWidth = Math.ceil(region.width / cols)
+  const tileHeight = Math.ceil(region.height / rows)
+  const tiles = []
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      tiles.push({
+        x: region.x + col * tileWidth,
+        y: region.y + row * tileHeight,
+        width: Math.min(tileWidth, region.width - col * tileWidth),
+        height: Math.min(tileHeight, region.height - row * tileHeight)
+      })
+    }
+  }
+  return tiles
+}
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;')
+
+const num = (value) => Math.round((Number(value) || 0) * 100) / 100
+
+const rotateAttr = (rotation, cx, cy) => (
+  rotation ? ` transform="rotate(${num(rotation)} ${num(cx)} ${num(cy)})"` : ''
+)
+
+const strokeAttrs = (shape) => (
+  shape.stroke && shape.strokeWidth
+    ? ` stroke="${escapeXml(shape.stroke)}" stroke-width="${num(shape.strokeWidth)}"`
+    : ''
+)
+
+const pointsAttr = (points) => points.map(point => `${num(point.x)},${num(point.y)}`).join(' ')
+
+/**
+ * Convert one shape model into an SVG element string
+ */
+export const shapeToSVGElement = (shape) => {
+  const rotation = shape.rotation || 0
+
+  switch (shape.type) {
+    case 'rectangle': {
+      const cx = shape.x + shape.width / 2
+      const cy = shape.y + shape.height / 2
+      return `<rect x="${num(shape.x)}" y="${num(shape.y)}" width="${num(shape.width)}" height="${num(shape.height)}" fill="${escapeXml(shape.fill || 'none')}"${rotateAttr(rotation, cx, cy)}/>`
+    }
+    case 'image': {
+      if (!shape.src) return ''
+      const cx = shape.x + shape.width / 2
+      const cy = shape.y + shape.height / 2
+      return `<image href="${escapeXml(shape.src)}" x="${num(shape.x)}" y="${num(shape.y)}" width="${num(shape.width)}" height="${num(shape.height)}" preserveAspectRatio="none" filter="url(#${SVG_GRAYSCALE_FILTER_ID})"${rotateAttr(rotation, cx, cy)}/>`
+    }
+    case 'circle': {
+      const center = getCircleCenter(shape)
+      return `<circle cx="${num(center.x)}" cy="${num(center.y)}" r="${num(shape.radius)}" fill="${escapeXml(shape.fill || 'none')}"${strokeAttrs(shape)}/>`
+    }
+    case 'line': {
+      const pts = shape.points || []
+      const pairs = []
+      for (let i = 0; i < pts.length; i += 2) {
+        pairs.push(`${num(pts[i])},${num(pts[i + 1])}`)
+      }
+      return `<polyline points="${pairs.join(' ')}" fill="none" stroke="${escapeXml(shape.stroke || '#ffffff')}" stroke-width="${num(shape.strokeWidth || 1)}" stroke-linecap="round" stroke-linejoin="round"${rotateAttr(rotation, 0, 0)}/>`
+    }
+    case 'polygon':
+    case 'star': {
+      const vertices = shape.type === 'polygon' ? getPolygonVertices(shape) : getStarVertices(shape)
+      return `<polygon points="${pointsAttr(vertices)}" fill="${escapeXml(shape.fill || 'none')}"${strokeAttrs(shape)} stroke-linejoin="round"/>`
+    }
+    case 'arrow':
+    case 'connector': {
+      const color = escapeXml(shape.stroke || '#ffffff')
+      const heads = getArrowHeads(shape).map(head => `<polygon points="${pointsAttr(head)}" fill="${color}"/>`)
+      return `<g><polyline points="${pointsAttr(getAbsolutePoints(shape))}" fill="none" stroke="${color}" stroke-width="${num(shape.strokeWidth || 1)}" stroke-linecap="round" stroke-linejoin="round"/>${heads.join('')}</g>`
+    }
+    case 'path':
+      // Drawn through the stored points; the on-screen tension smoothing is not reproduced
+      return `<polyline points="${pointsAttr(getAbsolutePoints(shape))}" fill="none" stroke="${escapeXml(shape.stroke || '#ffffff')}" stroke-width="${num(shape.strokeWidth || 1)}" stroke-linecap="round" stroke-linejoin="round"/>`
+    case 'text': {
+      const fontSize = shape.fontSize || 16
+      const fontStyle = shape.fontStyle || 'normal'
+      const weight = fontStyle.includes('bold') ? 'bold' : 'normal'
+      const style = fontStyle.includes('italic') ? 'italic' : 'normal'
+      const { width } = getTextSize(shape)
+      const align = shape.align || 'left'
+      const anchor = align === 'center' ? 'middle' : align === 'right' ? 'end' : 'start'
+      const lineX = align === 'center' ? shape.x + width / 2 : align === 'right' ? shape.x + width : shape.x
+
+      const tspans = getTextLines(shape).map((line, index) => (
+        `<tspan x="${num(lineX)}" y="${num(shape.y + fontSize * (index + 0.5))}">${escapeXml(line)}</tspan>`
+      )).join('')
+
+      return `<text font-family="${escapeXml(shape.fontFamily || 'Arial')}" font-size="${num(fontSize)}" font-weight="${weight}" font-style="${style}" fill="${escapeXml(shape.fill || '#000000')}" text-anchor="${anchor}" dominant-baseline="middle" xml:space="preserve"${rotateAttr(rotation, shape.x, shape.y)}>${tspans}</text>`
+    }
+    default:
+      return ''
+  }
+}
+
+/**
+ * Build a standalone vector SVG document for a region
+ *
+ * @param {Object[]} shapes - Shapes to include (drawn in zIndex order)
+ * @param {Object} region - Canvas region { x, y, width, height }
+ * @param {Object} options
+ * @param {string|null} options.background - Background fill, or null for transparent
+ * @returns {string} SVG markup
+ */
+export const shapesToSVG = (shapes, region, { background = EXPORT_BACKGROUND } = {}) => {
+  const ordered = [...shapes].sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0))
+  const body = ordered.map(shapeToSVGElement).filter(Boolean).join('\n  ')
+  const backgroundRect = background
+    ? `<rect x="${region.x}" y="${region.y}" width="${region.width}" height="${region.height}" fill="${escapeXml(background)}"/>\n  `
+    : ''
+  // Images reference the grayscale filter so external sources still render gray
+  const defs = ordered.some(shape => shape.type === 'image')
+    ? `<defs><filter id="${SVG_GRAYSCALE_FILTER_ID}"><feColorMatrix type="saturate" values="0"/></filter></defs>\n  `
+    : ''
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${region.width}" height="${region.height}" viewBox="${region.x} ${region.y} ${region.width} ${region.height}">
+  ${defs}${backgroundRect}${body}
+</svg>
+`
+}
+
+/**
+ * Decode a base64 data URL into raw bytes
+ */
+export const dataURLToBytes = (dataUrl) => {
+  const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1)
+  const binary = atob(base64)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+  return bytes
+}
+
+/**
+ * Build a PDF with one full-bleed JPEG image per page
+ *
+ * @param {Object[]} pages - [{ jpeg: Uint8Array, imageWidth, imageHeight, width, height }]
+ *   where width/height are the page size in CSS pixels
+ * @returns {Blob} application/pdf blob
+ */
+export const buildPdf = (pages) => {
+  const encoder = new TextEncoder()
+  const chunks = []
+  const offsets = []
+  let length = 0
+
+  const write = (data) => {
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data
+    chunks.push(bytes)
+    length += bytes.length
+  }
+
+  const beginObject = (id) => {
+    offsets[id] = length
+    write(`${id} 0 obj\n`)
+  }
+
+  // Object layout: 1 catalog, 2 page tree, then 3 objects per page (page, content, image)
+  const pageIds = pages.map((_, index) => 3 + index * 3)
+  const objectCount = 2 + pages.length * 3
+
+  write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n')
+
+  beginObject(1)
+  write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n')
+
+  beginObject(2)
+  write(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>\nendobj\n`)
+
+  pages.forEach((page, index) => {
+    const pageId = pageIds[index]
+    const contentId = pageId + 1
+    const imageId = pageId + 2
+    const pageWidth = num(page.width * PX_TO_PT)
+    const pageHeight = num(page.height * PX_TO_PT)
+    const content = `q\n${pageWidth} 0 0 ${pageHeight} 0 0 cm\n/Im${index} Do\nQ\n`
+
+    beginObject(pageId)
+    write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /XObject << /Im${index} ${imageId} 0 R >> >> /Contents ${contentId} 0 R >>\nendobj\n`)
+
+    beginObject(contentId)
+    write(`<< /Length ${content.length} >>\nstream\n${content}endstream\nendobj\n`)
+
+    beginObject(imageId)
+    write(`<< /Type /XObject /Subtype /Image /Width ${page.imageWidth} /Height ${page.imageHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>\nstream\n`)
+    write(page.jpeg)
+    write('\nendstream\nendobj\n')
+  })
+
+  const xrefOffset = length
+  let xref = `xref\n0 ${objectCount + 1}\n0000000000 65535 f \n`
+  for (let id = 1; id <= objectCount; id++) {
+    xref += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`
+  }
+  write(xref)
+  write(`trailer\n<< /Size ${objectCount + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`)
+
+  return new Blob(chunks, { type: 'application/pdf' })
+}
+
+/**
+ * Trigger a browser download for a blob
+ */
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+/**
+ * Build a safe download file name
+ */
+export const getExportFileName = (canvasName, scope, format) => {
+  const base = String(canvasName || 'canvas')
+    .trim()
+    .replace(/[^a-z0-9-_]+/gi, '-')
+    .replace(/^-+|-+$/g, '')
+    .toLowerCase() || 'canvas'
+  return `${base}-${scope}.${format}`
+}
@@ -0,0 +1,197 @@
+/**
+ * Comment threads
+ *
+ * Threads live in canvases/{canvasId}/comments/{threadId}: the first comment,
+ * where it is pinned and its replies. A thread is pinned either to a point on
+ * the canvas or to a shape, in which case it keeps its offset from the
+ * shape's bounds (so lines and connectors, which store absolute points, work
+ * too) and follows it around. Owners, editors and commenters can comment; viewers
+ * only read (see firestore.rules).
+ */
+
+import { getShapeBounds } from './canvasExport'
+
+// Roles that may start threads, reply and resolve
+export const COMMENT_ROLES = ['owner', 'editor', 'commenter']
+
+export const COMMENT_MAX_LENGTH = 1000
+
+// Replies one thread can hold (they are stored in the thread document)
+export const MAX_COMMENT_REPLIES = 200
+
+// Filters in the comments sidebar
+export const COMMENT_FILTERS = [
+  { value: 'open', label: 'Open' },
+  { value: 'mentions', label: 'Mentions me' },
+  { value: 'mine', label: 'Mine' },
+  { value: 'resolved', label: 'Resolved' },
+  { value: 'all', label: 'All' }
+]
+
+export const canCommentRole = (role) => COMMENT_ROLES.includes(role)
+
+/**
+ * Why a comment can't be posted, or null
+ */
+export const validateCommentText = (text) => {
+  const trimmed = typeof text === 'string' ? text.trim() : ''
+  if (!trimmed) return 'Comment cannot be empty'
+  if (trimmed.length > COMMENT_MAX_LENGTH) return `Comment cannot exceed ${COMMENT_MAX_LENGTH} characters`
+  return null
+}
+
+/**
+ * Where a new thread is pinned
+ *
+ * @param {Object} point - Canvas coordinates of the click
+ * @param {Object} [shape] - Shape under the click, if any
+ * @returns {Object} { x, y, shapeId, shapeOffset }
+ */
+export const createCommentAnchor = (point, shape = null) => {
+  const x = Math.round(point.x)
+  const y = Math.round(point.y)
+  if (!shape) return { x, y, shapeId: null, shapeOffset: null }
+  const bounds = getShapeBounds(shape)
+  return {
+    x,
+    y,
+    shapeId: shape.id,
+    shapeOffset: { x: x - Math.round(bounds.x), y: y - Math.round(bounds.y) }
+  }
+}
+
+/**
+ * Current canvas position of a thread's pin
+ *
+ * Threads on a shape follow it; once the shape is deleted they stay where
+ * they were first pinned.
+ * @param {Object} thread - { x, y, shapeId, shapeOffset }
+ * @param {Map} shapes - Shapes by ID
+ * @returns {Object} { x, y, detached }
+ */
+export const getCommentPosition = (thread, shapes) => {
+  if (!thread.shapeId) return { x: thread.x, y: thread.y, detached: false }
+  const shape = shapes?.get(thread.shapeId)
+  if (!shape) return { x: thread.x, y: thread.y, detached: true }
+  const bounds = getShapeBounds(shape)
+  return {
+    x: Math.round(bounds.x) + (thread.shapeOffset?.x || 0),
+    y: Math.round(bounds.y) + (thread.shapeOffset?.y || 0),
+    detached: false
+  }
+}
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// "@Name" not followed by more of a word (so @Ann doesn't match @Anna)
+const mentionPattern = (name) => new RegExp(`(^|\\s)@${escapeRegExp(name)}(?![\\w-])`, 'i')
+
+/**
+ * Members mentioned in a comment
+ *
+ * @param {string} text
+ * @param {Object[]} members - [{ userId, name }]
+ * @returns {string[]} User IDs
+ */
+export const findMentions = (text, members = []) => {
+  if (!text || !text.includes('@')) return []
+  return members
+    .filter(member => member.name && mentionPattern(member.name).test(text))
+    .map(member => member.userId)
+}
+
+/**
+ * Split a comment into plain text and @mentions, for highlighting
+ *
+ * @returns {Object[]} [{ text, mention }]
+ */
+export const splitMentions = (text, members = []) => {
+  const names = members
+    .map(member => member.name)
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+  if (!text || names.length === 0) return text ? [{ text, mention: false }] : []
+
+  const pattern = new RegExp(`@(?:${names.map(escapeRegExp).join('|')})(?![\\w-])`, 'gi')
+  const segments = []
+  let last = 0
+  for (const match of text.matchAll(pattern)) {
+    // Only at the start or after whitespace, like findMentions
+    if (match.index > 0 && !/\s/.test(text[match.index - 1])) continue
+    if (match.index > last) segments.push({ text: text.slice(last, match.index), mention: false })
+    segments.push({ text: match[0], mention: true })
+    last = match.index + match[0].length
+  }
+  if (last < text.length) segments.push({ text: text.slice(last), mention: false })
+  return segments
+}
+
+/**
+ * The "@partial" being typed before the caret, or null
+ *
+ * @returns {Object|null} { query, start }
+ */
+export const getMentionQuery = (text, caret = text.length) => {
+  const before = text.slice(0, caret)
+  const match = before.match(/(^|\s)@([^\s@]*)$/)
+  if (!match) return null
+  return { query: match[2], start: caret - match[2].length - 1 }
+}
+
+/**
+ * Replace the "@partial" before the caret with a member's name
+ *
+ * @returns {Object} { text, caret }
+ */
+export const insertMention = (text, caret, name) => {
+  const mention = getMentionQuery(text, caret)
+  if (!mention) return { text, caret }
+  const rest = text.slice(caret)
+  // Reuse a space that is already there
+  const inserted = /^\s/.test(rest) ? `@${name}` : `@${name} `
+  return {
+    text: text.slice(0, mention.start) + inserted + rest,
+    caret: mention.start + inserted.length + (/^\s/.test(rest) ? 1 : 0)
+  }
+}
+
+/**
+ * Whether the thread's first comment or any reply mentions the user
+ */
+export const threadMentions = (thread, userId) => {
+  if (!userId) return false
+  if (thread.mentions?.includes(userId)) return true
+  return (thread.replies || []).some(reply => reply.mentions?.includes(userId))
+}
+
+/**
+ * Whether the user started or replied to the thread
+ */
+export const isThreadParticipant = (thread, userId) => {
+  if (!userId) return false
+  return thread.authorId === userId || (thread.replies || []).some(reply => reply.authorId === userId)
+}
+
+/**
+ * Threads shown for a sidebar filter (resolved threads only under
+ * Resolved and All)
+ *
+ * @param {Object[]} threads
+ * @param {string} filter - A COMMENT_FILTERS value
+ * @param {string} userId - Current user
+ * @returns {Object[]}
+ */
+export const filterThreads = (threads, filter, userId) => {
+  switch (filter) {
+    case 'all':
+      return threads
+    case 'resolved':
+      return threads.filter(thread => thread.resolved)
+    case 'mentions':
+      return threads.filter(thread => !thread.resolved && threadMentions(thread, userId))
+    case 'mine':
+      return threads.filter(thread => !thread.resolved && isThreadParticipant(thread, userId))
+    default:
+      return threads.filter(thread => !thread.resolved)
+  }
+}
@@ -0,0 +1,320 @@
+/**
+ * Connectors: lines/arrows whose ends are bound to anchor points on other shapes
+ *
+ * A connector is drawn like an arrow (points relative to x,y, optional heads)
+ * and additionally stores its bindings:
+ *   fromShapeId / fromAnchor - shape and anchor the start is attached to (or null)
+ *   toShapeId / toAnchor     - same for the end
+ *   routing                  - 'straight' | 'elbow' (orthogonal)
+ *
+ * The points are a cached route. useShapes recomputes it whenever a bound
+ * shape changes, so diagrams stay connected through drags, group drags, AI
+ * layout commands, undo/redo and remote updates. An end whose shape no longer
+ * exists stays where it was last drawn.
+ */
+
+import { getCircleCenter, getTextSize } from './canvasExport'
+import { getAbsolutePoints } from './shapeGeometry'
+
+export const CONNECTOR_ANCHORS = ['top', 'right', 'bottom', 'left', 'center']
+export const CONNECTOR_ROUTINGS = ['straight', 'elbow']
+
+// Shapes connectors can attach to
+export const BINDABLE_SHAPE_TYPES = ['rectangle', 'circle', 'text']
+
+// How close (canvas px) the pointer must be to an anchor to bind while drawing
+export const ANCHOR_SNAP_DISTANCE = 24
+
+// Elbow routes leave and enter shapes straight for this long before turning
+export const ELBOW_STUB_LENGTH = 20
+
+// Shape fields that move a shape's anchors
+const ANCHOR_GEOMETRY_FIELDS = ['x', 'y', 'width', 'height', 'radius', 'rotation', 'text', 'fontSize', 'fontFamily']
+
+// Connector fields that change its route
+const ROUTE_FIELDS = ['fromShapeId', 'fromAnchor', 'toShapeId', 'toAnchor', 'routing']
+
+// Anchor offsets in units of the half size, and the direction a line leaves in
+const ANCHOR_OFFSETS = {
+  top: { x: 0, y: -1 },
+  right: { x: 1, y: 0 },
+  bottom: { x: 0, y: 1 },
+  left: { x: -1, y: 0 },
+  center: { x: 0, y: 0 }
+}
+
+const round = (value) => Math.round(value * 10) / 10
+
+const rotate = (vector, degrees) => {
+  if (!degrees) return vector
+  const radians = (degrees * Math.PI) / 180
+  const cos = Math.cos(radians)
+  const sin = Math.sin(radians)
+  return { x: vector.x * cos - vector.y * sin, y: vector.x * sin + vector.y * cos }
+}
+
+export const isConnector = (shape) => shape?.type === 'connector'
+
+// Connectors with a bound end are placed by their shapes, never dragged directly
+export const isBoundConnector = (shape) => isConnector(shape) && !!(shape.fromShapeId || shape.toShapeId)
+
+export const isBindableShape = (shape) => !!shape && BINDABLE_SHAPE_TYPES.includes(shape.type)
+
+/**
+ * Whether an update moves or resizes a shape's anchors
+ */
+export const affectsAnchors = (updates = {}) => ANCHOR_GEOMETRY_FIELDS.some(key => key in updates)
+
+/**
+ * Whether an update to a connector changes its route
+ */
+export const affectsRoute = (updates = {}) => ROUTE_FIELDS.some(key => key in updates)
+
+/**
+ * Visible center, half size and rotation of a bindable shape
+ *
+ * Mirrors the Konva components: rectangles rotate around their center, text
+ * around its top-left corner, and circles are drawn with offset = radius, so
+ * their visible center sits radius px up and left of x,y (rotated around x,y).
+ */
+const getAnchorFrame = (shape) => {
+  const rotation = shape.rotation || 0
+  switch (shape.type) {
+    case 'rectangle':
+      return {
+        center: { x: shape.x + shape.width / 2, y: shape.y + shape.height / 2 },
+        halfWidth: shape.width / 2,
+        halfHeight: shape.height / 2,
+        rotation
+      }
+    case 'circle':
+      return {
+        center: getCircleCenter(shape),
+        halfWidth: shape.radius,
+        halfHeight: shape.radius,
+        rotation
+      }
+    case 'text': {
+      const { width, height } = getTextSize(shape)
+      const offset = rotate({ x: width / 2, y: height / 2 }, rotation)
+      return {
+        center: { x: shape.x + offset.x, y: shape.y + offset.y },
+        halfWidth: width / 2,
+        halfHeight: height / 2,
+        rotation
+      }
+    }
+    default:
+      return null
+  }
+}
+
+/**
+ * Canvas position of an anchor and the direction a connector leaves it in
+ *
+ * @param {Object} shape - Bindable shape
+ * @param {string} anchor - One of CONNECTOR_ANCHORS
+ * @returns {{ x: number, y: number, direction: {x: number, y: number}|null }|null}
+ */
+export const getAnchorPoint = (shape, anchor) => {
+  const frame = isBindableShape(shape) ? getAnchorFrame(shape) : null
+  const unit = ANCHOR_OFFSETS[anchor]
+  if (!frame || !unit) return null
+
+  const offset = rotate({ x: unit.x * frame.halfWidth, y: unit.y * frame.halfHeight }, frame.rotation)
+  return {
+    x: frame.center.x + offset.x,
+    y: frame.center.y + offset.y,
+    direction: anchor === 'center' ? null : rotate(unit, frame.rotation)
+  }
+}
+
+/**
+ * All anchors of a shape with their positions
+ */
+export const getShapeAnchors = (shape) => (
+  CONNECTOR_ANCHORS
+    .map(anchor => ({ anchor, point: getAnchorPoint(shape, anchor) }))
+    .filter(({ point }) => point)
+    .map(({ anchor, point }) => ({ anchor, x: point.x, y: point.y }))
+)
+
+// Whether a point lies inside a shape's (rotated) box
+const containsPoint = (shape, point) => {
+  const frame = getAnchorFrame(shape)
+  if (!frame) return false
+  const local = rotate({ x: point.x - frame.center.x, y: point.y - frame.center.y }, -frame.rotation)
+  return Math.abs(local.x) <= frame.halfWidth && Math.abs(local.y) <= frame.halfHeight
+}
+
+/**
+ * Anchor a connector end dropped at `point` should bind to
+ *
+ * Pointing inside a shape binds to its nearest anchor; outside, only anchors
+ * within `threshold` count. Hidden and locked shapes are skipped.
+ *
+ * @param {{x: number, y: number}} point - Pointer position in canvas coordinates
+ * @param {Iterable<Object>} shapes - Candidate shapes
+ * @param {Object} [options]
+ * @param {string} [options.excludeId] - Shape the other end is already bound to
+ * @param {number} [options.threshold] - Snap distance in canvas px
+ * @returns {{ shapeId: string, anchor: string, x: number, y: number }|null}
+ */
+export const findAnchorTarget = (point, shapes, { excludeId = null, threshold = ANCHOR_SNAP_DISTANCE } = {}) => {
+  let best = null
+  for (const shape of shapes) {
+    if (!isBindableShape(shape) || shape.hidden || shape.locked || shape.id === excludeId) continue
+    const inside = containsPoint(shape, point)
+    getShapeAnchors(shape).forEach(({ anchor, x, y }) => {
+      const distance = Math.hypot(point.x - x, point.y - y)
+      if (!inside && distance > threshold) return
+      if (!best || distance < best.distance) {
+        best = { shapeId: shape.id, anchor, x, y, distance }
+      }
+    })
+  }
+  if (!best) return null
+  const { distance, ...target } = best
+  return target
+}
+
+// Horizontal or vertical leg for an elbow end
+const isHorizontal = (direction, dx, dy) => (
+  direction ? Math.abs(direction.x) >= Math.abs(direction.y) : Math.abs(dx) >= Math.abs(dy)
+)
+
+// Drop repeated points and points in the middle of a straight run
+const removeRedundantPoints = (points) => {
+  const unique = points.filter((point, i) => (
+    i === 0 || Math.abs(point.x - points[i - 1].x) > 0.01 || Math.abs(point.y - points[i - 1].y) > 0.01
+  ))
+  return unique.filter((point, i) => {
+    if (i === 0 || i === unique.length - 1) return true
+    const prev = unique[i - 1]
+    const next = unique[i + 1]
+    const cross = (point.x - prev.x) * (next.y - point.y) - (point.y - prev.y) * (next.x - point.x)
+    return Math.abs(cross) > 0.01
+  })
+}
+
+/**
+ * Orthogonal route between two ends
+ *
+ * Each end leaves along its anchor direction (or the dominant axis for free
+ * and center ends) for ELBOW_STUB_LENGTH, then the route turns once or twice.
+ *
+ * @param {{x, y, direction}} start
+ * @param {{x, y, direction}} end
+ * @returns {Array<{x: number, y: number}>}
+ */
+export const getElbowPoints = (start, end) => {
+  const stub = (point) => point.direction
+    ? { x: point.x + point.direction.x * ELBOW_STUB_LENGTH, y: point.y + point.direction.y * ELBOW_STUB_LENGTH }
+    : { x: point.x, y: point.y }
+  const a = stub(start)
+  const b = stub(end)
+  const dx = b.x - a.x
+  const dy = b.y - a.y
+  const startHorizontal = isHorizontal(start.direction, dx, dy)
+  const endHorizontal = isHorizontal(end.direction, dx, dy)
+
+  let middle
+  if (startHorizontal && endHorizontal) {
+    const midX = (a.x + b.x) / 2
+    middle = [{ x: midX, y: a.y }, { x: midX, y: b.y }]
+  } else if (!startHorizontal && !endHorizontal) {
+    const midY = (a.y + b.y) / 2
+    middle = [{ x: a.x, y: midY }, { x: b.x, y: midY }]
+  } else if (startHorizontal) {
+    middle = [{ x: b.x, y: a.y }]
+  } else {
+    middle = [{ x: a.x, y: b.y }]
+  }
+
+  return removeRedundantPoints([{ x: start.x, y: start.y }, a, ...middle, b, { x: end.x, y: end.y }])
+}
+
+/**
+ * Route a connector against the current shapes
+ *
+ * @param {Object} connector - Connector shape (bindings, routing, cached points)
+ * @param {Map<string, Object>} shapes - All shapes by ID
+ * @returns {{ x: number, y: number, points: number[], rotation: number }} Route fields to store
+ */
+export const routeConnector = (connector, shapes) => {
+  const cached = getAbsolutePoints(connector)
+  const resolveEnd = (shapeId, anchor, fallback) => {
+    const point = shapeId ? getAnchorPoint(shapes.get(shapeId), anchor) : null
+    return point || { x: fallback?.x || 0, y: fallback?.y || 0, direction: null }
+  }
+  const start = resolveEnd(connector.fromShapeId, connector.fromAnchor, cached[0])
+  const end = resolveEnd(connector.toShapeId, connector.toAnchor, cached[cached.length - 1])
+
+  const route = connector.routing === 'elbow' ? getElbowPoints(start, end) : [start, end]
+  const x = round(start.x)
+  const y = round(start.y)
+  return {
+    x,
+    y,
+    points: route.flatMap(point => [round(point.x - x), round(point.y - y)]),
+    rotation: 0
+  }
+}
+
+/**
+ * Connectors bound to any of the given shapes
+ *
+ * @param {Map<string, Object>} shapes - All shapes by ID
+ * @param {Iterable<string>} shapeIds - Shapes that changed
+ * @returns {Object[]} Connector shapes
+ */
+export const getAttachedConnectors = (shapes, shapeIds) => {
+  const ids = new Set(shapeIds)
+  if (ids.size === 0) return []
+  const attached = []
+  for (const shape of shapes.values()) {
+    if (isConnector(shape) && (ids.has(shape.fromShapeId) || ids.has(shape.toShapeId))) {
+      attached.push(shape)
+    }
+  }
+  return attached
+}
+
+/**
+ * New routes for the connectors bound to the given shapes
+ *
+ * Locked connectors are left alone (their route is frozen with the lock).
+ *
+ * @returns {Array<{ id: string, updates: Object }>}
+ */
+export const getConnectorRouteUpdates = (shapes, shapeIds) => (
+  getAttachedConnectors(shapes, shapeIds)
+    .filter(connector => !connector.locked)
+    .map(connector => ({ id: connector.id, updates: routeConnector(connector, shapes) }))
+)
+
+/**
+ * Bindings for a copied connector: kept when the bound shape was copied along
+ * (pointing at the copy), dropped otherwise so the copy does not snap back
+ * onto the original shapes.
+ *
+ * @param {Object} connector - Original connector
+ * @param {Map<string, string>} idMap - Original shape ID -> copy ID
+ */
+export const remapConnectorBindings = (connector, idMap) => {
+  const remap = (shapeId, anchor) => (
+    shapeId && idMap.has(shapeId) ? [idMap.get(shapeId), anchor] : [null, null]
+  )
+  const [fromShapeId, fromAnchor] = remap(connector.fromShapeId, connector.fromAnchor)
+  const [toShapeId, toAnchor] = remap(connector.toShapeId, connector.toAnchor)
+  return { fromShapeId, fromAnchor, toShapeId, toAnchor }
+}
+
+/**
+ * Order shapes so connectors come after the shapes they may be bound to
+ * (copies are created in this order so bindings can be remapped)
+ */
+export const connectorsLast = (shapeList) => [
+  ...shapeList.filter(shape => !isConnector(shape)),
+  ...shapeList.filter(isConnector)
+]
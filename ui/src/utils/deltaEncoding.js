@@ -103,7 +103,8 @@ export function validateDelta(delta, validProperties = null) {
 export function getValidShapeProperties(shapeType) {
   const commonProperties = [
     'x', 'y', 'rotation', 'fill', 'stroke', 'strokeWidth',
-    'opacity', 'zIndex', 'lastModified', 'lastModifiedBy', 'lastModifiedByName'
+    'opacity', 'zIndex', 'lastModified', 'lastModifiedBy', 'lastModifiedByName',
+    'groupPath', 'name', 'hidden', 'locked', 'lockOwner', 'lockOwnerName'
   ]
   
   switch (shapeType) {
@@ -116,6 +117,19 @@ export function getValidShapeProperties(shapeType) {
     case 'text':
       return [...commonProperties, 'text', 'fontSize', 'fontFamily', 'fontStyle',
               'textDecoration', 'align', 'width', 'lockedBy', 'lockedAt']
+    case 'polygon':
+      return [...commonProperties, 'sides', 'radius']
+    case 'star':
+      return [...commonProperties, 'numPoints', 'innerRadius', 'outerRadius']
+    case 'arrow':
+      return [...commonProperties, 'points', 'pointerAtStart', 'pointerAtEnd', 'pointerLength', 'pointerWidth']
+    case 'connector':
+      return [...commonProperties, 'points', 'pointerAtStart', 'pointerAtEnd', 'pointerLength', 'pointerWidth',
+              'routing', 'fromShapeId', 'fromAnchor', 'toShapeId', 'toAnchor']
+    case 'path':
+      return [...commonProperties, 'points', 'tension']
+    case 'image':
+      return [...commonProperties, 'width', 'height', 'src', 'storagePath', 'naturalWidth', 'naturalHeight']
     default:
       return commonProperties
   }
@@ -0,0 +1,66 @@
+/**
+ * Follow mode and spotlight
+ *
+ * Everyone in a room publishes their viewport to canvases/{canvasId}/viewports
+ * (Realtime DB) as the canvas point at the middle of their screen and their
+ * zoom, so it can be reproduced on a screen of any size. A user can follow
+ * someone's viewport, and the owner can spotlight themselves so everyone
+ * follows them until they pan or zoom away (see useViewportRTDB.js).
+ */
+
+// Most often a viewport is published while panning or zooming
+export const VIEWPORT_THROTTLE_MS = 100
+
+// Smallest pan (canvas px) or zoom change worth publishing
+const MIN_PAN_DELTA = 1
+const MIN_ZOOM_DELTA = 0.001
+
+/**
+ * Viewport of a stage: the canvas point at the middle of the screen and the zoom
+ *
+ * @param {Object} stagePosition - { x, y } stage offset in screen px
+ * @param {number} zoom
+ * @param {Object} size - { width, height } of the visible stage
+ * @returns {Object} { x, y, zoom }
+ */
+export const getViewport = (stagePosition, zoom, size) => ({
+  x: Math.round((size.width / 2 - stagePosition.x) / zoom),
+  y: Math.round((size.height / 2 - stagePosition.y) / zoom),
+  zoom: Math.round(zoom * 1000) / 1000
+})
+
+/**
+ * Stage offset that shows a viewport in the middle of a screen of this size
+ *
+ * @returns {Object} { x, y } stage offset in screen px
+ */
+export const getStagePositionForViewport = (viewport, size) => ({
+  x: size.width / 2 - viewport.x * viewport.zoom,
+  y: size.height / 2 - viewport.y * viewport.zoom
+})
+
+export const hasViewportChanged = (previous, next) => {
+  if (!previous) return true
+  return Math.abs(previous.x - next.x) >= MIN_PAN_DELTA ||
+    Math.abs(previous.y - next.y) >= MIN_PAN_DELTA ||
+    Math.abs(previous.zoom - next.zoom) >= MIN_ZOOM_DELTA
+}
+
+/**
+ * Whose viewport the current user's view follows, or null
+ *
+ * Someone picked explicitly wins; otherwise a spotlight is followed unless
+ * the user broke out of it.
+ * @param {Object} state
+ * @param {string} [state.followingUserId] - Picked by clicking their avatar
+ * @param {Object} [state.spotlight] - { userId, startedAt }
+ * @param {number} [state.dismissedSpotlightAt] - startedAt of the spotlight the user broke out of
+ * @param {string} state.currentUserId
+ * @returns {string|null}
+ */
+export const getFollowTarget = ({ followingUserId = null, spotlight = null, dismissedSpotlightAt = null, currentUserId }) => {
+  if (followingUserId && followingUserId !== currentUserId) return followingUserId
+  if (!spotlight || spotlight.userId === currentUserId) return null
+  if (dismissedSpotlightAt !== null && dismissedSpotlightAt === spotlight.startedAt) return null
+  return spotlight.userId
+}
@@ -0,0 +1,184 @@
+/**
+ * Shape grouping utilities
+ *
+ * Groups are stored on the member shapes themselves: every grouped shape has
+ * a `groupPath` array listing its group IDs from the outermost group to the
+ * innermost one. Nesting is expressed by path length, so a shape in group B
+ * inside group A has groupPath ['A', 'B'].
+ *
+ * Keeping the hierarchy on the shapes means groups sync, undo, export and
+ * delete together with their members without a separate collection.
+ */
+
+import { generateId } from '../types/shapes'
+
+/**
+ * Group path of a shape (outermost first)
+ */
+export const getGroupPath = (shape) => (Array.isArray(shape?.groupPath) ? shape.groupPath : [])
+
+/**
+ * Outermost group a shape belongs to, or null when ungrouped
+ */
+export const getTopLevelGroupId = (shape) => getGroupPath(shape)[0] || null
+
+/**
+ * Whether a shape belongs to a group (at any depth)
+ */
+export const isInGroup = (shape, groupId) => getGroupPath(shape).includes(groupId)
+
+/**
+ * Create an ID for a new group
+ */
+export const createGroupId = () => generateId('group')
+
+/**
+ * IDs of every shape inside a group (nested members included)
+ *
+ * @param {string} groupId - Group ID
+ * @param {Map} shapes - Shape map
+ * @returns {string[]}
+ */
+export const getGroupMemberIds = (groupId, shapes) => {
+  const ids = []
+  shapes.forEach((shape, id) => {
+    if (isInGroup(shape, groupId)) ids.push(id)
+  })
+  return ids
+}
+
+/**
+ * Shapes selected together with a shape when it is clicked
+ *
+ * @param {string} shapeId - Clicked shape
+ * @param {Map} shapes - Shape map
+ * @param {number} depth - Group level to select at (0 = outermost group)
+ * @returns {string[]} Members of the group at that depth, or just the shape
+ */
+export const getSelectionUnit = (shapeId, shapes, depth = 0) => {
+  const shape = shapes.get(shapeId)
+  const path = getGroupPath(shape)
+  if (depth >= path.length) return [shapeId]
+  return getGroupMemberIds(path[depth], shapes)
+}
+
+/**
+ * Expand shape IDs so that every group they touch at a depth is fully included
+ *
+ * @param {string[]} shapeIds - Shape IDs
+ * @param {Map} shapes - Shape map
+ * @param {number} depth - Group level to expand at (0 = outermost groups)
+ * @returns {string[]} Unique shape IDs
+ */
+export const expandToGroups = (shapeIds, shapes, depth = 0) => {
+  const result = new Set()
+  shapeIds.forEach(id => {
+    if (!shapes.has(id)) return
+    getSelectionUnit(id, shapes, depth).forEach(memberId => result.add(memberId))
+  })
+  return Array.from(result)
+}
+
+/**
+ * Path of the innermost group that strictly contains a selection
+ *
+ * A selection made inside a group (e.g. two shapes of group A picked with
+ * Cmd+click) returns ['A'], so grouping and z-ordering it stays inside A.
+ * Selecting all of group A returns A's parent path instead, so the group
+ * moves as a whole among its siblings.
+ *
+ * @param {string[]} shapeIds - Shape IDs
+ * @param {Map} shapes - Shape map
+ * @returns {string[]} Group path (outermost first)
+ */
+export const getCommonGroupPath = (shapeIds, shapes) => {
+  const ids = shapeIds.filter(id => shapes.has(id))
+  if (ids.length === 0) return []
+  const paths = ids.map(id => getGroupPath(shapes.get(id)))
+
+  const common = []
+  for (let depth = 0; depth < paths[0].length; depth++) {
+    const groupId = paths[0][depth]
+    if (!paths.every(path => path[depth] === groupId)) break
+    common.push(groupId)
+  }
+
+  while (common.length > 0) {
+    const members = getGroupMemberIds(common[common.length - 1], shapes)
+    if (members.some(id => !ids.includes(id))) break
+    common.pop()
+  }
+  return common
+}
+
+/**
+ * Split selected shapes into their selection units: one entry per
+ * outermost group (or ungrouped shape) the selection touches
+ *
+ * @param {string[]} shapeIds - Shape IDs
+ * @param {Map} shapes - Shape map
+ * @returns {Array<{ groupId: string|null, ids: string[] }>}
+ */
+export const getSelectionUnits = (shapeIds, shapes) => {
+  const units = new Map()
+  shapeIds.forEach(id => {
+    const shape = shapes.get(id)
+    if (!shape) return
+    const groupId = getTopLevelGroupId(shape)
+    const key = groupId || id
+    if (!units.has(key)) units.set(key, { groupId, ids: [] })
+    units.get(key).ids.push(id)
+  })
+  return Array.from(units.values())
+}
+
+/**
+ * Group IDs that exactly match a selection (the selection is one whole group)
+ *
+ * @param {string[]} shapeIds - Selected shape IDs
+ * @param {Map} shapes - Shape map
+ * @returns {string|null} Deepest group containing exactly these shapes
+ */
+export const getSelectedGroupId = (shapeIds, shapes) => {
+  if (shapeIds.length === 0) return null
+  const first = getGroupPath(shapes.get(shapeIds[0]))
+
+  // Deepest group first so a nested group selected on its own is found
+  for (let depth = first.length - 1; depth >= 0; depth--) {
+    const members = getGroupMemberIds(first[depth], shapes)
+    if (members.length === shapeIds.length && members.every(id => shapeIds.includes(id))) {
+      return first[depth]
+    }
+  }
+  return null
+}
+
+/**
+ * Remove a group level from a shape's path
+ */
+export const removeGroupFromPath = (path, groupId) => path.filter(id => id !== groupId)
+
+/**
+ * Group path mapper for copies of shapes (duplicate, paste)
+ *
+ * Groups copied in full get a fresh ID so the copy is a separate group;
+ * groups only partly copied are dropped from the copies' paths.
+ *
+ * @param {string[]} copiedIds - IDs of the shapes being copied
+ * @param {Map} shapes - Shape map
+ * @returns {function(string[]): string[]} Maps an original path to the copy's path
+ */
+export const createGroupPathRemapper = (copiedIds, shapes) => {
+  const copied = new Set(copiedIds)
+  const newIds = new Map()
+
+  return (path = []) => path
+    .filter(groupId => {
+      if (!newIds.has(groupId)) {
+        const whole = getGroupMemberIds(groupId, shapes).every(id => copied.has(id))
+        newIds.set(groupId, whole ? createGroupId() : null)
+      }
+      return newIds.get(groupId) !== null
+    })
+    .map(groupId => newIds.get(groupId))
+}
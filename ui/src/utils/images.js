@@ -0,0 +1,114 @@
+/**
+ * Image shape helpers
+ *
+ * Images are downscaled and converted to grayscale before upload, and the
+ * image shape also renders with Konva's Grayscale filter, so colour never
+ * reaches the canvas even for images added by other clients or imports.
+ */
+
+export const IMAGE_MAX_BYTES = 10 * 1024 * 1024 // Matches storage.rules
+export const IMAGE_MAX_DIMENSION = 2048 // Longest side stored in Storage
+export const IMAGE_PLACEMENT_SIZE = 400 // Longest side when first placed
+export const ACCEPTED_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp']
+
+/**
+ * Check a File before upload
+ * @returns {string|null} Error message, or null when the file is usable
+ */
+export const validateImageFile = (file) => {
+  if (!file) return 'No file selected'
+  if (!ACCEPTED_IMAGE_TYPES.includes(file.type)) {
+    return `${file.name || 'File'} is not a PNG, JPEG, GIF or WebP image`
+  }
+  if (file.size > IMAGE_MAX_BYTES) {
+    return `${file.name || 'Image'} is larger than ${IMAGE_MAX_BYTES / (1024 * 1024)}MB`
+  }
+  return null
+}
+
+/**
+ * Scale natural dimensions down (never up) so the longest side fits maxSize
+ */
+export const fitImageSize = (width, height, maxSize = IMAGE_PLACEMENT_SIZE) => {
+  if (!width || !height) return { width: maxSize, height: maxSize }
+  const scale = Math.min(1, maxSize / Math.max(width, height))
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  }
+}
+
+/**
+ * Image files from a drop or paste DataTransfer (other items are ignored)
+ */
+export const getImageFilesFromDataTransfer = (dataTransfer) => {
+  if (!dataTransfer) return []
+  const files = []
+  if (dataTransfer.items && dataTransfer.items.length) {
+    for (const item of dataTransfer.items) {
+      if (item.kind === 'file' && item.type.startsWith('image/')) {
+        const file = item.getAsFile()
+        if (file) files.push(file)
+      }
+    }
+    return files
+  }
+  for (const file of dataTransfer.files || []) {
+    if (file.type.startsWith('image/')) files.push(file)
+  }
+  return files
+}
+
+/**
+ * Grayscale RGBA pixel data in place, with the same weights as Konva.Filters.Grayscale
+ */
+export const toGrayscalePixels = (data) => {
+  for (let i = 0; i < data.length; i += 4) {
+    const brightness = 0.34 * data[i] + 0.5 * data[i + 1] + 0.16 * data[i + 2]
+    data[i] = brightness
+    data[i + 1] = brightness
+    data[i + 2] = brightness
+  }
+  return data
+}
+
+/**
+ * Load an image element (CORS-enabled so it can be drawn to canvas and exported)
+ */
+export const loadImageElement = (src) => new Promise((resolve, reject) => {
+  const image = new window.Image()
+  image.crossOrigin = 'anonymous'
+  image.onload = () => resolve(image)
+  image.onerror = () => reject(new Error('Failed to load image'))
+  image.src = src
+})
+
+/**
+ * Downscale and grayscale an image file for upload
+ * @returns {Promise<{ blob: Blob, width: number, height: number }>} Encoded image and its size
+ */
+export const prepareImageForUpload = async (file) => {
+  const url = URL.createObjectURL(file)
+  try {
+    const image = await loadImageElement(url)
+    const { width, height } = fitImageSize(image.naturalWidth, image.naturalHeight, IMAGE_MAX_DIMENSION)
+    const canvas = document.createElement('canvas')
+    canvas.width = width
+    canvas.height = height
+    const context = canvas.getContext('2d')
+    context.drawImage(image, 0, 0, width, height)
+    const pixels = context.getImageData(0, 0, width, height)
+    toGrayscalePixels(pixels.data)
+    context.putImageData(pixels, 0, 0)
+
+    const encode = (type, quality) => new Promise((resolve, reject) => {
+      canvas.toBlob(result => result ? resolve(result) : reject(new Error('Failed to encode image')), type, quality)
+    })
+    // PNG keeps transparency; large photos fall back to JPEG to stay under the upload limit
+    let blob = await encode('image/png')
+    if (blob.size > IMAGE_MAX_BYTES) blob = await encode('image/jpeg', 0.9)
+    return { blob, width, height }
+  } finally {
+    URL.revokeObjectURL(url)
+  }
+}
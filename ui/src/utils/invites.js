@@ -0,0 +1,114 @@
+/**
+ * Invite links
+ *
+ * A room is shared through invite links rather than its bare URL. Each link
+ * is a document in canvases/{canvasId}/invites/{token} holding the role it
+ * grants, when it expires, how many times it may be used and whether the
+ * owner revoked it. firestore.rules only lets someone join a room by
+ * redeeming a usable invite (see useInvites.redeemInvite).
+ */
+
+// Roles an invite can grant (owners are never invited)
+export const INVITE_ROLES = ['viewer', 'commenter', 'editor']
+
+export const DEFAULT_INVITE_ROLE = 'editor'
+
+const HOUR_MS = 60 * 60 * 1000
+
+// Expiry choices in the Share modal (null: never expires)
+export const INVITE_EXPIRY_OPTIONS = [
+  { label: '1 hour', ms: HOUR_MS },
+  { label: '1 day', ms: 24 * HOUR_MS },
+  { label: '7 days', ms: 7 * 24 * HOUR_MS },
+  { label: '30 days', ms: 30 * 24 * HOUR_MS },
+  { label: 'Never', ms: null }
+]
+
+export const DEFAULT_INVITE_EXPIRY_MS = 7 * 24 * HOUR_MS
+
+// Most uses a single link can be given
+export const MAX_INVITE_USES = 1000
+
+// Query parameter carrying the token in an invite link
+export const INVITE_QUERY_PARAM = 'invite'
+
+// Invite times are Firestore Timestamps (null: never)
+const toMillis = (value) => {
+  if (!value) return null
+  if (typeof value.toMillis === 'function') return value.toMillis()
+  if (value instanceof Date) return value.getTime()
+  return Number(value) || null
+}
+
+/**
+ * Whether an invite can still be used
+ *
+ * @param {Object} invite - { revoked, expiresAt, maxUses, uses }
+ * @param {number} [now]
+ * @returns {string} 'active' | 'revoked' | 'expired' | 'used'
+ */
+export const getInviteStatus = (invite, now = Date.now()) => {
+  if (!invite || invite.revoked) return 'revoked'
+  const expiresAt = toMillis(invite.expiresAt)
+  if (expiresAt !== null && expiresAt <= now) return 'expired'
+  if (invite.maxUses != null && (invite.uses || 0) >= invite.maxUses) return 'used'
+  return 'active'
+}
+
+/**
+ * Why an invite can't be redeemed, for the person who followed it
+ */
+export const getInviteError = (status) => {
+  switch (status) {
+    case 'revoked': return 'This invite link has been revoked. Ask the room owner for a new one.'
+    case 'expired': return 'This invite link has expired. Ask the room owner for a new one.'
+    case 'used': return 'This invite link has already been used as many times as allowed.'
+    case 'missing': return 'This invite link is not valid. Check the link and try again.'
+    default: return 'You need an invite link to join this room. Ask the room owner for one.'
+  }
+}
+
+/**
+ * Validate the options of a new invite
+ *
+ * @param {Object} options - { role, expiresInMs, maxUses }
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateInviteOptions = ({ role, expiresInMs, maxUses } = {}) => {
+  if (!INVITE_ROLES.includes(role)) return `Role must be one of: ${INVITE_ROLES.join(', ')}`
+  if (expiresInMs != null && !(expiresInMs > 0)) return 'Expiry must be in the future'
+  if (maxUses != null && (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_INVITE_USES)) {
+    return `Max uses must be a whole number from 1 to ${MAX_INVITE_USES}`
+  }
+  return null
+}
+
+/**
+ * Link that opens a room through an invite
+ */
+export const buildInviteLink = (origin, canvasId, token) => {
+  return `${origin}/canvas/${canvasId}?${INVITE_QUERY_PARAM}=${encodeURIComponent(token)}`
+}
+
+/**
+ * "3 of 10 uses", "2 uses"
+ */
+export const formatInviteUses = (invite) => {
+  const uses = invite.uses || 0
+  if (invite.maxUses == null) return `${uses} use${uses === 1 ? '' : 's'}`
+  return `${uses} of ${invite.maxUses} uses`
+}
+
+/**
+ * "Never expires", "Expires in 5h", "Expired"
+ */
+export const formatInviteExpiry = (invite, now = Date.now()) => {
+  const expiresAt = toMillis(invite.expiresAt)
+  if (expiresAt === null) return 'Never expires'
+  const remaining = expiresAt - now
+  if (remaining <= 0) return 'Expired'
+  const hours = Math.floor(remaining / HOUR_MS)
+  if (hours < 1) return `Expires in ${Math.max(1, Math.ceil(remaining / 60000))}m`
+  if (hours < 48) return `Expires in ${hours}h`
+  return `Expires in ${Math.floor(hours / 24)}d`
+}
@@ -0,0 +1,176 @@
+/**
+ * Layers panel model
+ *
+ * Builds the rows shown in the layers panel (topmost shape first, groups as
+ * collapsible rows) and turns a drag-and-drop in the panel into shape
+ * updates. A drop moves the dragged shape or group directly above or below
+ * the target row's shape or group; dropping next to a grouped row also moves
+ * the dragged item into that group.
+ */
+
+import { getGroupPath, getGroupMemberIds } from './groupUtils'
+
+const SHAPE_TYPE_LABELS = {
+  rectangle: 'Rectangle',
+  circle: 'Circle',
+  line: 'Line',
+  text: 'Text',
+  polygon: 'Polygon',
+  star: 'Star',
+  arrow: 'Arrow',
+  path: 'Path',
+  connector: 'Connector',
+  image: 'Image'
+}
+
+// Longest automatic label taken from a text shape's content
+const TEXT_LABEL_LENGTH = 24
+
+/**
+ * Display name of a shape: its custom name, or one derived from type/content
+ */
+export const getShapeLabel = (shape) => {
+  if (shape?.name) return shape.name
+  if (shape?.type === 'text' && shape.text) {
+    const text = shape.text.replace(/\s+/g, ' ').trim()
+    return text.length > TEXT_LABEL_LENGTH ? `${text.slice(0, TEXT_LABEL_LENGTH)}…` : text
+  }
+  return SHAPE_TYPE_LABELS[shape?.type] || 'Shape'
+}
+
+/**
+ * Display name of a group
+ */
+export const getGroupLabel = (groupId) => `Group ${groupId.slice(-4)}`
+
+/**
+ * Flatten shapes into panel rows, topmost first
+ *
+ * @param {Object[]} shapes - Shapes sorted by zIndex ascending
+ * @param {Set<string>} collapsedGroups - Group IDs whose members are hidden
+ * @returns {Array<Object>} Rows: { kind: 'shape'|'group', id, depth, label, hidden, locked, parentPath, memberIds }
+ */
+export const buildLayerRows = (shapes, collapsedGroups = new Set()) => {
+  const rows = []
+  const byId = new Map(shapes.map(shape => [shape.id, shape]))
+  const openGroups = new Set()
+
+  for (let i = shapes.length - 1; i >= 0; i--) {
+    const shape = shapes[i]
+    const path = getGroupPath(shape)
+
+    // A group row is emitted where its topmost member appears
+    let isCollapsed = false
+    for (let depth = 0; depth < path.length; depth++) {
+      const groupId = path[depth]
+      if (isCollapsed) break
+      if (!openGroups.has(groupId)) {
+        openGroups.add(groupId)
+        const memberIds = getGroupMemberIds(groupId, byId)
+        const members = memberIds.map(id => byId.get(id))
+        rows.push({
+          kind: 'group',
+          id: groupId,
+          depth,
+          label: getGroupLabel(groupId),
+          hidden: members.every(member => member.hidden),
+          locked: members.every(member => member.locked),
+          collapsed: collapsedGroups.has(groupId),
+          parentPath: path.slice(0, depth),
+          memberIds
+        })
+      }
+      isCollapsed = collapsedGroups.has(groupId)
+    }
+    if (isCollapsed) continue
+
+    rows.push({
+      kind: 'shape',
+      id: shape.id,
+      depth: path.length,
+      type: shape.type,
+      label: getShapeLabel(shape),
+      hidden: !!shape.hidden,
+      locked: !!shape.locked,
+      parentPath: path,
+      memberIds: [shape.id]
+    })
+  }
+
+  return rows
+}
+
+// Evenly spaced z-indices strictly between two neighbours (null = no neighbour)
+const spreadZIndexes = (lower, upper, count) => {
+  if (lower === null && upper === null) return Array.from({ length: count }, (_, i) => i)
+  if (upper === null) return Array.from({ length: count }, (_, i) => lower + 1 + i)
+  if (lower === null) return Array.from({ length: count }, (_, i) => upper - count + i)
+  const step = (upper - lower) / (count + 1)
+  if (step < 1e-6) return null
+  return Array.from({ length: count }, (_, i) => lower + step * (i + 1))
+}
+
+/**
+ * Shape updates for dropping a row above or below another row
+ *
+ * @param {Object[]} shapes - Shapes sorted by zIndex ascending
+ * @param {Object} dragRow - Row being dragged
+ * @param {Object} targetRow - Row it was dropped on
+ * @param {'above'|'below'} position - Drop above (in front of) or below the target
+ * @returns {Array<{ id: string, updates: Object }>} Empty when the drop is not allowed
+ */
+export const getLayerMoveUpdates = (shapes, dragRow, targetRow, position) => {
+  if (!dragRow || !targetRow || dragRow.id === targetRow.id) return []
+
+  // A group cannot be dropped inside itself
+  if (dragRow.kind === 'group' && (targetRow.parentPath.includes(dragRow.id) || targetRow.memberIds.every(id => dragRow.memberIds.includes(id)))) {
+    return []
+  }
+
+  const dragIds = new Set(dragRow.memberIds)
+  const targetIds = new Set(targetRow.memberIds)
+  const others = shapes.filter(shape => !dragIds.has(shape.id))
+  const block = shapes.filter(shape => dragIds.has(shape.id))
+  if (block.length === 0) return []
+
+  // Neighbours in the final order: the target block's edge and the next shape past it
+  const targetIndexes = others.map((shape, index) => (targetIds.has(shape.id) ? index : -1)).filter(index => index >= 0)
+  if (targetIndexes.length === 0) return []
+  const zOf = (shape) => (shape ? shape.zIndex || 0 : null)
+
+  let lowerIndex
+  if (position === 'above') {
+    lowerIndex = Math.max(...targetIndexes)
+  } else {
+    lowerIndex = Math.min(...targetIndexes) - 1
+  }
+  let zIndexes = spreadZIndexes(zOf(others[lowerIndex]), zOf(others[lowerIndex + 1]), block.length)
+
+  const updates = new Map()
+
+  // Out of room between neighbours: renumber every shape in the new order
+  if (!zIndexes) {
+    const ordered = [...others.slice(0, lowerIndex + 1), ...block, ...others.slice(lowerIndex + 1)]
+    ordered.forEach((shape, index) => {
+      if (shape.zIndex !== index) updates.set(shape.id, { zIndex: index })
+    })
+    zIndexes = block.map(shape => updates.get(shape.id)?.zIndex ?? shape.zIndex)
+  } else {
+    block.forEach((shape, index) => {
+      if (shape.zIndex !== zIndexes[index]) updates.set(shape.id, { zIndex: zIndexes[index] })
+    })
+  }
+
+  // Take on the target's group: members keep any groups nested inside the dragged one
+  const newParentPath = targetRow.kind === 'group' ? targetRow.parentPath : getGroupPath(shapes.find(shape => shape.id === targetRow.id))
+  block.forEach(shape => {
+    const path = getGroupPath(shape)
+    const keepFrom = dragRow.kind === 'group' ? path.indexOf(dragRow.id) : path.length
+    const groupPath = [...newParentPath, ...path.slice(keepFrom)]
+    if (groupPath.join('/') !== path.join('/')) {
+      updates.set(shape.id, { ...(updates.get(shape.id) || {}), groupPath })
+    }
+  })
+
+  return Array.from(updates, ([id, shapeUpdates]) => ({ id, updates: shapeUpdates }))
+}
@@ -0,0 +1,373 @@
+/**
+ * Layout engine
+ *
+ * Smarter arrangements for a set of shapes, used by AI layout commands and the
+ * Arrange section of the context menu:
+ *   tidy   - nudge overlapping shapes apart, moving them as little as possible
+ *   tree   - layer a connected diagram along its connectors (top-down or left-right)
+ *   circle - pack shapes around the largest one in concentric rings
+ *   fit    - scale down and center the shapes inside a region (the viewport by default)
+ *
+ * Everything works on drawn bounds (see getDrawnBounds), so circles, rotated
+ * shapes and arrows are placed by what is on screen. The result is a list of
+ * { id, updates } for updateShape. Bound connectors are never moved directly:
+ * useShapes re-routes them when their shapes move.
+ */
+
+import { getDrawnBounds } from './aiShapeContext'
+import { isConnector, isBoundConnector } from './connectors'
+import { LAYOUT_OPERATIONS } from '../types/aiCommands'
+
+// Gap kept between shapes (tidy, circle) and between siblings (tree)
+export const DEFAULT_LAYOUT_SPACING = 20
+
+// Gap between tree layers
+export const TREE_LAYER_SPACING = 80
+
+// Margin kept inside the region when fitting
+export const FIT_PADDING = 40
+
+// Rounds of pushing shapes apart before tidy gives up
+const MAX_TIDY_ITERATIONS = 100
+
+// Regions "fit" understands by name, as fractions of the viewport
+const NAMED_REGIONS = {
+  viewport: { x: 0, y: 0, width: 1, height: 1 },
+  left: { x: 0, y: 0, width: 0.5, height: 1 },
+  right: { x: 0.5, y: 0, width: 0.5, height: 1 },
+  top: { x: 0, y: 0, width: 1, height: 0.5 },
+  bottom: { x: 0, y: 0.5, width: 1, height: 0.5 }
+}
+
+const toBox = (shape) => {
+  const bounds = getDrawnBounds(shape)
+  return { shape, x: bounds.x, y: bounds.y, width: bounds.width, height: bounds.height }
+}
+
+const boxesBounds = (boxes) => {
+  const x = Math.min(...boxes.map(b => b.x))
+  const y = Math.min(...boxes.map(b => b.y))
+  const right = Math.max(...boxes.map(b => b.x + b.width))
+  const bottom = Math.max(...boxes.map(b => b.y + b.height))
+  return { x, y, width: right - x, height: bottom - y }
+}
+
+// Move a shape so its drawn top-left lands on (x, y)
+const moveTo = (box, x, y) => ({
+  id: box.shape.id,
+  updates: { x: Math.round(box.shape.x + x - box.x), y: Math.round(box.shape.y + y - box.y) }
+})
+
+// Reading order: top to bottom, then left to right
+const byPosition = (a, b) => a.y - b.y || a.x - b.x
+
+/**
+ * Shapes a layout moves: bound connectors follow their shapes instead
+ */
+export const getLayoutShapes = (shapeList) => shapeList.filter(shape => shape && !isBoundConnector(shape))
+
+/**
+ * Push overlapping shapes apart along the axis that needs the smaller move
+ */
+const tidyLayout = (boxes, { spacing }) => {
+  for (let round = 0; round < MAX_TIDY_ITERATIONS; round++) {
+    let moved = false
+    for (let i = 0; i < boxes.length; i++) {
+      for (let j = i + 1; j < boxes.length; j++) {
+        const a = boxes[i]
+        const b = boxes[j]
+        const overlapX = Math.min(a.x + a.width + spacing - b.x, b.x + b.width + spacing - a.x)
+        const overlapY = Math.min(a.y + a.height + spacing - b.y, b.y + b.height + spacing - a.y)
+        if (overlapX <= 0.5 || overlapY <= 0.5) continue
+
+        // Each shape moves half the way; identical positions split right/down
+        moved = true
+        if (overlapX <= overlapY) {
+          const direction = b.x + b.width / 2 >= a.x + a.width / 2 ? 1 : -1
+          a.x -= (direction * overlapX) / 2
+          b.x += (direction * overlapX) / 2
+        } else {
+          const direction = b.y + b.height / 2 >= a.y + a.height / 2 ? 1 : -1
+          a.y -= (direction * overlapY) / 2
+          b.y += (direction * overlapY) / 2
+        }
+      }
+    }
+    if (!moved) break
+  }
+  return boxes
+}
+
+/**
+ * Connector edges between the given shapes, from start to end
+ */
+export const getConnectorEdges = (shapeIds, allShapes) => {
+  const ids = new Set(shapeIds)
+  return allShapes
+    .filter(shape => isConnector(shape) && ids.has(shape.fromShapeId) && ids.has(shape.toShapeId) && shape.fromShapeId !== shape.toShapeId)
+    .map(connector => ({ from: connector.fromShapeId, to: connector.toShapeId }))
+}
+
+/**
+ * Layer shapes by their distance from the roots (shapes nothing points to)
+ *
+ * Cycles and unconnected shapes are handled by starting again from the first
+ * shape (in reading order) not reached yet.
+ */
+export const getTreeLayers = (ids, edges) => {
+  const children = new Map(ids.map(id => [id, []]))
+  const incoming = new Map(ids.map(id => [id, 0]))
+  edges.forEach(({ from, to }) => {
+    children.get(from).push(to)
+    incoming.set(to, incoming.get(to) + 1)
+  })
+
+  const layerOf = new Map()
+  const visit = (roots) => {
+    const queue = roots.filter(id => !layerOf.has(id))
+    queue.forEach(id => layerOf.set(id, 0))
+    while (queue.length) {
+      const id = queue.shift()
+      children.get(id).forEach(child => {
+        if (layerOf.has(child)) return
+        layerOf.set(child, layerOf.get(id) + 1)
+        queue.push(child)
+      })
+    }
+  }
+
+  visit(ids.filter(id => incoming.get(id) === 0))
+  ids.forEach(id => {
+    if (!layerOf.has(id)) visit([id])
+  })
+
+  const layers = []
+  ids.forEach(id => {
+    const layer = layerOf.get(id)
+    if (!layers[layer]) layers[layer] = []
+    layers[layer].push(id)
+  })
+  return layers.filter(Boolean)
+}
+
+/**
+ * Lay a connected diagram out in layers along its connectors
+ */
+const treeLayout = (boxes, { spacing, direction, allShapes }) => {
+  const vertical = direction !== 'right'
+  const origin = boxesBounds(boxes)
+  const ordered = [...boxes].sort(byPosition)
+  const boxById = new Map(ordered.map(box => [box.shape.id, box]))
+  const edges = getConnectorEdges([...boxById.keys()], allShapes)
+  const layers = getTreeLayers([...boxById.keys()], edges)
+
+  // Order each layer under its parents (average position of the parents)
+  const slot = new Map()
+  layers.forEach((layer, depth) => {
+    if (depth > 0) {
+      const parentSlot = (id) => {
+        const parents = edges.filter(edge => edge.to === id && slot.has(edge.from)).map(edge => slot.get(edge.from))
+        return parents.length ? parents.reduce((sum, value) => sum + value, 0) / parents.length : Infinity
+      }
+      const keys = new Map(layer.map(id => [id, parentSlot(id)]))
+      layer.sort((a, b) => keys.get(a) - keys.get(b))
+    }
+    layer.forEach((id, index) => slot.set(id, index))
+  })
+
+  // Main axis: layers one after another; cross axis: siblings side by side, centered
+  const mainSize = (box) => (vertical ? box.height : box.width)
+  const crossSize = (box) => (vertical ? box.width : box.height)
+  const layerBoxes = layers.map(layer => layer.map(id => boxById.get(id)))
+  const layerWidths = layerBoxes.map(layer =>
+    layer.reduce((sum, box) => sum + crossSize(box), 0) + spacing * (layer.length - 1)
+  )
+  const widest = Math.max(...layerWidths)
+
+  let main = vertical ? origin.y : origin.x
+  layerBoxes.forEach((layer, depth) => {
+    const depthSize = Math.max(...layer.map(mainSize))
+    let cross = (vertical ? origin.x : origin.y) + (widest - layerWidths[depth]) / 2
+    layer.forEach(box => {
+      // Shapes in a layer are centered on the layer's line
+      const offset = (depthSize - mainSize(box)) / 2
+      if (vertical) {
+        box.x = cross
+        box.y = main + offset
+      } else {
+        box.x = main + offset
+        box.y = cross
+      }
+      cross += crossSize(box) + spacing
+    })
+    main += depthSize + TREE_LAYER_SPACING
+  })
+  return boxes
+}
+
+/**
+ * Pack shapes in rings around the largest one, keeping the selection's center
+ */
+const circleLayout = (boxes, { spacing }) => {
+  const bounds = boxesBounds(boxes)
+  const center = { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 }
+  // A shape's footprint on a ring is its diagonal, so corners never touch
+  const diameter = (box) => Math.hypot(box.width, box.height)
+  const [hub, ...rest] = [...boxes].sort((a, b) => diameter(b) - diameter(a) || byPosition(a, b))
+
+  const placeCenter = (box, x, y) => {
+    box.x = x - box.width / 2
+    box.y = y - box.height / 2
+  }
+  placeCenter(hub, center.x, center.y)
+
+  // Fill rings outwards; each ring is as thick as its largest shape
+  let inner = diameter(hub) / 2
+  let index = 0
+  while (index < rest.length) {
+    const thickness = diameter(rest[index])
+    const radius = inner + spacing + thickness / 2
+    const ring = []
+    let used = 0
+    while (index < rest.length) {
+      const angle = (diameter(rest[index]) + spacing) / radius
+      if (ring.length > 0 && used + angle > Math.PI * 2) break
+      ring.push({ box: rest[index], angle })
+      used += angle
+      index++
+    }
+
+    // Spread the ring evenly, starting at the top
+    const scale = (Math.PI * 2) / used
+    let position = -Math.PI / 2
+    ring.forEach(({ box, angle }) => {
+      const middle = position + (angle * scale) / 2
+      placeCenter(box, center.x + radius * Math.cos(middle), center.y + radius * Math.sin(middle))
+      position += angle * scale
+    })
+    inner = radius + thickness / 2
+  }
+  return boxes
+}
+
+/**
+ * Region to fit into, in canvas coordinates
+ *
+ * @param {Object|string} [region] - { x, y, width, height }, or a named part of
+ *   the viewport: 'viewport' (default), 'left', 'right', 'top', 'bottom'
+ * @param {Object} [viewportBounds] - { left, right, top, bottom }
+ * @param {number} [padding] - Margin kept inside a named region
+ */
+export const resolveLayoutRegion = (region, viewportBounds, padding = FIT_PADDING) => {
+  if (region && typeof region === 'object') {
+    const { x, y, width, height } = region
+    if ([x, y, width, height].every(Number.isFinite) && width > 0 && height > 0) {
+      return { x, y, width, height }
+    }
+    throw new Error('A region needs x, y, width and height')
+  }
+
+  const fraction = NAMED_REGIONS[region || 'viewport']
+  if (!fraction) {
+    throw new Error(`Unknown region "${region}". Use ${Object.keys(NAMED_REGIONS).join(', ')} or { x, y, width, height }`)
+  }
+  if (!viewportBounds) {
+    throw new Error('Fitting into the view needs the viewport')
+  }
+
+  const viewWidth = viewportBounds.right - viewportBounds.left
+  const viewHeight = viewportBounds.bottom - viewportBounds.top
+  const x = viewportBounds.left + viewWidth * fraction.x + padding
+  const y = viewportBounds.top + viewHeight * fraction.y + padding
+  return {
+    x,
+    y,
+    width: Math.max(1, viewWidth * fraction.width - padding * 2),
+    height: Math.max(1, viewHeight * fraction.height - padding * 2)
+  }
+}
+
+// Sizes that scale with the layout when fitting
+const scaleShape = (shape, scale) => {
+  const updates = {}
+  const round = (value, min) => Math.max(min, Math.round(value * scale))
+  if (shape.width !== undefined) updates.width = round(shape.width, 1)
+  if (shape.height !== undefined) updates.height = round(shape.height, 1)
+  if (shape.radius !== undefined) updates.radius = round(shape.radius, 1)
+  if (shape.outerRadius !== undefined) updates.outerRadius = round(shape.outerRadius, 1)
+  if (shape.innerRadius !== undefined) updates.innerRadius = round(shape.innerRadius, 1)
+  if (shape.fontSize !== undefined) updates.fontSize = round(shape.fontSize, 1)
+  if (Array.isArray(shape.points)) updates.points = shape.points.map(value => Math.round(value * scale * 10) / 10)
+  return updates
+}
+
+/**
+ * Scale the shapes down (never up) and center them in the region
+ */
+const fitLayout = (shapeList, { region, viewportBounds }) => {
+  const target = resolveLayoutRegion(region, viewportBounds)
+  const bounds = boxesBounds(shapeList.map(toBox))
+  const scale = Math.min(1, target.width / (bounds.width || 1), target.height / (bounds.height || 1))
+  const offsetX = target.x + (target.width - bounds.width * scale) / 2
+  const offsetY = target.y + (target.height - bounds.height * scale) / 2
+
+  // Every shape's geometry is relative to x,y, so scaling x,y about the
+  // layout's corner together with the sizes keeps the arrangement
+  return shapeList.map(shape => ({
+    id: shape.id,
+    updates: {
+      ...(scale < 1 ? scaleShape(shape, scale) : {}),
+      x: Math.round(offsetX + (shape.x - bounds.x) * scale),
+      y: Math.round(offsetY + (shape.y - bounds.y) * scale)
+    }
+  }))
+}
+
+/**
+ * Compute a layout for the given shapes
+ *
+ * @param {string} operation - 'tidy' | 'tree' | 'circle' | 'fit'
+ * @param {Object[]} shapeList - Shapes to lay out (bound connectors are skipped)
+ * @param {Object} [options]
+ * @param {Object[]} [options.allShapes] - Every shape, for the connectors of a tree
+ * @param {number} [options.spacing] - Gap between shapes
+ * @param {string} [options.direction] - Tree direction: 'down' (default) or 'right'
+ * @param {Object|string} [options.region] - Where to fit (see resolveLayoutRegion)
+ * @param {Object} [options.viewportBounds] - { left, right, top, bottom }
+ * @returns {Array<{ id: string, updates: Object }>} Position (and for fit, size) updates
+ */
+export const computeLayout = (operation, shapeList, options = {}) => {
+  if (!LAYOUT_OPERATIONS.includes(operation)) {
+    throw new Error(`Unknown layout "${operation}". Use ${LAYOUT_OPERATIONS.join(', ')}`)
+  }
+
+  const layoutShapes = getLayoutShapes(shapeList)
+  if (layoutShapes.length === 0) return []
+
+  const settings = {
+    spacing: Number.isFinite(options.spacing) ? Math.max(0, options.spacing) : DEFAULT_LAYOUT_SPACING,
+    direction: options.direction === 'right' ? 'right' : 'down',
+    allShapes: options.allShapes || shapeList,
+    region: options.region,
+    viewportBounds: options.viewportBounds
+  }
+
+  if (operation === 'fit') return fitLayout(layoutShapes, settings)
+
+  // Trees are laid out around their nodes; loose connectors stay put
+  const nodes = operation === 'tree' ? layoutShapes.filter(shape => !isConnector(shape)) : layoutShapes
+  const boxes = nodes.map(toBox)
+  const laidOut = {
+    tidy: tidyLayout,
+    tree: treeLayout,
+    circle: circleLayout
+  }[operation](boxes, settings)
+
+  const original = new Map(nodes.map(shape => [shape.id, toBox(shape)]))
+  return laidOut
+    .map(box => moveTo(original.get(box.shape.id), box.x, box.y))
+    .filter(({ id, updates }) => {
+      const shape = original.get(id).shape
+      return updates.x !== shape.x || updates.y !== shape.y
+    })
+}
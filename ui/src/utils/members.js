@@ -0,0 +1,62 @@
+/**
+ * Room members
+ *
+ * Everyone in a canvas's permissions map, with the name and last visit the
+ * presence system records in canvases/{canvasId}/lastSeen (Realtime DB).
+ * Only the owner changes other members' roles (see firestore.rules).
+ */
+
+import { INVITE_ROLES } from './invites'
+
+// Roles in the members dialog; choosing 'owner' transfers ownership
+export const MEMBER_ROLES = [...INVITE_ROLES, 'owner']
+
+// Role the previous owner keeps after a transfer
+export const PREVIOUS_OWNER_ROLE = 'editor'
+
+const MINUTE_MS = 60 * 1000
+const HOUR_MS = 60 * MINUTE_MS
+const DAY_MS = 24 * HOUR_MS
+
+/**
+ * Members of a canvas, owner first, then online members, then by name
+ *
+ * @param {Object} canvas - { owner, ownerName, permissions }
+ * @param {Object} [options]
+ * @param {Object} [options.lastSeen] - { [userId]: { userName, lastSeen } }
+ * @param {Set<string>} [options.onlineUserIds] - Users in the room right now
+ * @param {string} [options.currentUserId]
+ * @returns {Object[]} [{ userId, name, role, isOwner, isYou, online, lastSeen }]
+ */
+export const buildMemberList = (canvas, { lastSeen = {}, onlineUserIds = new Set(), currentUserId = null } = {}) => {
+  if (!canvas?.permissions) return []
+
+  return Object.entries(canvas.permissions)
+    .map(([userId, role]) => {
+      const seen = lastSeen[userId] || {}
+      const isOwner = userId === canvas.owner
+      return {
+        userId,
+        name: seen.userName || (isOwner && canvas.ownerName) || `User ${userId.slice(0, 6)}`,
+        role: isOwner ? 'owner' : role,
+        isOwner,
+        isYou: userId === currentUserId,
+        online: userId === currentUserId || onlineUserIds.has(userId),
+        lastSeen: typeof seen.lastSeen === 'number' ? seen.lastSeen : null
+      }
+    })
+    .sort((a, b) => (b.isOwner - a.isOwner) || (b.online - a.online) || a.name.localeCompare(b.name))
+}
+
+/**
+ * "Online now", "Seen 5m ago", "Seen 3h ago", "Seen 2d ago", "Never visited"
+ */
+export const formatLastSeen = (member, now = Date.now()) => {
+  if (member.online) return 'Online now'
+  if (member.lastSeen === null) return 'Never visited'
+  const ago = Math.max(0, now - member.lastSeen)
+  if (ago < HOUR_MS) return `Seen ${Math.max(1, Math.floor(ago / MINUTE_MS))}m ago`
+  if (ago < DAY_MS) return `Seen ${Math.floor(ago / HOUR_MS)}h ago`
+  if (ago < 30 * DAY_MS) return `Seen ${Math.floor(ago / DAY_MS)}d ago`
+  return `Seen ${new Date(member.lastSeen).toLocaleDateString()}`
+}
@@ -0,0 +1,370 @@
+/**
+ * Room JSON import/export format
+ *
+ * A room document is a versioned, self-contained JSON file:
+ * {
+ *   format: 'techno-canvas-room',
+ *   version: 1,
+ *   exportedAt: <ms>,
+ *   canvas: { name, width, height },
+ *   shapes: [ ...shape models ],
+ *   versions: [ { createdAt, createdByName, summary, shapes } ]   // optional
+ * }
+ *
+ * Importing validates the document, gives every shape and group a fresh ID
+ * (keeping references between shapes intact) and forces all colors to grayscale.
+ */
+
+import { generateId } from '../types/shapes'
+import { getValidShapeProperties } from './deltaEncoding'
+import { isGrayscaleColor, convertToGrayscale } from './colorValidation'
+import { getGroupPath, createGroupId } from './groupUtils'
+import { createLockFields } from './shapeLocks'
+import { CONNECTOR_ANCHORS, CONNECTOR_ROUTINGS } from './connectors'
+
+export const ROOM_EXPORT_FORMAT = 'techno-canvas-room'
+export const ROOM_EXPORT_VERSION = 1
+
+export const IMPORTABLE_SHAPE_TYPES = ['rectangle', 'circle', 'line', 'text', 'polygon', 'star', 'arrow', 'path', 'connector', 'image']
+
+// Largest file accepted by the importer
+export const MAX_IMPORT_BYTES = 10 * 1024 * 1024
+export const MAX_IMPORT_SHAPES = 5000
+
+// Color properties that must stay grayscale
+const COLOR_FIELDS = ['fill', 'stroke']
+
+// Properties holding another shape's ID (remapped on import)
+const ID_REFERENCE_FIELDS = ['fromShapeId', 'toShapeId']
+
+// Never carried across rooms
+const TRANSIENT_FIELDS = ['lockedBy', 'lockedAt', 'lockOwner', 'lockOwnerName', 'lastModified', 'lastModifiedBy', 'lastModifiedByName']
+
+const NUMERIC_FIELDS = ['x', 'y', 'rotation', 'strokeWidth', 'opacity', 'zIndex', 'width', 'height', 'radius', 'fontSize', 'cornerRadius', 'tension',
+  'sides', 'numPoints', 'innerRadius', 'outerRadius', 'pointerLength', 'pointerWidth']
+
+const toMillis = (value) => {
+  if (!value) return null
+  if (typeof value === 'number') return value
+  if (value.toMillis) return value.toMillis()
+  if (value instanceof Date) return value.getTime()
+  return null
+}
+
+/**
+ * Copy only the properties a shape type supports
+ */
+export const sanitizeShape = (shape) => {
+  const allowed = getValidShapeProperties(shape.type)
+  const clean = { id: shape.id, type: shape.type }
+
+  allowed.forEach(key => {
+    if (TRANSIENT_FIELDS.includes(key)) return
+    if (shape[key] !== undefined && shape[key] !== null) {
+      clean[key] = shape[key]
+    }
+  })
+
+  return clean
+}
+
+/**
+ * Build a room document from a canvas and its shapes
+ *
+ * @param {Object} canvas - Canvas document (name, width, height)
+ * @param {Object[]} shapes - Current shapes
+ * @param {Object[]|null} versions - Optional [{ createdAt, createdByName, summary, shapes }]
+ * @returns {Object} Room document
+ */
+export const buildRoomExport = (canvas, shapes, versions = null) => {
+  const room = {
+    format: ROOM_EXPORT_FORMAT,
+    version: ROOM_EXPORT_VERSION,
+    exportedAt: Date.now(),
+    canvas: {
+      name: canvas?.name || 'Untitled',
+      width: canvas?.width || 3000,
+      height: canvas?.height || 3000
+    },
+    shapes: shapes.map(sanitizeShape)
+  }
+
+  if (versions && versions.length > 0) {
+    room.versions = versions.map(version => ({
+      createdAt: toMillis(version.createdAt),
+      createdByName: version.createdByName || null,
+      summary: version.summary || 'auto',
+      shapes: (version.shapes || []).map(sanitizeShape)
+    }))
+  }
+
+  return room
+}
+
+const validateShape = (shape, path, errors) => {
+  if (!shape || typeof shape !== 'object' || Array.isArray(shape)) {
+    errors.push(`${path} is not an object`)
+    return
+  }
+  if (typeof shape.id !== 'string' || !shape.id) {
+    errors.push(`${path}.id must be a non-empty string`)
+  }
+  if (!IMPORTABLE_SHAPE_TYPES.includes(shape.type)) {
+    errors.push(`${path}.type "${shape.type}" is not supported`)
+    return
+  }
+
+  NUMERIC_FIELDS.forEach(key => {
+    if (shape[key] !== undefined && !Number.isFinite(shape[key])) {
+      errors.push(`${path}.${key} must be a number`)
+    }
+  })
+
+  COLOR_FIELDS.forEach(key => {
+    if (shape[key] !== undefined && typeof shape[key] !== 'string') {
+      errors.push(`${path}.${key} must be a color string`)
+    }
+  })
+
+  if (shape.name !== undefined && shape.name !== null && typeof shape.name !== 'string') {
+    errors.push(`${path}.name must be a string`)
+  }
+
+  if (shape.groupPath !== undefined && shape.groupPath !== null &&
+      (!Array.isArray(shape.groupPath) || !shape.groupPath.every(id => typeof id === 'string' && id))) {
+    errors.push(`${path}.groupPath must be a list of group IDs`)
+  }
+
+  if (shape.type !== 'line' && (!Number.isFinite(shape.x) || !Number.isFinite(shape.y))) {
+    errors.push(`${path} needs numeric x and y`)
+  }
+
+  switch (shape.type) {
+    case 'image':
+      // Download URLs only; data URLs would blow past Firestore's document size limit
+      if (typeof shape.src !== 'string' || !/^https?:\/\//.test(shape.src)) {
+        errors.push(`${path}.src must be an http(s) URL`)
+      }
+      // falls through: images are sized like rectangles
+    case 'rectangle':
+      if (!(shape.width > 0) || !(shape.height > 0)) {
+        errors.push(`${path} needs a positive width and height`)
+      }
+      break
+    case 'circle':
+      if (!(shape.radius > 0)) {
+        errors.push(`${path} needs a positive radius`)
+      }
+      break
+    case 'line':
+      if (!Array.isArray(shape.points) || shape.points.length < 4 || shape.points.length % 2 !== 0 ||
+          !shape.points.every(Number.isFinite)) {
+        errors.push(`${path}.points must be an even list of at least 4 numbers`)
+      }
+      break
+    case 'polygon':
+      if (!Number.isInteger(shape.sides) || shape.sides < 3 || !(shape.radius > 0)) {
+        errors.push(`${path} needs at least 3 sides and a positive radius`)
+      }
+      break
+    case 'star':
+      if (!Number.isInteger(shape.numPoints) || shape.numPoints < 3 ||
+          !(shape.innerRadius > 0) || !(shape.outerRadius > 0)) {
+        errors.push(`${path} needs at least 3 points and positive radii`)
+      }
+      break
+    case 'connector':
+      if (shape.routing !== undefined && !CONNECTOR_ROUTINGS.includes(shape.routing)) {
+        errors.push(`${path}.routing must be one of ${CONNECTOR_ROUTINGS.join(', ')}`)
+      }
+      for (const key of ['fromAnchor', 'toAnchor']) {
+        if (shape[key] !== undefined && shape[key] !== null && !CONNECTOR_ANCHORS.includes(shape[key])) {
+          errors.push(`${path}.${key} must be one of ${CONNECTOR_ANCHORS.join(', ')}`)
+        }
+      }
+      // falls through: connectors cache their route as points like arrows
+    case 'arrow':
+    case 'path':
+      if (!Array.isArray(shape.points) || shape.points.length < 4 || shape.points.length % 2 !== 0 ||
+          !shape.points.every(Number.isFinite)) {
+        errors.push(`${path}.points must be an even list of at least 4 numbers`)
+      }
+      break
+    case 'text':
+      if (typeof shape.text !== 'string') {
+        errors.push(`${path}.text must be a string`)
+      }
+      break
+  }
+}
+
+const validateShapeList = (shapes, path, errors) => {
+  if (!Array.isArray(shapes)) {
+    errors.push(`${path} must be an array`)
+    return
+  }
+  if (shapes.length > MAX_IMPORT_SHAPES) {
+    errors.push(`${path} has ${shapes.length} shapes (max ${MAX_IMPORT_SHAPES})`)
+    return
+  }
+  const seen = new Set()
+  shapes.forEach((shape, index) => {
+    validateShape(shape, `${path}[${index}]`, errors)
+    if (shape?.id) {
+      if (seen.has(shape.id)) errors.push(`${path}[${index}].id "${shape.id}" is duplicated`)
+      seen.add(shape.id)
+    }
+  })
+}
+
+/**
+ * Validate a parsed room document against the schema
+ *
+ * @param {Object} room - Parsed JSON
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export const validateRoomDocument = (room) => {
+  const errors = []
+
+  if (!room || typeof room !== 'object' || Array.isArray(room)) {
+    return { valid: false, errors: ['File is not a room export'] }
+  }
+  if (room.format !== ROOM_EXPORT_FORMAT) {
+    return { valid: false, errors: ['File is not a room export'] }
+  }
+  if (!Number.isInteger(room.version) || room.version < 1) {
+    errors.push('version must be a positive integer')
+  } else if (room.version > ROOM_EXPORT_VERSION) {
+    errors.push(`version ${room.version} is newer than this app supports (${ROOM_EXPORT_VERSION})`)
+  }
+
+  if (!room.canvas || typeof room.canvas !== 'object') {
+    errors.push('canvas is missing')
+  } else if (room.canvas.name !== undefined && typeof room.canvas.name !== 'string') {
+    errors.push('canvas.name must be a string')
+  }
+
+  validateShapeList(room.shapes, 'shapes', errors)
+
+  if (room.versions !== undefined) {
+    if (!Array.isArray(room.versions)) {
+      errors.push('versions must be an array')
+    } else {
+      room.versions.forEach((version, index) => {
+        validateShapeList(version?.shapes, `versions[${index}].shapes`, errors)
+      })
+    }
+  }
+
+  return { valid: errors.length === 0, errors }
+}
+
+/**
+ * Parse and validate a room file's text
+ *
+ * @param {string} text - File contents
+ * @returns {Object} Valid room document
+ * @throws {Error} When the JSON is malformed or fails validation
+ */
+export const parseRoomDocument = (text) => {
+  if (typeof text !== 'string' || text.length > MAX_IMPORT_BYTES) {
+    throw new Error('Room file is too large')
+  }
+
+  let room
+  try {
+    room = JSON.parse(text)
+  } catch {
+    throw new Error('Room file is not valid JSON')
+  }
+
+  const { valid, errors } = validateRoomDocument(room)
+  if (!valid) {
+    const shown = errors.slice(0, 5).join('; ')
+    const more = errors.length > 5 ? ` (+${errors.length - 5} more)` : ''
+    throw new Error(`Invalid room file: ${shown}${more}`)
+  }
+
+  return room
+}
+
+/**
+ * Force a color to grayscale
+ */
+const enforceGrayscale = (color) => (isGrayscaleColor(color) ? (color.startsWith('#') ? color : `#${color}`) : convertToGrayscale(color))
+
+/**
+ * Prepare imported shapes for writing: new IDs, grayscale colors, ownership
+ *
+ * @param {Object[]} shapes - Validated shapes from a room document
+ * @param {Object} options
+ * @param {string} options.userId - Importing user
+ * @param {string} options.userName - Importing user's name
+ * @param {number} options.zIndexOffset - Added to every zIndex (stack above existing shapes)
+ * @param {Map} options.idMap - Shared old -> new ID map (reused across versions)
+ * @returns {{ shapes: Object[], idMap: Map }}
+ */
+export const prepareShapesForImport = (shapes, { userId, userName, zIndexOffset = 0, idMap = new Map() } = {}) => {
+  const now = Date.now()
+
+  shapes.forEach(shape => {
+    if (!idMap.has(shape.id)) {
+      idMap.set(shape.id, generateId(shape.type))
+    }
+  })
+
+  const prepared = shapes.map((shape, index) => {
+    const clean = sanitizeShape(shape)
+
+    COLOR_FIELDS.forEach(key => {
+      if (clean[key] !== undefined) {
+        clean[key] = enforceGrayscale(clean[key])
+      }
+    })
+
+    // Group IDs are remapped like shape IDs so imported groups stay separate
+    if (clean.groupPath !== undefined) {
+      const groupPath = getGroupPath(clean).map(groupId => {
+        if (!idMap.has(groupId)) idMap.set(groupId, createGroupId())
+        return idMap.get(groupId)
+      })
+      if (groupPath.length > 0) {
+        clean.groupPath = groupPath
+      } else {
+        delete clean.groupPath
+      }
+    }
+
+    // Locked shapes stay locked, held by the importing user
+    if (clean.locked) {
+      Object.assign(clean, createLockFields(userId, userName))
+    } else {
+      delete clean.locked
+    }
+
+    ID_REFERENCE_FIELDS.forEach(key => {
+      if (clean[key] !== undefined) {
+        // Drop references to shapes that were not part of the export
+        if (idMap.has(clean[key])) {
+          clean[key] = idMap.get(clean[key])
+        } else {
+          delete clean[key]
+        }
+      }
+    })
+
+    return {
+      ...clean,
+      id: idMap.get(shape.id),
+      rotation: clean.rotation || 0,
+      zIndex: (Number.isFinite(clean.zIndex) ? clean.zIndex : index) + zIndexOffset,
+      createdBy: userId,
+      createdAt: now,
+      lastModified: now,
+      lastModifiedBy: userId,
+      lastModifiedByName: userName || 'Anonymous'
+    }
+  })
+
+  return { shapes: prepared, idMap }
+}
@@ -0,0 +1,270 @@
+/**
+ * Rule-based command parser
+ *
+ * Deterministic stand-in for the LLM: recognises a fixed set of command
+ * phrasings and answers in the same { intent, parameters, confidence,
+ * reasoning } format the model is prompted for (see services/aiService.js).
+ * Backs the "stub" AI provider, so commands work offline and the ai-*
+ * Playwright suites get stable results, and is the automatic fallback when
+ * the real provider is unreachable (see composables/useAICommands.js).
+ */
+
+const SHAPE_WORDS = [
+  [/\b(rectangles?|rects?|squares?|box(es)?)\b/, { type: 'rectangle' }],
+  [/\b(circles?|dots?)\b/, { type: 'circle' }],
+  [/\btriangles?\b/, { type: 'polygon', sides: 3 }],
+  [/\bpentagons?\b/, { type: 'polygon', sides: 5 }],
+  [/\bhexagons?\b/, { type: 'polygon', sides: 6 }],
+  [/\boctagons?\b/, { type: 'polygon', sides: 8 }],
+  [/\bpolygons?\b/, { type: 'polygon' }],
+  [/\bstars?\b/, { type: 'star' }],
+  [/\barrows?\b/, { type: 'arrow' }],
+  [/\b(texts?|labels?)\b/, { type: 'text' }]
+]
+
+// Longer names first so "light gray" wins over "gray"
+const COLOR_WORDS = {
+  'light gray': '#C0C0C0',
+  'light grey': '#C0C0C0',
+  'dark gray': '#404040',
+  'dark grey': '#404040',
+  gray: '#808080',
+  grey: '#808080',
+  black: '#000000',
+  white: '#FFFFFF',
+  red: '#FF0000',
+  green: '#00FF00',
+  blue: '#0000FF',
+  yellow: '#FFFF00',
+  orange: '#FFA500',
+  purple: '#800080'
+}
+
+const TEMPLATE_WORDS = [
+  [/\blog ?in\b|\bsign ?in\b/, 'login_form'],
+  [/\bbuttons?\b/, 'button'],
+  [/\bcards?\b/, 'card']
+]
+
+const ALIGNMENT_WORDS = { left: 'left', right: 'right', top: 'top', bottom: 'bottom', center: 'center', centre: 'center', middle: 'middle' }
+
+const ARRANGEMENT_WORDS = [
+  [/\b(row|horizontal(ly)?)\b/, 'horizontal'],
+  [/\b(column|vertical(ly)?)\b/, 'vertical'],
+  [/\bgrid\b/, 'grid']
+]
+
+const SELECTION_WORDS = /\b(it|them|this|selected|selection)\b/
+
+const CREATE_VERB = /^(please\s+)?(create|make|draw|add|insert|build|place|put)\b/
+
+export const LINES_NOT_SUPPORTED = 'Lines are not supported. Only rectangles, circles, polygons, stars, arrows, freehand paths and text can be created - try an arrow instead.'
+
+const understood = (intent, parameters, reasoning) => ({ intent, parameters, confidence: 1, reasoning })
+
+const unknown = (reasoning) => ({ intent: 'UNKNOWN', confidence: 0, reasoning })
+
+const toInt = (value) => parseInt(value, 10)
+
+const findShape = (text) => SHAPE_WORDS.find(([pattern]) => pattern.test(text))?.[1]
+
+const findColor = (text) => {
+  const name = Object.keys(COLOR_WORDS).find(word => new RegExp(`\\b${word}\\b`).test(text))
+  return name ? COLOR_WORDS[name] : undefined
+}
+
+// "200x100", "300 by 150", "75px", "radius 50", "with radius of 50"
+// (grid dimensions are removed from the text first)
+const findSize = (text, type) => {
+  const box = text.match(/(\d+)\s*(?:x|by|×)\s*(\d+)/)
+  if (box) {
+    return { width: toInt(box[1]), height: toInt(box[2]) }
+  }
+  const single = text.match(/(\d+)\s*px\b/) || text.match(/\bradius\s+(?:of\s+)?(\d+)/)
+  if (!single) return {}
+  const value = toInt(single[1])
+  return type === 'rectangle' ? { width: value, height: value } : { radius: value }
+}
+
+const parseCreate = (text, original) => {
+  if (/\blines?\b/.test(text)) return unknown(LINES_NOT_SUPPORTED)
+
+  // "insert my pricing card", "add the header template": a saved template
+  const saved = text.match(/^(?:please\s+)?\w+\s+(?:(?:my|our)\s+(.+?)(?:\s+template)?|(?:the|a)\s+(.+?)\s+template)$/)
+  if (saved) {
+    const name = saved[1] || saved[2]
+    return understood('CREATE_TEMPLATE', { templateName: name }, `Saved template ${name}`)
+  }
+
+  const template = TEMPLATE_WORDS.find(([pattern]) => pattern.test(text))
+  if (template) {
+    return understood('CREATE_TEMPLATE', { templateName: template[1] }, `Template ${template[1]}`)
+  }
+
+  const quoted = original.match(/["'‘“]([^"'’”]+)["'’”]/)
+  const shape = findShape(text) || (quoted ? { type: 'text' } : null)
+  if (!shape) return null
+
+  const grid = text.match(/(\d+)\s*(?:x|by|×)\s*(\d+)\s+grid/) || text.match(/grid\s+of\s+(\d+)\s*(?:x|by|×)\s*(\d+)/)
+  const parameters = { ...shape, ...findSize(grid ? text.replace(grid[0], '') : text, shape.type) }
+  const color = findColor(text)
+  if (color) parameters.fill = color
+  if (quoted) parameters.text = quoted[1]
+  const points = text.match(/(\d+)[\s-]*point(ed)?\b/)
+  if (shape.type === 'star' && points) parameters.numPoints = toInt(points[1])
+
+  if (grid) {
+    return understood('CREATE_MULTIPLE_SHAPES', { ...parameters, gridRows: toInt(grid[1]), gridCols: toInt(grid[2]) }, 'Grid of shapes')
+  }
+
+  const count = text.replace(CREATE_VERB, '').match(/^\s*(\d+)\s+\D/)
+  if (count && toInt(count[1]) > 1) {
+    return understood('CREATE_MULTIPLE_SHAPES', { ...parameters, count: toInt(count[1]) }, `${count[1]} shapes`)
+  }
+
+  if (shape.type === 'text') {
+    return understood('CREATE_TEXT', { ...parameters, text: parameters.text || 'Text' }, 'Text element')
+  }
+  return understood('CREATE_SHAPE', parameters, `Single ${shape.type}`)
+}
+
+// Questions about the canvas; they never change anything
+const parseQuery = (text, original) => {
+  const selection = SELECTION_WORDS.test(text) ? { target: 'selected' } : {}
+
+  if (/^(what('s| is| are)|which shapes? (are|is))\s+(currently\s+)?(selected|in the selection)\b|^what do i have selected\b/.test(text)) {
+    return understood('QUERY_INFO', { queryType: 'selection' }, 'Describe the selection')
+  }
+  if (/^(how many|count)\b/.test(text)) {
+    const shape = findShape(text)
+    return understood('QUERY_INFO', { queryType: 'count', ...(shape ? { shapeType: shape.type } : {}), ...selection }, 'Count shapes')
+  }
+  if (/\b(bounding box|bounds)\b|^(where (is|are)|how (big|large) (is|are))\b/.test(text)) {
+    return understood('QUERY_INFO', { queryType: 'bounds', ...selection }, 'Bounds')
+  }
+  if (/^who\b.*\b(edit|modif|chang|touch|mov)/.test(text)) {
+    return understood('QUERY_INFO', { queryType: 'last-modified', ...selection }, 'Last edited by')
+  }
+  const search = original.match(/^(?:find|search(?:\s+for)?|which\s+shapes?\s+(?:says?|contains?|mentions?))\s+(?:the\s+)?(?:text\s+)?(.+?)\??$/i)
+  if (search) {
+    const quoted = search[1].match(/^["'‘“](.+)["'’”]$/)
+    return understood('QUERY_INFO', { queryType: 'search', text: quoted ? quoted[1] : search[1] }, 'Search text')
+  }
+  return null
+}
+
+// Layout engine operations: tidy up, tree/flow, circle packing, fit into a region
+const parseLayout = (text) => {
+  const arranges = /^(arrange|lay ?out|layout|organi[sz]e|put (it|them|these|those|the selection))\b/.test(text)
+
+  if (/^(tidy|clean)\s*up\b|^(remove|fix|resolve)\b.*\boverlap/.test(text)) {
+    return understood('ARRANGE_SHAPES', { target: 'selected', layout: 'tidy' }, 'Tidy up overlaps')
+  }
+  if (arranges && /\b(tree|flow(chart)?|hierarchy|diagram)\b/.test(text)) {
+    const direction = /\b(left to right|sideways|horizontal(ly)?)\b/.test(text) ? 'right' : 'down'
+    return understood('ARRANGE_SHAPES', { target: 'selected', layout: 'tree', direction }, `Tree layout ${direction}`)
+  }
+  if ((arranges && /\b(in|into|as|around)\s+(a\s+)?(circle|ring)\b/.test(text)) || /^pack\b/.test(text)) {
+    return understood('ARRANGE_SHAPES', { target: 'selected', layout: 'circle' }, 'Circular packing')
+  }
+  if (/^(fit|squeeze)\b.*\b(in|into|on|to)\b/.test(text)) {
+    const region = text.match(/\b(left|right|top|bottom)\b/)?.[1] || 'viewport'
+    return understood('ARRANGE_SHAPES', { target: 'selected', layout: 'fit', region }, `Fit into ${region}`)
+  }
+  return null
+}
+
+/**
+ * Parse a command with fixed rules
+ *
+ * @param {string} commandText - Natural language command
+ * @returns {Object} { intent, parameters, confidence, reasoning }; intent
+ *   is UNKNOWN (confidence 0) when no rule matches
+ */
+export const parseWithRules = (commandText) => {
+  // Follow-ups often start with a filler: "now make them smaller"
+  const original = String(commandText || '').trim().replace(/^(?:(?:and\s+)?(?:now|then)|also|next)[,\s]+/i, '')
+  const text = original.toLowerCase()
+
+  const query = parseQuery(text, original)
+  if (query) return query
+
+  // Before deletion: "remove the overlaps" tidies up
+  const layout = parseLayout(text)
+  if (layout) return layout
+
+  if (/^(delete|remove|erase|clear)\b/.test(text)) {
+    const shape = findShape(text)
+    if (!SELECTION_WORDS.test(text) && shape) {
+      return understood('DELETE_SHAPE', { target: 'type', shapeType: shape.type }, `Delete every ${shape.type}`)
+    }
+    const target = /\b(all|everything)\b/.test(text) && !SELECTION_WORDS.test(text) ? 'all' : 'selected'
+    return understood('DELETE_SHAPE', { target }, `Delete ${target}`)
+  }
+
+  if (/^align\b/.test(text)) {
+    const side = text.match(/\b(left|right|top|bottom|center|centre|middle)\b/)?.[1]
+    // "align horizontally" lines shapes up in a row, i.e. on their middles
+    const alignment = side ? ALIGNMENT_WORDS[side] : /\bvertical/.test(text) ? 'center' : 'middle'
+    return understood('ARRANGE_SHAPES', { target: 'selected', alignment }, `Align ${alignment}`)
+  }
+
+  if (/^(distribute|space)\b/.test(text)) {
+    const distribution = /\bvertical|\bcolumn|\btop to bottom\b/.test(text) ? 'vertical' : 'horizontal'
+    return understood('ARRANGE_SHAPES', { target: 'selected', distribution }, `Distribute ${distribution}ly`)
+  }
+
+  const rearranges = /^(arrange|line up|lay out)\b/.test(text) || (/^put\b/.test(text) && SELECTION_WORDS.test(text))
+  const arrangement = rearranges && ARRANGEMENT_WORDS.find(([pattern]) => pattern.test(text))?.[1]
+  if (arrangement) {
+    return understood('ARRANGE_SHAPES', { target: 'selected', arrangement }, `Arrange ${arrangement}`)
+  }
+
+  const zoom = text.match(/\bzoom\s+(in|out)\b/) || text.match(/^(reset)\s+(?:the\s+)?(?:zoom|view)\b/)
+  if (zoom) {
+    const action = zoom[1] === 'reset' ? 'center' : `zoom-${zoom[1]}`
+    return understood('UTILITY', { action }, `Viewport ${action}`)
+  }
+
+  if (/\b(center|centre|middle)\b/.test(text) && (/^(move|center|centre)\b/.test(text) || SELECTION_WORDS.test(text))) {
+    return understood('MOVE_SHAPE', { target: 'selected', moveTo: 'center' }, 'Move to viewport center')
+  }
+
+  const move = text.match(/^move\s+(?:it\s+|selected\s+|them\s+)?(up|down|left|right)(?:\s+(?:by\s+)?(\d+))?/)
+  if (move) {
+    return understood('MOVE_SHAPE', { target: 'selected', direction: move[1], distance: move[2] ? toInt(move[2]) : 50 }, `Move ${move[1]}`)
+  }
+
+  // Resizing and recoloring only apply to shapes that already exist
+  const refersToSelection = SELECTION_WORDS.test(text) || /^(resize|double|halve|scale)\b/.test(text)
+
+  if (refersToSelection && /\b(twice as big|double( the size)?)\b/.test(text)) {
+    return understood('RESIZE_SHAPE', { target: 'selected', sizeMultiplier: 2 }, 'Double the size')
+  }
+  if (refersToSelection && /\b(half( the size| as big)?|halve)\b/.test(text)) {
+    return understood('RESIZE_SHAPE', { target: 'selected', sizeMultiplier: 0.5 }, 'Half the size')
+  }
+  const percent = text.match(/(\d+)%\s+(larger|bigger|smaller)/)
+  if (refersToSelection && percent) {
+    const delta = toInt(percent[1])
+    return understood('RESIZE_SHAPE', { target: 'selected', sizePercent: percent[2] === 'smaller' ? 100 - delta : 100 + delta }, 'Relative resize')
+  }
+
+  if (refersToSelection && /\b(smaller|shrink)\b/.test(text)) {
+    return understood('RESIZE_SHAPE', { target: 'selected', sizeMultiplier: 0.5 }, 'Smaller')
+  }
+  if (refersToSelection && /\b(bigger|larger|grow)\b/.test(text)) {
+    return understood('RESIZE_SHAPE', { target: 'selected', sizeMultiplier: 1.5 }, 'Bigger')
+  }
+
+  const recolor = /^(make|color|colour|paint|turn)\s+(it|them|selected|this|that)\s+/.test(text) && findColor(text)
+  if (recolor) {
+    return understood('CHANGE_STYLE', { target: 'selected', fill: recolor }, 'Change fill')
+  }
+
+  if (CREATE_VERB.test(text)) {
+    return parseCreate(text, original) || unknown('I can only create rectangles, circles, polygons, stars, arrows and text without the AI service.')
+  }
+
+  return unknown('I couldn\'t match that command to a known rule. Try "create 3 circles" or "move selected to center".')
+}
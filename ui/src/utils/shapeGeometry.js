@@ -0,0 +1,182 @@
+/**
+ * Geometry for point-based shapes (polygon, star, arrow, freehand path)
+ *
+ * Vertices are computed the same way Konva draws RegularPolygon and Star,
+ * so bounds, hit tests and SVG export line up with what is on screen.
+ */
+
+// Pen strokes drop points closer than this (canvas px) to the simplified line
+export const PATH_SIMPLIFY_TOLERANCE = 1.5
+
+export const MIN_POLYGON_SIDES = 3
+export const MAX_POLYGON_SIDES = 12
+export const MIN_STAR_POINTS = 3
+export const MAX_STAR_POINTS = 20
+
+const round = (value) => Math.round(value * 10) / 10
+
+const rotateAround = (point, origin, degrees) => {
+  if (!degrees) return point
+  const radians = (degrees * Math.PI) / 180
+  const cos = Math.cos(radians)
+  const sin = Math.sin(radians)
+  const dx = point.x - origin.x
+  const dy = point.y - origin.y
+  return {
+    x: origin.x + dx * cos - dy * sin,
+    y: origin.y + dx * sin + dy * cos
+  }
+}
+
+/**
+ * Corners of a regular polygon in canvas coordinates (first corner at the top)
+ */
+export const getPolygonVertices = (shape) => {
+  const sides = Math.max(MIN_POLYGON_SIDES, shape.sides || MIN_POLYGON_SIDES)
+  const origin = { x: shape.x || 0, y: shape.y || 0 }
+  const vertices = []
+  for (let i = 0; i < sides; i++) {
+    const angle = (i * 2 * Math.PI) / sides
+    vertices.push(rotateAround({
+      x: origin.x + shape.radius * Math.sin(angle),
+      y: origin.y - shape.radius * Math.cos(angle)
+    }, origin, shape.rotation || 0))
+  }
+  return vertices
+}
+
+/**
+ * Outer and inner corners of a star in canvas coordinates, alternating
+ */
+export const getStarVertices = (shape) => {
+  const numPoints = Math.max(MIN_STAR_POINTS, shape.numPoints || MIN_STAR_POINTS)
+  const origin = { x: shape.x || 0, y: shape.y || 0 }
+  const vertices = []
+  for (let i = 0; i < numPoints * 2; i++) {
+    const radius = i % 2 === 0 ? shape.outerRadius : shape.innerRadius
+    const angle = (i * Math.PI) / numPoints
+    vertices.push(rotateAround({
+      x: origin.x + radius * Math.sin(angle),
+      y: origin.y - radius * Math.cos(angle)
+    }, origin, shape.rotation || 0))
+  }
+  return vertices
+}
+
+/**
+ * Points of an arrow or freehand path in canvas coordinates
+ *
+ * Their points are relative to x,y and rotate around it (the Konva node origin).
+ */
+export const getAbsolutePoints = (shape) => {
+  const pts = shape.points || []
+  const origin = { x: shape.x || 0, y: shape.y || 0 }
+  const points = []
+  for (let i = 0; i + 1 < pts.length; i += 2) {
+    points.push(rotateAround({ x: origin.x + pts[i], y: origin.y + pts[i + 1] }, origin, shape.rotation || 0))
+  }
+  return points
+}
+
+/**
+ * Triangles drawn at the ends of an arrow, in canvas coordinates
+ *
+ * @returns {Array<Array<{x: number, y: number}>>} Each head as [tip, left, right]
+ */
+export const getArrowHeads = (shape) => {
+  const points = getAbsolutePoints(shape)
+  if (points.length < 2) return []
+
+  const head = (tip, from) => {
+    const angle = Math.atan2(tip.y - from.y, tip.x - from.x)
+    const length = shape.pointerLength || 0
+    const half = (shape.pointerWidth || 0) / 2
+    const baseX = tip.x - length * Math.cos(angle)
+    const baseY = tip.y - length * Math.sin(angle)
+    return [
+      tip,
+      { x: baseX + half * Math.sin(angle), y: baseY - half * Math.cos(angle) },
+      { x: baseX - half * Math.sin(angle), y: baseY + half * Math.cos(angle) }
+    ]
+  }
+
+  const heads = []
+  if (shape.pointerAtEnd) heads.push(head(points[points.length - 1], points[points.length - 2]))
+  if (shape.pointerAtStart) heads.push(head(points[0], points[1]))
+  return heads
+}
+
+// Distance from p to the segment a-b
+const distanceToSegment = (p, a, b) => {
+  const dx = b.x - a.x
+  const dy = b.y - a.y
+  const lengthSq = dx * dx + dy * dy
+  if (lengthSq === 0) return Math.hypot(p.x - a.x, p.y - a.y)
+  const t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq))
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy))
+}
+
+/**
+ * Ramer-Douglas-Peucker simplification of a flat [x1, y1, x2, y2, ...] list
+ *
+ * Keeps the first and last point and every point further than `tolerance`
+ * from the simplified line, so pen strokes store a fraction of the raw
+ * mouse samples without visibly changing shape.
+ */
+export const simplifyPoints = (flatPoints, tolerance = PATH_SIMPLIFY_TOLERANCE) => {
+  const points = []
+  for (let i = 0; i + 1 < flatPoints.length; i += 2) {
+    points.push({ x: flatPoints[i], y: flatPoints[i + 1] })
+  }
+  if (points.length <= 2) return flatPoints.slice()
+
+  const keep = new Array(points.length).fill(false)
+  keep[0] = true
+  keep[points.length - 1] = true
+
+  // Iterative to stay safe on very long strokes
+  const stack = [[0, points.length - 1]]
+  while (stack.length) {
+    const [start, end] = stack.pop()
+    let maxDistance = 0
+    let index = -1
+    for (let i = start + 1; i < end; i++) {
+      const distance = distanceToSegment(points[i], points[start], points[end])
+      if (distance > maxDistance) {
+        maxDistance = distance
+        index = i
+      }
+    }
+    if (index !== -1 && maxDistance > tolerance) {
+      keep[index] = true
+      stack.push([start, index], [index, end])
+    }
+  }
+
+  return points.filter((_, i) => keep[i]).flatMap(point => [point.x, point.y])
+}
+
+/**
+ * Turn a finished pen stroke (canvas coordinates) into path shape properties
+ *
+ * The stroke's first point becomes the shape's x,y; points are stored
+ * relative to it, simplified and rounded to 0.1px.
+ *
+ * @param {number[]} flatPoints - Raw stroke [x1, y1, x2, y2, ...]
+ * @returns {{ x: number, y: number, points: number[] } | null} null for strokes under two points
+ */
+export const createPathFromStroke = (flatPoints, tolerance = PATH_SIMPLIFY_TOLERANCE) => {
+  if (!flatPoints || flatPoints.length < 4) return null
+  const x = flatPoints[0]
+  const y = flatPoints[1]
+  const simplified = simplifyPoints(flatPoints, tolerance)
+  const points = simplified.map((value, i) => round(value - (i % 2 === 0 ? x : y)))
+  return { x: round(x), y: round(y), points }
+}
+
+/**
+ * Scale points relative to the origin (used to bake a transform into arrows and paths)
+ */
+export const scalePoints = (points, scaleX, scaleY) => (
+  (points || []).map((value, i) => round(value * (i % 2 === 0 ? scaleX : scaleY)))
+)
@@ -0,0 +1,155 @@
+/**
+ * Grid and smart-guide snapping
+ *
+ * A moving box (a dragged shape, a dragged selection or a resize handle)
+ * first tries to line up its left/center/right and top/middle/bottom with
+ * the same lines of nearby shapes. An axis with no shape in range snaps to
+ * the grid instead, when grid snapping is on. Candidates are looked up in the
+ * spatial index (see useSpatialIndex.js), so only shapes around the moving
+ * box are compared.
+ */
+
+import { getShapeBounds } from './canvasExport'
+
+export const DEFAULT_GRID_SPACING = 20
+export const GRID_SPACING_OPTIONS = [10, 20, 25, 50, 100]
+
+// Distance (in screen pixels) within which a shape's edge is pulled onto a guide
+export const SNAP_THRESHOLD = 6
+
+// How far (in canvas pixels) around the moving box to look for guide candidates
+export const GUIDE_SEARCH_RANGE = 600
+
+// Smallest on-screen grid cell; denser grids are drawn with every 2nd, 4th... line
+const MIN_GRID_CELL_PX = 8
+
+export const snapToGrid = (value, spacing) => (spacing > 0 ? Math.round(value / spacing) * spacing : value)
+
+/**
+ * Box used for snapping a shape, as drawn: circles sit one radius up and left
+ * of x,y (see getCircleCenter)
+ *
+ * Dragged lines keep their drag offset in x/y on top of their points (see Line.vue).
+ */
+export const getSnapBounds = (shape) => {
+  const bounds = getShapeBounds(shape)
+  if (shape.type === 'line') {
+    return { ...bounds, x: bounds.x + (shape.x || 0), y: bounds.y + (shape.y || 0) }
+  }
+  return bounds
+}
+
+// Start, center and end of a box along one axis
+const getAxisLines = (bounds, axis) => {
+  const start = axis === 'x' ? bounds.x : bounds.y
+  const size = axis === 'x' ? bounds.width : bounds.height
+  return [start, start + size / 2, start + size]
+}
+
+// Nearest candidate line within the threshold: { offset, position } or null
+const findAxisGuide = (bounds, candidates, axis, threshold) => {
+  const lines = getAxisLines(bounds, axis)
+  let best = null
+
+  candidates.forEach(candidate => {
+    getAxisLines(candidate, axis).forEach(target => {
+      lines.forEach(line => {
+        const offset = target - line
+        if (Math.abs(offset) <= threshold && (!best || Math.abs(offset) < Math.abs(best.offset))) {
+          best = { offset, position: target }
+        }
+      })
+    })
+  })
+
+  return best
+}
+
+// Guide through `position`, spanning the moving box and every candidate on it
+const buildGuide = (axis, position, bounds, candidates) => {
+  const cross = axis === 'x' ? 'y' : 'x'
+  const crossSize = axis === 'x' ? 'height' : 'width'
+  const aligned = [
+    bounds,
+    ...candidates.filter(candidate => getAxisLines(candidate, axis).some(line => Math.abs(line - position) < 0.5))
+  ]
+  const start = Math.min(...aligned.map(box => box[cross]))
+  const end = Math.max(...aligned.map(box => box[cross] + box[crossSize]))
+
+  return axis === 'x'
+    ? { points: [position, start, position, end] }
+    : { points: [start, position, end, position] }
+}
+
+/**
+ * Offset that snaps a moving box to nearby shapes or the grid
+ *
+ * @param {Object} bounds - Moving box { x, y, width, height }
+ * @param {Object[]} candidates - Boxes of nearby shapes
+ * @param {Object} options
+ * @param {number} options.threshold - Snap distance in canvas units
+ * @param {number} [options.gridSpacing=0] - Grid cell size, 0 to skip grid snapping
+ * @param {boolean} [options.smartGuides=true] - Snap to nearby shapes
+ * @returns {{ dx: number, dy: number, guides: Array<{ points: number[] }> }}
+ */
+export const snapBounds = (bounds, candidates, { threshold, gridSpacing = 0, smartGuides = true }) => {
+  const offsets = { x: 0, y: 0 }
+  const matched = { x: null, y: null }
+
+  for (const axis of ['x', 'y']) {
+    const guide = smartGuides ? findAxisGuide(bounds, candidates, axis, threshold) : null
+    if (guide) {
+      offsets[axis] = guide.offset
+      matched[axis] = guide.position
+    } else if (gridSpacing > 0) {
+      offsets[axis] = snapToGrid(bounds[axis], gridSpacing) - bounds[axis]
+    }
+  }
+
+  const snapped = { ...bounds, x: bounds.x + offsets.x, y: bounds.y + offsets.y }
+  const guides = ['x', 'y']
+    .filter(axis => matched[axis] !== null)
+    .map(axis => buildGuide(axis, matched[axis], snapped, candidates))
+
+  return { dx: offsets.x, dy: offsets.y, guides }
+}
+
+/**
+ * Snap a single point (resize handles, line ends) like a zero-size box
+ *
+ * @returns {{ x: number, y: number, guides: Array<{ points: number[] }> }}
+ */
+export const snapPoint = (point, candidates, options) => {
+  const { dx, dy, guides } = snapBounds({ x: point.x, y: point.y, width: 0, height: 0 }, candidates, options)
+  return { x: point.x + dx, y: point.y + dy, guides }
+}
+
+/**
+ * Grid lines covering a region of the canvas
+ *
+ * Lines closer together than MIN_GRID_CELL_PX on screen are thinned out by
+ * doubling the step, so zooming out never draws thousands of lines.
+ *
+ * @param {Object} region - Visible canvas region { x, y, width, height }
+ * @param {number} spacing - Grid cell size
+ * @param {number} scale - Stage zoom level
+ * @returns {{ step: number, xs: number[], ys: number[] }}
+ */
+export const getGridLines = (region, spacing, scale) => {
+  let step = spacing
+  while (step * scale < MIN_GRID_CELL_PX) step *= 2
+
+  const range = (start, end) => {
+    const values = []
+    for (let value = Math.ceil(start / step) * step; value <= end; value += step) {
+      values.push(value)
+    }
+    return values
+  }
+
+  return {
+    step,
+    xs: range(region.x, region.x + region.width),
+    ys: range(region.y, region.y + region.height)
+  }
+}
@@ -0,0 +1,165 @@
+/**
+ * Test: AI Multi-Step Commands
+ *
+ * Validates:
+ * 1. Plans are limited in length and every step needs a category
+ * 2. "$ref" and "$n" targets resolve to the shapes of earlier steps
+ * 3. Step results expose the shapes they created, changed or selected
+ * 4. Relative placement puts shapes next to an earlier step's shapes
+ * 5. Plans are built on a draft, so a failing step leaves nothing to commit
+ */
+
+import { test, expect } from '@playwright/test'
+
+test.describe('AI Multi-Step Commands', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:5173')
+    await page.waitForTimeout(1000)
+  })
+
+  test('plans are validated', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/utils/aiPlan.js')
+      const attempt = (command) => {
+        try {
+          return module.getPlanSteps(command).length
+        } catch (err) {
+          return err.message
+        }
+      }
+      const step = { category: 'creation', action: 'create', parameters: { shapeType: 'circle' } }
+      return {
+        single: module.isPlanCommand(step),
+        plan: module.isPlanCommand({ category: 'plan', steps: [step] }),
+        valid: attempt({ steps: [step, step] }),
+        empty: attempt({ steps: [] }),
+        tooLong: attempt({ steps: Array(module.MAX_PLAN_STEPS + 1).fill(step) }),
+        missingCategory: attempt({ steps: [step, { action: 'move' }] }),
+        nested: attempt({ steps: [{ category: 'plan', steps: [step] }] })
+      }
+    })
+
+    expect(result.single).toBe(false)
+    expect(result.plan).toBe(true)
+    expect(result.valid).toBe(2)
+    expect(result.empty).toContain('empty plan')
+    expect(result.tooLong).toContain('limited to 10 steps')
+    expect(result.missingCategory).toBe('Step 2 of the plan is invalid')
+    expect(result.nested).toBe('Step 1 of the plan is invalid')
+  })
+
+  test('references resolve to earlier steps', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/utils/aiPlan.js')
+      const refs = new Map([['1', ['a', 'b']], ['form', ['a', 'b']], ['2', ['c']], ['title', ['c']]])
+      let unknown = null
+      try {
+        module.resolveStepTargets({ target: '$later' }, refs)
+      } catch (err) {
+        unknown = err.message
+      }
+      return {
+        named: module.resolveStepTargets({ target: '$form' }, refs),
+        numbered: module.resolveStepTargets({ target: '$2' }, refs),
+        merged: module.resolveStepTargets({ target: '$1', targets: ['$title', '$form'] }, refs),
+        selected: module.resolveStepTargets({ target: 'selected' }, refs),
+        none: module.resolveStepTargets({}, refs),
+        unknown
+      }
+    })
+
+    expect(result.named).toEqual(['a', 'b'])
+    expect(result.numbered).toEqual(['c'])
+    expect(result.merged).toEqual(['a', 'b', 'c'])
+    expect(result.selected).toBeNull()
+    expect(result.none).toBeNull()
+    expect(result.unknown).toContain('"$later"')
+  })
+
+  test('step results expose their shapes', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/utils/aiPlan.js')
+      return {
+        created: module.getResultShapeIds({ createdShapes: [{ id: 'a' }, null, { id: 'b' }] }),
+        updated: module.getResultShapeIds({ updatedIds: ['c'] }),
+        selected: module.getResultShapeIds({ type: 'selection', selectedIds: ['d'] }),
+        deleted: module.getResultShapeIds({ deletedIds: ['e'], lockedIds: [] })
+      }
+    })
+
+    expect(result.created).toEqual(['a', 'b'])
+    expect(result.updated).toEqual(['c'])
+    expect(result.selected).toEqual(['d'])
+    expect(result.deleted).toEqual([])
+  })
+
+  test('relative placement', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/utils/aiPlan.js')
+      const form = [
+        { type: 'rectangle', x: 100, y: 100, width: 200, height: 40 },
+        { type: 'rectangle', x: 100, y: 160, width: 200, height: 40 }
+      ]
+      const title = [{ type: 'rectangle', x: 500, y: 500, width: 100, height: 20 }]
+      let unknown = null
+      try {
+        module.getPlacementOffset(form, title, 'behind')
+      } catch (err) {
+        unknown = err.message
+      }
+      return {
+        above: module.getPlacementOffset(form, title, 'above'),
+        below: module.getPlacementOffset(form, title, 'below', 10),
+        left: module.getPlacementOffset(form, title, 'left'),
+        right: module.getPlacementOffset(form, title, 'right', 0),
+        empty: module.getPlacementOffset([], title, 'above'),
+        unknown
+      }
+    })
+
+    // Form spans x 100-300, y 100-200; the title is 100x20 at (500, 500)
+    expect(result.above).toEqual({ x: -350, y: -440 })
+    expect(result.below).toEqual({ x: -350, y: -290 })
+    expect(result.left).toEqual({ x: -520, y: -360 })
+    expect(result.right).toEqual({ x: -200, y: -360 })
+    expect(result.empty).toEqual({ x: 0, y: 0 })
+    expect(result.unknown).toContain('Unknown placement "behind"')
+  })
+
+  test('plans are built on a draft before anything is committed', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createPreviewStore } = await import('/src/utils/aiPreview.js')
+      const { useCommandExecutor } = await import('/src/composables/useCommandExecutor.js')
+      const source = new Map([['a', { id: 'a', type: 'rectangle', x: 0, y: 0, width: 100, height: 100, zIndex: 1 }]])
+      const context = { userId: 'u1', canvasId: 'canvas', userName: 'User', selectedShapeIds: ['a'], viewportCenter: { x: 500, y: 500 } }
+      const createStep = { category: 'creation', action: 'create', parameters: { shapeType: 'circle', position: { x: 100, y: 100 } } }
+      const moveStep = { category: 'manipulation', action: 'move', parameters: { target: 'a', position: { x: 300, y: 300 } } }
+      const brokenStep = { category: 'creation', action: 'create', parameters: { shapeType: 'path' } }
+
+      const run = async (steps) => {
+        const draft = createPreviewStore(source, { createId: (type) => `${type}_real` })
+        try {
+          await useCommandExecutor({ store: draft }).executeCommand({ category: 'plan', action: 'plan', steps }, context)
+          return { changes: draft.getPreview() }
+        } catch (err) {
+          return { error: err.message }
+        }
+      }
+
+      const applied = await run([createStep, moveStep])
+      const failed = await run([createStep, brokenStep])
+      return {
+        created: applied.changes.created.map(shape => shape.id),
+        updated: applied.changes.updated.map(shape => [shape.id, shape.x, shape.y]),
+        error: failed.error,
+        source: Array.from(source.values()).map(shape => [shape.id, shape.x])
+      }
+    })
+
+    expect(result.created).toEqual(['circle_real'])
+    expect(result.updated).toEqual([['a', 300, 300]])
+    expect(result.error).toContain('Step 2 of 2 failed')
+    expect(result.source).toEqual([['a', 0]])
+  })
+})
@@ -0,0 +1,119 @@
+/**
+ * Test: AI Offline Parser
+ *
+ * Validates:
+ * 1. Sized, counted and grid creation commands
+ * 2. Align, distribute and arrange commands
+ * 3. Delete by type and zoom commands
+ * 4. Offline commands map to the executor's command objects
+ * 5. Unmatched commands still fail offline
+ */
+
+import { test, expect } from '@playwright/test'
+
+test.describe('AI Offline Parser', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:5173')
+    await page.waitForTimeout(1000)
+  })
+
+  test('creation commands with sizes, counts and grids', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { parseWithRules } = await import('/src/utils/ruleBasedParser.js')
+      return [
+        'create 7 rectangles of size 299x453',
+        'create 5 circles with radius 50',
+        'make a 5 by 5 grid of rectangles',
+        'create a grid of 2x6 circles'
+      ].map(text => parseWithRules(text))
+    })
+
+    expect(result[0]).toMatchObject({ intent: 'CREATE_MULTIPLE_SHAPES', parameters: { type: 'rectangle', count: 7, width: 299, height: 453 } })
+    expect(result[1].parameters).toEqual({ type: 'circle', count: 5, radius: 50 })
+    expect(result[2].parameters).toEqual({ type: 'rectangle', gridRows: 5, gridCols: 5 })
+    expect(result[3].parameters).toEqual({ type: 'circle', gridRows: 2, gridCols: 6 })
+  })
+
+  test('align, distribute and arrange commands', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { parseWithRules } = await import('/src/utils/ruleBasedParser.js')
+      const params = (text) => parseWithRules(text).parameters
+      return {
+        left: params('align selected to the left'),
+        centre: params('align them centre'),
+        row: params('align horizontally'),
+        horizontal: params('distribute horizontally'),
+        vertical: params('space them out vertically'),
+        column: params('arrange them in a column'),
+        intent: parseWithRules('align top').intent
+      }
+    })
+
+    expect(result.left).toEqual({ target: 'selected', alignment: 'left' })
+    expect(result.centre.alignment).toBe('center')
+    expect(result.row.alignment).toBe('middle')
+    expect(result.horizontal).toEqual({ target: 'selected', distribution: 'horizontal' })
+    expect(result.vertical.distribution).toBe('vertical')
+    expect(result.column).toEqual({ target: 'selected', arrangement: 'vertical' })
+    expect(result.intent).toBe('ARRANGE_SHAPES')
+  })
+
+  test('delete by type and zoom commands', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { parseWithRules } = await import('/src/utils/ruleBasedParser.js')
+      const params = (text) => parseWithRules(text).parameters
+      return {
+        circles: params('delete all circles'),
+        selected: params('delete the selected circles'),
+        all: params('remove everything'),
+        zoomIn: parseWithRules('zoom in'),
+        zoomOut: params('please zoom out'),
+        reset: params('reset the view')
+      }
+    })
+
+    expect(result.circles).toEqual({ target: 'type', shapeType: 'circle' })
+    expect(result.selected).toEqual({ target: 'selected' })
+    expect(result.all).toEqual({ target: 'all' })
+    expect(result.zoomIn).toMatchObject({ intent: 'UTILITY', parameters: { action: 'zoom-in' } })
+    expect(result.zoomOut).toEqual({ action: 'zoom-out' })
+    expect(result.reset).toEqual({ action: 'center' })
+  })
+
+  test('offline commands map to executor commands', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      Object.defineProperty(navigator, 'onLine', { value: false, configurable: true })
+      const { useAICommands } = await import('/src/composables/useAICommands.js')
+      const { parseCommand, lastParsedOffline } = useAICommands()
+      const commands = {
+        grid: await parseCommand('create a 3x3 grid of squares', {}),
+        distribute: await parseCommand('distribute vertically', {}),
+        deleteType: await parseCommand('delete all stars', {}),
+        zoom: await parseCommand('zoom out', {})
+      }
+      return { commands, offline: lastParsedOffline.value }
+    })
+
+    expect(result.offline).toBe(true)
+    expect(result.commands.grid).toMatchObject({ category: 'creation', action: 'create-multiple', parameters: { shapeType: 'rectangle', gridRows: 3, gridCols: 3 } })
+    expect(result.commands.distribute).toMatchObject({ category: 'layout', action: 'arrange', parameters: { target: 'selected', distribution: 'vertical' } })
+    expect(result.commands.deleteType).toMatchObject({ category: 'deletion', action: 'delete', parameters: { target: 'type', shapeType: 'star' } })
+    expect(result.commands.zoom).toMatchObject({ category: 'utility', action: 'zoom-out' })
+  })
+
+  test('unmatched commands still fail offline', async ({ page }) => {
+    const message = await page.evaluate(async () => {
+      Object.defineProperty(navigator, 'onLine', { value: false, configurable: true })
+      const { useAICommands } = await import('/src/composables/useAICommands.js')
+      try {
+        await useAICommands().parseCommand('write me a poem', {})
+        return null
+      } catch (err) {
+        return err.message
+      }
+    })
+
+    expect(message).toContain('Offline')
+  })
+})
@@ -0,0 +1,115 @@
+/**
+ * Test: AI Preview
+ *
+ * Validates:
+ * 1. The preview store changes a private copy, never the source shapes
+ * 2. Created, changed and deleted shapes are reported; locked shapes are kept
+ * 3. Deletions and bulk style changes always require a preview
+ * 4. Preview summaries
+ */
+
+import { test, expect } from '@playwright/test'
+
+test.describe('AI Preview', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:5173')
+    await page.waitForTimeout(1000)
+  })
+
+  test('dry runs leave the source shapes untouched', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/utils/aiPreview.js')
+      const source = new Map([
+        ['a', { id: 'a', type: 'rectangle', x: 0, y: 0, width: 100, height: 100, fill: '#ffffff', zIndex: 1 }],
+        ['b', { id: 'b', type: 'circle', x: 300, y: 300, radius: 50, fill: '#ffffff', zIndex: 2 }],
+        ['c', { id: 'c', type: 'rectangle', x: 500, y: 0, width: 10, height: 10, zIndex: 3, locked: true }]
+      ])
+      const store = module.createPreviewStore(source)
+      const created = await store.createShape('star', { x: 10, y: 20, fill: '#808080', locked: true }, 'u1', 'canvas', 'User')
+      await store.updateShape('a', { x: 50 })
+      await store.updateShape('c', { x: 0 })
+      const deleted = await store.deleteShapes(['b', 'c'])
+      const preview = store.getPreview()
+      return {
+        created,
+        deleted,
+        sourceA: source.get('a').x,
+        sourceSize: source.size,
+        previewCreated: preview.created.map(shape => shape.id),
+        previewUpdated: preview.updated.map(shape => [shape.id, shape.x]),
+        previewDeleted: preview.deleted.map(shape => shape.id),
+        all: store.getAllShapes().map(shape => shape.id)
+      }
+    })
+
+    expect(result.created).toMatchObject({ id: 'preview_1', type: 'star', x: 10, y: 20, fill: '#808080', numPoints: 5, zIndex: 4 })
+    expect(result.created.locked).toBeUndefined()
+    expect(result.deleted).toEqual({ deletedIds: ['b'], lockedIds: ['c'] })
+    expect(result.sourceA).toBe(0)
+    expect(result.sourceSize).toBe(3)
+    expect(result.previewCreated).toEqual(['preview_1'])
+    expect(result.previewUpdated).toEqual([['a', 50]])
+    expect(result.previewDeleted).toEqual(['b'])
+    expect(result.all).toEqual(['a', 'c', 'preview_1'])
+  })
+
+  test('colors stay grayscale in previews', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/utils/aiPreview.js')
+      const store = module.createPreviewStore(new Map())
+      const shape = await store.createShape('rectangle', { fill: '#ff0000' })
+      let unknown = null
+      try {
+        await store.createShape('hexagon', {})
+      } catch (err) {
+        unknown = err.message
+      }
+      return { fill: shape.fill, unknown }
+    })
+
+    expect(result.fill).not.toBe('#ff0000')
+    expect(result.unknown).toBe('Unknown shape type: hexagon')
+  })
+
+  test('destructive commands require a preview', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/utils/aiPreview.js')
+      const create = { category: 'creation', action: 'create', parameters: {} }
+      const remove = { category: 'deletion', action: 'delete', parameters: { target: 'all' } }
+      const style = { category: 'style', action: 'style', parameters: { fill: '#000000' } }
+      return {
+        create: module.requiresPreview(create, { createdShapes: [{ id: 'x' }] }),
+        remove: module.requiresPreview(remove, { deletedIds: [] }),
+        styleOne: module.requiresPreview(style, { updatedIds: ['a'] }),
+        styleBulk: module.requiresPreview(style, { updatedIds: ['a', 'b'] }),
+        planSafe: module.requiresPreview({ category: 'plan', steps: [create, style] }, { steps: [{}, { updatedIds: ['a'] }] }),
+        planBulk: module.requiresPreview({ category: 'plan', steps: [create, style] }, { steps: [{}, { updatedIds: ['a', 'b', 'c'] }] }),
+        planDelete: module.requiresPreview({ category: 'plan', steps: [create, remove] }, { steps: [{}, {}] })
+      }
+    })
+
+    expect(result.create).toBe(false)
+    expect(result.remove).toBe(true)
+    expect(result.styleOne).toBe(false)
+    expect(result.styleBulk).toBe(true)
+    expect(result.planSafe).toBe(false)
+    expect(result.planBulk).toBe(true)
+    expect(result.planDelete).toBe(true)
+  })
+
+  test('preview summaries', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/utils/aiPreview.js')
+      return {
+        mixed: module.describePreview({ created: [{}, {}, {}], updated: [], deleted: [{}] }),
+        changed: module.describePreview({ created: [], updated: [{}], deleted: [] }),
+        empty: module.describePreview({ created: [], updated: [], deleted: [] })
+      }
+    })
+
+    expect(result.mixed).toBe('Creates 3 shapes, deletes 1 shape')
+    expect(result.changed).toBe('Changes 1 shape')
+    expect(result.empty).toBe('No changes to the canvas')
+  })
+})
@@ -0,0 +1,130 @@
+/**
+ * Test: AI Providers
+ *
+ * Validates:
+ * 1. Provider settings come from env variables; production builds only use
+ *    the Cloud Function
+ * 2. The stub provider answers with the rule-based parser
+ * 3. Creation commands parse to the intents the model is prompted for
+ * 4. Lines and unmatched commands are rejected with a reason
+ * 5. Misconfigured providers fail early
+ */
+
+import { test, expect } from '@playwright/test'
+
+test.describe('AI Providers', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:5173')
+    await page.waitForTimeout(1000)
+  })
+
+  test('provider settings come from env variables', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/services/aiProviders.js')
+      return {
+        defaults: module.getProviderConfig({}),
+        production: module.getProviderConfig({ PROD: true, VITE_AI_PROVIDER: 'openai', VITE_OPENAI_API_KEY: 'leaked' }),
+        stub: module.getProviderConfig({ PROD: true, VITE_AI_PROVIDER: 'stub' }),
+        compatible: module.getProviderConfig({
+          DEV: true,
+          VITE_AI_PROVIDER: 'openai-compatible',
+          VITE_AI_BASE_URL: 'http://localhost:11434/v1',
+          VITE_AI_MODEL: 'llama3',
+          VITE_OPENAI_API_KEY: 'legacy'
+        })
+      }
+    })
+
+    expect(result.defaults.provider).toBe('cloud')
+    expect(result.production).toEqual({ provider: 'cloud' })
+    expect(result.stub.provider).toBe('stub')
+    expect(result.compatible).toEqual({ provider: 'openai-compatible', apiKey: 'legacy', baseUrl: 'http://localhost:11434/v1', model: 'llama3' })
+  })
+
+  test('stub provider answers with the rules', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/services/aiProviders.js')
+      const provider = module.createProvider({ provider: 'stub' })
+      const custom = module.createProvider({ provider: 'stub', rules: (input) => ({ echo: input }) })
+      return {
+        name: provider.name,
+        reply: JSON.parse(await provider.complete({ system: 'ignored', user: 'ignored', input: 'create 3 circles' })),
+        custom: JSON.parse(await custom.complete({ input: 'hi' }))
+      }
+    })
+
+    expect(result.name).toBe('stub')
+    expect(result.reply).toMatchObject({ intent: 'CREATE_MULTIPLE_SHAPES', parameters: { type: 'circle', count: 3 } })
+    expect(result.custom).toEqual({ echo: 'hi' })
+  })
+
+  test('creation commands', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { parseWithRules } = await import('/src/utils/ruleBasedParser.js')
+      const params = (text) => parseWithRules(text).parameters
+      return {
+        circle: parseWithRules('create a circle'),
+        sized: params('create a rectangle 200x100'),
+        by: params('create a 300 by 150 rectangle'),
+        px: params('draw a 75px circle'),
+        many: params('draw 50 rectangles'),
+        grid: params('create a 3x4 grid of squares'),
+        star: params('create a 7 pointed star'),
+        text: parseWithRules('add text that says "Hello"'),
+        center: parseWithRules('move it to the middle of the screen'),
+        resize: params('make selected twice as big'),
+        remove: params('delete everything')
+      }
+    })
+
+    expect(result.circle).toMatchObject({ intent: 'CREATE_SHAPE', parameters: { type: 'circle' }, confidence: 1 })
+    expect(result.sized).toEqual({ type: 'rectangle', width: 200, height: 100 })
+    expect(result.by).toEqual({ type: 'rectangle', width: 300, height: 150 })
+    expect(result.px).toEqual({ type: 'circle', radius: 75 })
+    expect(result.many).toEqual({ type: 'rectangle', count: 50 })
+    expect(result.grid).toEqual({ type: 'rectangle', gridRows: 3, gridCols: 4 })
+    expect(result.star).toEqual({ type: 'star', numPoints: 7 })
+    expect(result.text).toMatchObject({ intent: 'CREATE_TEXT', parameters: { type: 'text', text: 'Hello' } })
+    expect(result.center).toMatchObject({ intent: 'MOVE_SHAPE', parameters: { target: 'selected', moveTo: 'center' } })
+    expect(result.resize).toEqual({ target: 'selected', sizeMultiplier: 2 })
+    expect(result.remove).toEqual({ target: 'all' })
+  })
+
+  test('lines and unmatched commands are rejected', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { parseWithRules } = await import('/src/utils/ruleBasedParser.js')
+      return ['draw a line', 'create 5 lines', 'sing a song'].map(parseWithRules)
+    })
+
+    expect(result[0]).toMatchObject({ intent: 'UNKNOWN', confidence: 0 })
+    expect(result[0].reasoning).toContain('not supported')
+    expect(result[1].reasoning).toContain('not supported')
+    expect(result[2].intent).toBe('UNKNOWN')
+  })
+
+  test('misconfigured providers fail early', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/services/aiProviders.js')
+      const attempt = (config) => {
+        try {
+          module.createProvider(config)
+          return null
+        } catch (err) {
+          return err.message
+        }
+      }
+      return {
+        openai: attempt({ provider: 'openai' }),
+        compatible: attempt({ provider: 'openai-compatible', baseUrl: 'http://localhost:8000/v1' }),
+        unknown: attempt({ provider: 'gemini' }),
+        keyless: attempt({ provider: 'openai-compatible', baseUrl: 'http://localhost:8000/v1', model: 'qwen' })
+      }
+    })
+
+    expect(result.openai).toContain('API key')
+    expect(result.compatible).toContain('VITE_AI_MODEL')
+    expect(result.unknown).toContain('Unknown AI provider')
+    expect(result.keyless).toBeNull()
+  })
+})
@@ -0,0 +1,122 @@
+/**
+ * Test: AI Queries
+ *
+ * Validates:
+ * 1. Counts by type and selection summaries
+ * 2. Bounding boxes, text search and last editor
+ * 3. Questions parse offline
+ * 4. Queries run for viewers and never write
+ */
+
+import { test, expect } from '@playwright/test'
+
+test.describe('AI Queries', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:5173')
+    await page.waitForTimeout(1000)
+  })
+
+  const SHAPES = [
+    ['a', { id: 'a', type: 'rectangle', x: 0, y: 0, width: 100, height: 50, lastModified: 1000, lastModifiedBy: 'u1', lastModifiedByName: 'Ada' }],
+    ['b', { id: 'b', type: 'circle', x: 300, y: 300, radius: 50, lastModified: 3000, lastModifiedBy: 'u2', lastModifiedByName: 'Grace' }],
+    ['c', { id: 'c', type: 'circle', x: 500, y: 500, radius: 10 }],
+    ['t', { id: 't', type: 'text', x: 50, y: 400, text: 'Welcome to the room', fontSize: 20, width: 200 }]
+  ]
+
+  test('counts and selection', async ({ page }) => {
+    const result = await page.evaluate(async (entries) => {
+      const { answerQuery } = await import('/src/utils/aiQuery.js')
+      const shapes = new Map(entries)
+      const ask = (parameters, selected = []) => answerQuery(parameters, shapes, selected).answer
+      return {
+        all: ask({ queryType: 'count' }, ['a']),
+        circles: ask({ queryType: 'count', shapeType: 'circle' }),
+        selectedOnly: ask({ queryType: 'count', target: 'selected' }, ['a', 'b']),
+        selection: ask({ queryType: 'selection' }, ['a', 't']),
+        nothing: ask({ queryType: 'selection' })
+      }
+    }, SHAPES)
+
+    // Counts cover the whole canvas unless asked about the selection
+    expect(result.all).toBe('4 shapes on the canvas: 2 circles, 1 rectangle, 1 text.')
+    expect(result.circles).toBe('There are 2 circles on the canvas.')
+    expect(result.selectedOnly).toBe('2 shapes selected: 1 rectangle, 1 circle.')
+    expect(result.selection).toBe('2 shapes selected: rectangle, text "Welcome to the room".')
+    expect(result.nothing).toBe('Nothing is selected.')
+  })
+
+  test('bounds, search and last editor', async ({ page }) => {
+    const result = await page.evaluate(async (entries) => {
+      const { answerQuery, getQueryBounds } = await import('/src/utils/aiQuery.js')
+      const shapes = new Map(entries)
+      const ask = (parameters, selected = []) => answerQuery(parameters, shapes, selected)
+      let unsupported = null
+      try {
+        ask({ queryType: 'weather' })
+      } catch (err) {
+        unsupported = err.message
+      }
+      return {
+        bounds: getQueryBounds([shapes.get('a'), shapes.get('b')]),
+        selectedBounds: ask({ queryType: 'bounds' }, ['a']).answer,
+        search: ask({ queryType: 'search', text: 'WELCOME' }),
+        noMatch: ask({ queryType: 'search', text: 'pricing' }).answer,
+        editor: ask({ queryType: 'last-modified' }),
+        unsupported
+      }
+    }, SHAPES)
+
+    // Circles are drawn one radius up and left of x/y
+    expect(result.bounds).toEqual({ x: 0, y: 0, width: 300, height: 300 })
+    expect(result.selectedBounds).toBe('The rectangle covers (0, 0) to (100, 50), 100x50.')
+    expect(result.search.shapeIds).toEqual(['t'])
+    expect(result.search.answer).toContain('1 shape contains "WELCOME"')
+    expect(result.noMatch).toBe('No shape contains "pricing".')
+    expect(result.editor.shapeIds).toEqual(['b'])
+    expect(result.editor.answer).toContain('last edited by Grace')
+    expect(result.unsupported).toBe('I can\'t answer "weather" questions yet')
+  })
+
+  test('questions parse offline', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { parseWithRules } = await import('/src/utils/ruleBasedParser.js')
+      const params = (text) => parseWithRules(text).parameters
+      return {
+        count: parseWithRules('how many circles are there?'),
+        selection: params("what's selected?"),
+        bounds: params('what is the bounding box of them'),
+        editor: params('who last edited this?'),
+        quoted: params('find "Login"'),
+        search: params('which shapes say welcome?')
+      }
+    })
+
+    expect(result.count).toMatchObject({ intent: 'QUERY_INFO', parameters: { queryType: 'count', shapeType: 'circle' } })
+    expect(result.selection).toEqual({ queryType: 'selection' })
+    expect(result.bounds).toEqual({ queryType: 'bounds', target: 'selected' })
+    expect(result.editor).toEqual({ queryType: 'last-modified', target: 'selected' })
+    expect(result.quoted).toEqual({ queryType: 'search', text: 'Login' })
+    expect(result.search).toEqual({ queryType: 'search', text: 'welcome' })
+  })
+
+  test('queries run for viewers and never write', async ({ page }) => {
+    const result = await page.evaluate(async (entries) => {
+      const { createPreviewStore } = await import('/src/utils/aiPreview.js')
+      const { useCommandExecutor } = await import('/src/composables/useCommandExecutor.js')
+      const store = createPreviewStore(new Map(entries))
+      const { executeCommand } = useCommandExecutor({ store })
+      const answer = await executeCommand(
+        { category: 'query', action: 'query', parameters: { queryType: 'last-modified', targets: ['a'] } },
+        { canEdit: false, selectedShapeIds: [] }
+      )
+      return { answer, preview: store.getPreview() }
+    }, SHAPES)
+
+    expect(result.answer).toMatchObject({ type: 'query', shapeIds: ['a'] })
+    expect(result.answer.answer).toContain('The rectangle was last edited by Ada')
+    expect(result.preview.created).toHaveLength(0)
+    expect(result.preview.updated).toHaveLength(0)
+    expect(result.preview.deleted).toHaveLength(0)
+  })
+})
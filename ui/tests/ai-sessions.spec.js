@@ -0,0 +1,130 @@
+/**
+ * Test: AI Conversation Sessions
+ *
+ * Validates:
+ * 1. Turns record the shapes each command created or changed
+ * 2. Follow-ups resolve to the last turn's shapes that still exist
+ * 3. The prompt lists recent turns; the transcript is bounded
+ * 4. Sessions are kept per room and user, and can be restarted
+ * 5. Follow-up phrasing parses offline
+ */
+
+import { test, expect } from '@playwright/test'
+
+test.describe('AI Conversation Sessions', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:5173')
+    await page.waitForTimeout(1000)
+  })
+
+  test('turns record touched shapes', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createSession, addTurn, getTouchedShapeIds, describeTurnResult } = await import('/src/utils/aiSession.js')
+      const created = { createdShapes: [{ id: 'a' }, { id: 'b' }, null] }
+      const plan = { steps: [{ createdShapes: [{ id: 'x' }] }, { updatedIds: ['x', 'y'] }] }
+      const session = addTurn(createSession(), {
+        prompt: 'create 2 circles',
+        summary: describeTurnResult({ category: 'creation' }, created),
+        shapeIds: getTouchedShapeIds(created)
+      })
+      return {
+        turn: session.turns[0],
+        planIds: getTouchedShapeIds(plan),
+        planSummary: describeTurnResult({ category: 'plan' }, plan),
+        zoom: describeTurnResult({ category: 'utility', action: 'zoom-in' }, { action: 'zoom-in' })
+      }
+    })
+
+    expect(result.turn).toMatchObject({ prompt: 'create 2 circles', summary: 'created 2 shape(s)', success: true, shapeIds: ['a', 'b'] })
+    expect(result.planIds).toEqual(['x', 'y'])
+    expect(result.planSummary).toBe('ran 2 steps')
+    expect(result.zoom).toBe('zoom-in')
+  })
+
+  test('follow-ups resolve to the last turn shapes', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createSession, addTurn, getLastTurnShapeIds } = await import('/src/utils/aiSession.js')
+      let session = addTurn(createSession(), { prompt: 'create 5 circles', shapeIds: ['a', 'b', 'c'] })
+      session = addTurn(session, { prompt: 'zoom in' })
+      session = addTurn(session, { prompt: 'write a poem', summary: 'not understood', success: false })
+      return {
+        existing: getLastTurnShapeIds(session, new Map([['a', {}], ['c', {}]])),
+        deleted: getLastTurnShapeIds(session, new Map())
+      }
+    })
+
+    expect(result.existing).toEqual(['a', 'c'])
+    expect(result.deleted).toEqual([])
+  })
+
+  test('prompt lists recent turns', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/utils/aiSession.js')
+      let session = module.createSession()
+      for (let i = 0; i < module.MAX_SESSION_TURNS + 5; i++) {
+        session = module.addTurn(session, { prompt: `command ${i}`, summary: 'done' })
+      }
+      session = module.addTurn(session, { prompt: 'create 2 circles', summary: 'created 2 shape(s)', shapeIds: ['a', 'b'] })
+      const turns = module.getPromptTurns(session)
+      return {
+        kept: session.turns.length,
+        max: module.MAX_SESSION_TURNS,
+        promptTurns: turns.length,
+        maxPrompt: module.MAX_PROMPT_TURNS,
+        text: module.formatSessionForPrompt(turns),
+        empty: module.formatSessionForPrompt([])
+      }
+    })
+
+    expect(result.kept).toBe(result.max)
+    expect(result.promptTurns).toBe(result.maxPrompt)
+    expect(result.text).toContain('"create 2 circles" → ok: created 2 shape(s) (shapes: a, b)')
+    expect(result.empty).toBe('  (new session)')
+  })
+
+  test('sessions are kept per room and user', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { ref, nextTick } = await import('vue')
+      const { useAISession } = await import('/src/composables/useAISession.js')
+      const canvasId = ref('room-a')
+      const session = useAISession(canvasId, 'user-1')
+      session.recordTurn({ prompt: 'create a circle', shapeIds: ['c1'] })
+
+      canvasId.value = 'room-b'
+      await nextTick()
+      const otherRoom = session.turns.value.length
+
+      canvasId.value = 'room-a'
+      await nextTick()
+      const back = session.turns.value.map(turn => turn.prompt)
+      // A reload picks the session up again
+      const reloaded = useAISession('room-a', 'user-1').turns.value.length
+
+      session.startNewSession()
+      return { otherRoom, back, reloaded, afterReset: useAISession('room-a', 'user-1').turns.value.length }
+    })
+
+    expect(result.otherRoom).toBe(0)
+    expect(result.back).toEqual(['create a circle'])
+    expect(result.reloaded).toBe(1)
+    expect(result.afterReset).toBe(0)
+  })
+
+  test('follow-up phrasing parses offline', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { parseWithRules } = await import('/src/utils/ruleBasedParser.js')
+      return {
+        smaller: parseWithRules('now make them smaller'),
+        bigger: parseWithRules('Then make it bigger').parameters,
+        remove: parseWithRules('and now delete them').parameters,
+        create: parseWithRules('make a bigger circle').intent
+      }
+    })
+
+    expect(result.smaller).toMatchObject({ intent: 'RESIZE_SHAPE', parameters: { target: 'selected', sizeMultiplier: 0.5 } })
+    expect(result.bigger).toEqual({ target: 'selected', sizeMultiplier: 1.5 })
+    expect(result.remove).toEqual({ target: 'selected' })
+    expect(result.create).toBe('CREATE_SHAPE')
+  })
+})
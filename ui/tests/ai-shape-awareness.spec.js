@@ -0,0 +1,120 @@
+/**
+ * Test: AI Shape Awareness
+ *
+ * Validates:
+ * 1. Only visible shapes are described, topmost first, within the size bounds
+ * 2. The prompt lists IDs, bounds, fill and text
+ * 3. Shape IDs named by the AI must exist
+ * 4. The executor acts on named shapes and checks edit rights
+ */
+
+import { test, expect } from '@playwright/test'
+
+test.describe('AI Shape Awareness', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:5173')
+    await page.waitForTimeout(1000)
+  })
+
+  const SHAPES = [
+    ['a', { id: 'a', type: 'rectangle', x: 0, y: 0, width: 100, height: 50, fill: '#ffffff', zIndex: 1 }],
+    ['b', { id: 'b', type: 'circle', x: 300, y: 300, radius: 50, fill: '#808080', zIndex: 3 }],
+    ['t', { id: 't', type: 'text', x: 50, y: 400, text: 'Quarterly results for the whole team and more', fontSize: 20, width: 600, zIndex: 2, locked: true }],
+    ['far', { id: 'far', type: 'rectangle', x: 2000, y: 2000, width: 10, height: 10, zIndex: 4 }],
+    ['hidden', { id: 'hidden', type: 'rectangle', x: 10, y: 10, width: 10, height: 10, zIndex: 5, hidden: true }]
+  ]
+
+  test('visible shapes are described within bounds', async ({ page }) => {
+    const result = await page.evaluate(async (entries) => {
+      const module = await import('/src/utils/aiShapeContext.js')
+      const shapes = new Map(entries)
+      const view = { left: 0, right: 1000, top: 0, bottom: 1000 }
+      return {
+        all: module.describeVisibleShapes(shapes, view),
+        limited: module.describeVisibleShapes(shapes, view, { limit: 1 })
+      }
+    }, SHAPES)
+
+    expect(result.all.total).toBe(3)
+    expect(result.all.shapes.map(shape => shape.id)).toEqual(['b', 't', 'a'])
+    // Circles are drawn offset by their radius
+    expect(result.all.shapes[0]).toEqual({ id: 'b', type: 'circle', x: 200, y: 200, width: 100, height: 100, fill: '#808080' })
+    expect(result.all.shapes[1].text).toBe('Quarterly results for the whole team and…')
+    expect(result.all.shapes[1].locked).toBe(true)
+    expect(result.limited.total).toBe(3)
+    expect(result.limited.shapes).toHaveLength(1)
+  })
+
+  test('prompt lines', async ({ page }) => {
+    const text = await page.evaluate(async (entries) => {
+      const module = await import('/src/utils/aiShapeContext.js')
+      const view = { left: 0, right: 1000, top: 0, bottom: 1000 }
+      return module.formatShapesForPrompt(module.describeVisibleShapes(new Map(entries), view, { limit: 2 }))
+    }, SHAPES)
+
+    expect(text).toContain('id=b circle bounds=(200,200 100x100) fill=#808080')
+    expect(text).toContain('id=t text')
+    expect(text).toContain('(locked)')
+    expect(text).toContain('(1 more shapes not listed)')
+  })
+
+  test('named shape IDs must exist', async ({ page }) => {
+    const result = await page.evaluate(async (entries) => {
+      const module = await import('/src/utils/aiShapeContext.js')
+      const shapes = new Map(entries)
+      let missing = null
+      try {
+        module.getNamedShapeIds({ targets: ['a', 'ghost'] }, shapes)
+      } catch (err) {
+        missing = err.message
+      }
+      return {
+        keyword: module.getNamedShapeIds({ target: 'selected' }, shapes),
+        named: module.getNamedShapeIds({ target: 'b', targets: ['a', '$1', 'a'] }, shapes),
+        missing
+      }
+    }, SHAPES)
+
+    expect(result.keyword).toBeNull()
+    expect(result.named).toEqual(['b', 'a'])
+    expect(result.missing).toBe('No shape with ID "ghost" on this canvas')
+  })
+
+  test('executor acts on named shapes with edit rights only', async ({ page }) => {
+    const result = await page.evaluate(async (entries) => {
+      const { createPreviewStore } = await import('/src/utils/aiPreview.js')
+      const { useCommandExecutor } = await import('/src/composables/useCommandExecutor.js')
+      const store = createPreviewStore(new Map(entries))
+      const { executeCommand } = useCommandExecutor({ store })
+      const attempt = async (command, context) => {
+        try {
+          await executeCommand(command, context)
+          return null
+        } catch (err) {
+          return err.message
+        }
+      }
+
+      const moved = await executeCommand(
+        { category: 'manipulation', action: 'move', parameters: { targets: ['a'], position: { x: 10, y: 20 } } },
+        { canEdit: true, selectedShapeIds: ['b'] }
+      )
+      return {
+        movedIds: moved.updatedIds,
+        a: store.shapes.get('a').x,
+        b: store.shapes.get('b').x,
+        unknown: await attempt({ category: 'style', action: 'style', parameters: { targets: ['ghost'], fill: '#000000' } }, { canEdit: true }),
+        viewer: await attempt({ category: 'deletion', action: 'delete', parameters: { targets: ['a'] } }, { canEdit: false }),
+        deleted: (await executeCommand({ category: 'deletion', action: 'delete', parameters: { target: 'b' } }, { canEdit: true, selectedShapeIds: [] })).deletedIds
+      }
+    }, SHAPES)
+
+    expect(result.movedIds).toEqual(['a'])
+    expect(result.a).toBe(10)
+    expect(result.b).toBe(300)
+    expect(result.unknown).toContain('No shape with ID "ghost"')
+    expect(result.viewer).toBe('You have view-only access to this canvas')
+    expect(result.deleted).toEqual(['b'])
+  })
+})
@@ -0,0 +1,120 @@
+/**
+ * Test: AI Custom Templates
+ *
+ * Validates:
+ * 1. A selection becomes a template with offsets from its top-left corner
+ * 2. Saved templates are found by the name the user gives
+ * 3. "insert my ..." parses to a saved template offline
+ * 4. The executor inserts a saved template by name, keeping connectors bound
+ */
+
+import { test, expect } from '@playwright/test'
+
+test.describe('AI Custom Templates', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:5173')
+    await page.waitForTimeout(1000)
+  })
+
+  const SHAPES = [
+    ['r', { id: 'r', type: 'rectangle', x: 100, y: 200, width: 80, height: 40, fill: '#ffffff', zIndex: 3, createdBy: 'u1', locked: true, lockOwner: 'u1', groupPath: ['g1'] }],
+    ['c', { id: 'c', type: 'circle', x: 300, y: 260, radius: 30, fill: '#808080', zIndex: 1, groupPath: ['g1'] }],
+    ['k', { id: 'k', type: 'connector', x: 180, y: 220, points: [0, 0, 90, 40], fromShapeId: 'r', toShapeId: 'c', fromAnchor: 'right', toAnchor: 'left', zIndex: 2 }]
+  ]
+
+  test('selection becomes a template', async ({ page }) => {
+    const template = await page.evaluate(async (entries) => {
+      const { createTemplateFromShapes } = await import('/src/utils/aiTemplates.js')
+      const shapes = new Map(entries)
+      return createTemplateFromShapes([shapes.get('k'), shapes.get('r'), shapes.get('c')], shapes)
+    }, SHAPES)
+
+    // Connectors last, so their shapes exist when they are inserted
+    expect(template.shapes.map(shape => shape.key)).toEqual(['r', 'c', 'k'])
+    expect(template.shapes[0]).toMatchObject({ type: 'rectangle', offsetX: 0, offsetY: 0, width: 80, height: 40 })
+    expect(template.shapes[1]).toMatchObject({ type: 'circle', offsetX: 200, offsetY: 60, radius: 30 })
+    expect(template.shapes[2]).toMatchObject({ fromShapeId: 'r', toShapeId: 'c', offsetX: 80, offsetY: 20 })
+    // Canvas-only fields are dropped; the whole group is kept under a new ID
+    expect(template.shapes[0]).not.toHaveProperty('id')
+    expect(template.shapes[0]).not.toHaveProperty('locked')
+    expect(template.shapes[0]).not.toHaveProperty('createdBy')
+    expect(template.shapes[0].groupPath).toHaveLength(1)
+    expect(template.shapes[0].groupPath[0]).not.toBe('g1')
+  })
+
+  test('templates are found by name', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { findTemplate, formatTemplatesForPrompt } = await import('/src/utils/aiTemplates.js')
+      const templates = [
+        { name: 'Pricing Card', scope: 'user' },
+        { name: 'Header', scope: 'room' },
+        { name: 'Header 2', scope: 'room' }
+      ]
+      const name = (query) => findTemplate(query, templates)?.name || null
+      return {
+        exact: name('my pricing-card template'),
+        partial: name('pricing'),
+        preferExact: name('header'),
+        ambiguous: name('head'),
+        missing: name('footer'),
+        prompt: formatTemplatesForPrompt(templates)
+      }
+    })
+
+    expect(result.exact).toBe('Pricing Card')
+    expect(result.partial).toBe('Pricing Card')
+    expect(result.preferExact).toBe('Header')
+    expect(result.ambiguous).toBeNull()
+    expect(result.missing).toBeNull()
+    expect(result.prompt).toBe('"Pricing Card" (mine), "Header" (room), "Header 2" (room)')
+  })
+
+  test('"insert my ..." parses to a saved template', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { parseWithRules } = await import('/src/utils/ruleBasedParser.js')
+      return {
+        mine: parseWithRules('insert my pricing card'),
+        named: parseWithRules('add the hero section template').parameters,
+        builtIn: parseWithRules('create a card').parameters
+      }
+    })
+
+    expect(result.mine).toMatchObject({ intent: 'CREATE_TEMPLATE', parameters: { templateName: 'pricing card' } })
+    expect(result.named).toEqual({ templateName: 'hero section' })
+    expect(result.builtIn).toEqual({ templateName: 'card' })
+  })
+
+  test('executor inserts saved templates by name', async ({ page }) => {
+    const result = await page.evaluate(async (entries) => {
+      const { createPreviewStore } = await import('/src/utils/aiPreview.js')
+      const { useCommandExecutor } = await import('/src/composables/useCommandExecutor.js')
+      const { createTemplateFromShapes } = await import('/src/utils/aiTemplates.js')
+      const source = new Map(entries)
+      const templates = [{ name: 'Pricing Card', scope: 'user', ...createTemplateFromShapes([...source.values()], source) }]
+
+      const store = createPreviewStore(new Map())
+      const { executeCommand } = useCommandExecutor({ store })
+      const context = { canEdit: true, viewportCenter: { x: 1000, y: 1000 }, templates, selectedShapeIds: [] }
+      const command = (template) => ({ category: 'complex', action: 'template', parameters: { template, templateData: null } })
+
+      await executeCommand(command('my pricing card'), context)
+      let missing = null
+      try {
+        await executeCommand(command('footer'), context)
+      } catch (err) {
+        missing = err.message
+      }
+      return { created: [...store.shapes.values()], missing }
+    }, SHAPES)
+
+    const [rect, circle, connector] = result.created
+    expect(result.created).toHaveLength(3)
+    // Same layout as the saved shapes
+    expect(circle.x - rect.x).toBe(200)
+    expect(circle.y - rect.y).toBe(60)
+    expect(connector).toMatchObject({ fromShapeId: rect.id, toShapeId: circle.id })
+    expect(rect.groupPath).toEqual(circle.groupPath)
+    expect(result.missing).toBe('No template named "footer"')
+  })
+})
@@ -0,0 +1,93 @@
+/**
+ * Test: AI Usage Quotas
+ *
+ * Validates:
+ * 1. Quota errors from the Cloud Function become a message with the wait
+ * 2. Quota errors are shown as they are, not as a generic service error
+ * 3. The usage summary counts requests per day and per user
+ */
+
+import { test, expect } from '@playwright/test'
+
+test.describe('AI Usage Quotas', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:5173')
+    await page.waitForTimeout(1000)
+  })
+
+  test('quota errors explain the wait', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { formatQuotaError, toQuotaError, formatWait } = await import('/src/utils/aiUsage.js')
+      const quota = toQuotaError({
+        code: 'functions/resource-exhausted',
+        details: { scope: 'user', window: 'minute', limit: 10, retryAfterSeconds: 42 }
+      })
+      return {
+        user: quota.message,
+        details: quota.quota,
+        room: formatQuotaError({ scope: 'room', window: 'day', limit: 1000, retryAfterSeconds: 3 * 3600 + 1200 }),
+        other: toQuotaError({ code: 'functions/internal' }),
+        waits: [formatWait(0.2), formatWait(59), formatWait(61), formatWait(7200)]
+      }
+    })
+
+    expect(result.user).toBe('You\'ve used your 10 AI commands for this minute. Try again in 42s.')
+    expect(result.details).toEqual({ scope: 'user', window: 'minute', limit: 10, retryAfterSeconds: 42 })
+    expect(result.room).toBe('This room has used its 1000 AI commands for today. Try again in 3h 20m.')
+    expect(result.other).toBeNull()
+    expect(result.waits).toEqual(['1s', '59s', '2m', '2h 0m'])
+  })
+
+  test('quota errors and server refusals keep their message', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { default: aiService } = await import('/src/services/aiService.js')
+      const { toQuotaError } = await import('/src/utils/aiUsage.js')
+      const quota = toQuotaError({
+        code: 'functions/resource-exhausted',
+        details: { scope: 'room', window: 'minute', limit: 30, retryAfterSeconds: 5 }
+      })
+      return {
+        quota: aiService.getErrorMessage(quota),
+        denied: aiService.getErrorMessage(Object.assign(new Error('No access to this canvas'), { code: 'functions/permission-denied' })),
+        misconfigured: aiService.getErrorMessage(Object.assign(new Error(''), { code: 'functions/failed-precondition', details: 'AI service configuration error' })),
+        internal: aiService.getErrorMessage(Object.assign(new Error('Failed to parse command'), { code: 'functions/internal' })),
+        other: aiService.getErrorMessage(new Error('boom'))
+      }
+    })
+
+    expect(result.quota).toBe('This room has used its 30 AI commands for this minute. Try again in 5s.')
+    expect(result.denied).toBe('No access to this canvas')
+    expect(result.misconfigured).toBe('AI service configuration error')
+    expect(result.internal).toBe('AI service error. Please try again.')
+    expect(result.other).toBe('AI service error. Please try again.')
+  })
+
+  test('usage summary per day and user', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { summarizeUsage, USAGE_DAYS } = await import('/src/utils/aiUsage.js')
+      const now = Date.UTC(2026, 9, 19, 12)
+      const hour = 60 * 60 * 1000
+      const entries = [
+        { id: '1', userId: 'u1', userName: 'Ada', prompt: 'zoom in', outcome: 'ok', createdAt: null },
+        { id: '2', userId: 'u2', userName: 'Grace', prompt: 'make a circle', outcome: 'quota', createdAt: new Date(now - hour) },
+        { id: '3', userId: 'u1', userName: 'Ada', prompt: 'draw', outcome: 'error', createdAt: { toMillis: () => now - 2 * hour } },
+        { id: '4', userId: 'u1', userName: 'Ada', prompt: 'align left', outcome: 'ok', createdAt: new Date(now - 30 * hour) },
+        { id: '5', userId: 'u3', userName: 'Old', prompt: 'too old', outcome: 'ok', createdAt: new Date(now - 10 * 24 * hour) }
+      ]
+      return { summary: summarizeUsage(entries, now), days: USAGE_DAYS }
+    })
+
+    const { summary } = result
+    expect(summary.today).toEqual({ total: 3, failed: 1, blocked: 1 })
+    expect(summary.week).toBe(4)
+    expect(summary.byDay).toHaveLength(result.days)
+    expect(summary.byDay.slice(-2)).toEqual([{ day: '2026-10-18', total: 1 }, { day: '2026-10-19', total: 3 }])
+    expect(summary.byUser).toEqual([
+      { userId: 'u1', userName: 'Ada', today: 2, week: 3, blocked: 0 },
+      { userId: 'u2', userName: 'Grace', today: 1, week: 1, blocked: 1 }
+    ])
+    // Entries still waiting for their server timestamp count as now
+    expect(summary.recent[0]).toMatchObject({ id: '1', at: Date.UTC(2026, 9, 19, 12) })
+  })
+})
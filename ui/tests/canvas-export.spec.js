@@ -0,0 +1,125 @@
+/**
+ * Test: Canvas Export (PNG / SVG / PDF)
+ *
+ * Validates:
+ * 1. Export regions for canvas, viewport and selection scopes
+ * 2. Rotated shapes report rotation-aware bounds, and circles the bounds
+ *    they are drawn at (offset = radius, see Circle.vue)
+ * 3. SVG output is vector, ordered by zIndex and keeps text styling
+ * 4. PDF output has one page per tile
+ */
+
+import { test, expect } from '@playwright/test'
+
+test.describe('Canvas Export', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:5173')
+    await page.waitForTimeout(1000)
+  })
+
+  test('full canvas scope covers 3000x3000', async ({ page }) => {
+    const region = await page.evaluate(async () => {
+      const module = await import('/src/utils/canvasExport.js')
+      return module.getExportRegion('canvas', { shapes: [] }).region
+    })
+
+    expect(region).toEqual({ x: 0, y: 0, width: 3000, height: 3000 })
+  })
+
+  test('selection scope only includes selected shapes', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/utils/canvasExport.js')
+      const shapes = [
+        { id: 'a', type: 'rectangle', x: 100, y: 100, width: 100, height: 100, zIndex: 1 },
+        { id: 'b', type: 'circle', x: 1000, y: 1000, radius: 50, zIndex: 2 }
+      ]
+      const { region, shapes: included } = module.getExportRegion('selection', { shapes, selectedIds: ['a'] })
+      return { region, ids: included.map(s => s.id) }
+    })
+
+    expect(result.ids).toEqual(['a'])
+    expect(result.region).toEqual({ x: 80, y: 80, width: 140, height: 140 })
+  })
+
+  test('viewport scope skips shapes outside the view', async ({ page }) => {
+    const ids = await page.evaluate(async () => {
+      const module = await import('/src/utils/canvasExport.js')
+      const shapes = [
+        { id: 'inside', type: 'rectangle', x: 10, y: 10, width: 50, height: 50, zIndex: 1 },
+        { id: 'outside', type: 'rectangle', x: 2000, y: 2000, width: 50, height: 50, zIndex: 2 }
+      ]
+      const viewport = { x: 0, y: 0, width: 800, height: 600 }
+      return module.getExportRegion('viewport', { shapes, viewport }).shapes.map(s => s.id)
+    })
+
+    expect(ids).toEqual(['inside'])
+  })
+
+  test('rotated rectangle bounds account for rotation', async ({ page }) => {
+    const bounds = await page.evaluate(async () => {
+      const module = await import('/src/utils/canvasExport.js')
+      return module.getShapeBounds({ type: 'rectangle', x: 0, y: 0, width: 100, height: 50, rotation: 90 })
+    })
+
+    expect(bounds.width).toBeCloseTo(50, 1)
+    expect(bounds.height).toBeCloseTo(100, 1)
+  })
+
+  test('circles are exported where they are drawn', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/utils/canvasExport.js')
+      const circle = { id: 'c', type: 'circle', x: 500, y: 500, radius: 50, fill: '#808080' }
+      const rotated = { ...circle, rotation: 90 }
+      return {
+        bounds: module.getShapeBounds(circle),
+        rotatedBounds: module.getShapeBounds(rotated),
+        svg: module.shapesToSVG([circle], { x: 400, y: 400, width: 100, height: 100 }),
+        rotatedSvg: module.shapesToSVG([rotated], { x: 500, y: 400, width: 100, height: 100 })
+      }
+    })
+
+    expect(result.bounds).toEqual({ x: 400, y: 400, width: 100, height: 100 })
+    expect(result.rotatedBounds.x).toBeCloseTo(500, 6)
+    expect(result.rotatedBounds.y).toBeCloseTo(400, 6)
+    expect(result.svg).toContain('<circle cx="450" cy="450" r="50"')
+    expect(result.rotatedSvg).toContain('<circle cx="550" cy="450" r="50"')
+  })
+
+  test('SVG is ordered by zIndex and keeps text styling', async ({ page }) => {
+    const svg = await page.evaluate(async () => {
+      const module = await import('/src/utils/canvasExport.js')
+      const shapes = [
+        { id: 't', type: 'text', x: 10, y: 10, text: 'Hello', fontSize: 24, fontFamily: 'Arial', fontStyle: 'bold italic', fill: '#ffffff', zIndex: 3 },
+        { id: 'r', type: 'rectangle', x: 0, y: 0, width: 100, height: 100, fill: '#808080', rotation: 45, zIndex: 1 }
+      ]
+      return module.shapesToSVG(shapes, { x: 0, y: 0, width: 200, height: 200 })
+    })
+
+    expect(svg.indexOf('<rect x="0"')).toBeLessThan(svg.indexOf('<text'))
+    expect(svg).toContain('transform="rotate(45 50 50)"')
+    expect(svg).toContain('font-weight="bold"')
+    expect(svg).toContain('font-style="italic"')
+    expect(svg).toContain('>Hello</tspan>')
+  })
+
+  test('PDF has one page per tile', async ({ page }) => {
+    const pdf = await page.evaluate(async () => {
+      const module = await import('/src/utils/canvasExport.js')
+      const tiles = module.getPageTiles({ x: 0, y: 0, width: 3000, height: 3000 }, 2)
+      const jpeg = new Uint8Array([0xff, 0xd8, 0xff, 0xd9])
+      const blob = module.buildPdf(tiles.map(tile => ({
+        jpeg,
+        imageWidth: 1,
+        imageHeight: 1,
+        width: tile.width,
+        height: tile.height
+      })))
+      return await blob.text()
+    })
+
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true)
+    expect(pdf).toContain('/Count 4')
+    expect(pdf.trim().endsWith('%%EOF')).toBe(true)
+  })
+})
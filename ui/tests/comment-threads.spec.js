@@ -0,0 +1,106 @@
+/**
+ * Test: Comment Threads
+ *
+ * Validates:
+ * 1. Threads pinned to a shape follow its bounds (lines included) and stay
+ *    put once it is deleted
+ * 2. @mentions match whole member names and are completed while typing
+ * 3. The sidebar filters split open, mentioned, own and resolved threads
+ * 4. Only owners, editors and commenters can comment
+ */
+
+import { test, expect } from '@playwright/test'
+
+test.describe('Comment Threads', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:5173')
+    await page.waitForTimeout(1000)
+  })
+
+  test('pins follow their shape', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createCommentAnchor, getCommentPosition } = await import('/src/utils/comments.js')
+      const shape = { id: 's1', type: 'rectangle', x: 100, y: 50, width: 80, height: 40 }
+      const anchor = createCommentAnchor({ x: 120.4, y: 70 }, shape)
+      return {
+        anchor,
+        free: createCommentAnchor({ x: 5, y: 6 }),
+        moved: getCommentPosition(anchor, new Map([['s1', { ...shape, x: 200, y: 0 }]])),
+        deleted: getCommentPosition(anchor, new Map())
+      }
+    })
+
+    expect(result.anchor).toEqual({ x: 120, y: 70, shapeId: 's1', shapeOffset: { x: 20, y: 20 } })
+    expect(result.free).toEqual({ x: 5, y: 6, shapeId: null, shapeOffset: null })
+    expect(result.moved).toEqual({ x: 220, y: 20, detached: false })
+    expect(result.deleted).toEqual({ x: 120, y: 70, detached: true })
+  })
+
+  test('pins follow a moved line', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createCommentAnchor, getCommentPosition } = await import('/src/utils/comments.js')
+      // Lines keep x, y at 0 and move by their absolute points
+      const line = { id: 'l1', type: 'line', x: 0, y: 0, points: [300, 300, 400, 350], strokeWidth: 2 }
+      const anchor = createCommentAnchor({ x: 350, y: 320 }, line)
+      return {
+        anchor,
+        moved: getCommentPosition(anchor, new Map([['l1', { ...line, points: [400, 350, 500, 400] }]]))
+      }
+    })
+
+    expect(result.anchor).toEqual({ x: 350, y: 320, shapeId: 'l1', shapeOffset: { x: 51, y: 21 } })
+    expect(result.moved).toEqual({ x: 450, y: 370, detached: false })
+  })
+
+  test('mentions', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { findMentions, splitMentions, getMentionQuery, insertMention } = await import('/src/utils/comments.js')
+      const members = [{ userId: 'a', name: 'Ann' }, { userId: 'b', name: 'Anna Lee' }, { userId: 'c', name: 'Bob' }]
+      return {
+        found: findMentions('hi @Anna Lee and @bob.', members),
+        email: findMentions('mail x@Bob', members),
+        segments: splitMentions('hey @Anna Lee, @Ann', members),
+        query: getMentionQuery('hello @An', 9),
+        noQuery: getMentionQuery('a@b', 3),
+        inserted: insertMention('hi @an there', 6, 'Anna Lee')
+      }
+    })
+
+    expect(result.found).toEqual(['b', 'c'])
+    expect(result.email).toEqual([])
+    expect(result.segments).toEqual([
+      { text: 'hey ', mention: false },
+      { text: '@Anna Lee', mention: true },
+      { text: ', ', mention: false },
+      { text: '@Ann', mention: true }
+    ])
+    expect(result.query).toEqual({ query: 'An', start: 6 })
+    expect(result.noQuery).toBeNull()
+    expect(result.inserted).toEqual({ text: 'hi @Anna Lee there', caret: 13 })
+  })
+
+  test('sidebar filters and roles', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { filterThreads, COMMENT_FILTERS, canCommentRole } = await import('/src/utils/comments.js')
+      const threads = [
+        { id: 't1', authorId: 'a', mentions: [], resolved: false, replies: [{ authorId: 'b', mentions: ['c'] }] },
+        { id: 't2', authorId: 'c', mentions: [], resolved: true, replies: [] },
+        { id: 't3', authorId: 'c', mentions: [], resolved: false, replies: [] }
+      ]
+      return {
+        filters: Object.fromEntries(COMMENT_FILTERS.map(({ value }) => [value, filterThreads(threads, value, 'c').map(t => t.id)])),
+        roles: ['owner', 'editor', 'commenter', 'viewer', undefined].map(canCommentRole)
+      }
+    })
+
+    expect(result.filters).toEqual({
+      open: ['t1', 't3'],
+      mentions: ['t1'],
+      mine: ['t3'],
+      resolved: ['t2'],
+      all: ['t1', 't2', 't3']
+    })
+    expect(result.roles).toEqual([true, true, true, false, false])
+  })
+})
@@ -0,0 +1,144 @@
+/**
+ * Test: Connectors
+ *
+ * Validates:
+ * 1. Anchor points sit on the visible edges of rectangles, circles and text
+ * 2. Drawing snaps to the nearest anchor, inside a shape or within the threshold
+ * 3. Straight and elbow routes follow the bound shapes
+ * 4. Ends whose shape is gone stay put; locked connectors are not re-routed
+ * 5. Copies and room imports keep bindings between copied shapes only
+ */
+
+import { test, expect } from '@playwright/test'
+
+test.describe('Connectors', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:5173')
+    await page.waitForTimeout(1000)
+  })
+
+  test('anchors sit on the visible shape edges', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/utils/connectors.js')
+      const round = (p) => ({ x: Math.round(p.x) + 0, y: Math.round(p.y) + 0 }) // + 0 drops -0
+      const rect = { type: 'rectangle', x: 100, y: 100, width: 200, height: 100 }
+      // Circles are drawn with offset = radius, so the visible center is at x - r, y - r
+      const circle = { type: 'circle', x: 150, y: 150, radius: 50 }
+      const rotated = { ...rect, rotation: 90 }
+      return {
+        rect: module.getShapeAnchors(rect).map(a => [a.anchor, a.x, a.y]),
+        circleTop: round(module.getAnchorPoint(circle, 'top')),
+        rotatedTop: round(module.getAnchorPoint(rotated, 'top')),
+        rotatedDirection: round(module.getAnchorPoint(rotated, 'top').direction),
+        line: module.getAnchorPoint({ type: 'line', points: [0, 0, 10, 10] }, 'top')
+      }
+    })
+
+    expect(result.rect).toEqual([
+      ['top', 200, 100], ['right', 300, 150], ['bottom', 200, 200], ['left', 100, 150], ['center', 200, 150]
+    ])
+    expect(result.circleTop).toEqual({ x: 100, y: 50 })
+    expect(result.rotatedTop).toEqual({ x: 250, y: 150 })
+    expect(result.rotatedDirection).toEqual({ x: 1, y: 0 })
+    expect(result.line).toBeNull()
+  })
+
+  test('drawing snaps to the nearest anchor', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/utils/connectors.js')
+      const shapes = [
+        { id: 'a', type: 'rectangle', x: 0, y: 0, width: 100, height: 100 },
+        { id: 'b', type: 'rectangle', x: 300, y: 0, width: 100, height: 100 },
+        { id: 'l', type: 'rectangle', x: 600, y: 0, width: 100, height: 100, locked: true }
+      ]
+      return {
+        inside: module.findAnchorTarget({ x: 90, y: 45 }, shapes),
+        near: module.findAnchorTarget({ x: 290, y: 50 }, shapes),
+        far: module.findAnchorTarget({ x: 200, y: 50 }, shapes),
+        excluded: module.findAnchorTarget({ x: 90, y: 45 }, shapes, { excludeId: 'a' }),
+        locked: module.findAnchorTarget({ x: 650, y: 50 }, shapes)
+      }
+    })
+
+    expect(result.inside).toEqual({ shapeId: 'a', anchor: 'right', x: 100, y: 50 })
+    expect(result.near).toEqual({ shapeId: 'b', anchor: 'left', x: 300, y: 50 })
+    expect(result.far).toBeNull()
+    expect(result.excluded).toBeNull()
+    expect(result.locked).toBeNull()
+  })
+
+  test('straight and elbow routes follow the shapes', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/utils/connectors.js')
+      const shapes = new Map([
+        ['a', { id: 'a', type: 'rectangle', x: 0, y: 0, width: 100, height: 100 }],
+        ['b', { id: 'b', type: 'rectangle', x: 300, y: 200, width: 100, height: 100 }]
+      ])
+      const connector = {
+        id: 'c', type: 'connector', x: 0, y: 0, points: [0, 0, 10, 10],
+        fromShapeId: 'a', fromAnchor: 'right', toShapeId: 'b', toAnchor: 'left', routing: 'straight'
+      }
+      const straight = module.routeConnector(connector, shapes)
+      const elbow = module.routeConnector({ ...connector, routing: 'elbow' }, shapes)
+      const mixed = module.routeConnector({ ...connector, routing: 'elbow', toAnchor: 'top' }, shapes)
+
+      shapes.set('b', { ...shapes.get('b'), x: 500 })
+      shapes.set('c', connector)
+      const moved = module.getConnectorRouteUpdates(shapes, ['b'])
+      return { straight, elbow, mixed, moved }
+    })
+
+    expect(result.straight).toEqual({ x: 100, y: 50, points: [0, 0, 200, 200], rotation: 0 })
+    // Leaves right, runs across at the midpoint, enters from the left
+    expect(result.elbow.points).toEqual([0, 0, 100, 0, 100, 200, 200, 200])
+    // Leaves right, turns down into the top anchor
+    expect(result.mixed.points).toEqual([0, 0, 250, 0, 250, 150])
+    expect(result.moved).toEqual([{ id: 'c', updates: { x: 100, y: 50, points: [0, 0, 400, 200], rotation: 0 } }])
+  })
+
+  test('missing shapes and locked connectors', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/utils/connectors.js')
+      const shapes = new Map([
+        ['a', { id: 'a', type: 'rectangle', x: 0, y: 0, width: 100, height: 100 }]
+      ])
+      const orphan = {
+        id: 'c', type: 'connector', x: 100, y: 50, points: [0, 0, 80, 40],
+        fromShapeId: 'a', fromAnchor: 'right', toShapeId: 'gone', toAnchor: 'left'
+      }
+      shapes.set('c', orphan)
+      shapes.set('locked', { ...orphan, id: 'locked', locked: true })
+      return {
+        orphan: module.routeConnector(orphan, shapes),
+        updates: module.getConnectorRouteUpdates(shapes, ['a']).map(u => u.id)
+      }
+    })
+
+    expect(result.orphan.points).toEqual([0, 0, 80, 40])
+    expect(result.updates).toEqual(['c'])
+  })
+
+  test('copies and imports keep bindings between copied shapes', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const connectors = await import('/src/utils/connectors.js')
+      const transfer = await import('/src/utils/roomTransfer.js')
+      const connector = { id: 'c', type: 'connector', fromShapeId: 'a', fromAnchor: 'top', toShapeId: 'b', toAnchor: 'left' }
+      const { shapes: prepared } = transfer.prepareShapesForImport([
+        { id: 'a', type: 'rectangle', x: 0, y: 0, width: 10, height: 10 },
+        { ...connector, x: 0, y: 0, points: [0, 0, 10, 0] }
+      ], { userId: 'u1' })
+      return {
+        copied: connectors.remapConnectorBindings(connector, new Map([['a', 'a2']])),
+        order: connectors.connectorsLast([{ id: 'c', type: 'connector' }, { id: 'a', type: 'rectangle' }]).map(s => s.id),
+        importedFrom: prepared[1].fromShapeId === prepared[0].id,
+        importedTo: prepared[1].toShapeId
+      }
+    })
+
+    expect(result.copied).toEqual({ fromShapeId: 'a2', fromAnchor: 'top', toShapeId: null, toAnchor: null })
+    expect(result.order).toEqual(['a', 'c'])
+    expect(result.importedFrom).toBe(true)
+    expect(result.importedTo).toBeUndefined()
+  })
+})
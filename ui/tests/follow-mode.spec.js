@@ -0,0 +1,74 @@
+/**
+ * Test: Follow Mode
+ *
+ * Validates:
+ * 1. Viewports are shared as the canvas point in the middle of the screen, so
+ *    they can be shown on a screen of any size
+ * 2. Only real pans and zooms are published
+ * 3. A picked person wins over the spotlight, which is followed until the user breaks out
+ */
+
+import { test, expect } from '@playwright/test'
+
+test.describe('Follow Mode', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:5173')
+    await page.waitForTimeout(1000)
+  })
+
+  test('viewports round-trip between screen sizes', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { getViewport, getStagePositionForViewport } = await import('/src/utils/followMode.js')
+      const viewport = getViewport({ x: -100, y: 50 }, 2, { width: 800, height: 600 })
+      return {
+        viewport,
+        sameScreen: getStagePositionForViewport(viewport, { width: 800, height: 600 }),
+        smallerScreen: getStagePositionForViewport(viewport, { width: 400, height: 300 })
+      }
+    })
+
+    expect(result.viewport).toEqual({ x: 250, y: 125, zoom: 2 })
+    expect(result.sameScreen).toEqual({ x: -100, y: 50 })
+    expect(result.smallerScreen).toEqual({ x: -300, y: -100 })
+  })
+
+  test('only changed viewports are published', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { hasViewportChanged } = await import('/src/utils/followMode.js')
+      const viewport = { x: 250, y: 125, zoom: 2 }
+      return [
+        hasViewportChanged(null, viewport),
+        hasViewportChanged(viewport, { ...viewport }),
+        hasViewportChanged(viewport, { ...viewport, x: 251 }),
+        hasViewportChanged(viewport, { ...viewport, zoom: 2.01 })
+      ]
+    })
+
+    expect(result).toEqual([true, false, true, true])
+  })
+
+  test('follow target', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { getFollowTarget } = await import('/src/utils/followMode.js')
+      const spotlight = { userId: 'owner', startedAt: 5 }
+      return {
+        nobody: getFollowTarget({ currentUserId: 'me' }),
+        spotlight: getFollowTarget({ spotlight, currentUserId: 'me' }),
+        brokeOut: getFollowTarget({ spotlight, dismissedSpotlightAt: 5, currentUserId: 'me' }),
+        newSpotlight: getFollowTarget({ spotlight: { ...spotlight, startedAt: 6 }, dismissedSpotlightAt: 5, currentUserId: 'me' }),
+        picked: getFollowTarget({ followingUserId: 'bob', spotlight, currentUserId: 'me' }),
+        presenter: getFollowTarget({ spotlight, currentUserId: 'owner' })
+      }
+    })
+
+    expect(result).toEqual({
+      nobody: null,
+      spotlight: 'owner',
+      brokeOut: null,
+      newSpotlight: 'owner',
+      picked: 'bob',
+      presenter: null
+    })
+  })
+})
@@ -0,0 +1,125 @@
+/**
+ * Test: Image Shapes
+ *
+ * Validates:
+ * 1. Files are checked for type and size before upload
+ * 2. Images are placed at a bounded size and grayscaled like Konva's filter
+ * 3. Only image files are taken from drops and pastes
+ * 4. Bounds, SVG export and snapshot compression handle images
+ * 5. Room import requires an http(s) src and a positive size
+ */
+
+import { test, expect } from '@playwright/test'
+
+test.describe('Image Shapes', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:5173')
+    await page.waitForTimeout(1000)
+  })
+
+  test('files are validated before upload', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/utils/images.js')
+      return {
+        png: module.validateImageFile({ name: 'a.png', type: 'image/png', size: 1024 }),
+        svg: module.validateImageFile({ name: 'a.svg', type: 'image/svg+xml', size: 1024 }),
+        large: module.validateImageFile({ name: 'big.jpg', type: 'image/jpeg', size: module.IMAGE_MAX_BYTES + 1 }),
+        missing: module.validateImageFile(null)
+      }
+    })
+
+    expect(result.png).toBeNull()
+    expect(result.svg).toContain('not a PNG')
+    expect(result.large).toContain('larger than 10MB')
+    expect(result.missing).toBe('No file selected')
+  })
+
+  test('placement size and grayscale pixels', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/utils/images.js')
+      return {
+        wide: module.fitImageSize(1600, 800),
+        small: module.fitImageSize(120, 90),
+        unknown: module.fitImageSize(0, 0),
+        pixels: Array.from(module.toGrayscalePixels(new Uint8ClampedArray([255, 0, 0, 255, 10, 20, 30, 128])))
+      }
+    })
+
+    expect(result.wide).toEqual({ width: 400, height: 200 })
+    expect(result.small).toEqual({ width: 120, height: 90 })
+    expect(result.unknown).toEqual({ width: 400, height: 400 })
+    // 0.34 r + 0.5 g + 0.16 b, alpha untouched
+    expect(result.pixels).toEqual([87, 87, 87, 255, 18, 18, 18, 128])
+  })
+
+  test('only image files are taken from drops and pastes', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/utils/images.js')
+      const transfer = new DataTransfer()
+      transfer.items.add(new File(['x'], 'photo.png', { type: 'image/png' }))
+      transfer.items.add(new File(['x'], 'notes.txt', { type: 'text/plain' }))
+      transfer.items.add('plain text', 'text/plain')
+      return {
+        names: module.getImageFilesFromDataTransfer(transfer).map(file => file.name),
+        empty: module.getImageFilesFromDataTransfer(null)
+      }
+    })
+
+    expect(result.names).toEqual(['photo.png'])
+    expect(result.empty).toEqual([])
+  })
+
+  test('bounds, svg export and compression handle images', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const exporter = await import('/src/utils/canvasExport.js')
+      const batch = await import('/src/utils/batchCompression.js')
+      const image = {
+        id: 'i1', type: 'image', x: 100, y: 50, width: 200, height: 100,
+        src: 'https://example.com/a.png?x=1&y=2', storagePath: 'canvases/c/images/a.png',
+        naturalWidth: 400, naturalHeight: 200
+      }
+      const svg = exporter.shapesToSVG([image], { x: 0, y: 0, width: 400, height: 200 })
+      const compressed = batch.compressBatch([image, { ...image, id: 'i2', x: 300 }])
+      const round = (bounds) => Object.fromEntries(Object.entries(bounds).map(([key, value]) => [key, Math.round(value) + 0]))
+      return {
+        bounds: exporter.getShapeBounds(image),
+        rotated: round(exporter.getShapeBounds({ ...image, rotation: 90 })),
+        element: exporter.shapeToSVGElement(image),
+        hasFilter: svg.includes('<feColorMatrix type="saturate" values="0"/>'),
+        noFilter: exporter.shapesToSVG([], { x: 0, y: 0, width: 10, height: 10 }).includes('<filter'),
+        roundTrip: batch.decompressBatch(compressed).map(shape => [shape.id, shape.x, shape.src])
+      }
+    })
+
+    expect(result.bounds).toEqual({ x: 100, y: 50, width: 200, height: 100 })
+    expect(result.rotated).toEqual({ x: 150, y: 0, width: 100, height: 200 })
+    expect(result.element).toContain('href="https://example.com/a.png?x=1&amp;y=2"')
+    expect(result.element).toContain('filter="url(#grayscale)"')
+    expect(result.hasFilter).toBe(true)
+    expect(result.noFilter).toBe(false)
+    expect(result.roundTrip).toEqual([
+      ['i1', 100, 'https://example.com/a.png?x=1&y=2'],
+      ['i2', 300, 'https://example.com/a.png?x=1&y=2']
+    ])
+  })
+
+  test('room import validates images', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/utils/roomTransfer.js')
+      const room = (shapes) => ({ format: module.ROOM_EXPORT_FORMAT, version: module.ROOM_EXPORT_VERSION, canvas: { name: 'Images' }, shapes })
+      return {
+        valid: module.validateRoomDocument(room([
+          { id: 'i1', type: 'image', x: 0, y: 0, width: 100, height: 80, src: 'https://example.com/a.png' }
+        ])),
+        invalid: module.validateRoomDocument(room([
+          { id: 'i1', type: 'image', x: 0, y: 0, width: 100, height: 80, src: 'data:image/png;base64,AAAA' },
+          { id: 'i2', type: 'image', x: 0, y: 0, width: 0, height: 80, src: 'https://example.com/a.png' }
+        ]))
+      }
+    })
+
+    expect(result.valid.errors).toEqual([])
+    expect(result.invalid.errors).toHaveLength(2)
+  })
+})
@@ -0,0 +1,81 @@
+/**
+ * Test: Invite Links
+ *
+ * Validates:
+ * 1. Invites stop working once revoked, expired or used up
+ * 2. New invites need a known role, a future expiry and a sensible use limit
+ * 3. Invite links carry the token and the owner's list describes each link
+ */
+
+import { test, expect } from '@playwright/test'
+
+test.describe('Invite Links', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:5173')
+    await page.waitForTimeout(1000)
+  })
+
+  test('invite status', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { getInviteStatus } = await import('/src/utils/invites.js')
+      const now = Date.UTC(2026, 9, 19, 12)
+      const base = { role: 'viewer', revoked: false, expiresAt: null, maxUses: null, uses: 0 }
+      return [
+        getInviteStatus(base, now),
+        getInviteStatus({ ...base, revoked: true }, now),
+        getInviteStatus({ ...base, expiresAt: { toMillis: () => now - 1 } }, now),
+        getInviteStatus({ ...base, expiresAt: new Date(now + 1000) }, now),
+        getInviteStatus({ ...base, maxUses: 3, uses: 3 }, now),
+        getInviteStatus({ ...base, maxUses: 3, uses: 2 }, now),
+        getInviteStatus(null, now)
+      ]
+    })
+
+    expect(result).toEqual(['active', 'revoked', 'expired', 'active', 'used', 'active', 'revoked'])
+  })
+
+  test('invite options are validated', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { validateInviteOptions } = await import('/src/utils/invites.js')
+      return {
+        ok: validateInviteOptions({ role: 'commenter', expiresInMs: 3600000, maxUses: 5 }),
+        unlimited: validateInviteOptions({ role: 'editor', expiresInMs: null, maxUses: null }),
+        owner: validateInviteOptions({ role: 'owner' }),
+        past: validateInviteOptions({ role: 'viewer', expiresInMs: -1 }),
+        zeroUses: validateInviteOptions({ role: 'viewer', maxUses: 0 }),
+        fraction: validateInviteOptions({ role: 'viewer', maxUses: 1.5 })
+      }
+    })
+
+    expect(result.ok).toBeNull()
+    expect(result.unlimited).toBeNull()
+    expect(result.owner).toBe('Role must be one of: viewer, commenter, editor')
+    expect(result.past).toBe('Expiry must be in the future')
+    expect(result.zeroUses).toBe('Max uses must be a whole number from 1 to 1000')
+    expect(result.fraction).toBe('Max uses must be a whole number from 1 to 1000')
+  })
+
+  test('invite links and descriptions', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { buildInviteLink, formatInviteUses, formatInviteExpiry } = await import('/src/utils/invites.js')
+      const now = Date.UTC(2026, 9, 19, 12)
+      const hour = 60 * 60 * 1000
+      return {
+        link: buildInviteLink('https://example.com', 'room1', 'abc123'),
+        uses: [formatInviteUses({ uses: 1, maxUses: null }), formatInviteUses({ uses: 2, maxUses: 10 })],
+        expiry: [
+          formatInviteExpiry({ expiresAt: null }, now),
+          formatInviteExpiry({ expiresAt: new Date(now + 90 * 1000) }, now),
+          formatInviteExpiry({ expiresAt: new Date(now + 5 * hour) }, now),
+          formatInviteExpiry({ expiresAt: new Date(now + 7 * 24 * hour) }, now),
+          formatInviteExpiry({ expiresAt: new Date(now - 1) }, now)
+        ]
+      }
+    })
+
+    expect(result.link).toBe('https://example.com/canvas/room1?invite=abc123')
+    expect(result.uses).toEqual(['1 use', '2 of 10 uses'])
+    expect(result.expiry).toEqual(['Never expires', 'Expires in 2m', 'Expires in 5h', 'Expires in 7d', 'Expired'])
+  })
+})
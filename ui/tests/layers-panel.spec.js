@@ -0,0 +1,89 @@
+/**
+ * Test: Layers Panel
+ *
+ * Validates:
+ * 1. Rows list shapes topmost first with group rows above their members
+ * 2. Collapsed groups hide their members
+ * 3. Drag-to-reorder places the dragged block next to the target
+ * 4. Dropping next to a grouped shape moves the dragged shape into that group
+ */
+
+import { test, expect } from '@playwright/test'
+
+const SHAPES = [
+  { id: 'r1', type: 'rectangle', zIndex: 1 },
+  { id: 'c1', type: 'circle', zIndex: 2, groupPath: ['g1'] },
+  { id: 't1', type: 'text', text: 'Hello   world', zIndex: 3, groupPath: ['g1'], hidden: true },
+  { id: 'l1', type: 'line', zIndex: 4, name: 'Divider', locked: true }
+]
+
+test.describe('Layers Panel', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:5173')
+    await page.waitForTimeout(1000)
+  })
+
+  test('rows follow z-order and group nesting', async ({ page }) => {
+    const result = await page.evaluate(async (shapes) => {
+      const module = await import('/src/utils/layerTree.js')
+      const rows = module.buildLayerRows(shapes)
+      const collapsed = module.buildLayerRows(shapes, new Set(['g1']))
+      return {
+        rows: rows.map(row => `${row.kind}:${row.id}:${row.depth}`),
+        labels: rows.map(row => row.label),
+        flags: rows.map(row => [row.hidden, row.locked]),
+        collapsed: collapsed.map(row => row.id)
+      }
+    }, SHAPES)
+
+    expect(result.rows).toEqual(['shape:l1:0', 'group:g1:0', 'shape:t1:1', 'shape:c1:1', 'shape:r1:0'])
+    expect(result.labels).toEqual(['Divider', 'Group g1', 'Hello world', 'Circle', 'Rectangle'])
+    expect(result.flags[0]).toEqual([false, true])
+    expect(result.flags[2]).toEqual([true, false])
+    expect(result.collapsed).toEqual(['l1', 'g1', 'r1'])
+  })
+
+  test('dragging a group moves all its members together', async ({ page }) => {
+    const updates = await page.evaluate(async (shapes) => {
+      const module = await import('/src/utils/layerTree.js')
+      const rows = module.buildLayerRows(shapes)
+      const group = rows.find(row => row.id === 'g1')
+      const line = rows.find(row => row.id === 'l1')
+      return module.getLayerMoveUpdates(shapes, group, line, 'above')
+    }, SHAPES)
+
+    const zIndexes = Object.fromEntries(updates.map(update => [update.id, update.updates.zIndex]))
+    expect(zIndexes.c1).toBeGreaterThan(4)
+    expect(zIndexes.t1).toBeGreaterThan(zIndexes.c1)
+    expect(updates.every(update => update.updates.groupPath === undefined)).toBe(true)
+  })
+
+  test('dropping beside a grouped shape joins the group', async ({ page }) => {
+    const updates = await page.evaluate(async (shapes) => {
+      const module = await import('/src/utils/layerTree.js')
+      const rows = module.buildLayerRows(shapes)
+      const rect = rows.find(row => row.id === 'r1')
+      const circle = rows.find(row => row.id === 'c1')
+      return module.getLayerMoveUpdates(shapes, rect, circle, 'above')
+    }, SHAPES)
+
+    expect(updates).toHaveLength(1)
+    expect(updates[0].id).toBe('r1')
+    expect(updates[0].updates.zIndex).toBeGreaterThan(2)
+    expect(updates[0].updates.zIndex).toBeLessThan(3)
+    expect(updates[0].updates.groupPath).toEqual(['g1'])
+  })
+
+  test('a group cannot be dropped inside itself', async ({ page }) => {
+    const count = await page.evaluate(async (shapes) => {
+      const module = await import('/src/utils/layerTree.js')
+      const rows = module.buildLayerRows(shapes)
+      const group = rows.find(row => row.id === 'g1')
+      const member = rows.find(row => row.id === 'c1')
+      return module.getLayerMoveUpdates(shapes, group, member, 'below').length
+    }, SHAPES)
+
+    expect(count).toBe(0)
+  })
+})
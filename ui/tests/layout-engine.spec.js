@@ -0,0 +1,157 @@
+/**
+ * Test: Layout Engine
+ *
+ * Validates:
+ * 1. Tidy up and circle packing leave no overlaps
+ * 2. Tree layout follows connectors, top-down or left-to-right
+ * 3. Fit scales down into a region of the viewport
+ * 4. Layout commands run through the executor, skipping locked shapes
+ * 5. Layout phrasing parses offline
+ */
+
+import { test, expect } from '@playwright/test'
+
+test.describe('Layout Engine', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:5173')
+    await page.waitForTimeout(1000)
+  })
+
+  const PILE = [
+    { id: 'a', type: 'rectangle', x: 0, y: 0, width: 100, height: 60 },
+    { id: 'b', type: 'rectangle', x: 30, y: 20, width: 100, height: 60 },
+    { id: 'c', type: 'circle', x: 60, y: 40, radius: 30 },
+    { id: 'd', type: 'rectangle', x: 0, y: 0, width: 100, height: 60 }
+  ]
+
+  test('tidy up and circle packing remove overlaps', async ({ page }) => {
+    const result = await page.evaluate(async (pile) => {
+      const { computeLayout } = await import('/src/utils/layoutEngine.js')
+      const { getDrawnBounds } = await import('/src/utils/aiShapeContext.js')
+      const countOverlaps = (updates) => {
+        const bounds = pile.map(shape => getDrawnBounds({ ...shape, ...updates.find(u => u.id === shape.id)?.updates }))
+        let overlaps = 0
+        bounds.forEach((a, i) => bounds.slice(i + 1).forEach(b => {
+          if (a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height) overlaps++
+        }))
+        return overlaps
+      }
+      return {
+        before: countOverlaps([]),
+        tidy: countOverlaps(computeLayout('tidy', pile)),
+        circle: countOverlaps(computeLayout('circle', pile))
+      }
+    }, PILE)
+
+    expect(result.before).toBeGreaterThan(0)
+    expect(result.tidy).toBe(0)
+    expect(result.circle).toBe(0)
+  })
+
+  test('tree layout follows connectors', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { computeLayout, getTreeLayers } = await import('/src/utils/layoutEngine.js')
+      const nodes = ['root', 'left', 'right', 'leaf'].map((id, i) => ({ id, type: 'rectangle', x: i * 37, y: i * 11, width: 80, height: 40 }))
+      const connectors = [['root', 'left'], ['root', 'right'], ['right', 'leaf']].map(([from, to], i) => ({
+        id: `k${i}`, type: 'connector', x: 0, y: 0, points: [0, 0, 10, 10], fromShapeId: from, toShapeId: to
+      }))
+      const all = [...nodes, ...connectors]
+      const byId = (updates) => Object.fromEntries(updates.map(({ id, updates: u }) => [id, u]))
+      return {
+        down: byId(computeLayout('tree', all, { allShapes: all })),
+        right: byId(computeLayout('tree', nodes, { allShapes: all, direction: 'right' })),
+        cycle: getTreeLayers(['a', 'b', 'c'], [{ from: 'a', to: 'b' }, { from: 'b', to: 'a' }, { from: 'b', to: 'c' }])
+      }
+    })
+
+    // Bound connectors are re-routed, never moved by the layout
+    expect(Object.keys(result.down).sort()).toEqual(['leaf', 'left', 'right', 'root'])
+    expect(result.down.root).toEqual({ x: 50, y: 0 })
+    expect(result.down.left).toEqual({ x: 0, y: 120 })
+    expect(result.down.right).toEqual({ x: 100, y: 120 })
+    expect(result.down.leaf.y).toBe(240)
+    expect(result.right.root.x).toBe(0)
+    expect(result.right.left.x).toBe(160)
+    expect(result.right.leaf.x).toBe(320)
+    expect(result.cycle).toEqual([['a'], ['b'], ['c']])
+  })
+
+  test('fit scales down into a region', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { computeLayout, resolveLayoutRegion } = await import('/src/utils/layoutEngine.js')
+      const viewportBounds = { left: 0, right: 1000, top: 0, bottom: 800 }
+      const wide = [
+        { id: 'p', type: 'rectangle', x: -2000, y: 0, width: 2000, height: 500 },
+        { id: 'w', type: 'arrow', x: 0, y: 0, points: [0, 0, 100, 100] }
+      ]
+      const small = [{ id: 's', type: 'rectangle', x: 5000, y: 5000, width: 50, height: 50 }]
+      let unknown = null
+      try {
+        resolveLayoutRegion('middle', viewportBounds)
+      } catch (err) {
+        unknown = err.message
+      }
+      return {
+        region: resolveLayoutRegion('left', viewportBounds),
+        wide: computeLayout('fit', wide, { viewportBounds, region: 'left' }),
+        small: computeLayout('fit', small, { viewportBounds }),
+        unknown
+      }
+    })
+
+    expect(result.region).toEqual({ x: 40, y: 40, width: 420, height: 720 })
+    expect(result.wide[0].updates).toMatchObject({ x: 40, width: 400, height: 100 })
+    expect(result.wide[1].updates.points).toEqual([0, 0, 20, 20])
+    // Shapes that already fit are only centered, never enlarged
+    expect(result.small[0].updates).toEqual({ x: 475, y: 375 })
+    expect(result.unknown).toContain('Unknown region "middle"')
+  })
+
+  test('layout commands run through the executor', async ({ page }) => {
+    const result = await page.evaluate(async (pile) => {
+      const { createPreviewStore } = await import('/src/utils/aiPreview.js')
+      const { useCommandExecutor } = await import('/src/composables/useCommandExecutor.js')
+      const locked = { id: 'l', type: 'rectangle', x: 10, y: 10, width: 100, height: 60, locked: true, lockOwner: 'someone' }
+      const store = createPreviewStore(new Map([...pile, locked].map(shape => [shape.id, shape])))
+      const { executeCommand } = useCommandExecutor({ store })
+      const context = { canEdit: true, selectedShapeIds: ['a', 'b', 'l'], viewportBounds: { left: 0, right: 800, top: 0, bottom: 600 } }
+      const tidy = await executeCommand({ category: 'layout', action: 'arrange', parameters: { layout: 'tidy' } }, context)
+      let single = null
+      try {
+        await executeCommand({ category: 'layout', action: 'arrange', parameters: { layout: 'circle' } }, { ...context, selectedShapeIds: ['a'] })
+      } catch (err) {
+        single = err.message
+      }
+      const fit = await executeCommand({ category: 'layout', action: 'arrange', parameters: { layout: 'fit' } }, { ...context, selectedShapeIds: ['c'] })
+      return { tidy, single, fit, updated: store.getPreview().updated.map(shape => shape.id).sort() }
+    }, PILE)
+
+    expect(result.tidy.updatedIds).toEqual(['a', 'b'])
+    expect(result.single).toBe('Select at least two shapes for layout commands')
+    expect(result.fit.updatedIds).toEqual(['c'])
+    expect(result.updated).toEqual(['a', 'b', 'c'])
+  })
+
+  test('layout phrasing parses offline', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { parseWithRules } = await import('/src/utils/ruleBasedParser.js')
+      const params = (text) => parseWithRules(text).parameters
+      return {
+        tidy: parseWithRules('tidy up'),
+        overlaps: parseWithRules('now remove the overlaps').intent,
+        tree: params('lay out the flowchart left to right'),
+        circle: params('put them in a circle'),
+        fit: params('fit them into the left half'),
+        create: parseWithRules('put a red circle at the center').intent
+      }
+    })
+
+    expect(result.tidy).toMatchObject({ intent: 'ARRANGE_SHAPES', parameters: { target: 'selected', layout: 'tidy' } })
+    expect(result.overlaps).toBe('ARRANGE_SHAPES')
+    expect(result.tree).toEqual({ target: 'selected', layout: 'tree', direction: 'right' })
+    expect(result.circle).toEqual({ target: 'selected', layout: 'circle' })
+    expect(result.fit).toEqual({ target: 'selected', layout: 'fit', region: 'left' })
+    expect(result.create).toBe('CREATE_SHAPE')
+  })
+})
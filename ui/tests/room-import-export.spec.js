@@ -0,0 +1,106 @@
+/**
+ * Test: Room JSON Import/Export
+ *
+ * Validates:
+ * 1. Exported documents carry the format name and version
+ * 2. Schema validation rejects malformed documents
+ * 3. Imported shapes get fresh IDs and grayscale colors
+ */
+
+import { test, expect } from '@playwright/test'
+
+test.describe('Room JSON Import/Export', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:5173')
+    await page.waitForTimeout(1000)
+  })
+
+  test('export round-trips through the parser', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/utils/roomTransfer.js')
+      const room = module.buildRoomExport(
+        { name: 'Design Room', width: 3000, height: 3000 },
+        [
+          { id: 'rect_1', type: 'rectangle', x: 10, y: 20, width: 100, height: 50, fill: '#808080', zIndex: 1, lockedBy: 'someone' },
+          { id: 'text_1', type: 'text', x: 0, y: 0, text: 'Hello', fontSize: 16, fill: '#ffffff', zIndex: 2 }
+        ]
+      )
+      const parsed = module.parseRoomDocument(JSON.stringify(room))
+      return {
+        format: parsed.format,
+        version: parsed.version,
+        name: parsed.canvas.name,
+        shapeCount: parsed.shapes.length,
+        hasLock: 'lockedBy' in parsed.shapes[0]
+      }
+    })
+
+    expect(result.format).toBe('techno-canvas-room')
+    expect(result.version).toBe(1)
+    expect(result.name).toBe('Design Room')
+    expect(result.shapeCount).toBe(2)
+    expect(result.hasLock).toBe(false)
+  })
+
+  test('validation reports malformed shapes', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/utils/roomTransfer.js')
+      return module.validateRoomDocument({
+        format: 'techno-canvas-room',
+        version: 1,
+        canvas: { name: 'Broken' },
+        shapes: [
+          { id: 'a', type: 'rectangle', x: 0, y: 0, width: -5, height: 10 },
+          { id: 'a', type: 'hexagon', x: 0, y: 0 },
+          { id: 'c', type: 'line', points: [0, 0, 10] }
+        ]
+      })
+    })
+
+    expect(result.valid).toBe(false)
+    expect(result.errors.length).toBeGreaterThanOrEqual(3)
+  })
+
+  test('rejects files from a newer format version', async ({ page }) => {
+    const message = await page.evaluate(async () => {
+      const module = await import('/src/utils/roomTransfer.js')
+      try {
+        module.parseRoomDocument(JSON.stringify({ format: 'techno-canvas-room', version: 99, canvas: {}, shapes: [] }))
+        return null
+      } catch (err) {
+        return err.message
+      }
+    })
+
+    expect(message).toContain('newer')
+  })
+
+  test('import remaps IDs and enforces grayscale', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/utils/roomTransfer.js')
+      const { shapes, idMap } = module.prepareShapesForImport(
+        [
+          { id: 'rect_old', type: 'rectangle', x: 0, y: 0, width: 10, height: 10, fill: '#ff0000', zIndex: 3 },
+          { id: 'circ_old', type: 'circle', x: 5, y: 5, radius: 5, fill: '#606060', stroke: '#00ff00', strokeWidth: 2, zIndex: 4 }
+        ],
+        { userId: 'user-1', userName: 'User One', zIndexOffset: 10 }
+      )
+      return {
+        ids: shapes.map(s => s.id),
+        mapped: idMap.get('rect_old'),
+        fills: shapes.map(s => s.fill),
+        stroke: shapes[1].stroke,
+        zIndexes: shapes.map(s => s.zIndex),
+        createdBy: shapes[0].createdBy
+      }
+    })
+
+    expect(result.ids).not.toContain('rect_old')
+    expect(result.ids[0]).toBe(result.mapped)
+    expect(result.fills).toEqual(['#555555', '#606060'])
+    expect(result.stroke).toBe('#555555')
+    expect(result.zIndexes).toEqual([13, 14])
+    expect(result.createdBy).toBe('user-1')
+  })
+})
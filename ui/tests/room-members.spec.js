@@ -0,0 +1,70 @@
+/**
+ * Test: Room Members
+ *
+ * Validates:
+ * 1. Every user in the canvas permissions is listed, owner first, then online members
+ * 2. Names come from the presence record, falling back to the owner name or the user ID
+ * 3. Last-seen times are described relative to now
+ */
+
+import { test, expect } from '@playwright/test'
+
+test.describe('Room Members', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:5173')
+    await page.waitForTimeout(1000)
+  })
+
+  test('members list from permissions and presence', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { buildMemberList, MEMBER_ROLES } = await import('/src/utils/members.js')
+      const now = Date.UTC(2026, 9, 19, 12)
+      const canvas = {
+        owner: 'o1',
+        ownerName: 'Olive',
+        permissions: { o1: 'owner', v1: 'viewer', e1: 'editor', c1: 'commenter' }
+      }
+      return {
+        roles: MEMBER_ROLES,
+        members: buildMemberList(canvas, {
+          lastSeen: {
+            v1: { userName: 'Vic', lastSeen: now - 5 * 60 * 1000 },
+            e1: { userName: 'Eve', lastSeen: now }
+          },
+          onlineUserIds: new Set(['e1']),
+          currentUserId: 'o1'
+        }),
+        none: buildMemberList(null)
+      }
+    })
+
+    expect(result.roles).toEqual(['viewer', 'commenter', 'editor', 'owner'])
+    expect(result.members.map(m => [m.userId, m.name, m.role, m.online])).toEqual([
+      ['o1', 'Olive', 'owner', true],
+      ['e1', 'Eve', 'editor', true],
+      ['c1', 'User c1', 'commenter', false],
+      ['v1', 'Vic', 'viewer', false]
+    ])
+    expect(result.members[0]).toMatchObject({ isOwner: true, isYou: true })
+    expect(result.none).toEqual([])
+  })
+
+  test('last seen descriptions', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { formatLastSeen } = await import('/src/utils/members.js')
+      const now = Date.UTC(2026, 9, 19, 12)
+      const minute = 60 * 1000
+      return [
+        formatLastSeen({ online: true, lastSeen: null }, now),
+        formatLastSeen({ online: false, lastSeen: null }, now),
+        formatLastSeen({ online: false, lastSeen: now - 10 * 1000 }, now),
+        formatLastSeen({ online: false, lastSeen: now - 5 * minute }, now),
+        formatLastSeen({ online: false, lastSeen: now - 3 * 60 * minute }, now),
+        formatLastSeen({ online: false, lastSeen: now - 3 * 24 * 60 * minute }, now)
+      ]
+    })
+
+    expect(result).toEqual(['Online now', 'Never visited', 'Seen 1m ago', 'Seen 5m ago', 'Seen 3h ago', 'Seen 3d ago'])
+  })
+})
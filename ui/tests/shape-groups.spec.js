@@ -0,0 +1,116 @@
+/**
+ * Test: Shape Groups
+ *
+ * Validates:
+ * 1. Clicking a grouped shape selects its outermost group
+ * 2. Nested selections resolve to the innermost enclosing group
+ * 3. Copies of whole groups get fresh group IDs, partial copies leave the group
+ * 4. Room import remaps group IDs and rejects malformed group paths
+ */
+
+import { test, expect } from '@playwright/test'
+
+test.describe('Shape Groups', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:5173')
+    await page.waitForTimeout(1000)
+  })
+
+  test('selection units follow the group hierarchy', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/utils/groupUtils.js')
+      const shapes = new Map([
+        ['a', { id: 'a', groupPath: ['outer', 'inner'] }],
+        ['b', { id: 'b', groupPath: ['outer', 'inner'] }],
+        ['c', { id: 'c', groupPath: ['outer'] }],
+        ['d', { id: 'd' }]
+      ])
+      return {
+        clickGrouped: module.getSelectionUnit('a', shapes).sort(),
+        clickInner: module.getSelectionUnit('a', shapes, 1).sort(),
+        clickLoose: module.getSelectionUnit('d', shapes),
+        marquee: module.expandToGroups(['c', 'd'], shapes).sort(),
+        selectedInner: module.getSelectedGroupId(['a', 'b'], shapes),
+        selectedOuter: module.getSelectedGroupId(['a', 'b', 'c'], shapes),
+        selectedNone: module.getSelectedGroupId(['a', 'c'], shapes)
+      }
+    })
+
+    expect(result.clickGrouped).toEqual(['a', 'b', 'c'])
+    expect(result.clickInner).toEqual(['a', 'b'])
+    expect(result.clickLoose).toEqual(['d'])
+    expect(result.marquee).toEqual(['a', 'b', 'c', 'd'])
+    expect(result.selectedInner).toBe('inner')
+    expect(result.selectedOuter).toBe('outer')
+    expect(result.selectedNone).toBeNull()
+  })
+
+  test('common group path stops at the innermost enclosing group', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/utils/groupUtils.js')
+      const shapes = new Map([
+        ['a', { id: 'a', groupPath: ['outer', 'inner'] }],
+        ['b', { id: 'b', groupPath: ['outer', 'inner'] }],
+        ['c', { id: 'c', groupPath: ['outer'] }],
+        ['d', { id: 'd' }]
+      ])
+      return {
+        insideInner: module.getCommonGroupPath(['a'], shapes),
+        wholeInner: module.getCommonGroupPath(['a', 'b'], shapes),
+        wholeOuter: module.getCommonGroupPath(['a', 'b', 'c'], shapes),
+        mixed: module.getCommonGroupPath(['a', 'd'], shapes)
+      }
+    })
+
+    expect(result.insideInner).toEqual(['outer', 'inner'])
+    expect(result.wholeInner).toEqual(['outer'])
+    expect(result.wholeOuter).toEqual([])
+    expect(result.mixed).toEqual([])
+  })
+
+  test('copies get their own groups', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/utils/groupUtils.js')
+      const shapes = new Map([
+        ['a', { id: 'a', groupPath: ['outer', 'inner'] }],
+        ['b', { id: 'b', groupPath: ['outer', 'inner'] }],
+        ['c', { id: 'c', groupPath: ['outer'] }]
+      ])
+      const remap = module.createGroupPathRemapper(['a', 'b'], shapes)
+      const pathA = remap(shapes.get('a').groupPath)
+      const pathB = remap(shapes.get('b').groupPath)
+      return { pathA, pathB }
+    })
+
+    // Inner group was copied in full, outer only partly
+    expect(result.pathA).toHaveLength(1)
+    expect(result.pathA[0]).not.toBe('inner')
+    expect(result.pathB).toEqual(result.pathA)
+  })
+
+  test('room import remaps group IDs', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/utils/roomTransfer.js')
+      const { shapes } = module.prepareShapesForImport(
+        [
+          { id: 'r1', type: 'rectangle', x: 0, y: 0, width: 10, height: 10, groupPath: ['g1'] },
+          { id: 'r2', type: 'rectangle', x: 20, y: 0, width: 10, height: 10, groupPath: ['g1'] }
+        ],
+        { userId: 'user-1', userName: 'User One' }
+      )
+      const invalid = module.validateRoomDocument({
+        format: 'techno-canvas-room',
+        version: 1,
+        canvas: { name: 'Groups' },
+        shapes: [{ id: 'r3', type: 'rectangle', x: 0, y: 0, width: 10, height: 10, groupPath: 'g1' }]
+      })
+      return { paths: shapes.map(s => s.groupPath), invalid: invalid.valid }
+    })
+
+    expect(result.paths[0]).toHaveLength(1)
+    expect(result.paths[0][0]).not.toBe('g1')
+    expect(result.paths[1]).toEqual(result.paths[0])
+    expect(result.invalid).toBe(false)
+  })
+})
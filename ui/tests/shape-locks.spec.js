@@ -0,0 +1,99 @@
+/**
+ * Test: Shape Locks
+ *
+ * Validates:
+ * 1. Locked shapes only accept lock, naming, visibility and z-order changes
+ * 2. Only the lock owner or the canvas owner can unlock
+ * 3. Locked shapes are left out of deletes and copies
+ * 4. Room import keeps locks but hands them to the importing user
+ */
+
+import { test, expect } from '@playwright/test'
+
+test.describe('Shape Locks', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:5173')
+    await page.waitForTimeout(1000)
+  })
+
+  test('locked shapes reject edits', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/utils/shapeLocks.js')
+      const locked = { id: 'r1', type: 'rectangle', ...module.createLockFields('user-1', 'User One') }
+      const unlocked = { id: 'r2', type: 'rectangle' }
+      return {
+        move: module.isEditBlockedByLock(locked, { x: 10, y: 20 }),
+        restyle: module.isEditBlockedByLock(locked, { fill: '#808080' }),
+        restack: module.isEditBlockedByLock(locked, { zIndex: 4, lastModified: 1 }),
+        rename: module.isEditBlockedByLock(locked, { name: 'Logo', hidden: true }),
+        unlock: module.isEditBlockedByLock(locked, module.clearLockFields()),
+        free: module.isEditBlockedByLock(unlocked, { x: 10 })
+      }
+    })
+
+    expect(result.move).toBe(true)
+    expect(result.restyle).toBe(true)
+    expect(result.restack).toBe(false)
+    expect(result.rename).toBe(false)
+    expect(result.unlock).toBe(false)
+    expect(result.free).toBe(false)
+  })
+
+  test('only the lock owner or canvas owner can unlock', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/utils/shapeLocks.js')
+      const shape = { id: 'r1', ...module.createLockFields('user-1', 'User One') }
+      const legacy = { id: 'r2', locked: true }
+      return {
+        owner: module.canUnlockShape(shape, 'user-1'),
+        collaborator: module.canUnlockShape(shape, 'user-2'),
+        canvasOwner: module.canUnlockShape(shape, 'user-2', true),
+        legacy: module.canUnlockShape(legacy, 'user-2')
+      }
+    })
+
+    expect(result.owner).toBe(true)
+    expect(result.collaborator).toBe(false)
+    expect(result.canvasOwner).toBe(true)
+    expect(result.legacy).toBe(true)
+  })
+
+  test('locked shapes are skipped and copies start unlocked', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/utils/shapeLocks.js')
+      const lock = module.createLockFields('user-1', 'User One')
+      const shapes = new Map([
+        ['a', { id: 'a', ...lock }],
+        ['b', { id: 'b' }],
+        ['c', { id: 'c', locked: false }]
+      ])
+      return {
+        partition: module.partitionLockedIds(['a', 'b', 'c'], shapes),
+        copy: module.withoutLock({ id: 'a', x: 5, ...lock })
+      }
+    })
+
+    expect(result.partition).toEqual({ allowed: ['b', 'c'], locked: ['a'] })
+    expect(result.copy).toEqual({ id: 'a', x: 5 })
+  })
+
+  test('room import re-owns locks', async ({ page }) => {
+    const shapes = await page.evaluate(async () => {
+      const module = await import('/src/utils/roomTransfer.js')
+      return module.prepareShapesForImport(
+        [
+          { id: 'r1', type: 'rectangle', x: 0, y: 0, width: 10, height: 10, locked: true, lockOwner: 'someone', lockOwnerName: 'Someone' },
+          { id: 'r2', type: 'rectangle', x: 20, y: 0, width: 10, height: 10, locked: false }
+        ],
+        { userId: 'user-1', userName: 'User One' }
+      ).shapes
+    })
+
+    expect(shapes[0].locked).toBe(true)
+    expect(shapes[0].lockOwner).toBe('user-1')
+    expect(shapes[0].lockOwnerName).toBe('User One')
+    expect(shapes[1].locked).toBeUndefined()
+    expect(shapes[1].lockOwner).toBeUndefined()
+  })
+})
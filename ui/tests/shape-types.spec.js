@@ -0,0 +1,121 @@
+/**
+ * Test: Polygon, Star, Arrow and Freehand Path Shapes
+ *
+ * Validates:
+ * 1. Polygon and star vertices match Konva's drawing and feed the shape bounds
+ * 2. Arrow bounds include their heads; arrows and paths are offset by x,y
+ * 3. Pen strokes are simplified and stored relative to their first point
+ * 4. Room import accepts the new types and rejects malformed ones
+ * 5. SVG export draws polygons, stars, arrow heads and paths
+ */
+
+import { test, expect } from '@playwright/test'
+
+test.describe('Polygon, Star, Arrow and Freehand Path Shapes', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:5173')
+    await page.waitForTimeout(1000)
+  })
+
+  test('polygon and star vertices feed the bounds', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const geometry = await import('/src/utils/shapeGeometry.js')
+      const exporter = await import('/src/utils/canvasExport.js')
+      const square = { type: 'polygon', x: 100, y: 100, sides: 4, radius: 50 }
+      const star = { type: 'star', x: 0, y: 0, numPoints: 5, innerRadius: 20, outerRadius: 40 }
+      const round = (p) => ({ x: Math.round(p.x), y: Math.round(p.y) })
+      return {
+        squareVertices: geometry.getPolygonVertices(square).map(round),
+        squareBounds: exporter.getShapeBounds(square),
+        starVertexCount: geometry.getStarVertices(star).length,
+        starTop: round(geometry.getStarVertices(star)[0]),
+        starBounds: exporter.getShapeBounds(star)
+      }
+    })
+
+    expect(result.squareVertices).toEqual([
+      { x: 100, y: 50 }, { x: 150, y: 100 }, { x: 100, y: 150 }, { x: 50, y: 100 }
+    ])
+    expect(result.squareBounds).toEqual({ x: 50, y: 50, width: 100, height: 100 })
+    expect(result.starVertexCount).toBe(10)
+    expect(result.starTop).toEqual({ x: 0, y: -40 })
+    expect(Math.round(result.starBounds.y)).toBe(-40)
+  })
+
+  test('arrow bounds include heads and position', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const exporter = await import('/src/utils/canvasExport.js')
+      const geometry = await import('/src/utils/shapeGeometry.js')
+      const arrow = {
+        type: 'arrow', x: 200, y: 100, points: [0, 0, 100, 0], strokeWidth: 2,
+        pointerAtStart: false, pointerAtEnd: true, pointerLength: 10, pointerWidth: 12
+      }
+      const path = { type: 'path', x: 10, y: 20, points: [0, 0, 30, 40], strokeWidth: 4 }
+      return {
+        arrow: exporter.getShapeBounds(arrow),
+        heads: geometry.getArrowHeads(arrow).map(head => head.map(p => [Math.round(p.x), Math.round(p.y)])),
+        path: exporter.getShapeBounds(path)
+      }
+    })
+
+    expect(result.arrow).toEqual({ x: 194, y: 94, width: 112, height: 12 })
+    expect(result.heads).toEqual([[[300, 100], [290, 94], [290, 106]]])
+    expect(result.path).toEqual({ x: 8, y: 18, width: 34, height: 44 })
+  })
+
+  test('pen strokes are simplified and relative', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const geometry = await import('/src/utils/shapeGeometry.js')
+      // Nearly straight run with one real corner
+      const stroke = [100, 100, 110, 100.2, 120, 99.9, 130, 100, 130, 110, 130, 120]
+      return {
+        path: geometry.createPathFromStroke(stroke),
+        tooShort: geometry.createPathFromStroke([5, 5])
+      }
+    })
+
+    expect(result.path).toEqual({ x: 100, y: 100, points: [0, 0, 30, 0, 30, 20] })
+    expect(result.tooShort).toBeNull()
+  })
+
+  test('room import validates the new types', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/utils/roomTransfer.js')
+      const room = (shapes) => ({ format: module.ROOM_EXPORT_FORMAT, version: module.ROOM_EXPORT_VERSION, canvas: { name: 'Shapes' }, shapes })
+      return {
+        valid: module.validateRoomDocument(room([
+          { id: 'p1', type: 'polygon', x: 10, y: 10, sides: 6, radius: 40 },
+          { id: 's1', type: 'star', x: 10, y: 10, numPoints: 5, innerRadius: 10, outerRadius: 20 },
+          { id: 'a1', type: 'arrow', x: 0, y: 0, points: [0, 0, 50, 0], pointerAtEnd: true },
+          { id: 'f1', type: 'path', x: 0, y: 0, points: [0, 0, 5, 5, 10, 0] }
+        ])),
+        invalid: module.validateRoomDocument(room([
+          { id: 'p1', type: 'polygon', x: 10, y: 10, sides: 2, radius: 40 },
+          { id: 'f1', type: 'path', x: 0, y: 0, points: [0, 0] }
+        ]))
+      }
+    })
+
+    expect(result.valid.errors).toEqual([])
+    expect(result.invalid.errors).toHaveLength(2)
+  })
+
+  test('svg export draws the new shapes', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/utils/canvasExport.js')
+      return {
+        polygon: module.shapeToSVGElement({ type: 'polygon', x: 0, y: 0, sides: 3, radius: 10, fill: '#ffffff' }),
+        arrow: module.shapeToSVGElement({
+          type: 'arrow', x: 0, y: 0, points: [0, 0, 50, 0], stroke: '#ffffff', strokeWidth: 2,
+          pointerAtStart: true, pointerAtEnd: true, pointerLength: 10, pointerWidth: 10
+        }),
+        path: module.shapeToSVGElement({ type: 'path', x: 5, y: 5, points: [0, 0, 10, 10], stroke: '#808080', strokeWidth: 3 })
+      }
+    })
+
+    expect(result.polygon).toMatch(/^<polygon points="0,-10 /)
+    expect(result.arrow.match(/<polygon /g)).toHaveLength(2)
+    expect(result.path).toContain('points="5,5 15,15"')
+  })
+})
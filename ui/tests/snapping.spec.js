@@ -0,0 +1,98 @@
+/**
+ * Test: Grid & Smart Guide Snapping
+ *
+ * Validates:
+ * 1. Edges and centers snap to nearby shapes within the threshold, circles
+ *    included at the place they are drawn
+ * 2. Axes without a nearby shape fall back to the grid
+ * 3. Guides span the moving box and the aligned shapes
+ * 4. Dense grids are thinned out when zoomed out
+ */
+
+import { test, expect } from '@playwright/test'
+
+test.describe('Grid & Smart Guide Snapping', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:5173')
+    await page.waitForTimeout(1000)
+  })
+
+  test('edges snap to nearby shapes', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/utils/snapping.js')
+      const candidates = [{ x: 100, y: 100, width: 100, height: 50 }]
+      return {
+        leftEdge: module.snapBounds({ x: 103, y: 400, width: 40, height: 40 }, candidates, { threshold: 6 }),
+        center: module.snapBounds({ x: 128, y: 400, width: 40, height: 40 }, candidates, { threshold: 6 }),
+        tooFar: module.snapBounds({ x: 120, y: 400, width: 40, height: 40 }, candidates, { threshold: 6 }),
+        off: module.snapBounds({ x: 103, y: 400, width: 40, height: 40 }, candidates, { threshold: 6, smartGuides: false })
+      }
+    })
+
+    expect(result.leftEdge.dx).toBe(-3)
+    expect(result.leftEdge.dy).toBe(0)
+    expect(result.leftEdge.guides).toEqual([{ points: [100, 100, 100, 440] }])
+    expect(result.center.dx).toBe(2)
+    expect(result.tooFar.dx).toBe(0)
+    expect(result.tooFar.guides).toEqual([])
+    expect(result.off.dx).toBe(0)
+  })
+
+  test('circles snap by their drawn edges and center', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/utils/snapping.js')
+      // Drawn over 400-500 on both axes (offset = radius, see Circle.vue)
+      const circle = module.getSnapBounds({ id: 'c', type: 'circle', x: 500, y: 500, radius: 50 })
+      return {
+        circle,
+        rightEdge: module.snapBounds({ x: 503, y: 200, width: 40, height: 40 }, [circle], { threshold: 6 }),
+        center: module.snapBounds({ x: 428, y: 200, width: 40, height: 40 }, [circle], { threshold: 6 }),
+        undrawnEdge: module.snapBounds({ x: 548, y: 200, width: 40, height: 40 }, [circle], { threshold: 6 })
+      }
+    })
+
+    expect(result.circle).toEqual({ x: 400, y: 400, width: 100, height: 100 })
+    expect(result.rightEdge.dx).toBe(-3)
+    expect(result.rightEdge.guides).toEqual([{ points: [500, 200, 500, 500] }])
+    expect(result.center.dx).toBe(2)
+    expect(result.center.guides).toEqual([{ points: [450, 200, 450, 500] }])
+    expect(result.undrawnEdge.dx).toBe(0)
+    expect(result.undrawnEdge.guides).toEqual([])
+  })
+
+  test('axes without a guide snap to the grid', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/utils/snapping.js')
+      const candidates = [{ x: 100, y: 100, width: 100, height: 50 }]
+      return {
+        mixed: module.snapBounds({ x: 97, y: 407, width: 40, height: 40 }, candidates, { threshold: 6, gridSpacing: 20 }),
+        point: module.snapPoint({ x: 33, y: 48 }, [], { threshold: 6, gridSpacing: 25 })
+      }
+    })
+
+    // x follows the shape's left edge, y the nearest grid line
+    expect(result.mixed.dx).toBe(3)
+    expect(result.mixed.dy).toBe(-7)
+    expect(result.mixed.guides).toHaveLength(1)
+    expect(result.point.x).toBe(25)
+    expect(result.point.y).toBe(50)
+  })
+
+  test('grid lines cover the region and thin out when zoomed out', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/utils/snapping.js')
+      const region = { x: 5, y: 0, width: 100, height: 40 }
+      return {
+        normal: module.getGridLines(region, 20, 1),
+        zoomedOut: module.getGridLines(region, 20, 0.1)
+      }
+    })
+
+    expect(result.normal.step).toBe(20)
+    expect(result.normal.xs).toEqual([20, 40, 60, 80, 100])
+    expect(result.normal.ys).toEqual([0, 20, 40])
+    expect(result.zoomedOut.step).toBe(80)
+    expect(result.zoomedOut.xs).toEqual([80])
+  })
+})
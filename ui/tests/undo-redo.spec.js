@@ -0,0 +1,157 @@
+/**
+ * Test: Per-user Undo/Redo History
+ *
+ * Validates:
+ * 1. Operations are recorded per canvas and per user
+ * 2. Transactions collapse grouped operations into one entry, and overlapping
+ *    transactions keep separate entries
+ * 3. A new action clears the redo stack
+ * 4. Metadata fields are never treated as undoable changes
+ */
+
+import { test, expect } from '@playwright/test'
+
+test.describe('Undo/Redo History', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:5173')
+    await page.waitForTimeout(1000)
+  })
+
+  test('history is kept separately for each user', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/composables/useUndoRedo.js')
+      const history = module.useUndoRedo()
+
+      history.clearHistory('test-canvas', 'user-a')
+      history.clearHistory('test-canvas', 'user-b')
+
+      history.recordOperation('test-canvas', 'user-a', {
+        type: 'update', shapeId: 's1', before: { x: 0 }, after: { x: 50 }
+      })
+
+      return {
+        userA: history.canUndo('test-canvas', 'user-a'),
+        userB: history.canUndo('test-canvas', 'user-b')
+      }
+    })
+
+    expect(result.userA).toBe(true)
+    expect(result.userB).toBe(false)
+  })
+
+  test('transactions produce a single history entry', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/composables/useUndoRedo.js')
+      const history = module.useUndoRedo()
+
+      history.clearHistory('test-canvas', 'user-a')
+
+      await history.runInTransaction('move', async (transaction) => {
+        history.recordOperation('test-canvas', 'user-a', { type: 'update', shapeId: 's1', before: { x: 0 }, after: { x: 10 } }, 'edit', transaction)
+        history.recordOperation('test-canvas', 'user-a', { type: 'update', shapeId: 's2', before: { x: 0 }, after: { x: 10 } }, 'edit', transaction)
+      })
+
+      const entry = history.popUndo('test-canvas', 'user-a')
+      return {
+        label: entry.label,
+        operations: entry.operations.length,
+        remaining: history.canUndo('test-canvas', 'user-a')
+      }
+    })
+
+    expect(result.label).toBe('move')
+    expect(result.operations).toBe(2)
+    expect(result.remaining).toBe(false)
+  })
+
+  test('overlapping transactions keep separate entries', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/composables/useUndoRedo.js')
+      const history = module.useUndoRedo()
+      const update = (shapeId) => ({ type: 'update', shapeId, before: { x: 0 }, after: { x: 10 } })
+
+      history.clearHistory('test-canvas', 'user-a')
+
+      // A slow command is still running when a drag starts and ends
+      let finishCommand
+      const commandDone = new Promise(resolve => { finishCommand = resolve })
+      const command = history.runInTransaction('AI: create', async (transaction) => {
+        history.recordOperation('test-canvas', 'user-a', update('s1'), 'edit', transaction)
+        await commandDone
+        history.recordOperation('test-canvas', 'user-a', update('s2'), 'edit', transaction)
+      })
+      await history.runInTransaction('move', async (transaction) => {
+        history.recordOperation('test-canvas', 'user-a', update('s3'), 'edit', transaction)
+      })
+      history.recordOperation('test-canvas', 'user-a', update('s4'))
+      finishCommand()
+      await command
+
+      const entries = []
+      let entry
+      while ((entry = history.popUndo('test-canvas', 'user-a'))) {
+        entries.unshift([entry.label, entry.operations.map(op => op.shapeId)])
+      }
+      return entries
+    })
+
+    expect(result).toEqual([
+      ['move', ['s3']],
+      ['update', ['s4']],
+      ['AI: create', ['s1', 's2']]
+    ])
+  })
+
+  test('recording a new action clears redo', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/composables/useUndoRedo.js')
+      const history = module.useUndoRedo()
+
+      history.clearHistory('test-canvas', 'user-a')
+      history.recordOperation('test-canvas', 'user-a', { type: 'create', shapeId: 's1', before: null, after: { id: 's1' } })
+
+      const entry = history.popUndo('test-canvas', 'user-a')
+      history.pushRedo('test-canvas', 'user-a', entry)
+      const canRedoBefore = history.canRedo('test-canvas', 'user-a')
+
+      history.recordOperation('test-canvas', 'user-a', { type: 'create', shapeId: 's2', before: null, after: { id: 's2' } })
+
+      return { canRedoBefore, canRedoAfter: history.canRedo('test-canvas', 'user-a') }
+    })
+
+    expect(result.canRedoBefore).toBe(true)
+    expect(result.canRedoAfter).toBe(false)
+  })
+
+  test('withoutRecording does not add history entries', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/composables/useUndoRedo.js')
+      const history = module.useUndoRedo()
+
+      history.clearHistory('test-canvas', 'user-a')
+      await history.withoutRecording(async (transaction) => {
+        history.recordOperation('test-canvas', 'user-a', { type: 'delete', shapeId: 's1', before: { id: 's1' }, after: null }, 'delete', transaction)
+      })
+
+      return history.canUndo('test-canvas', 'user-a')
+    })
+
+    expect(result).toBe(false)
+  })
+
+  test('getUndoableFields strips metadata', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const module = await import('/src/composables/useUndoRedo.js')
+      return module.getUndoableFields({
+        x: 10,
+        fill: '#808080',
+        lastModified: Date.now(),
+        lastModifiedBy: 'user-a',
+        lastModifiedByName: 'User A'
+      })
+    })
+
+    expect(result).toEqual({ x: 10, fill: '#808080' })
+  })
+})
@@ -0,0 +1,86 @@
+/**
+ * Test: Viewer Mode
+ *
+ * Validates:
+ * 1. Viewers can only select all and copy from the keyboard
+ * 2. Editors keep delete, undo, duplicate and layering shortcuts
+ * 3. The shape context menu (all editing actions) is not shown to viewers
+ */
+
+import { test, expect } from '@playwright/test'
+
+test.describe('Viewer Mode', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:5173')
+    await page.waitForTimeout(1000)
+  })
+
+  const runShortcuts = (page, readOnly) => page.evaluate(async (readOnly) => {
+    const { ref } = await import('vue')
+    const { useKeyboardShortcuts } = await import('/src/composables/useKeyboardShortcuts.js')
+    const calls = []
+    const { handleKeyDown } = useKeyboardShortcuts({
+      clearSelection: () => calls.push('clear'),
+      handleTextCancel: () => {},
+      bringToFront: async () => calls.push('front'),
+      sendToBack: async () => {},
+      bringForward: async () => {},
+      sendBackward: async () => {},
+      selectedShapeIds: ref(['a']),
+      user: ref({ uid: 'u1' }),
+      canvasId: ref('c1'),
+      handleContextCopy: () => calls.push('copy'),
+      handleContextPaste: async () => calls.push('paste'),
+      clipboard: ref([{ id: 'a' }]),
+      duplicateShapes: async () => { calls.push('duplicate'); return ['b'] },
+      showTextEditor: ref(false),
+      shapes: new Map(),
+      updateShape: () => calls.push('update'),
+      readOnly: ref(readOnly)
+    })
+    const key = (k, mod = false) => handleKeyDown({ key: k, metaKey: mod, ctrlKey: false, shiftKey: false, preventDefault() {} })
+    const results = {
+      del: await key('Delete'),
+      undo: await key('z', true),
+      all: await key('a', true),
+      copy: await key('c', true),
+      paste: await key('v', true)
+    }
+    await key('d', true)
+    await key(']', true)
+    return { results, calls }
+  }, readOnly)
+
+  test('viewers only select and copy', async ({ page }) => {
+    const { results, calls } = await runShortcuts(page, true)
+
+    expect(results.del).toBeUndefined()
+    expect(results.undo).toBeUndefined()
+    expect(results.all).toBe(true)
+    expect(calls).toEqual(['copy'])
+  })
+
+  test('editors keep the editing shortcuts', async ({ page }) => {
+    const { results, calls } = await runShortcuts(page, false)
+
+    expect(results.del).toEqual({ action: 'delete', shapeIds: ['a'] })
+    expect(results.undo).toEqual({ action: 'undo' })
+    expect(calls).toEqual(['copy', 'paste', 'duplicate', 'front'])
+  })
+
+  test('no context menu for viewers', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { ref } = await import('vue')
+      const { useContextMenu } = await import('/src/composables/useContextMenu.js')
+      const open = (readOnly) => {
+        const menu = useContextMenu({ selectedShapeIds: ref(['a']), readOnly: ref(readOnly) })
+        menu.handleContextMenu({ evt: { preventDefault() {}, clientX: 10, clientY: 20 } })
+        return menu.contextMenuVisible.value
+      }
+      return { viewer: open(true), editor: open(false) }
+    })
+
+    expect(result).toEqual({ viewer: false, editor: true })
+  })
+})